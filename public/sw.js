@@ -0,0 +1,103 @@
+// Service worker da aplicação (PWA).
+// - Guarda o "app shell" e os ficheiros estáticos em Cache Storage, para que a
+//   aplicação abra sem ligação.
+// - Guarda as fotos do bucket `fotos-cavalos` no IndexedDB e serve-as de lá
+//   quando não há ligação.
+// Os pedidos à API do Supabase (dados e autenticação) não passam por aqui: a cache
+// dos cavalos e a fila de sincronização são tratadas pela aplicação (src/data).
+
+const CACHE_NAME = 'registro-cavalos-v1';
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+const PHOTO_PATH = '/storage/v1/object/public/fotos-cavalos/';
+const PHOTO_DATABASE = 'registro-cavalos-fotos';
+const PHOTO_STORE = 'fotos';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const openPhotoDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(PHOTO_DATABASE, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(PHOTO_STORE);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const photoStoreRequest = async (mode, operation) => {
+  const database = await openPhotoDatabase();
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(PHOTO_STORE, mode).objectStore(PHOTO_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Rede primeiro; a cópia no IndexedDB só é usada quando a rede falha.
+const handlePhotoRequest = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const blob = await response.clone().blob();
+      photoStoreRequest('readwrite', store => store.put(blob, request.url)).catch(() => {});
+    }
+    return response;
+  } catch (err) {
+    const blob = await photoStoreRequest('readonly', store => store.get(request.url)).catch(() => null);
+    if (blob) {
+      return new Response(blob, { headers: { 'Content-Type': blob.type || 'image/jpeg' } });
+    }
+    throw err;
+  }
+};
+
+// Navegação: rede primeiro, com o index.html em cache como alternativa (SPA). Só uma
+// resposta bem-sucedida substitui o app shell guardado, e não uma página de erro.
+const handleNavigation = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(CACHE_NAME);
+      cache.put('/index.html', response.clone());
+    }
+    return response;
+  } catch {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+// Ficheiros estáticos da própria aplicação: responde da cache e atualiza em segundo plano.
+// Sem cópia em cache e sem rede, devolve um erro de rede (`respondWith` não aceita undefined).
+const handleStaticAsset = async (request) => {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached || Response.error());
+  return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.pathname.includes(PHOTO_PATH)) {
+    event.respondWith(handlePhotoRequest(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleStaticAsset(request));
+  }
+});
@@ -1,34 +1,66 @@
-import React, { useState, useEffect, useRef } from 'react';
-import * as d3 from 'd3';
-import { supabase } from './supabaseClient';
-import { v4 as uuidv4 } from 'uuid';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { auth, backendName, breedingRepository, healthRecordRepository, horseRepository, offlineSync, ownershipRepository, photoRepository } from './data';
+import {
+  applyFilters, DEFAULT_FILTERS, filtersToSearch, getLastListSearch, hasActiveFilters, listBreeds, paginate, parseFiltersFromSearch,
+  rememberListSearch, SORT_OPTIONS,
+} from './horseFilters';
+import { navigate, paths, useRoute } from './router';
+import { runImport } from './horseImport';
+import { runInterchangeMerge } from './pedigreeInterchange';
+import { prepareHorsePhoto } from './imageProcessing';
+import HealthOverview from './HealthOverview';
+import HerdDashboard from './HerdDashboard';
+import HorseDetail from './HorseDetail';
+import HorseForm from './HorseForm';
+import HorseImport from './HorseImport';
+import LineageTreeD3 from './LineageTreeD3';
+import MatingPlanner from './MatingPlanner';
+import OwnersAndStables from './OwnersAndStables';
+import PedigreeCertificate from './PedigreeCertificate';
+import PedigreeInterchange from './PedigreeInterchange';
+import PedigreeReport from './PedigreeReport';
+import RelationshipCalculator from './RelationshipCalculator';
+import SyncStatusBar, { SyncBadge } from './SyncStatusBar';
+import { generationLabel } from './herdStats';
+import { HorseActionsContext } from './horseActions';
+import { versionFields } from './horseHistory';
+import { findHorseByRegistration, shortIdentifier } from './horseIdentifiers';
+import { validatePedigree } from './pedigreeValidation';
 
 // Main App Component
 function App() {
   const [horses, setHorses] = useState([]);
+  // Proprietários e locais do utilizador com sessão iniciada (não são públicos)
+  const [owners, setOwners] = useState([]);
+  const [stables, setStables] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-
-  const [viewMode, setViewMode] = useState('list');
-  const [selectedHorseId, setSelectedHorseId] = useState(null);
-  const [isSharedView, setIsSharedView] = useState(false);
-  const [shareMessage, setShareMessage] = useState('');
+  // Sessão do Supabase Auth; `null` para visitantes (apenas leitura)
+  const [session, setSession] = useState(null);
+
+  // A vista atual, o cavalo selecionado e o modo partilhado vêm todos da URL
+  const route = useRoute();
+  const selectedHorseId = route.name === 'registration'
+    ? findHorseByRegistration(horses, route.params.id)?.id || null
+    : route.params.id || null;
+  const isSharedView = route.name === 'details' && route.query.get('partilhado') === '1';
+  // 'ancestry' (ascendência) ou 'progeny' (descendência)
+  const routeTreeMode = route.query.get('modo') === 'descendentes' ? 'progeny' : 'ancestry';
+  const [treeMode, setTreeMode] = useState(routeTreeMode);
+  // Estado da cache/fila offline (null quando o backend é local)
+  const [syncStatus, setSyncStatus] = useState(() => (offlineSync ? offlineSync.getStatus() : null));
 
   const fetchHorses = async () => {
     setLoading(true);
     setError(null);
     try {
-      let { data, error } = await supabase
-        .from('cavalos')
-        .select('id, created_at, nome, raca, url_imagem, pai_id, mae_id, idade, sexo');
-
-      if (error) {
-        throw error;
-      }
+      const data = await horseRepository.list();
       setHorses(data);
     } catch (err) {
       console.error('Erro ao buscar cavalos:', err.message);
-      setError('Falha ao carregar cavalos. Verifique sua conexão ou configurações do Supabase.');
+      setError(backendName === 'supabase'
+        ? 'Falha ao carregar cavalos. Verifique sua conexão ou configurações do Supabase.'
+        : 'Falha ao carregar cavalos do armazenamento local deste navegador.');
     } finally {
       setLoading(false);
     }
@@ -36,698 +68,1057 @@ function App() {
 
   useEffect(() => {
     fetchHorses();
+  }, []);
 
-    const params = new URLSearchParams(window.location.search);
-    const horseIdParam = params.get('id');
-    const sharedParam = params.get('shared');
+  useEffect(() => {
+    auth.getSession()
+      .then(setSession)
+      .catch(err => console.error('Erro ao obter a sessão:', err.message));
+    return auth.onSessionChange(setSession);
+  }, []);
 
-    if (horseIdParam) {
-      setSelectedHorseId(decodeURIComponent(horseIdParam));
-      setViewMode('details');
-      if (sharedParam === 'true') {
-        setIsSharedView(true);
-      }
-    } else {
-      setViewMode('list');
-      setIsSharedView(false);
+  const currentUserId = session?.user?.id || null;
+  // Só o dono de um cavalo o pode editar, arquivar ou excluir
+  const canEditHorse = (horse) => Boolean(currentUserId && horse && horse.owner_id === currentUserId);
+
+  const fetchOwnership = useCallback(async () => {
+    if (!currentUserId) {
+      setOwners([]);
+      setStables([]);
+      return;
+    }
+    try {
+      const [ownerList, stableList] = await Promise.all([ownershipRepository.listOwners(), ownershipRepository.listStables()]);
+      setOwners(ownerList);
+      setStables(stableList);
+    } catch (err) {
+      console.error('Erro ao carregar proprietários e locais:', err.message);
     }
+  }, [currentUserId]);
+
+  useEffect(() => {
+    fetchOwnership();
+  }, [fetchOwnership]);
+
+  // Depois de cada sincronização, a lista é recarregada sem mostrar o ecrã de carregamento
+  useEffect(() => {
+    if (!offlineSync) return undefined;
+    let wasSyncing = offlineSync.getStatus().syncing;
+    return offlineSync.subscribe((status) => {
+      setSyncStatus(status);
+      if (wasSyncing && !status.syncing) {
+        horseRepository.list()
+          .then(setHorses)
+          .catch(err => console.error('Erro ao recarregar cavalos após sincronizar:', err.message));
+      }
+      wasSyncing = status.syncing;
+    });
   }, []);
 
+  // Alterações feitas offline numa sessão anterior são enviadas assim que possível
+  useEffect(() => {
+    if (offlineSync && currentUserId && navigator.onLine && offlineSync.getStatus().pendingCount > 0) {
+      offlineSync.run({ ownerId: currentUserId });
+    }
+  }, [currentUserId, syncStatus?.pendingCount]);
+
+  const signOut = async () => {
+    try {
+      await auth.signOut();
+    } catch (err) {
+      console.error('Erro ao terminar sessão:', err.message);
+      alert(`Falha ao terminar sessão: ${err.message}`);
+    }
+  };
+
+  // Na árvore, o modo (ascendência/descendência) é o indicado na URL
+  useEffect(() => {
+    if (route.name === 'lineageTree') {
+      setTreeMode(routeTreeMode);
+    }
+  }, [route.name, routeTreeMode]);
+
   const goToHorseDetails = (id) => {
-    setSelectedHorseId(id);
-    setViewMode('details');
-    setIsSharedView(false);
+    navigate(paths.details(id));
+  };
+
+  const goToList = () => {
+    navigate(paths.list(getLastListSearch()));
+  };
+
+  const changeTreeMode = (mode) => {
+    setTreeMode(mode);
+    if (route.name === 'lineageTree') {
+      navigate(paths.lineageTree(selectedHorseId, mode), { replace: true });
+    }
+  };
+
+  // Redimensiona a foto no navegador e envia a imagem e a miniatura (lista e árvores)
+  const uploadHorsePhoto = async (file) => {
+    const { image, thumbnail } = await prepareHorsePhoto(file);
+    const url = await horseRepository.uploadPhoto(image, { ownerId: currentUserId });
+    try {
+      const thumbnailUrl = await horseRepository.uploadPhoto(thumbnail, { ownerId: currentUserId });
+      return { url, thumbnailUrl };
+    } catch (err) {
+      await horseRepository.deletePhoto(url);
+      throw err;
+    }
   };
 
-  // Função para adicionar um novo cavalo no Supabase
-  // Agora recebe `fatherId` e `motherId` diretamente
-  const addHorse = async (newHorseData) => {
+  // A foto escolhida no formulário passa a ser a principal da galeria. Sem ligação a
+  // galeria fica como estava, mas a foto é guardada no registo do cavalo na mesma.
+  const addPrimaryPhotoToGallery = async (horse) => {
+    if (horse._syncStatus === 'pending') return;
+    try {
+      const photo = await photoRepository.create({
+        cavalo_id: horse.id,
+        url: horse.url_imagem,
+        url_miniatura: horse.url_miniatura,
+        owner_id: currentUserId,
+      });
+      await photoRepository.setPrimary(horse.id, photo.id);
+    } catch (err) {
+      console.error('Erro ao adicionar a foto à galeria:', err.message);
+    }
+  };
+
+  // Função para adicionar um novo cavalo
+  // Agora recebe `fatherId` e `motherId` diretamente. Com `foalingId`, o cavalo é o
+  // potro desse parto e fica ligado ao registo de reprodução.
+  const addHorse = async (newHorseData, { foalingId = null } = {}) => {
     setLoading(true);
     setError(null);
     try {
-      let photoUrl = null;
-      // 1. Upload da imagem para o Supabase Storage
+      let photo = null;
+      // 1. Upload da imagem (já redimensionada) e da miniatura
       if (newHorseData.photoFile) {
-        const fileExtension = newHorseData.photoFile.name.split('.').pop();
-        const fileName = `${uuidv4()}.${fileExtension}`;
-        const filePath = `public/${fileName}`;
-
-        const { error: uploadError } = await supabase.storage
-          .from('fotos-cavalos')
-          .upload(filePath, newHorseData.photoFile);
+        photo = await uploadHorsePhoto(newHorseData.photoFile);
+      }
 
-        if (uploadError) {
-          throw uploadError;
+      // 2. Inserir os dados do cavalo
+      const createdHorse = await horseRepository.create({
+        nome: newHorseData.name,
+        raca: newHorseData.breed,
+        data_nascimento: newHorseData.birthDate, // Data exata ou null
+        ano_nascimento: newHorseData.birthYear, // Ano aproximado quando a data é desconhecida
+        sexo: newHorseData.sex, // Coluna 'sexo' no DB
+        pai_id: newHorseData.fatherId, // Recebido diretamente como ID ou null
+        mae_id: newHorseData.motherId, // Recebido diretamente como ID ou null
+        ...newHorseData.identifiers,
+        ...newHorseData.ownership,
+        url_imagem: photo?.url ?? null,
+        url_miniatura: photo?.thumbnailUrl ?? null,
+        owner_id: currentUserId,
+      }, { foalingId });
+      if (photo) {
+        await addPrimaryPhotoToGallery(createdHorse);
+      }
+      if (foalingId && createdHorse._syncStatus !== 'pending') {
+        try {
+          await breedingRepository.updateEvent(foalingId, { potro_id: createdHorse.id });
+        } catch (err) {
+          console.error('Erro ao ligar o potro ao parto:', err.message);
         }
+      }
+
+      setHorses(prevHorses => [...prevHorses, createdHorse]);
+      navigate(paths.details(createdHorse.id), { replace: true });
+      alert(createdHorse._syncStatus === 'pending'
+        ? `Sem ligação: o cavalo foi guardado neste dispositivo e será sincronizado quando a ligação voltar.${foalingId ? ' A ligação ao parto será feita nessa altura.' : ''}`
+        : 'Cavalo adicionado com sucesso!');
+    } catch (err) {
+      console.error('Erro ao adicionar cavalo ou fazer upload da imagem:', err.message);
+      setError(`Falha ao adicionar cavalo: ${err.message}`);
+      alert(`Falha ao adicionar cavalo: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Atualiza um cavalo existente. Uma nova foto passa a ser a principal; a anterior
+  // continua na galeria ou, se não estiver lá, é apagada do Storage depois de a linha
+  // ser atualizada.
+  const updateHorse = async (horseId, updatedHorseData) => {
+    const currentHorse = horses.find(h => h.id === horseId);
+    if (!currentHorse) return;
 
-        const { data: publicUrlData } = supabase.storage
-          .from('fotos-cavalos')
-          .getPublicUrl(filePath);
+    setLoading(true);
+    setError(null);
+    let newPhoto = null;
+    try {
+      if (updatedHorseData.photoFile) {
+        newPhoto = await uploadHorsePhoto(updatedHorseData.photoFile);
+      }
+
+      const updatedHorse = await horseRepository.update(horseId, {
+        nome: updatedHorseData.name,
+        raca: updatedHorseData.breed,
+        data_nascimento: updatedHorseData.birthDate,
+        ano_nascimento: updatedHorseData.birthYear,
+        idade: null, // Substituída pela data/ano de nascimento
+        sexo: updatedHorseData.sex,
+        pai_id: updatedHorseData.fatherId,
+        mae_id: updatedHorseData.motherId,
+        ...updatedHorseData.identifiers,
+        ...updatedHorseData.ownership,
+        apenas_ancestral: updatedHorseData.ancestorOnly,
+        url_imagem: newPhoto ? newPhoto.url : currentHorse.url_imagem,
+        url_miniatura: newPhoto ? newPhoto.thumbnailUrl : currentHorse.url_miniatura ?? null,
+      });
 
-        if (publicUrlData && publicUrlData.publicUrl) {
-          photoUrl = publicUrlData.publicUrl;
-        } else {
-          throw new Error('Não foi possível obter o URL público da imagem após o upload.');
+      if (newPhoto) {
+        await addPrimaryPhotoToGallery(updatedHorse);
+        // Sem acesso à galeria não se sabe se a foto anterior lá está, por isso fica
+        const gallery = await photoRepository.list(horseId).catch(() => null);
+        if (gallery && currentHorse.url_imagem && !gallery.some(p => p.url === currentHorse.url_imagem)) {
+          await horseRepository.deletePhoto(currentHorse.url_imagem);
+          await horseRepository.deletePhoto(currentHorse.url_miniatura);
         }
       }
 
-      // 2. Inserir os dados do cavalo no Supabase Database
-      const { data, error: insertError } = await supabase
-        .from('cavalos')
-        .insert([
-          {
-            nome: newHorseData.name,
-            raca: newHorseData.breed,
-            idade: newHorseData.age, // Coluna 'idade' no DB
-            sexo: newHorseData.sex, // Coluna 'sexo' no DB
-            pai_id: newHorseData.fatherId, // Recebido diretamente como ID ou null
-            mae_id: newHorseData.motherId, // Recebido diretamente como ID ou null
-            url_imagem: photoUrl,
-          }
-        ])
-        .select();
-
-      if (insertError) {
-        throw insertError;
+      setHorses(prevHorses => prevHorses.map(h => (h.id === horseId ? updatedHorse : h)));
+      navigate(paths.details(horseId), { replace: true });
+      alert(updatedHorse._syncStatus === 'pending'
+        ? 'Sem ligação: as alterações foram guardadas neste dispositivo e serão sincronizadas quando a ligação voltar.'
+        : 'Cavalo atualizado com sucesso!');
+    } catch (err) {
+      // Evita deixar no armazenamento uma foto que não ficou associada a nenhum cavalo
+      if (newPhoto) {
+        await horseRepository.deletePhoto(newPhoto.url);
+        await horseRepository.deletePhoto(newPhoto.thumbnailUrl);
       }
+      console.error('Erro ao atualizar cavalo:', err.message);
+      setError(`Falha ao atualizar cavalo: ${err.message}`);
+      alert(`Falha ao atualizar cavalo: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      setHorses(prevHorses => [...prevHorses, data[0]]);
-      setViewMode('list');
-      alert('Cavalo adicionado com sucesso!');
+  // Cria um ancestral externo a partir dos seletores de pai/mãe do formulário. Não
+  // passa por `setLoading`, que desmontaria o formulário a meio do preenchimento; os
+  // erros ficam para o formulário do ancestral mostrar.
+  const createAncestor = async (fields) => {
+    const ancestor = await horseRepository.create({
+      ...fields,
+      data_nascimento: null,
+      ano_nascimento: null,
+      url_imagem: null,
+      url_miniatura: null,
+      apenas_ancestral: true,
+      owner_id: currentUserId,
+    });
+    setHorses(prevHorses => [...prevHorses, ancestor]);
+    return ancestor;
+  };
+
+  // Arquiva (ou restaura) um cavalo sem apagar o registo: as referências de pai/mãe
+  // dos descendentes continuam válidas e a árvore genealógica mantém-se completa.
+  const setHorseArchived = async (horseId, archived) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const updatedHorse = await horseRepository.update(horseId, { arquivado: archived });
+      setHorses(prevHorses => prevHorses.map(h => (h.id === horseId ? updatedHorse : h)));
+      alert(archived ? 'Cavalo arquivado com sucesso!' : 'Cavalo restaurado com sucesso!');
     } catch (err) {
-      console.error('Erro ao adicionar cavalo ou fazer upload da imagem:', err.message);
-      setError(`Falha ao adicionar cavalo: ${err.message}`);
-      alert(`Falha ao adicionar cavalo: ${err.message}`);
+      console.error('Erro ao arquivar/restaurar cavalo:', err.message);
+      setError(`Falha ao ${archived ? 'arquivar' : 'restaurar'} cavalo: ${err.message}`);
+      alert(`Falha ao ${archived ? 'arquivar' : 'restaurar'} cavalo: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Chamado pela galeria depois de escolher a foto principal (`null` quando já não há
+  // fotos). Os erros seguem para a galeria, que os mostra.
+  const setPrimaryPhoto = async (horseId, photo) => {
+    const updatedHorse = await horseRepository.update(horseId, {
+      url_imagem: photo?.url ?? null,
+      url_miniatura: photo?.url_miniatura ?? null,
+    });
+    setHorses(prevHorses => prevHorses.map(h => (h.id === horseId ? updatedHorse : h)));
+  };
+
+  // Repõe os dados de uma versão do histórico (ver RESTORABLE_FIELDS). Um pai/mãe que
+  // entretanto foi excluído fica em branco, e um pedigree que deixou de ser válido
+  // (ciclo, sexo trocado...) impede o restauro. Os erros seguem para o histórico, que os mostra.
+  const restoreHorseVersion = async (horseId, entry) => {
+    const fields = versionFields(entry);
+    for (const parentField of ['pai_id', 'mae_id']) {
+      if (fields[parentField] && !horses.some(h => h.id === fields[parentField])) fields[parentField] = null;
+    }
+    const currentHorse = horses.find(h => h.id === horseId);
+    const issues = validatePedigree({ ...currentHorse, ...fields }, horses).filter(issue => issue.severity === 'error');
+    if (issues.length > 0) {
+      throw new Error(issues.map(issue => issue.message).join(' '));
+    }
+    const updatedHorse = await horseRepository.update(horseId, fields);
+    setHorses(prevHorses => prevHorses.map(h => (h.id === horseId ? updatedHorse : h)));
+    return updatedHorse;
+  };
+
+  // Regista uma venda ou um arrendamento e atualiza o proprietário e o local do cavalo
+  // (ver HorseOwnership). Os erros seguem para o formulário da transferência.
+  const transferHorse = async (horseId, fields) => {
+    const transfer = await ownershipRepository.transfer({ ...fields, cavalo_id: horseId });
+    // Relido do repositório dos cavalos, que atualiza também a cache offline
+    const updatedHorse = await horseRepository.get(horseId);
+    if (updatedHorse) {
+      setHorses(prevHorses => prevHorses.map(h => (h.id === horseId
+        ? { ...h, proprietario_id: updatedHorse.proprietario_id, local_id: updatedHorse.local_id }
+        : h)));
+    }
+    return transfer;
+  };
+
+  // Apaga definitivamente um cavalo. Os descendentes que o referenciam como pai/mãe
+  // são desvinculados (`replacementId` nulo) ou reassociados a outro cavalo,
+  // para não ficarem com `pai_id`/`mae_id` a apontar para um registo inexistente.
+  const deleteHorse = async (horseId, replacementId = null) => {
+    const horseToDelete = horses.find(h => h.id === horseId);
+    if (!horseToDelete) return;
+
+    setLoading(true);
+    setError(null);
+    try {
+      // As entradas da galeria e os registos de saúde são apagados com o cavalo;
+      // os ficheiros, a seguir
+      const gallery = await photoRepository.list(horseId).catch(() => []);
+      const healthRecords = await healthRecordRepository.list(horseId).catch(() => []);
+      await horseRepository.remove(horseId, { replacementId });
+
+      const photoUrls = new Set([horseToDelete.url_imagem, horseToDelete.url_miniatura]);
+      gallery.forEach(photo => {
+        photoUrls.add(photo.url);
+        photoUrls.add(photo.url_miniatura);
+      });
+      for (const url of photoUrls) {
+        if (url) await horseRepository.deletePhoto(url);
+      }
+      for (const record of healthRecords) {
+        await healthRecordRepository.deleteDocument(record.documento_caminho);
+      }
+
+      setHorses(prevHorses => prevHorses
+        .filter(h => h.id !== horseId)
+        .map(h => {
+          // Os descendentes de outros utilizadores ficam desvinculados
+          const newParentId = h.owner_id === currentUserId ? replacementId : null;
+          return {
+            ...h,
+            pai_id: h.pai_id === horseId ? newParentId : h.pai_id,
+            mae_id: h.mae_id === horseId ? newParentId : h.mae_id,
+          };
+        }));
+      navigate(paths.list(getLastListSearch()), { replace: true });
+      alert('Cavalo excluído com sucesso!');
+    } catch (err) {
+      console.error('Erro ao excluir cavalo:', err.message);
+      setError(`Falha ao excluir cavalo: ${err.message}`);
+      alert(`Falha ao excluir cavalo: ${err.message}`);
     } finally {
       setLoading(false);
     }
   };
 
+  // Importação em massa: insere as linhas já validadas pela ordem planeada (pais primeiro)
+  const importHorses = async (resolvedEntries, order) => {
+    try {
+      const created = await runImport(resolvedEntries, order, horseRepository.create, { owner_id: currentUserId });
+      setHorses(prevHorses => [...prevHorses, ...created]);
+      navigate(paths.list(getLastListSearch()), { replace: true });
+      alert(`${created.length} ${created.length === 1 ? 'cavalo importado' : 'cavalos importados'} com sucesso!`);
+    } catch (err) {
+      console.error('Erro ao importar cavalos:', err.message);
+      if (err.created) {
+        setHorses(prevHorses => [...prevHorses, ...err.created]);
+      }
+      alert(`Falha na importação: ${err.message}\n${err.insertedCount || 0} cavalos foram importados antes do erro.`);
+    }
+  };
+
+  // Junta um ficheiro GEDCOM/JSON: cria os cavalos novos e completa o pai/mãe dos existentes
+  const mergeInterchange = async (resolvedEntries, order) => {
+    const applyResult = ({ created = [], updated = [] }) => {
+      const updatedById = new Map(updated.map(h => [h.id, h]));
+      setHorses(prevHorses => [...prevHorses.map(h => updatedById.get(h.id) || h), ...created]);
+    };
+    try {
+      const result = await runInterchangeMerge(
+        resolvedEntries,
+        order,
+        { createHorse: horseRepository.create, updateHorse: horseRepository.update },
+        { owner_id: currentUserId }
+      );
+      applyResult(result);
+      navigate(paths.list(getLastListSearch()), { replace: true });
+      alert(`Importação concluída: ${result.created.length} cavalos criados e ${result.updated.length} completados.`);
+    } catch (err) {
+      console.error('Erro ao importar o pedigree:', err.message);
+      applyResult(err);
+      alert(`Falha na importação: ${err.message}\n${err.created?.length || 0} cavalos foram criados antes do erro.`);
+    }
+  };
+
+  // Disponível para a ficha e o formulário do cavalo (ver horseActions.js)
+  const horseActions = {
+    currentUserId,
+    owners,
+    stables,
+    canEditHorse,
+    setHorseArchived,
+    deleteHorse,
+    setPrimaryPhoto,
+    restoreHorseVersion,
+    transferHorse,
+    createAncestor,
+  };
+
   let content;
   if (loading) {
     content = <div className="text-center p-6 text-gray-600">Carregando cavalos...</div>;
   } else if (error) {
     content = <div className="text-center p-6 bg-red-100 text-red-700 rounded-lg shadow-md"><p>{error}</p><button onClick={fetchHorses} className="mt-2 px-4 py-2 bg-blue-500 text-white rounded">Tentar Novamente</button></div>;
   } else {
-    switch (viewMode) {
+    switch (route.name) {
       case 'list':
         content = (
           <HorseList
             horses={horses}
+            owners={owners}
+            stables={stables}
+            search={route.query.toString()}
             onSelectHorse={goToHorseDetails}
-            onAddHorse={() => setViewMode('add')}
+            onAddHorse={session ? () => navigate(paths.add()) : null}
+            onImport={session ? () => navigate(paths.import()) : null}
+            onInterchange={() => navigate(paths.interchange())}
+            onReport={() => navigate(paths.report())}
           />
         );
         break;
-      case 'details':
+      case 'registration':
+      case 'details': {
         const horse = horses.find(h => h.id === selectedHorseId);
         content = horse ? (
           <HorseDetail
+            key={horse.id}
             horse={horse}
             horses={horses}
-            onBack={() => {
-              setViewMode('list');
-              setIsSharedView(false);
-            }}
-            onViewLineage={() => setViewMode('lineageTree')}
+            treeMode={treeMode}
+            onChangeTreeMode={changeTreeMode}
             isSharedView={isSharedView}
-            setShareMessage={setShareMessage}
-            shareMessage={shareMessage}
           />
         ) : (
-          <div className="text-center p-6 bg-red-100 text-red-700 rounded-lg shadow-md">
-            <p className="text-xl font-semibold mb-4">Cavalo não encontrado.</p>
-            <button
-              onClick={() => setViewMode('list')}
-              className="mt-4 px-6 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 shadow-md"
-            >
-              Voltar para a lista
-            </button>
-          </div>
+          <NotFound message="Cavalo não encontrado." onBack={goToList} />
         );
         break;
+      }
       case 'add':
         // PASSA A LISTA DE CAVALOS PARA O FORMULÁRIO AQUI
-        content = <HorseForm horses={horses} onAddHorse={addHorse} onCancel={() => setViewMode('list')} />;
+        content = session ? (
+          <HorseForm
+            key={route.query.get('parto') || 'novo'}
+            horses={horses}
+            initialValues={{
+              pai_id: route.query.get('pai'),
+              mae_id: route.query.get('mae'),
+              data_nascimento: route.query.get('nascimento'),
+            }}
+            onSubmit={(newHorseData) => addHorse(newHorseData, { foalingId: route.query.get('parto') })}
+            onCancel={goToList}
+          />
+        ) : (
+          <LoginForm message="Entre na sua conta para adicionar cavalos." onCancel={goToList} />
+        );
+        break;
+      case 'edit': {
+        const horseToEdit = horses.find(h => h.id === selectedHorseId);
+        if (horseToEdit && !canEditHorse(horseToEdit)) {
+          content = session ? (
+            <NotFound message="Apenas o dono deste cavalo o pode editar." onBack={goToList} />
+          ) : (
+            <LoginForm message="Entre na sua conta para editar este cavalo." onCancel={() => navigate(paths.details(horseToEdit.id))} />
+          );
+          break;
+        }
+        content = horseToEdit ? (
+          <HorseForm
+            key={horseToEdit.id}
+            horse={horseToEdit}
+            horses={horses}
+            promote={route.query.get('promover') === '1'}
+            onSubmit={(updatedHorseData) => updateHorse(horseToEdit.id, updatedHorseData)}
+            onCancel={() => navigate(paths.details(horseToEdit.id))}
+          />
+        ) : (
+          <NotFound message="Cavalo não encontrado." onBack={goToList} />
+        );
         break;
-      case 'lineageTree':
+      }
+      case 'lineageTree': {
         const rootHorse = horses.find(h => h.id === selectedHorseId);
         content = (
           <LineageTreeD3
             rootHorse={rootHorse}
             horses={horses}
+            mode={treeMode}
+            onChangeMode={changeTreeMode}
             onSelectHorse={goToHorseDetails}
-            onBack={() => setViewMode('details')}
+            onBack={() => navigate(paths.details(selectedHorseId))}
           />
         );
         break;
-      default:
+      }
+      case 'certificate': {
+        const horse = horses.find(h => h.id === selectedHorseId);
+        content = horse ? (
+          <PedigreeCertificate
+            horse={horse}
+            horses={horses}
+            onBack={() => navigate(paths.details(horse.id))}
+          />
+        ) : (
+          <NotFound message="Cavalo não encontrado." onBack={goToList} />
+        );
+        break;
+      }
+      case 'import':
+        content = session ? (
+          <HorseImport horses={horses} onImport={importHorses} onCancel={goToList} />
+        ) : (
+          <LoginForm message="Entre na sua conta para importar cavalos." onCancel={goToList} />
+        );
+        break;
+      case 'interchange':
         content = (
-          <HorseList
+          <PedigreeInterchange
+            horses={horses}
+            initialHorseId={route.query.get('cavalo')}
+            canEdit={canEditHorse}
+            onMerge={session ? mergeInterchange : null}
+            onCancel={goToList}
+          />
+        );
+        break;
+      case 'report':
+        content = (
+          <PedigreeReport
+            horses={horses}
+            canEdit={canEditHorse}
+            onEdit={(id) => navigate(paths.edit(id))}
+            onSelectHorse={goToHorseDetails}
+            onBack={goToList}
+          />
+        );
+        break;
+      case 'relationship':
+        content = (
+          <RelationshipCalculator
+            horses={horses}
+            initialHorseAId={route.query.get('a')}
+            initialHorseBId={route.query.get('b')}
+            onSelectHorse={goToHorseDetails}
+            onBack={goToList}
+          />
+        );
+        break;
+      case 'dashboard':
+        content = (
+          <HerdDashboard
+            horses={horses}
+            onFilter={(filters) => navigate(paths.list(filtersToSearch({ ...DEFAULT_FILTERS, ...filters })))}
+            onBack={goToList}
+          />
+        );
+        break;
+      case 'owners':
+        content = session ? (
+          <OwnersAndStables
+            owners={owners}
+            stables={stables}
             horses={horses}
+            currentUserId={currentUserId}
+            onChange={fetchOwnership}
+            onStableRemoved={(stableId) => setHorses(prevHorses => prevHorses.map(h => (h.local_id === stableId ? { ...h, local_id: null } : h)))}
+            onFilter={(filters) => navigate(paths.list(filtersToSearch({ ...DEFAULT_FILTERS, ...filters })))}
+            onBack={goToList}
+          />
+        ) : (
+          <LoginForm message="Entre na sua conta para gerir os proprietários e os locais." onCancel={goToList} />
+        );
+        break;
+      case 'health':
+        content = session ? (
+          <HealthOverview horses={horses} onSelectHorse={goToHorseDetails} onBack={goToList} />
+        ) : (
+          <LoginForm message="Entre na sua conta para ver a saúde dos seus cavalos." onCancel={goToList} />
+        );
+        break;
+      case 'matingPlanner':
+        content = (
+          <MatingPlanner
+            horses={horses}
+            initialDamId={route.query.get('mae')}
+            initialSireIds={route.query.getAll('pai')}
             onSelectHorse={goToHorseDetails}
-            onAddHorse={() => setViewMode('add')}
+            onBack={goToList}
           />
         );
+        break;
+      case 'login':
+        content = session ? (
+          <NotFound message="Já tem sessão iniciada." onBack={goToList} />
+        ) : (
+          <LoginForm onSuccess={goToList} onCancel={goToList} />
+        );
+        break;
+      default:
+        content = <NotFound message="Página não encontrada." onBack={goToList} />;
     }
   }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-green-50 to-green-100 font-sans text-gray-800 p-4 sm:p-8">
+      <div className="max-w-4xl mx-auto flex flex-wrap justify-between items-center gap-3 mb-4 text-sm text-gray-700">
+        <nav className="flex flex-wrap gap-3">
+          {NAV_LINKS.map(link => (
+            <button
+              key={link.route}
+              onClick={() => navigate(link.path())}
+              className={`hover:underline ${route.name === link.route ? 'font-semibold text-green-800' : 'text-green-700'}`}
+            >
+              {link.label}
+            </button>
+          ))}
+        </nav>
+        <div className="flex items-center gap-3">
+          {session ? (
+            <>
+              <span className="truncate">{session.user.email}</span>
+              <button onClick={signOut} className="px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-100">
+                Sair
+              </button>
+            </>
+          ) : (
+            route.name !== 'login' && (
+              <button onClick={() => navigate(paths.login())} className="px-3 py-1 bg-white border border-green-600 text-green-700 rounded-lg hover:bg-green-50">
+                Entrar
+              </button>
+            )
+          )}
+        </div>
+      </div>
       <div className="text-center mb-8">
         <h1 className="text-4xl sm:text-5xl font-extrabold text-green-800 tracking-tight">
           Sistema de Pedigree Equino
         </h1>
       </div>
-      <div className="max-w-4xl mx-auto bg-white p-6 sm:p-8 rounded-xl shadow-2xl border border-gray-200">
-        {content}
-      </div>
-    </div>
-  );
-}
-
-// --- Componente da Lista de Cavalos (ajustado para nomes do DB) ---
-function HorseList({ horses, onSelectHorse, onAddHorse }) {
-  return (
-    <div>
-      <div className="flex justify-between items-center mb-6">
-        <h2 className="text-2xl sm:text-3xl font-bold text-gray-700">Cavalos Cadastrados</h2>
-        <button
-          onClick={onAddHorse}
-          className="px-6 py-2 bg-green-600 text-white rounded-lg shadow-md hover:bg-green-700 transition duration-300 transform hover:scale-105"
-        >
-          + Adicionar Cavalo
-        </button>
-      </div>
-
-      {horses.length === 0 ? (
-        <p className="text-center text-gray-500 text-lg py-8">Nenhum cavalo cadastrado ainda. Adicione um para começar!</p>
-      ) : (
-        <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-          {horses.sort((a, b) => a.nome.localeCompare(b.nome)).map((horse) => (
-            <li
-              key={horse.id}
-              className="bg-green-50 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200 cursor-pointer border border-green-200 flex items-center gap-4"
-              onClick={() => onSelectHorse(horse.id)} // Passa o ID, não o nome
-            >
-              <img
-                src={horse.url_imagem || 'https://placehold.co/60x60/cccccc/white?text=Sem+Foto'} // Usa 'url_imagem'
-                alt={`Foto de ${horse.nome}`}
-                className="w-16 h-16 object-cover rounded-full border-2 border-green-400 flex-shrink-0"
-                onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/60x60/cccccc/white?text=Sem+Foto'; }}
-              />
-              <div>
-                <span className="text-lg font-semibold text-green-700 block">{horse.nome}</span>
-                <span className="text-sm text-gray-600">{horse.raca}</span>
-              </div>
-            </li>
-          ))}
-        </ul>
-      )}
-    </div>
-  );
-}
-
-// --- Componente de Detalhes do Cavalo (ajustado para nomes do DB e resolução de pais) ---
-function HorseDetail({ horse, horses, onBack, onViewLineage, isSharedView, setShareMessage, shareMessage }) {
-
-  // Funções helper para obter nomes dos pais a partir dos IDs
-  const getParentName = (parentId) => {
-    const parent = horses.find(h => h.id === parentId);
-    return parent ? parent.nome : null;
-  };
-
-  const handleShareClick = () => {
-    // Agora compartilha por ID, não por nome
-    const shareUrl = `${window.location.origin}/?id=${encodeURIComponent(horse.id)}&shared=true`;
-    fallbackCopyTextToClipboard(shareUrl);
-  };
-
-  function fallbackCopyTextToClipboard(text) {
-    const textArea = document.createElement("textarea");
-    textArea.value = text;
-    textArea.style.position = "fixed";
-    textArea.style.left = "-9999px";
-    textArea.style.top = "-9999px";
-    document.body.appendChild(textArea);
-    textArea.focus();
-    textArea.select();
-    try {
-      document.execCommand('copy');
-      setShareMessage('Link copiado para a área de transferência!');
-      setTimeout(() => setShareMessage(''), 3000);
-    } catch (err) {
-      console.error('Falha ao copiar o link (fallback): ', err);
-      setShareMessage('Não foi possível copiar o link automaticamente. Por favor, copie-o manualmente: ' + text);
-      setTimeout(() => setShareMessage(''), 5000);
-    }
-    document.body.removeChild(textArea);
-  }
-
-  // Resolvendo os nomes dos pais para exibição
-  const fatherName = getParentName(horse.pai_id);
-  const motherName = getParentName(horse.mae_id);
-
-  return (
-    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-100">
-      <div className="flex justify-center mb-6">
-        <img
-          src={horse.url_imagem || 'https://placehold.co/600x400/cccccc/white?text=Sem+Foto'} // Usa 'url_imagem'
-          alt={`Foto de ${horse.nome}`}
-          className="w-[600px] h-[400px] object-cover border-8 border-green-500 shadow-md rounded-lg"
-          onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/600x400/cccccc/white?text=Sem+Foto'; }}
+      {syncStatus && (
+        <SyncStatusBar
+          status={syncStatus}
+          onSync={() => offlineSync.run({ ownerId: currentUserId })}
+          onDismissConflicts={() => offlineSync.dismissConflicts()}
         />
-      </div>
-
-      <h2 className="text-3xl font-bold text-green-800 mb-6 text-center">{horse.nome}</h2>
-
-      <div className="space-y-4 text-lg">
-        <p><strong className="text-gray-700">Raça:</strong> <span className="text-gray-800">{horse.raca}</span></p>
-        <p><strong className="text-gray-700">Idade:</strong> <span className="text-gray-800">{horse.idade} anos</span></p> {/* Assumindo 'age' existe no DB ou é calculado */}
-        <p><strong className="text-gray-700">Sexo:</strong> <span className="text-gray-800">{horse.sexo}</span></p>
-
-        <div className="pt-4 border-t border-gray-200 mt-4">
-          <p className="mb-2">
-            <strong className="text-gray-700">Pai:</strong>{' '}
-            {fatherName ? (
-              <span className="text-gray-800 font-medium">
-                {fatherName}
-              </span>
-            ) : (
-              <span className="text-gray-600 italic">Não Registrado</span>
-            )}
-          </p>
-          <p>
-            <strong className="text-gray-700">Mãe:</strong>{' '}
-            {motherName ? (
-              <span className="text-gray-800 font-medium">
-                {motherName}
-              </span>
-            ) : (
-              <span className="text-gray-600 italic">Não Registrada</span>
-            )}
-          </p>
-          {((horse.pai_id && !fatherName) || (horse.mae_id && !motherName)) ? (
-            <p className="text-sm text-red-500 mt-2">
-              (Alguns parentes estão registados por ID, mas sem detalhes completos no sistema.)
-            </p>
-          ) : null}
-        </div>
-      </div>
-
-      {shareMessage && (
-        <div className="mt-4 p-3 bg-green-100 text-green-700 rounded-lg text-center font-semibold animate-fadeInOut">
-          {shareMessage}
-        </div>
-      )}
-
-      {!isSharedView && (
-        <div className="flex flex-col sm:flex-row gap-4 mt-8">
-          <button
-            onClick={onViewLineage}
-            className="flex-1 px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 transform hover:scale-105 text-lg"
-          >
-            Ver Árvore Genealógica
-          </button>
-          <button
-            onClick={handleShareClick}
-            className="flex-1 px-6 py-3 bg-green-600 text-white rounded-lg shadow-lg hover:bg-green-700 transition duration-300 transform hover:scale-105 text-lg"
-          >
-            Partilhar Página
-          </button>
-          <button
-            onClick={onBack}
-            className="flex-1 px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 transform hover:scale-105 text-lg"
-          >
-            &larr; Voltar para a lista
-          </button>
-        </div>
       )}
+      <div className="max-w-4xl mx-auto bg-white p-6 sm:p-8 rounded-xl shadow-2xl border border-gray-200">
+        <HorseActionsContext.Provider value={horseActions}>
+          {content}
+        </HorseActionsContext.Provider>
+      </div>
     </div>
   );
 }
 
-// --- Componente do Formulário do Cavalo ---
-// AGORA RECEBE 'horses' como prop
-function HorseForm({ horses, onAddHorse, onCancel }) {
-  const [name, setName] = useState('');
-  const [breed, setBreed] = useState('');
-  const [age, setAge] = useState('');
-  const [sex, setSex] = useState('');
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [previewPhoto, setPreviewPhoto] = useState(null);
-  // Agora armazena o ID do pai/mãe selecionado (ou null/string vazia)
-  const [fatherId, setFatherId] = useState('');
-  const [motherId, setMotherId] = useState('');
-  const [birthDate, setBirthDate] = useState('');
-
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file && file.type.startsWith('image/')) {
-      setSelectedFile(file);
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setPreviewPhoto(reader.result);
-      };
-      reader.readAsDataURL(file);
-    } else {
-      setSelectedFile(null);
-      setPreviewPhoto(null);
-      alert('Por favor, selecione um ficheiro de imagem válido.');
-    }
-  };
+// Ferramentas no topo de todas as páginas
+const NAV_LINKS = [
+  { route: 'list', label: 'Cavalos', path: () => paths.list(getLastListSearch()) },
+  { route: 'matingPlanner', label: 'Acasalamentos', path: () => paths.matingPlanner() },
+  { route: 'relationship', label: 'Parentesco', path: () => paths.relationship() },
+  { route: 'health', label: 'Saúde', path: () => paths.health() },
+  { route: 'dashboard', label: 'Painel', path: () => paths.dashboard() },
+  { route: 'owners', label: 'Proprietários', path: () => paths.owners() },
+];
+
+// --- Formulário de início de sessão / criação de conta ---
+function LoginForm({ message, onSuccess, onCancel }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSignUp, setIsSignUp] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [feedback, setFeedback] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!name || !breed || !age || !sex) {
-      alert('Por favor, preencha todos os campos obrigatórios (Nome, Raça, Idade, Sexo).');
-      return;
-    }
-
-    onAddHorse({
-      name: capitalizeEachWord(name),
-      breed: capitalizeEachWord(breed),
-      age: parseInt(age),
-      sex: capitalizeEachWord(sex),
-      fatherId: fatherId === '' ? null : fatherId, // Passa o ID ou null
-      motherId: motherId === '' ? null : motherId, // Passa o ID ou null
-      birthDate: birthDate || null,
-      photoFile: selectedFile
-    });
-
-    setName(''); setBreed(''); setAge(''); setSex('');
-    setFatherId(''); setMotherId('');
-    setSelectedFile(null); setPreviewPhoto(null); setBirthDate('');
-  };
+    setSubmitting(true);
+    setFeedback('');
+    try {
+      const session = isSignUp
+        ? await auth.signUp({ email, password })
+        : await auth.signIn({ email, password });
 
-  const capitalizeEachWord = (str) => {
-    if (!str) return '';
-    return str.toLowerCase().replace(/(?:^|\s|\/|-|'|")(\p{L})/gu, (match) => match.toUpperCase());
+      if (isSignUp && !session) {
+        setFeedback('Conta criada! Confirme o seu email para poder entrar.');
+        return;
+      }
+      if (onSuccess) onSuccess();
+    } catch (err) {
+      console.error('Erro de autenticação:', err.message);
+      setFeedback(`Falha ao ${isSignUp ? 'criar conta' : 'entrar'}: ${err.message}`);
+    } finally {
+      setSubmitting(false);
+    }
   };
 
   return (
-    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
-      <h2 className="text-3xl font-bold text-green-700 mb-6 text-center">Cadastrar Novo Cavalo</h2>
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200 max-w-md mx-auto">
+      <h2 className="text-3xl font-bold text-green-700 mb-2 text-center">{isSignUp ? 'Criar Conta' : 'Entrar'}</h2>
+      {message && <p className="text-center text-gray-600 mb-4">{message}</p>}
       <form onSubmit={handleSubmit} className="space-y-5">
         <div>
-          <label htmlFor="name" className="block text-gray-700 font-semibold mb-2">Nome:</label>
+          <label htmlFor="email" className="block text-gray-700 font-semibold mb-2">Email:</label>
           <input
-            type="text"
-            id="name"
-            value={name}
-            onChange={(e) => setName(e.target.value)}
+            type="email"
+            id="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="email"
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
             required
           />
         </div>
         <div>
-          <label htmlFor="breed" className="block text-gray-700 font-semibold mb-2">Raça:</label>
+          <label htmlFor="password" className="block text-gray-700 font-semibold mb-2">Palavra-passe:</label>
           <input
-            type="text"
-            id="breed"
-            value={breed}
-            onChange={(e) => setBreed(e.target.value)}
-            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
-            required
-          />
-        </div>
-        <div>
-          <label htmlFor="age" className="block text-gray-700 font-semibold mb-2">Idade (anos):</label>
-          <input
-            type="number"
-            id="age"
-            value={age}
-            onChange={(e) => setAge(e.target.value)}
-            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
-            min="0"
-            required
-          />
-        </div>
-        <div>
-          <label htmlFor="sex" className="block text-gray-700 font-semibold mb-2">Sexo (Macho/Fêmea):</label>
-          <select
-            id="sex"
-            value={sex}
-            onChange={(e) => setSex(e.target.value)}
+            type="password"
+            id="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            minLength={6}
             className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
             required
-          >
-            <option value="">Selecione</option>
-            <option value="Macho">Macho</option>
-            <option value="Fêmea">Fêmea</option>
-          </select>
-        </div>
-        <div>
-          <label htmlFor="photoUpload" className="block text-gray-700 font-semibold mb-2">Carregar Foto (Opcional):</label>
-          <input
-            type="file"
-            id="photoUpload"
-            accept="image/*"
-            onChange={handleFileChange}
-            className="w-full text-gray-700 text-sm file:mr-4 file:py-2 file:px-4
-            file:rounded-full file:border-0 file:text-sm file:font-semibold
-            file:bg-green-100 file:text-green-700 hover:file:bg-green-200"
           />
-          {previewPhoto && (
-            <div className="mt-4 flex justify-center">
-              <img
-                src={previewPhoto}
-                alt="Pré-visualização da foto"
-                className="w-32 h-32 object-cover rounded-lg border-2 border-green-400 shadow-md"
-              />
-            </div>
-          )}
-        </div>
-        <div className="border-t border-gray-200 pt-5 mt-5">
-          <h3 className="text-xl font-bold text-gray-700 mb-4">Parentesco (Opcional)</h3>
-          <div>
-            <label htmlFor="fatherId" className="block text-gray-700 font-semibold mb-2">Pai:</label>
-            <select
-              id="fatherId"
-              value={fatherId}
-              onChange={(e) => setFatherId(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
-            >
-              <option value="">Não Registrado</option>
-              {horses.filter(h => h.sexo === 'Macho').sort((a, b) => a.nome.localeCompare(b.nome)).map(horse => (
-                <option key={horse.id} value={horse.id}>
-                  {horse.nome}
-                </option>
-              ))}
-            </select>
-          </div>
-          <div className="mt-4">
-            <label htmlFor="motherId" className="block text-gray-700 font-semibold mb-2">Mãe:</label>
-            <select
-              id="motherId"
-              value={motherId}
-              onChange={(e) => setMotherId(e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
-            >
-              <option value="">Não Registrada</option>
-              {horses.filter(h => h.sexo === 'Fêmea').sort((a, b) => a.nome.localeCompare(b.nome)).map(horse => (
-                <option key={horse.id} value={horse.id}>
-                  {horse.nome}
-                </option>
-              ))}
-            </select>
-          </div>
         </div>
-
-        <div className="flex flex-col sm:flex-row gap-4 mt-8">
+        {feedback && <p className="text-sm text-center text-gray-700">{feedback}</p>}
+        <div className="flex flex-col sm:flex-row gap-4">
           <button
             type="submit"
-            className="flex-1 px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 transform hover:scale-105 text-lg font-semibold"
+            disabled={submitting}
+            className="flex-1 px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 text-lg font-semibold disabled:opacity-50"
           >
-            Salvar Cavalo
+            {isSignUp ? 'Criar Conta' : 'Entrar'}
           </button>
           <button
             type="button"
             onClick={onCancel}
-            className="flex-1 px-6 py-3 bg-gray-500 text-white rounded-lg shadow-lg hover:bg-gray-600 transition duration-300 transform hover:scale-105 text-lg font-semibold"
+            className="flex-1 px-6 py-3 bg-gray-500 text-white rounded-lg shadow-lg hover:bg-gray-600 transition duration-300 text-lg font-semibold"
           >
             Cancelar
           </button>
         </div>
       </form>
+      <button
+        onClick={() => { setIsSignUp(!isSignUp); setFeedback(''); }}
+        className="mt-4 w-full text-sm text-green-700 hover:underline"
+      >
+        {isSignUp ? 'Já tem conta? Entrar' : 'Ainda não tem conta? Criar conta'}
+      </button>
     </div>
   );
 }
 
-// Helper function to build data structure for D3 ancestry tree
-const buildD3AncestryData = (horse, allHorses, maxDepth, currentDepth = 0) => {
-  if (!horse || currentDepth >= maxDepth) {
-    return null;
-  }
-
-  const node = {
-    id: horse.id,
-    name: horse.nome,
-    breed: horse.raca,
-    age: horse.idade, // Usa 'idade' do DB
-    sex: horse.sexo, // Usa 'sexo' do DB
-    photoUrl: horse.url_imagem,
-    children: [],
-  };
-
-  if (currentDepth < maxDepth - 1) {
-    const father = horse.pai_id ? allHorses.find(h => h.id === horse.pai_id) : null;
-    const mother = horse.mae_id ? allHorses.find(h => h.id === horse.mae_id) : null;
-
-    if (father) {
-      node.children.push(buildD3AncestryData(father, allHorses, maxDepth, currentDepth + 1));
-    }
-    if (mother) {
-      node.children.push(buildD3AncestryData(mother, allHorses, maxDepth, currentDepth + 1));
-    }
-    node.children = node.children.filter(child => child !== null);
-  }
+// --- Mensagem para cavalos ou páginas inexistentes ---
+function NotFound({ message, onBack }) {
+  return (
+    <div className="text-center p-6 bg-red-100 text-red-700 rounded-lg shadow-md">
+      <p className="text-xl font-semibold mb-4">{message}</p>
+      <button
+        onClick={onBack}
+        className="mt-4 px-6 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 shadow-md"
+      >
+        Voltar para a lista
+      </button>
+    </div>
+  );
+}
 
-  return node;
-};
+// Filtro sem campo próprio na lista (vindo do painel), com botão para o remover
+function FilterChip({ label, onRemove }) {
+  return (
+    <span className="inline-flex items-center gap-1 px-3 py-1 bg-green-100 text-green-800 rounded-full">
+      {label}
+      <button onClick={onRemove} className="ml-1 text-green-700 hover:text-green-900" aria-label={`Remover o filtro ${label}`}>
+        ×
+      </button>
+    </span>
+  );
+}
 
-// Componente da Árvore Genealógica (usando D3.js)
-function LineageTreeD3({ rootHorse, horses, onSelectHorse, onBack }) {
-  const svgRef = useRef();
-  const maxGeneration = 5;
+// --- Componente da Lista de Cavalos (ajustado para nomes do DB) ---
+// `search` é a query string da rota atual.
+function HorseList({ horses, owners, stables, search, onSelectHorse, onAddHorse, onImport, onInterchange, onReport }) {
+  // Os filtros vivem na query string, para que uma lista filtrada possa ser guardada e
+  // para que os botões de voltar/avançar do navegador os reponham
+  const filters = useMemo(() => parseFiltersFromSearch(search), [search]);
 
   useEffect(() => {
-    if (!rootHorse) return;
+    rememberListSearch(filtersToSearch(filters));
+  }, [filters]);
 
-    const margin = { top: 60, right: 120, bottom: 60, left: 120 };
-    const width = 1200 - margin.left - margin.right;
-    const height = 800 - margin.top - margin.bottom;
+  const changeFilters = (changes) => {
+    navigate(paths.list(filtersToSearch({ ...filters, ...changes })), { replace: true });
+  };
 
-    d3.select(svgRef.current).selectAll('*').remove();
+  // Qualquer alteração de filtro volta à primeira página
+  const updateFilter = (key, value) => {
+    changeFilters({ [key]: value, pagina: 1 });
+  };
 
-    const zoomBehavior = d3.zoom()
-      .scaleExtent([0.1, 5])
-      .on("zoom", (event) => {
-        g.attr("transform", event.transform);
-      });
+  const archivedCount = horses.filter(h => h.arquivado && !h.apenas_ancestral).length;
+  const ancestorCount = horses.filter(h => h.apenas_ancestral).length;
+  const breeds = useMemo(() => listBreeds(horses), [horses]);
+  const sires = useMemo(() => horses.filter(h => h.sexo === 'Macho').sort((a, b) => a.nome.localeCompare(b.nome)), [horses]);
+  const dams = useMemo(() => horses.filter(h => h.sexo === 'Fêmea').sort((a, b) => a.nome.localeCompare(b.nome)), [horses]);
+  const filteredHorses = useMemo(() => applyFilters(horses, filters), [horses, filters]);
+  const ownersById = useMemo(() => new Map(owners.map(owner => [owner.id, owner])), [owners]);
+  const stablesById = useMemo(() => new Map(stables.map(stable => [stable.id, stable])), [stables]);
+  const { items: pageHorses, page, pageCount } = paginate(filteredHorses, filters.pagina);
 
-    const svg = d3.select(svgRef.current)
-      .attr("width", width + margin.left + margin.right)
-      .attr("height", height + margin.top + margin.bottom)
-      .call(zoomBehavior);
-
-    const g = svg.append("g")
-      .attr("transform", `translate(${margin.left},${margin.top})`);
-
-    const treeData = buildD3AncestryData(rootHorse, horses, maxGeneration);
-    if (!treeData) {
-      g.append("text")
-        .attr("x", width / 2)
-        .attr("y", height / 2)
-        .attr("text-anchor", "middle")
-        .attr("font-size", "18px")
-        .attr("fill", "gray")
-        .text("Cavalo raiz não encontrado ou sem ancestrais para exibir.");
-      return;
-    }
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
 
-    const root = d3.hierarchy(treeData);
-
-    const treeLayout = d3.tree()
-      .nodeSize([100, 200]);
-
-    treeLayout(root);
-
-    g.selectAll('.link')
-      .data(root.links())
-      .enter()
-      .append('path')
-      .attr('class', 'link')
-      .attr('d', d3.linkHorizontal()
-        .x(d => d.y)
-        .y(d => d.x))
-      .attr('fill', 'none')
-      .attr('stroke', '#A3A3A3')
-      .attr('stroke-width', 1.5);
-
-    const nodes = g.selectAll('.node')
-      .data(root.descendants())
-      .enter()
-      .append('g')
-      .attr('class', 'node')
-      .attr('transform', d => `translate(${d.y},${d.x})`)
-      .on('click', (event, d) => {
-        event.stopPropagation();
-        onSelectHorse(d.data.id); // Passa o ID, não o nome
-      })
-      .attr('cursor', 'pointer');
-
-    nodes.append('rect')
-      .attr('x', -70)
-      .attr('y', -45)
-      .attr('width', 140)
-      .attr('height', 100)
-      .attr('fill', 'white')
-      .attr('stroke', '#84CC16')
-      .attr('stroke-width', 1)
-      .attr('rx', 10)
-      .attr('ry', 10)
-      .attr('class', 'shadow-sm');
-
-    nodes.append('image')
-      .attr('xlink:href', d => d.data.photoUrl || 'https://placehold.co/60x60/cccccc/white?text=Foto')
-      .attr('x', -30)
-      .attr('y', -40)
-      .attr('width', 60)
-      .attr('height', 60)
-      .style('border-radius', '50%')
-      .attr('class', 'object-cover border-2 border-green-400');
-
-    nodes.append('text')
-      .attr('y', 30)
-      .attr('x', 0)
-      .attr('text-anchor', 'middle')
-      .attr('font-size', '12px')
-      .attr('font-weight', 'bold')
-      .attr('fill', '#166534')
-      .text(d => d.data.name);
-
-    nodes.append('text')
-      .attr('y', 45)
-      .attr('x', 0)
-      .attr('text-anchor', 'middle')
-      .attr('font-size', '10px')
-      .attr('fill', '#4B5563')
-      .text(d => d.data.breed);
-
-  }, [rootHorse, horses, onSelectHorse, maxGeneration]);
-
-  if (!rootHorse) {
-    return (
-      <div className="text-center p-6 bg-red-100 text-red-700 rounded-lg shadow-md">
-        <p className="text-xl font-semibold mb-4">Cavalo raiz não encontrado para a árvore genealógica.</p>
-        <button
-          onClick={onBack}
-          className="mt-4 px-6 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition duration-300 shadow-md"
-        >
-          Voltar
-        </button>
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl sm:text-3xl font-bold text-gray-700">Cavalos Cadastrados</h2>
+        <div className="flex flex-wrap justify-end gap-2">
+          <button
+            onClick={onReport}
+            className="px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg shadow-md hover:bg-green-50 transition duration-300"
+          >
+            Verificar
+          </button>
+          <button
+            onClick={onInterchange}
+            className="px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg shadow-md hover:bg-green-50 transition duration-300"
+          >
+            GEDCOM/JSON
+          </button>
+          {onImport && (
+            <button
+              onClick={onImport}
+              className="px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg shadow-md hover:bg-green-50 transition duration-300"
+            >
+              Importar
+            </button>
+          )}
+          {onAddHorse && (
+            <button
+              onClick={onAddHorse}
+              className="px-6 py-2 bg-green-600 text-white rounded-lg shadow-md hover:bg-green-700 transition duration-300 transform hover:scale-105"
+            >
+              + Adicionar Cavalo
+            </button>
+          )}
+        </div>
       </div>
-    );
-  }
 
-  return (
-    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-100">
-      <h2 className="text-3xl font-bold text-green-700 mb-6 text-center">
-        Árvore Genealógica de {rootHorse.name}
-      </h2>
-      <div className="overflow-hidden" style={{ maxHeight: '70vh', width: '100%' }}>
-        <svg ref={svgRef} className="block mx-auto" style={{ width: '100%', height: '100%' }}></svg>
+      <div className="mb-6 space-y-3">
+        <input
+          type="search"
+          value={filters.q}
+          onChange={(e) => updateFilter('q', e.target.value)}
+          placeholder="Pesquisar por nome, registo, microchip ou marcas..."
+          aria-label="Pesquisar por nome ou identificação"
+          className={inputClass}
+        />
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          <select value={filters.raca} onChange={(e) => updateFilter('raca', e.target.value)} aria-label="Raça" className={inputClass}>
+            <option value="">Todas as raças</option>
+            {breeds.map(breed => (
+              <option key={breed} value={breed}>{breed}</option>
+            ))}
+          </select>
+          <select value={filters.sexo} onChange={(e) => updateFilter('sexo', e.target.value)} aria-label="Sexo" className={inputClass}>
+            <option value="">Ambos os sexos</option>
+            <option value="Macho">Macho</option>
+            <option value="Fêmea">Fêmea</option>
+          </select>
+          <div className="flex items-center gap-2 col-span-2 sm:col-span-1">
+            <input
+              type="number"
+              min="0"
+              value={filters.idadeMin}
+              onChange={(e) => updateFilter('idadeMin', e.target.value)}
+              placeholder="Idade mín."
+              aria-label="Idade mínima"
+              className={inputClass}
+            />
+            <span className="text-gray-500">–</span>
+            <input
+              type="number"
+              min="0"
+              value={filters.idadeMax}
+              onChange={(e) => updateFilter('idadeMax', e.target.value)}
+              placeholder="Idade máx."
+              aria-label="Idade máxima"
+              className={inputClass}
+            />
+          </div>
+          <select value={filters.pai} onChange={(e) => updateFilter('pai', e.target.value)} aria-label="Pai" className={inputClass}>
+            <option value="">Qualquer pai</option>
+            {sires.map(sire => (
+              <option key={sire.id} value={sire.id}>{sire.nome}</option>
+            ))}
+          </select>
+          <select value={filters.mae} onChange={(e) => updateFilter('mae', e.target.value)} aria-label="Mãe" className={inputClass}>
+            <option value="">Qualquer mãe</option>
+            {dams.map(dam => (
+              <option key={dam.id} value={dam.id}>{dam.nome}</option>
+            ))}
+          </select>
+          {owners.length > 0 && (
+            <select value={filters.proprietario} onChange={(e) => updateFilter('proprietario', e.target.value)} aria-label="Proprietário" className={inputClass}>
+              <option value="">Qualquer proprietário</option>
+              {owners.map(owner => (
+                <option key={owner.id} value={owner.id}>{owner.nome}</option>
+              ))}
+            </select>
+          )}
+          {stables.length > 0 && (
+            <select value={filters.local} onChange={(e) => updateFilter('local', e.target.value)} aria-label="Local" className={inputClass}>
+              <option value="">Qualquer local</option>
+              {stables.map(stable => (
+                <option key={stable.id} value={stable.id}>{stable.nome}</option>
+              ))}
+            </select>
+          )}
+          <select value={filters.ordem} onChange={(e) => updateFilter('ordem', e.target.value)} aria-label="Ordenar por" className={inputClass}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        {(filters.registadoDe || filters.registadoAte || filters.pedigreeIncompleto) && (
+          <div className="flex flex-wrap gap-2 text-sm">
+            {(filters.registadoDe || filters.registadoAte) && (
+              <FilterChip
+                label={`Registados ${filters.registadoDe === filters.registadoAte ? `em ${filters.registadoDe}` : `${filters.registadoDe ? `de ${filters.registadoDe}` : ''} ${filters.registadoAte ? `até ${filters.registadoAte}` : ''}`.trim()}`}
+                onRemove={() => changeFilters({ registadoDe: '', registadoAte: '', pagina: 1 })}
+              />
+            )}
+            {filters.pedigreeIncompleto && (
+              <FilterChip
+                label={`Pedigree incompleto: ${generationLabel(Number(filters.pedigreeIncompleto)).toLowerCase()}`}
+                onRemove={() => updateFilter('pedigreeIncompleto', '')}
+              />
+            )}
+          </div>
+        )}
+        <div className="flex flex-wrap justify-between items-center gap-2 text-sm text-gray-600">
+          <span>
+            {filteredHorses.length === 1 ? '1 cavalo encontrado' : `${filteredHorses.length} cavalos encontrados`}
+          </span>
+          <div className="flex items-center gap-4">
+            {archivedCount > 0 && (
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={filters.arquivados}
+                  onChange={(e) => updateFilter('arquivados', e.target.checked)}
+                />
+                Mostrar arquivados ({archivedCount})
+              </label>
+            )}
+            {ancestorCount > 0 && (
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={filters.ancestrais}
+                  onChange={(e) => updateFilter('ancestrais', e.target.checked)}
+                />
+                Mostrar ancestrais externos ({ancestorCount})
+              </label>
+            )}
+            {hasActiveFilters(filters) && (
+              <button
+                onClick={() => changeFilters({ ...DEFAULT_FILTERS, ordem: filters.ordem, arquivados: filters.arquivados, ancestrais: filters.ancestrais })}
+                className="text-green-700 hover:underline"
+              >
+                Limpar filtros
+              </button>
+            )}
+          </div>
+        </div>
       </div>
-      <button
-        onClick={onBack}
-        className="mt-8 px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 transform hover:scale-105 w-full text-lg"
-      >
-        &larr; Voltar
-      </button>
+
+      {filteredHorses.length === 0 ? (
+        <p className="text-center text-gray-500 text-lg py-8">
+          {horses.length === 0 ? 'Nenhum cavalo cadastrado ainda. Adicione um para começar!' : 'Nenhum cavalo corresponde aos filtros selecionados.'}
+        </p>
+      ) : (
+        <ul className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {pageHorses.map((horse) => (
+            <li
+              key={horse.id}
+              className="bg-green-50 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200 cursor-pointer border border-green-200 flex items-center gap-4"
+              onClick={() => onSelectHorse(horse.id)} // Passa o ID, não o nome
+            >
+              <img
+                src={horse.url_miniatura || horse.url_imagem || 'https://placehold.co/60x60/cccccc/white?text=Sem+Foto'} // A miniatura, se existir
+                alt={`Foto de ${horse.nome}`}
+                loading="lazy"
+                className="w-16 h-16 object-cover rounded-full border-2 border-green-400 flex-shrink-0"
+                onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/60x60/cccccc/white?text=Sem+Foto'; }}
+              />
+              <div>
+                <span className="text-lg font-semibold text-green-700 block">{horse.nome}</span>
+                <span className="text-sm text-gray-600">{horse.raca}</span>
+                {shortIdentifier(horse) && (
+                  <span className="block text-xs text-gray-500">{shortIdentifier(horse)}</span>
+                )}
+                {(ownersById.has(horse.proprietario_id) || stablesById.has(horse.local_id)) && (
+                  <span className="block text-xs text-gray-500">
+                    {[ownersById.get(horse.proprietario_id)?.nome, stablesById.get(horse.local_id)?.nome].filter(Boolean).join(' · ')}
+                  </span>
+                )}
+                {horse.arquivado && (
+                  <span className="ml-2 text-xs px-2 py-0.5 bg-gray-200 text-gray-600 rounded-full">Arquivado</span>
+                )}
+                {horse.apenas_ancestral && (
+                  <span className="ml-2 text-xs px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full">Ancestral</span>
+                )}
+                <div className="mt-1">
+                  <SyncBadge syncStatus={horse._syncStatus} />
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {pageCount > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-6">
+          <button
+            onClick={() => changeFilters({ pagina: page - 1 })}
+            disabled={page <= 1}
+            className="px-4 py-2 bg-white border border-green-600 text-green-700 rounded-lg disabled:opacity-40"
+          >
+            &larr; Anterior
+          </button>
+          <span className="text-sm text-gray-600">Página {page} de {pageCount}</span>
+          <button
+            onClick={() => changeFilters({ pagina: page + 1 })}
+            disabled={page >= pageCount}
+            className="px-4 py-2 bg-white border border-green-600 text-green-700 rounded-lg disabled:opacity-40"
+          >
+            Seguinte &rarr;
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
-// Export the main App component as default
 export default App;
\ No newline at end of file
@@ -0,0 +1,370 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { breedingRepository } from './data';
+import {
+  breedingResultLabel, COVERING_METHODS, COVERING_STATUS_LABELS, coveringMethodLabel, coveringStatus,
+  expectedFoalingDate, fertilityStats, FOALING_RESULTS, PREGNANCY_CHECK_RESULTS, sortCoverings,
+} from './breeding';
+
+const formatDate = (date) => (date ? new Date(`${date}T00:00:00`).toLocaleDateString('pt-PT') : '');
+const formatRate = (rate) => (rate === null ? '—' : `${Math.round(rate * 100)}%`);
+
+const STATUS_STYLES = {
+  foaled: 'bg-green-100 text-green-800',
+  lost: 'bg-red-100 text-red-800',
+  pregnant: 'bg-blue-100 text-blue-800',
+  empty: 'bg-gray-200 text-gray-700',
+  pending: 'bg-yellow-100 text-yellow-800',
+};
+
+const EVENT_RESULTS = { diagnostico: PREGNANCY_CHECK_RESULTS, parto: FOALING_RESULTS };
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// --- Histórico reprodutivo de um garanhão ou de uma égua ---
+// Coberturas, diagnósticos de gestação e partos, com as estatísticas de fertilidade.
+// Um parto com potro vivo abre o formulário de cavalo já com pai, mãe e data de
+// nascimento (`onRegisterFoal`).
+function BreedingRecords({ horse, horses, canEdit, currentUserId, onSelectHorse, onRegisterFoal }) {
+  const isStallion = horse.sexo === 'Macho';
+  const [coverings, setCoverings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const [showCoveringForm, setShowCoveringForm] = useState(false);
+  const [coveringForm, setCoveringForm] = useState({ partnerId: '', data: '', metodo: 'monta_natural', notas: '' });
+  // Formulário de diagnóstico/parto aberto: `{ coveringId, tipo, data, resultado, notas }`
+  const [eventForm, setEventForm] = useState(null);
+
+  const loadCoverings = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setCoverings(sortCoverings(await breedingRepository.listForHorse(horse.id)));
+    } catch (err) {
+      console.error('Erro ao carregar o histórico reprodutivo:', err.message);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [horse.id]);
+
+  useEffect(() => {
+    loadCoverings();
+  }, [loadCoverings]);
+
+  const horsesById = useMemo(() => new Map(horses.map(h => [h.id, h])), [horses]);
+  const partners = useMemo(
+    () => horses
+      .filter(h => h.sexo === (isStallion ? 'Fêmea' : 'Macho') && !h.arquivado)
+      .sort((a, b) => a.nome.localeCompare(b.nome)),
+    [horses, isStallion]
+  );
+  const stats = useMemo(() => fertilityStats(coverings), [coverings]);
+
+  const partnerIdOf = (covering) => (isStallion ? covering.egua_id : covering.garanhao_id);
+  const canEditCovering = (covering) => Boolean(currentUserId && covering.owner_id === currentUserId);
+
+  // Executa uma alteração e recarrega o histórico; os erros são mostrados com alert
+  const runChange = async (description, change) => {
+    setBusy(true);
+    try {
+      await change();
+      await loadCoverings();
+      return true;
+    } catch (err) {
+      console.error(`Erro ao ${description}:`, err.message);
+      alert(`Falha ao ${description}: ${err.message}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openCoveringForm = () => {
+    setCoveringForm({ partnerId: '', data: today(), metodo: 'monta_natural', notas: '' });
+    setShowCoveringForm(true);
+  };
+
+  const handleCoveringSubmit = async (e) => {
+    e.preventDefault();
+    if (!coveringForm.partnerId || !coveringForm.data) {
+      alert(`Escolha ${isStallion ? 'a égua' : 'o garanhão'} e a data da cobertura.`);
+      return;
+    }
+    const saved = await runChange('registar a cobertura', () => breedingRepository.createCovering({
+      garanhao_id: isStallion ? horse.id : coveringForm.partnerId,
+      egua_id: isStallion ? coveringForm.partnerId : horse.id,
+      data: coveringForm.data,
+      metodo: coveringForm.metodo,
+      notas: coveringForm.notas.trim() || null,
+      owner_id: currentUserId,
+    }));
+    if (saved) setShowCoveringForm(false);
+  };
+
+  const handleDeleteCovering = async (covering) => {
+    if (!window.confirm(`Apagar a cobertura de ${formatDate(covering.data)} e os respetivos diagnósticos e partos?`)) return;
+    await runChange('apagar a cobertura', () => breedingRepository.removeCovering(covering.id));
+  };
+
+  const openEventForm = (covering, tipo) => {
+    setEventForm({ coveringId: covering.id, tipo, data: today(), resultado: EVENT_RESULTS[tipo][0].value, notas: '' });
+  };
+
+  const handleEventSubmit = async (e) => {
+    e.preventDefault();
+    const covering = coverings.find(c => c.id === eventForm.coveringId);
+    if (!eventForm.data || eventForm.data < covering.data) {
+      alert('A data tem de ser igual ou posterior à da cobertura.');
+      return;
+    }
+    const saved = await runChange(
+      eventForm.tipo === 'parto' ? 'registar o parto' : 'registar o diagnóstico',
+      () => breedingRepository.createEvent({
+        cobertura_id: eventForm.coveringId,
+        tipo: eventForm.tipo,
+        data: eventForm.data,
+        resultado: eventForm.resultado,
+        notas: eventForm.notas.trim() || null,
+      })
+    );
+    if (saved) setEventForm(null);
+  };
+
+  const handleDeleteEvent = async (event) => {
+    if (!window.confirm(`Apagar o registo "${breedingResultLabel(event.resultado)}" de ${formatDate(event.data)}?`)) return;
+    await runChange('apagar o registo', () => breedingRepository.removeEvent(event.id));
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+
+  const renderEventForm = () => (
+    <form onSubmit={handleEventSubmit} className="mt-2 p-3 bg-green-50 rounded border border-green-200 grid grid-cols-1 sm:grid-cols-4 gap-2 text-sm">
+      <input
+        type="date"
+        value={eventForm.data}
+        onChange={(e) => setEventForm(prevForm => ({ ...prevForm, data: e.target.value }))}
+        className={inputClass}
+        aria-label="Data"
+        required
+      />
+      <select
+        value={eventForm.resultado}
+        onChange={(e) => setEventForm(prevForm => ({ ...prevForm, resultado: e.target.value }))}
+        className={inputClass}
+        aria-label="Resultado"
+      >
+        {EVENT_RESULTS[eventForm.tipo].map(result => <option key={result.value} value={result.value}>{result.label}</option>)}
+      </select>
+      <input
+        type="text"
+        value={eventForm.notas}
+        onChange={(e) => setEventForm(prevForm => ({ ...prevForm, notas: e.target.value }))}
+        placeholder="Notas (opcional)"
+        className={inputClass}
+      />
+      <div className="flex gap-1">
+        <button type="submit" disabled={busy} className="flex-1 px-2 py-1 bg-green-700 text-white rounded hover:bg-green-800 disabled:opacity-50">
+          Guardar
+        </button>
+        <button type="button" onClick={() => setEventForm(null)} className="flex-1 px-2 py-1 bg-gray-500 text-white rounded hover:bg-gray-600">
+          Cancelar
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderEvent = (covering, event) => {
+    const foal = event.potro_id && horsesById.get(event.potro_id);
+    return (
+      <li key={event.id} className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-500">{formatDate(event.data)}</span>
+        <span>{event.tipo === 'parto' ? 'Parto' : 'Diagnóstico'}: <strong>{breedingResultLabel(event.resultado)}</strong></span>
+        {event.notas && <span className="text-gray-500">— {event.notas}</span>}
+        {foal && (
+          <button onClick={() => onSelectHorse(foal.id)} className="text-green-700 hover:underline font-medium">
+            {foal.nome}
+          </button>
+        )}
+        {event.tipo === 'parto' && event.resultado === 'nascido_vivo' && !event.potro_id && canEditCovering(covering) && (
+          <button
+            onClick={() => onRegisterFoal(covering, event)}
+            className="px-2 py-0.5 text-xs bg-green-600 text-white rounded hover:bg-green-700"
+          >
+            Registar potro
+          </button>
+        )}
+        {canEditCovering(covering) && (
+          <button
+            onClick={() => handleDeleteEvent(event)}
+            disabled={busy}
+            className="text-xs text-red-600 hover:underline disabled:opacity-50"
+            aria-label="Apagar registo"
+          >
+            apagar
+          </button>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-700">Reprodução</h3>
+        {canEdit && !showCoveringForm && (
+          <button
+            onClick={openCoveringForm}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition duration-300 text-sm"
+          >
+            + Nova Cobertura
+          </button>
+        )}
+      </div>
+
+      {showCoveringForm && (
+        <form onSubmit={handleCoveringSubmit} className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200 space-y-3 text-sm">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">{isStallion ? 'Égua' : 'Garanhão'}</span>
+              <select
+                value={coveringForm.partnerId}
+                onChange={(e) => setCoveringForm(prevForm => ({ ...prevForm, partnerId: e.target.value }))}
+                className={inputClass}
+              >
+                <option value="">Selecione</option>
+                {partners.map(partner => <option key={partner.id} value={partner.id}>{partner.nome}</option>)}
+              </select>
+            </label>
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Data</span>
+              <input
+                type="date"
+                value={coveringForm.data}
+                onChange={(e) => setCoveringForm(prevForm => ({ ...prevForm, data: e.target.value }))}
+                className={inputClass}
+                required
+              />
+            </label>
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Método</span>
+              <select
+                value={coveringForm.metodo}
+                onChange={(e) => setCoveringForm(prevForm => ({ ...prevForm, metodo: e.target.value }))}
+                className={inputClass}
+              >
+                {COVERING_METHODS.map(method => <option key={method.value} value={method.value}>{method.label}</option>)}
+              </select>
+            </label>
+          </div>
+          <input
+            type="text"
+            value={coveringForm.notas}
+            onChange={(e) => setCoveringForm(prevForm => ({ ...prevForm, notas: e.target.value }))}
+            placeholder="Notas (opcional)"
+            className={inputClass}
+          />
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 disabled:opacity-50">
+              {busy ? 'A guardar...' : 'Guardar'}
+            </button>
+            <button type="button" onClick={() => setShowCoveringForm(false)} className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-300">
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && <p className="text-gray-500 text-sm">A carregar histórico...</p>}
+      {error && <p className="p-3 bg-red-100 text-red-700 rounded-lg text-sm">{error}</p>}
+      {!loading && !error && coverings.length === 0 && (
+        <p className="text-gray-500 italic text-sm">Ainda não há coberturas registadas.</p>
+      )}
+
+      {coverings.length > 0 && (
+        <div className="mb-6 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="py-1 pr-2">Época</th>
+                <th className="py-1 pr-2 text-right">Coberturas</th>
+                <th className="py-1 pr-2 text-right">Gestações</th>
+                <th className="py-1 pr-2 text-right">Taxa de gestação</th>
+                <th className="py-1 pr-2 text-right">Potros vivos</th>
+                <th className="py-1 text-right">Taxa de potros vivos</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...stats.bySeason, { season: 'Total', ...stats.total }].map(row => (
+                <tr key={row.season} className={`border-b border-gray-100 ${row.season === 'Total' ? 'font-semibold' : ''}`}>
+                  <td className="py-1 pr-2">{row.season}</td>
+                  <td className="py-1 pr-2 text-right">{row.coverings}</td>
+                  <td className="py-1 pr-2 text-right">{row.pregnancies}</td>
+                  <td className="py-1 pr-2 text-right">{formatRate(row.pregnancyRate)}</td>
+                  <td className="py-1 pr-2 text-right">{row.liveFoals}</td>
+                  <td className="py-1 text-right">{formatRate(row.liveFoalRate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-1">
+            A taxa de gestação conta as coberturas já diagnosticadas; a de potros vivos, as concluídas (com parto ou diagnóstico "vazia").
+          </p>
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {coverings.map(covering => {
+          const partner = horsesById.get(partnerIdOf(covering));
+          const status = coveringStatus(covering);
+          const hasFoaling = covering.eventos.some(event => event.tipo === 'parto');
+          return (
+            <li key={covering.id} className="py-3 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-800">{formatDate(covering.data)}</span>
+                <span>
+                  {isStallion ? 'com a égua ' : 'com o garanhão '}
+                  {partner ? (
+                    <button onClick={() => onSelectHorse(partner.id)} className="text-green-700 hover:underline font-medium">{partner.nome}</button>
+                  ) : (
+                    <span className="text-gray-500 italic">cavalo não encontrado</span>
+                  )}
+                </span>
+                <span className="text-gray-500">— {coveringMethodLabel(covering.metodo)}</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${STATUS_STYLES[status]}`}>{COVERING_STATUS_LABELS[status]}</span>
+                {status === 'pregnant' && (
+                  <span className="text-xs text-gray-500">parto previsto a {formatDate(expectedFoalingDate(covering))}</span>
+                )}
+              </div>
+              {covering.notas && <p className="text-gray-600">{covering.notas}</p>}
+              {covering.eventos.length > 0 && (
+                <ul className="mt-1 ml-4 space-y-1 text-gray-700">
+                  {covering.eventos.map(event => renderEvent(covering, event))}
+                </ul>
+              )}
+              {canEditCovering(covering) && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  <button onClick={() => openEventForm(covering, 'diagnostico')} disabled={busy} className="px-2 py-1 text-xs bg-white border border-green-600 text-green-700 rounded hover:bg-green-50 disabled:opacity-50">
+                    + Diagnóstico
+                  </button>
+                  {!hasFoaling && (
+                    <button onClick={() => openEventForm(covering, 'parto')} disabled={busy} className="px-2 py-1 text-xs bg-white border border-green-600 text-green-700 rounded hover:bg-green-50 disabled:opacity-50">
+                      + Parto
+                    </button>
+                  )}
+                  <button onClick={() => handleDeleteCovering(covering)} disabled={busy} className="px-2 py-1 text-xs bg-white border border-red-400 text-red-700 rounded hover:bg-red-50 disabled:opacity-50">
+                    Apagar cobertura
+                  </button>
+                </div>
+              )}
+              {eventForm?.coveringId === covering.id && renderEventForm()}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default BreedingRecords;
@@ -0,0 +1,211 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+
+// --- Gráficos do painel ---
+// Gráficos d3 simples, redesenhados quando os dados mudam. As entradas com
+// `filters` são clicáveis e chamam `onSelect(filters)`.
+
+const BAR_HEIGHT = 22;
+const BAR_GAP = 6;
+const LABEL_WIDTH = 130;
+const CHART_WIDTH = 520;
+
+const COLORS = {
+  bar: '#16A34A',
+  barHover: '#15803D',
+  male: '#3B82F6',
+  female: '#EC4899',
+  axis: '#6B7280',
+  text: '#1F2937',
+};
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+// Cursor e realce nas marcas clicáveis
+const makeClickable = (selection, filtersOf, onSelect, color, hoverColor) => {
+  selection
+    .attr('cursor', d => (filtersOf(d) ? 'pointer' : 'default'))
+    .on('click', (event, d) => {
+      if (filtersOf(d)) onSelect(filtersOf(d));
+    })
+    .on('mouseenter', function (event, d) {
+      if (filtersOf(d)) d3.select(this).attr('fill', hoverColor);
+    })
+    .on('mouseleave', function () {
+      d3.select(this).attr('fill', color);
+    });
+};
+
+// Barras horizontais: `[{ key, label, count, filters }]`. `format` formata o valor
+// mostrado à direita da barra; `maxValue` fixa a escala (por exemplo 1 para frações).
+export function HorizontalBarChart({ data, onSelect, format = String, maxValue }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    const margin = { top: 4, right: 48, bottom: 4, left: LABEL_WIDTH };
+    const height = data.length * (BAR_HEIGHT + BAR_GAP) + margin.top + margin.bottom;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${CHART_WIDTH} ${height}`).attr('width', '100%');
+
+    const x = d3.scaleLinear()
+      .domain([0, maxValue ?? (d3.max(data, d => d.count) || 1)])
+      .range([0, CHART_WIDTH - margin.left - margin.right]);
+
+    const rows = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`)
+      .selectAll('g')
+      .data(data)
+      .enter()
+      .append('g')
+      .attr('transform', (d, index) => `translate(0,${index * (BAR_HEIGHT + BAR_GAP)})`);
+
+    rows.append('title').text(d => `${d.label}: ${format(d.count)}`);
+
+    rows.append('text')
+      .attr('x', -8)
+      .attr('y', BAR_HEIGHT / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .attr('font-size', '12px')
+      .attr('fill', COLORS.text)
+      .text(d => truncate(d.label, 20));
+
+    rows.append('rect')
+      .attr('height', BAR_HEIGHT)
+      .attr('width', d => Math.max(1, x(d.count)))
+      .attr('rx', 3)
+      .attr('fill', COLORS.bar)
+      .call(makeClickable, d => d.filters, onSelect, COLORS.bar, COLORS.barHover);
+
+    rows.append('text')
+      .attr('x', d => Math.max(1, x(d.count)) + 6)
+      .attr('y', BAR_HEIGHT / 2)
+      .attr('dy', '0.35em')
+      .attr('font-size', '12px')
+      .attr('fill', COLORS.axis)
+      .text(d => format(d.count));
+  }, [data, onSelect, format, maxValue]);
+
+  return <svg ref={svgRef} className="block"></svg>;
+}
+
+// Pirâmide etária: machos à esquerda e fêmeas à direita, o grupo mais novo em baixo.
+// `data` vem de `agePyramid` (herdStats.js).
+export function AgePyramidChart({ data, onSelect }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    const margin = { top: 24, right: 36, bottom: 4, left: 36 };
+    const centerWidth = 56;
+    const rowsData = [...data].reverse();
+    const height = rowsData.length * (BAR_HEIGHT + BAR_GAP) + margin.top + margin.bottom;
+    const halfWidth = (CHART_WIDTH - margin.left - margin.right - centerWidth) / 2;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${CHART_WIDTH} ${height}`).attr('width', '100%');
+
+    const x = d3.scaleLinear()
+      .domain([0, d3.max(data, d => Math.max(d.males, d.females)) || 1])
+      .range([0, halfWidth]);
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+    const femaleStart = halfWidth + centerWidth;
+
+    g.append('text').attr('x', halfWidth).attr('y', -8).attr('text-anchor', 'end')
+      .attr('font-size', '12px').attr('font-weight', 'bold').attr('fill', COLORS.male).text('Machos');
+    g.append('text').attr('x', femaleStart).attr('y', -8)
+      .attr('font-size', '12px').attr('font-weight', 'bold').attr('fill', COLORS.female).text('Fêmeas');
+
+    const rows = g.selectAll('.row')
+      .data(rowsData)
+      .enter()
+      .append('g')
+      .attr('class', 'row')
+      .attr('transform', (d, index) => `translate(0,${index * (BAR_HEIGHT + BAR_GAP)})`);
+
+    rows.append('text')
+      .attr('x', halfWidth + centerWidth / 2)
+      .attr('y', BAR_HEIGHT / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('fill', COLORS.text)
+      .text(d => d.label);
+
+    const sides = [
+      { sex: 'Macho', value: d => d.males, color: COLORS.male, hover: '#1D4ED8' },
+      { sex: 'Fêmea', value: d => d.females, color: COLORS.female, hover: '#BE185D' },
+    ];
+    for (const side of sides) {
+      const isMale = side.sex === 'Macho';
+      const filtersOf = d => (side.value(d) > 0 ? d.filters[side.sex] : null);
+      rows.append('rect')
+        .attr('x', d => (isMale ? halfWidth - x(side.value(d)) : femaleStart))
+        .attr('height', BAR_HEIGHT)
+        .attr('width', d => x(side.value(d)))
+        .attr('rx', 3)
+        .attr('fill', side.color)
+        .call(makeClickable, filtersOf, onSelect, side.color, side.hover)
+        .append('title')
+        .text(d => `${side.sex === 'Macho' ? 'Machos' : 'Fêmeas'} (${d.label} anos): ${side.value(d)}`);
+
+      rows.append('text')
+        .attr('x', d => (isMale ? halfWidth - x(side.value(d)) - 4 : femaleStart + x(side.value(d)) + 4))
+        .attr('y', BAR_HEIGHT / 2)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', isMale ? 'end' : 'start')
+        .attr('font-size', '11px')
+        .attr('fill', COLORS.axis)
+        .text(d => side.value(d) || '');
+    }
+  }, [data, onSelect]);
+
+  return <svg ref={svgRef} className="block"></svg>;
+}
+
+// Colunas ao longo do tempo: `[{ key, label, count, filters }]`, já por ordem.
+export function TimeSeriesChart({ data, onSelect }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    const margin = { top: 12, right: 12, bottom: 36, left: 32 };
+    const height = 220;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${CHART_WIDTH} ${height}`).attr('width', '100%');
+
+    const innerWidth = CHART_WIDTH - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+    const x = d3.scaleBand().domain(data.map(d => d.key)).range([0, innerWidth]).padding(0.15);
+    const y = d3.scaleLinear().domain([0, d3.max(data, d => d.count) || 1]).nice().range([innerHeight, 0]);
+
+    const g = svg.append('g').attr('transform', `translate(${margin.left},${margin.top})`);
+
+    // No máximo uma dúzia de etiquetas no eixo, para não se sobreporem
+    const step = Math.max(1, Math.ceil(data.length / 12));
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).tickValues(data.filter((d, index) => index % step === 0).map(d => d.key)))
+      .call(axis => axis.selectAll('text').attr('font-size', '10px'));
+    g.append('g')
+      .call(d3.axisLeft(y).ticks(5).tickFormat(d3.format('d')))
+      .call(axis => axis.selectAll('text').attr('font-size', '10px'));
+
+    g.selectAll('.bar')
+      .data(data)
+      .enter()
+      .append('rect')
+      .attr('class', 'bar')
+      .attr('x', d => x(d.key))
+      .attr('y', d => y(d.count))
+      .attr('width', x.bandwidth())
+      .attr('height', d => innerHeight - y(d.count))
+      .attr('fill', COLORS.bar)
+      .call(makeClickable, d => (d.count > 0 ? d.filters : null), onSelect, COLORS.bar, COLORS.barHover)
+      .append('title')
+      .text(d => `${d.label}: ${d.count}`);
+  }, [data, onSelect]);
+
+  return <svg ref={svgRef} className="block"></svg>;
+}
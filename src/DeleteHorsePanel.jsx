@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useHorseActions } from './horseActions';
+import { checkReplacementParent } from './pedigreeValidation';
+
+// --- Painel de confirmação da exclusão definitiva ---
+// Lista os descendentes que referenciam o cavalo e deixa escolher entre
+// desvinculá-los ou reassociá-los a outro cavalo do mesmo sexo.
+// Só os descendentes do próprio utilizador passam para o substituto; os de outros
+// utilizadores ficam desvinculados (ver a função `excluir_cavalo`).
+function DeleteHorsePanel({ horse, horses, onConfirm, onCancel }) {
+  const { currentUserId } = useHorseActions();
+  const [offspringAction, setOffspringAction] = useState('unlink');
+  const [replacementId, setReplacementId] = useState('');
+
+  const offspring = horses.filter(h => h.pai_id === horse.id || h.mae_id === horse.id);
+  const othersOffspringCount = offspring.filter(h => h.owner_id !== currentUserId).length;
+  // O substituto não pode descender do cavalo excluído, para não criar um ciclo
+  const replacementCandidates = horses
+    .filter(h => !h.arquivado && h.sexo === horse.sexo && !checkReplacementParent(horse, h.id, horses))
+    .sort((a, b) => a.nome.localeCompare(b.nome));
+
+  const handleConfirm = () => {
+    if (offspring.length > 0 && offspringAction === 'reassign' && !replacementId) {
+      alert('Selecione o cavalo que passará a constar como progenitor dos descendentes.');
+      return;
+    }
+    const replacementError = offspringAction === 'reassign' && replacementId && checkReplacementParent(horse, replacementId, horses);
+    if (replacementError) {
+      alert(replacementError);
+      return;
+    }
+    onConfirm(offspring.length > 0 && offspringAction === 'reassign' ? replacementId : null);
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-red-50 border border-red-300 rounded-lg space-y-4">
+      <p className="font-semibold text-red-700">
+        Excluir {horse.nome} definitivamente? Esta ação não pode ser desfeita.
+      </p>
+
+      {offspring.length > 0 ? (
+        <div className="space-y-3">
+          <p className="text-sm text-red-700">
+            Atenção: {offspring.length === 1 ? '1 descendente referencia' : `${offspring.length} descendentes referenciam`} este cavalo como {horse.sexo === 'Fêmea' ? 'mãe' : 'pai'}:
+          </p>
+          <ul className="text-sm text-gray-700 list-disc list-inside">
+            {offspring.map(child => (
+              <li key={child.id}>{child.nome}</li>
+            ))}
+          </ul>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              name="offspringAction"
+              value="unlink"
+              checked={offspringAction === 'unlink'}
+              onChange={() => setOffspringAction('unlink')}
+            />
+            Desvincular (o progenitor passa a "Não Registrado")
+          </label>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="radio"
+              name="offspringAction"
+              value="reassign"
+              checked={offspringAction === 'reassign'}
+              onChange={() => setOffspringAction('reassign')}
+            />
+            Reassociar a outro cavalo
+          </label>
+          {offspringAction === 'reassign' && othersOffspringCount > 0 && (
+            <p className="text-sm text-gray-600">
+              {othersOffspringCount === 1 ? '1 descendente é' : `${othersOffspringCount} descendentes são`} de outros utilizadores e {othersOffspringCount === 1 ? 'fica apenas desvinculado' : 'ficam apenas desvinculados'}.
+            </p>
+          )}
+          {offspringAction === 'reassign' && (
+            <select
+              value={replacementId}
+              onChange={(e) => setReplacementId(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-lg"
+            >
+              <option value="">Selecione</option>
+              {replacementCandidates.map(candidate => (
+                <option key={candidate.id} value={candidate.id}>
+                  {candidate.nome}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-600">Nenhum cavalo referencia este registo como pai ou mãe.</p>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-4">
+        <button
+          onClick={handleConfirm}
+          className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition duration-300"
+        >
+          Confirmar Exclusão
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-300"
+        >
+          Cancelar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DeleteHorsePanel;
@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { healthRecordRepository } from './data';
+import {
+  formatDueDistance, formatHealthDate, HEALTH_RECORD_TYPES, healthRecordTypeLabel, pendingDueDates, UPCOMING_DAYS,
+} from './healthRecords';
+import { DueBadge } from './HealthRecords';
+
+const SECTIONS = [
+  { status: 'overdue', title: 'Em atraso', empty: 'Nenhum procedimento em atraso.' },
+  { status: 'upcoming', title: `Nos próximos ${UPCOMING_DAYS} dias`, empty: 'Nenhum procedimento previsto para os próximos dias.' },
+];
+
+// --- Visão geral da saúde do efetivo ---
+// Procedimentos em atraso ou para breve em todos os cavalos do utilizador, a partir
+// da data prevista do registo de saúde mais recente de cada tipo.
+function HealthOverview({ horses, onSelectHorse, onBack }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+
+  useEffect(() => {
+    const loadRecords = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        setRecords(await healthRecordRepository.listAll());
+      } catch (err) {
+        console.error('Erro ao carregar os registos de saúde:', err.message);
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRecords();
+  }, []);
+
+  // Os cavalos arquivados não entram na visão geral
+  const activeHorses = useMemo(() => new Map(horses.filter(h => !h.arquivado).map(h => [h.id, h])), [horses]);
+  const dueDates = useMemo(
+    () => pendingDueDates(records.filter(record => activeHorses.has(record.cavalo_id) && (!typeFilter || record.tipo === typeFilter))),
+    [records, activeHorses, typeFilter]
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Saúde do Efetivo</h2>
+      <p className="text-gray-600 mb-4 text-sm">
+        Vacinas, desparasitações, ferrações e outros procedimentos com a próxima data ultrapassada ou nos próximos {UPCOMING_DAYS} dias.
+        Conta o registo mais recente de cada tipo em cada cavalo.
+      </p>
+
+      <label className="block mb-6 text-sm text-gray-700 sm:w-64">
+        <span className="block mb-1 font-semibold">Tipo</span>
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500"
+        >
+          <option value="">Todos</option>
+          {HEALTH_RECORD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+        </select>
+      </label>
+
+      {loading && <p className="text-gray-500">A carregar registos...</p>}
+      {error && <p className="p-3 bg-red-100 text-red-700 rounded-lg">{error}</p>}
+
+      {!loading && !error && SECTIONS.map(section => {
+        const entries = dueDates.filter(due => due.status === section.status);
+        return (
+          <section key={section.status} className="mb-6">
+            <h3 className="text-xl font-semibold text-gray-700 mb-2">{section.title} ({entries.length})</h3>
+            {entries.length === 0 ? (
+              <p className="text-gray-500 italic text-sm">{section.empty}</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {entries.map(({ record, dueDate, days, status }) => (
+                  <li key={record.id} className="py-2 flex flex-col sm:flex-row sm:items-center gap-2 text-sm">
+                    <button
+                      onClick={() => onSelectHorse(record.cavalo_id)}
+                      className="sm:w-48 text-left font-semibold text-green-700 hover:underline"
+                    >
+                      {activeHorses.get(record.cavalo_id).nome}
+                    </button>
+                    <span className="flex-1 text-gray-700">
+                      {healthRecordTypeLabel(record.tipo)}
+                      <span className="text-gray-500"> — último a {formatHealthDate(record.data)}</span>
+                    </span>
+                    <DueBadge status={status}>{formatHealthDate(dueDate)} ({formatDueDistance(days)})</DueBadge>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        );
+      })}
+
+      <button
+        onClick={onBack}
+        className="mt-8 w-full px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 text-lg"
+      >
+        &larr; Voltar para a lista
+      </button>
+    </div>
+  );
+}
+
+export default HealthOverview;
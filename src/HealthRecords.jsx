@@ -0,0 +1,301 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { healthRecordRepository } from './data';
+import {
+  ACCEPTED_DOCUMENT_TYPES, formatDueDistance, formatHealthDate, HEALTH_RECORD_TYPES, healthRecordTypeLabel,
+  pendingDueDates, sortHealthRecords, validateDocumentFile,
+} from './healthRecords';
+
+const DUE_STATUS_STYLES = {
+  overdue: 'bg-red-100 text-red-800',
+  upcoming: 'bg-yellow-100 text-yellow-800',
+  scheduled: 'bg-gray-100 text-gray-700',
+};
+
+// Etiqueta colorida de uma data prevista: em atraso, próxima ou agendada
+export function DueBadge({ status, children }) {
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${DUE_STATUS_STYLES[status]}`}>
+      {children}
+    </span>
+  );
+}
+
+const EMPTY_FORM = { tipo: 'vacinacao', data: '', descricao: '', responsavel: '', proxima_data: '' };
+
+// Abre o documento num novo separador. No Supabase o bucket é privado, por isso
+// o link é assinado e só vale durante algum tempo.
+const openHealthDocument = async (record) => {
+  try {
+    const url = await healthRecordRepository.getDocumentUrl(record.documento_caminho);
+    window.open(url, '_blank', 'noopener');
+  } catch (err) {
+    console.error('Erro ao abrir o documento:', err.message);
+    alert(`Não foi possível abrir o documento: ${err.message}`);
+  }
+};
+
+// --- Registos de saúde de um cavalo ---
+// Vacinas, desparasitações, ferrações, exames e notas do veterinário, com a data
+// prevista do próximo procedimento e um documento opcional. Só o dono os vê.
+function HealthRecords({ horse, currentUserId }) {
+  const [records, setRecords] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // `editingId` é null com o formulário fechado e 'novo' para um registo novo
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [documentFile, setDocumentFile] = useState(null);
+  const [removeDocument, setRemoveDocument] = useState(false);
+
+  const loadRecords = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setRecords(await healthRecordRepository.list(horse.id));
+    } catch (err) {
+      console.error('Erro ao carregar os registos de saúde:', err.message);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [horse.id]);
+
+  useEffect(() => {
+    loadRecords();
+  }, [loadRecords]);
+
+  const pendingByRecordId = new Map(pendingDueDates(records).map(due => [due.record.id, due]));
+
+  const openForm = (record = null) => {
+    setEditingId(record ? record.id : 'novo');
+    setForm(record ? {
+      tipo: record.tipo,
+      data: record.data,
+      descricao: record.descricao || '',
+      responsavel: record.responsavel || '',
+      proxima_data: record.proxima_data || '',
+    } : { ...EMPTY_FORM, data: new Date().toISOString().slice(0, 10) });
+    setDocumentFile(null);
+    setRemoveDocument(false);
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setDocumentFile(null);
+  };
+
+  const updateField = (field) => (e) => setForm(prevForm => ({ ...prevForm, [field]: e.target.value }));
+
+  const handleDocumentChange = (e) => {
+    const file = e.target.files[0];
+    const validationError = file ? validateDocumentFile(file) : null;
+    if (validationError) {
+      e.target.value = '';
+      alert(validationError);
+      setDocumentFile(null);
+      return;
+    }
+    setDocumentFile(file || null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.data) {
+      alert('Indique a data do registo.');
+      return;
+    }
+    if (form.proxima_data && form.proxima_data < form.data) {
+      alert('A próxima data não pode ser anterior à data do registo.');
+      return;
+    }
+
+    const currentRecord = records.find(r => r.id === editingId) || null;
+    setBusy(true);
+    let uploadedPath = null;
+    try {
+      const fields = {
+        tipo: form.tipo,
+        data: form.data,
+        descricao: form.descricao.trim() || null,
+        responsavel: form.responsavel.trim() || null,
+        proxima_data: form.proxima_data || null,
+      };
+      if (documentFile) {
+        uploadedPath = await healthRecordRepository.uploadDocument(documentFile, { ownerId: currentUserId });
+        fields.documento_caminho = uploadedPath;
+        fields.documento_nome = documentFile.name;
+      } else if (removeDocument) {
+        fields.documento_caminho = null;
+        fields.documento_nome = null;
+      }
+
+      if (currentRecord) {
+        await healthRecordRepository.update(currentRecord.id, fields);
+      } else {
+        await healthRecordRepository.create({ ...fields, cavalo_id: horse.id, owner_id: currentUserId });
+      }
+      uploadedPath = null;
+
+      // O documento anterior só é apagado depois de o registo deixar de o referir
+      if (currentRecord?.documento_caminho && (documentFile || removeDocument)) {
+        await healthRecordRepository.deleteDocument(currentRecord.documento_caminho);
+      }
+      closeForm();
+      await loadRecords();
+    } catch (err) {
+      console.error('Erro ao guardar o registo de saúde:', err.message);
+      alert(`Falha ao guardar o registo de saúde: ${err.message}`);
+      if (uploadedPath) await healthRecordRepository.deleteDocument(uploadedPath);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDelete = async (record) => {
+    if (!window.confirm(`Apagar o registo de ${healthRecordTypeLabel(record.tipo).toLowerCase()} de ${formatHealthDate(record.data)}?`)) return;
+    setBusy(true);
+    try {
+      await healthRecordRepository.remove(record.id);
+      await healthRecordRepository.deleteDocument(record.documento_caminho);
+      setRecords(prevRecords => prevRecords.filter(r => r.id !== record.id));
+    } catch (err) {
+      console.error('Erro ao apagar o registo de saúde:', err.message);
+      alert(`Falha ao apagar o registo de saúde: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+  const editingRecord = records.find(r => r.id === editingId);
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-700">Saúde</h3>
+        {editingId === null && (
+          <button
+            onClick={() => openForm()}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition duration-300 text-sm"
+          >
+            + Novo Registo
+          </button>
+        )}
+      </div>
+
+      {editingId !== null && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200 space-y-3 text-sm">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Tipo</span>
+              <select value={form.tipo} onChange={updateField('tipo')} className={inputClass}>
+                {HEALTH_RECORD_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </select>
+            </label>
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Data</span>
+              <input type="date" value={form.data} onChange={updateField('data')} className={inputClass} required />
+            </label>
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Próxima data (opcional)</span>
+              <input type="date" value={form.proxima_data} onChange={updateField('proxima_data')} className={inputClass} />
+            </label>
+          </div>
+          <label className="block text-gray-700">
+            <span className="block mb-1 font-semibold">Veterinário / ferrador (opcional)</span>
+            <input type="text" value={form.responsavel} onChange={updateField('responsavel')} className={inputClass} />
+          </label>
+          <label className="block text-gray-700">
+            <span className="block mb-1 font-semibold">Descrição / notas</span>
+            <textarea value={form.descricao} onChange={updateField('descricao')} rows={3} className={inputClass} placeholder="Vacina, produto, resultado do exame..." />
+          </label>
+          <div className="text-gray-700">
+            <span className="block mb-1 font-semibold">Documento (PDF ou imagem, opcional)</span>
+            {editingRecord?.documento_caminho && !documentFile && (
+              <label className="flex items-center gap-2 mb-2 text-xs">
+                <input type="checkbox" checked={removeDocument} onChange={(e) => setRemoveDocument(e.target.checked)} />
+                Remover o documento atual ({editingRecord.documento_nome || 'documento'})
+              </label>
+            )}
+            <input
+              type="file"
+              accept={ACCEPTED_DOCUMENT_TYPES.join(',')}
+              onChange={handleDocumentChange}
+              className="w-full text-gray-700 text-sm file:mr-4 file:py-2 file:px-4
+              file:rounded-full file:border-0 file:text-sm file:font-semibold
+              file:bg-green-100 file:text-green-700 hover:file:bg-green-200"
+            />
+          </div>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 disabled:opacity-50"
+            >
+              {busy ? 'A guardar...' : 'Guardar'}
+            </button>
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-300"
+            >
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && <p className="text-gray-500 text-sm">A carregar registos...</p>}
+      {error && <p className="p-3 bg-red-100 text-red-700 rounded-lg text-sm">{error}</p>}
+      {!loading && !error && records.length === 0 && (
+        <p className="text-gray-500 italic text-sm">Ainda não há registos de saúde.</p>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {sortHealthRecords(records).map(record => {
+          const pending = pendingByRecordId.get(record.id);
+          return (
+            <li key={record.id} className="py-3 flex flex-col sm:flex-row sm:items-start gap-2 text-sm">
+              <div className="flex-1">
+                <p>
+                  <span className="font-semibold text-gray-800">{healthRecordTypeLabel(record.tipo)}</span>
+                  <span className="text-gray-500"> — {formatHealthDate(record.data)}</span>
+                  {record.responsavel && <span className="text-gray-500"> — {record.responsavel}</span>}
+                </p>
+                {record.descricao && <p className="text-gray-700 whitespace-pre-line">{record.descricao}</p>}
+                {record.proxima_data && (
+                  <p className="mt-1">
+                    {pending ? (
+                      <DueBadge status={pending.status}>
+                        Próxima: {formatHealthDate(record.proxima_data)} ({formatDueDistance(pending.days)})
+                      </DueBadge>
+                    ) : (
+                      <span className="text-xs text-gray-500">Próxima prevista: {formatHealthDate(record.proxima_data)} (já registada)</span>
+                    )}
+                  </p>
+                )}
+                {record.documento_caminho && (
+                  <button onClick={() => openHealthDocument(record)} className="mt-1 text-green-700 hover:underline text-xs">
+                    📎 {record.documento_nome || 'Documento'}
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-1">
+                <button onClick={() => openForm(record)} disabled={busy} className="px-2 py-1 text-xs bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50">
+                  Editar
+                </button>
+                <button onClick={() => handleDelete(record)} disabled={busy} className="px-2 py-1 text-xs bg-white border border-red-400 text-red-700 rounded hover:bg-red-50 disabled:opacity-50">
+                  Apagar
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default HealthRecords;
@@ -0,0 +1,113 @@
+import React, { useMemo } from 'react';
+import { AgePyramidChart, HorizontalBarChart, TimeSeriesChart } from './DashboardCharts';
+import {
+  agePyramid, breedDistribution, DASHBOARD_GENERATIONS, generationLabel, herdPedigreeCompleteness,
+  registrationsByMonth, sexDistribution, topParents,
+} from './herdStats';
+
+const formatPercent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+function ChartSection({ title, description, children }) {
+  return (
+    <section className="mb-8">
+      <h3 className="text-xl font-bold text-gray-700 mb-1">{title}</h3>
+      {description && <p className="text-xs text-gray-500 mb-2">{description}</p>}
+      {children}
+    </section>
+  );
+}
+
+// --- Painel de estatísticas do efetivo ---
+// Gráficos sobre os cavalos não arquivados do efetivo, sem os ancestrais externos;
+// clicar numa barra abre a lista de cavalos com os filtros correspondentes (`onFilter`
+// recebe esses filtros).
+function HerdDashboard({ horses, onFilter, onBack }) {
+  const herdHorses = useMemo(() => horses.filter(h => !h.apenas_ancestral), [horses]);
+  const activeHorses = useMemo(() => herdHorses.filter(h => !h.arquivado), [herdHorses]);
+
+  const breeds = useMemo(() => breedDistribution(activeHorses), [activeHorses]);
+  const sexes = useMemo(() => sexDistribution(activeHorses), [activeHorses]);
+  const pyramid = useMemo(() => agePyramid(activeHorses), [activeHorses]);
+  // Os descendentes e os registos contam também os cavalos arquivados
+  const sires = useMemo(() => topParents(herdHorses, horses, 'pai_id'), [herdHorses, horses]);
+  const dams = useMemo(() => topParents(herdHorses, horses, 'mae_id'), [herdHorses, horses]);
+  const registrations = useMemo(() => registrationsByMonth(herdHorses), [herdHorses]);
+  const completeness = useMemo(
+    () => herdPedigreeCompleteness(activeHorses, horses, DASHBOARD_GENERATIONS).map(total => ({
+      key: total.generation,
+      label: generationLabel(total.generation),
+      count: total.fraction,
+      filters: total.filters,
+    })),
+    [activeHorses, horses]
+  );
+  const withoutAge = activeHorses.length - pyramid.reduce((sum, group) => sum + group.males + group.females, 0);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Painel do Efetivo</h2>
+      <p className="text-gray-600 mb-6 text-sm">
+        {activeHorses.length === 1 ? '1 cavalo ativo' : `${activeHorses.length} cavalos ativos`}
+        {herdHorses.length > activeHorses.length && ` (e ${herdHorses.length - activeHorses.length} arquivados)`}.
+        Clique numa barra para ver os cavalos correspondentes na lista.
+      </p>
+
+      {activeHorses.length === 0 ? (
+        <p className="text-gray-500 italic">Ainda não há cavalos para analisar.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-x-8">
+            <ChartSection title="Raças">
+              <HorizontalBarChart data={breeds} onSelect={onFilter} />
+            </ChartSection>
+            <ChartSection title="Sexo">
+              <HorizontalBarChart data={sexes} onSelect={onFilter} />
+            </ChartSection>
+          </div>
+
+          <ChartSection
+            title="Pirâmide etária"
+            description={withoutAge > 0 ? `${withoutAge} ${withoutAge === 1 ? 'cavalo fica' : 'cavalos ficam'} de fora por não ter data de nascimento ou sexo.` : null}
+          >
+            <AgePyramidChart data={pyramid} onSelect={onFilter} />
+          </ChartSection>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-x-8">
+            <ChartSection title="Garanhões com mais descendentes">
+              {sires.length > 0
+                ? <HorizontalBarChart data={sires} onSelect={onFilter} />
+                : <p className="text-gray-500 italic text-sm">Nenhum descendente registado.</p>}
+            </ChartSection>
+            <ChartSection title="Éguas com mais descendentes">
+              {dams.length > 0
+                ? <HorizontalBarChart data={dams} onSelect={onFilter} />
+                : <p className="text-gray-500 italic text-sm">Nenhum descendente registado.</p>}
+            </ChartSection>
+          </div>
+
+          <ChartSection
+            title="Completude dos pedigrees"
+            description="Percentagem dos ancestrais registados em cada geração. Clique numa geração para ver os cavalos com ancestrais em falta nela."
+          >
+            <HorizontalBarChart data={completeness} onSelect={onFilter} format={formatPercent} maxValue={1} />
+          </ChartSection>
+
+          <ChartSection title="Registos por mês" description="Cavalos adicionados ao sistema em cada mês, incluindo os já arquivados.">
+            {registrations.length > 0
+              ? <TimeSeriesChart data={registrations} onSelect={onFilter} />
+              : <p className="text-gray-500 italic text-sm">Sem datas de registo.</p>}
+          </ChartSection>
+        </>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-4 w-full px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 text-lg"
+      >
+        &larr; Voltar
+      </button>
+    </div>
+  );
+}
+
+export default HerdDashboard;
@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import BreedingRecords from './BreedingRecords';
+import DeleteHorsePanel from './DeleteHorsePanel';
+import HealthRecords from './HealthRecords';
+import HorseHistory from './HorseHistory';
+import HorseOwnership from './HorseOwnership';
+import InbreedingPanel from './InbreedingPanel';
+import { TreeModeToggle } from './LineageTreeD3';
+import PhotoGallery from './PhotoGallery';
+import { SyncBadge } from './SyncStatusBar';
+import { formatAge, formatBirth } from './horseAge';
+import { useHorseActions } from './horseActions';
+import { getLastListSearch } from './horseFilters';
+import { IDENTIFIER_FIELDS } from './horseIdentifiers';
+import { navigate, paths } from './router';
+
+// --- Componente de Detalhes do Cavalo (ajustado para nomes do DB e resolução de pais) ---
+// Separadores da ficha; o histórico só aparece a quem pode editar o cavalo
+const DETAIL_TABS = [
+  { key: 'ficha', label: 'Ficha' },
+  { key: 'historico', label: 'Histórico' },
+];
+
+// `treeMode` é o modo da árvore escolhido (partilhado com a vista da árvore); a sessão,
+// os proprietários e locais e as ações sobre o cavalo vêm de `useHorseActions`.
+function HorseDetail({ horse, horses, treeMode, onChangeTreeMode, isSharedView }) {
+  const {
+    currentUserId, owners, stables, canEditHorse,
+    setHorseArchived, deleteHorse, setPrimaryPhoto, restoreHorseVersion, transferHorse,
+  } = useHorseActions();
+  const [showDeletePanel, setShowDeletePanel] = useState(false);
+  const [tab, setTab] = useState('ficha');
+  const [shareMessage, setShareMessage] = useState('');
+  const canEdit = canEditHorse(horse);
+  const showHistory = canEdit && !isSharedView && tab === 'historico';
+
+  const goToHorse = (id) => navigate(paths.details(id));
+
+  // Um parto com potro vivo abre o formulário de cavalo já preenchido (ver BreedingRecords)
+  const registerFoal = (covering, foaling) => navigate(paths.add({
+    fatherId: covering.garanhao_id,
+    motherId: covering.egua_id,
+    birthDate: foaling.data,
+    foalingId: foaling.id,
+  }));
+
+  // Funções helper para obter nomes dos pais a partir dos IDs
+  const getParentName = (parentId) => {
+    const parent = horses.find(h => h.id === parentId);
+    return parent ? parent.nome : null;
+  };
+
+  const handleShareClick = () => {
+    // Agora compartilha por ID, não por nome
+    const shareUrl = `${window.location.origin}${paths.shared(horse.id)}`;
+    fallbackCopyTextToClipboard(shareUrl);
+  };
+
+  function fallbackCopyTextToClipboard(text) {
+    const textArea = document.createElement("textarea");
+    textArea.value = text;
+    textArea.style.position = "fixed";
+    textArea.style.left = "-9999px";
+    textArea.style.top = "-9999px";
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+    try {
+      document.execCommand('copy');
+      setShareMessage('Link copiado para a área de transferência!');
+      setTimeout(() => setShareMessage(''), 3000);
+    } catch (err) {
+      console.error('Falha ao copiar o link (fallback): ', err);
+      setShareMessage('Não foi possível copiar o link automaticamente. Por favor, copie-o manualmente: ' + text);
+      setTimeout(() => setShareMessage(''), 5000);
+    }
+    document.body.removeChild(textArea);
+  }
+
+  // Resolvendo os nomes dos pais para exibição
+  const fatherName = getParentName(horse.pai_id);
+  const motherName = getParentName(horse.mae_id);
+  const horseAge = formatAge(horse);
+  // Só quem registou os proprietários e os locais os conhece
+  const ownerName = owners.find(owner => owner.id === horse.proprietario_id)?.nome;
+  const stableName = stables.find(stable => stable.id === horse.local_id)?.nome;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-100">
+      <div className="flex justify-center mb-6">
+        <img
+          src={horse.url_imagem || 'https://placehold.co/600x400/cccccc/white?text=Sem+Foto'} // Usa 'url_imagem'
+          alt={`Foto de ${horse.nome}`}
+          className="w-[600px] h-[400px] object-cover border-8 border-green-500 shadow-md rounded-lg"
+          onError={(e) => { e.target.onerror = null; e.target.src = 'https://placehold.co/600x400/cccccc/white?text=Sem+Foto'; }}
+        />
+      </div>
+
+      <h2 className="text-3xl font-bold text-green-800 mb-2 text-center">{horse.nome}</h2>
+      <div className="mb-6 text-center">
+        <SyncBadge syncStatus={horse._syncStatus} />
+      </div>
+      {horse.arquivado && (
+        <p className="-mt-4 mb-6 text-center text-sm text-gray-500 italic">
+          Este cavalo está arquivado e não aparece na lista nem nas seleções de pai/mãe.
+        </p>
+      )}
+      {horse.apenas_ancestral && (
+        <div className="-mt-4 mb-6 text-center text-sm text-gray-500 italic">
+          <p>Ancestral externo: está registado apenas para completar pedigrees e não aparece na lista de cavalos.</p>
+          {canEdit && !isSharedView && (
+            <button onClick={() => navigate(paths.edit(horse.id, { promote: true }))} className="mt-1 text-green-700 not-italic font-semibold hover:underline">
+              Promover a cavalo do efetivo
+            </button>
+          )}
+        </div>
+      )}
+
+      {canEdit && !isSharedView && (
+        <div className="flex border-b border-gray-200 mb-6">
+          {DETAIL_TABS.map(({ key, label }) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              className={`px-4 py-2 -mb-px border-b-2 font-semibold transition duration-300 ${
+                tab === key ? 'border-green-600 text-green-700' : 'border-transparent text-gray-500 hover:text-green-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {showHistory ? (
+        <HorseHistory horse={horse} horses={horses} owners={owners} stables={stables} onRestore={(entry) => restoreHorseVersion(horse.id, entry)} />
+      ) : (
+        <>
+        <div className="space-y-4 text-lg">
+          <p><strong className="text-gray-700">Raça:</strong> <span className="text-gray-800">{horse.raca}</span></p>
+          <p>
+            <strong className="text-gray-700">Idade:</strong>{' '}
+            {horseAge ? (
+              <span className="text-gray-800">{horseAge} <span className="text-gray-500 text-base">(nascimento: {formatBirth(horse)})</span></span>
+            ) : (
+              <span className="text-gray-600 italic">Desconhecida</span>
+            )}
+          </p>
+          <p><strong className="text-gray-700">Sexo:</strong> <span className="text-gray-800">{horse.sexo}</span></p>
+          {IDENTIFIER_FIELDS.filter(({ field }) => horse[field]).map(({ field, label }) => (
+            <p key={field}><strong className="text-gray-700">{label}:</strong> <span className="text-gray-800">{horse[field]}</span></p>
+          ))}
+          {ownerName && (
+            <p><strong className="text-gray-700">Proprietário:</strong> <span className="text-gray-800">{ownerName}</span></p>
+          )}
+          {stableName && (
+            <p><strong className="text-gray-700">Local:</strong> <span className="text-gray-800">{stableName}</span></p>
+          )}
+
+          <div className="pt-4 border-t border-gray-200 mt-4">
+            <p className="mb-2">
+              <strong className="text-gray-700">Pai:</strong>{' '}
+              {fatherName ? (
+                <span className="text-gray-800 font-medium">
+                  {fatherName}
+                </span>
+              ) : (
+                <span className="text-gray-600 italic">Não Registrado</span>
+              )}
+            </p>
+            <p>
+              <strong className="text-gray-700">Mãe:</strong>{' '}
+              {motherName ? (
+                <span className="text-gray-800 font-medium">
+                  {motherName}
+                </span>
+              ) : (
+                <span className="text-gray-600 italic">Não Registrada</span>
+              )}
+            </p>
+            {((horse.pai_id && !fatherName) || (horse.mae_id && !motherName)) ? (
+              <p className="text-sm text-red-500 mt-2">
+                (Alguns parentes estão registados por ID, mas sem detalhes completos no sistema.)
+              </p>
+            ) : null}
+          </div>
+        </div>
+
+        <InbreedingPanel horse={horse} horses={horses} onSelectHorse={goToHorse} />
+
+        <PhotoGallery
+          horse={horse}
+          canEdit={canEdit && !isSharedView}
+          currentUserId={currentUserId}
+          onPrimaryPhotoChange={(photo) => setPrimaryPhoto(horse.id, photo)}
+        />
+
+        {canEdit && !isSharedView && !horse.apenas_ancestral && (
+          <HorseOwnership horse={horse} owners={owners} stables={stables} onTransfer={(fields) => transferHorse(horse.id, fields)} />
+        )}
+
+        {canEdit && !isSharedView && !horse.apenas_ancestral && <HealthRecords horse={horse} currentUserId={currentUserId} />}
+
+        {!isSharedView && !horse.apenas_ancestral && (horse.sexo === 'Macho' || horse.sexo === 'Fêmea') && (
+          <BreedingRecords
+            horse={horse}
+            horses={horses}
+            canEdit={canEdit}
+            currentUserId={currentUserId}
+            onSelectHorse={goToHorse}
+            onRegisterFoal={registerFoal}
+          />
+        )}
+        </>
+      )}
+
+      {shareMessage && (
+        <div className="mt-4 p-3 bg-green-100 text-green-700 rounded-lg text-center font-semibold animate-fadeInOut">
+          {shareMessage}
+        </div>
+      )}
+
+      {!isSharedView && (
+        <div className="mt-8">
+          <TreeModeToggle mode={treeMode} onChange={onChangeTreeMode} />
+        </div>
+      )}
+
+      {!isSharedView && (
+        <div className="flex flex-col sm:flex-row gap-4 mt-4">
+          <button
+            onClick={() => navigate(paths.lineageTree(horse.id, treeMode))}
+            className="flex-1 px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 transform hover:scale-105 text-lg"
+          >
+            {treeMode === 'progeny' ? 'Ver Descendentes' : 'Ver Árvore Genealógica'}
+          </button>
+          {canEdit && (
+            <button
+              onClick={() => navigate(paths.edit(horse.id))}
+              className="flex-1 px-6 py-3 bg-yellow-600 text-white rounded-lg shadow-lg hover:bg-yellow-700 transition duration-300 transform hover:scale-105 text-lg"
+            >
+              Editar
+            </button>
+          )}
+          <button
+            onClick={handleShareClick}
+            className="flex-1 px-6 py-3 bg-green-600 text-white rounded-lg shadow-lg hover:bg-green-700 transition duration-300 transform hover:scale-105 text-lg"
+          >
+            Partilhar Página
+          </button>
+          <button
+            onClick={() => navigate(paths.list(getLastListSearch()))}
+            className="flex-1 px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 transform hover:scale-105 text-lg"
+          >
+            &larr; Voltar para a lista
+          </button>
+        </div>
+      )}
+
+      {!isSharedView && (
+        <div className="flex flex-col sm:flex-row gap-4 mt-4">
+          <button
+            onClick={() => navigate(paths.certificate(horse.id))}
+            className="flex-1 px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition duration-300"
+          >
+            Certificado de Pedigree
+          </button>
+          <button
+            onClick={() => navigate(paths.interchange(horse.id))}
+            className="flex-1 px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition duration-300"
+          >
+            Exportar Pedigree (GEDCOM/JSON)
+          </button>
+          {!horse.arquivado && (horse.sexo === 'Macho' || horse.sexo === 'Fêmea') && (
+            <button
+              onClick={() => navigate(horse.sexo === 'Fêmea' ? paths.matingPlanner(horse.id) : paths.matingPlanner(null, [horse.id]))}
+              className="flex-1 px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition duration-300"
+            >
+              Planear Acasalamento
+            </button>
+          )}
+          <button
+            onClick={() => navigate(paths.relationship(horse.id))}
+            className="flex-1 px-4 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition duration-300"
+          >
+            Calcular Parentesco
+          </button>
+        </div>
+      )}
+
+      {!isSharedView && canEdit && (
+        <div className="flex flex-col sm:flex-row gap-4 mt-4">
+          <button
+            onClick={() => setHorseArchived(horse.id, !horse.arquivado)}
+            className="flex-1 px-4 py-2 bg-white text-gray-700 border border-gray-400 rounded-lg hover:bg-gray-100 transition duration-300"
+          >
+            {horse.arquivado ? 'Restaurar' : 'Arquivar'}
+          </button>
+          <button
+            onClick={() => setShowDeletePanel(true)}
+            className="flex-1 px-4 py-2 bg-white text-red-700 border border-red-400 rounded-lg hover:bg-red-50 transition duration-300"
+          >
+            Excluir Definitivamente
+          </button>
+        </div>
+      )}
+
+      {!isSharedView && canEdit && showDeletePanel && (
+        <DeleteHorsePanel
+          horse={horse}
+          horses={horses}
+          onConfirm={(replacementId) => deleteHorse(horse.id, replacementId)}
+          onCancel={() => setShowDeletePanel(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default HorseDetail;
@@ -0,0 +1,527 @@
+import React, { useId, useMemo, useState } from 'react';
+import { getBirthInfo } from './horseAge';
+import { useHorseActions } from './horseActions';
+import { cleanIdentifier, findIdentifierConflicts, IDENTIFIER_FIELDS } from './horseIdentifiers';
+import { validateImageFile } from './imageProcessing';
+import { hasBlockingIssues, validatePedigree } from './pedigreeValidation';
+import { capitalizeEachWord } from './text';
+
+// --- Componente do Formulário do Cavalo ---
+// AGORA RECEBE 'horses' como prop
+// Quando recebe 'horse', funciona em modo de edição, pré-preenchido com o registo
+// `initialValues` (só para cavalos novos) pré-preenche pai, mãe e data de nascimento,
+// por exemplo para o potro de um parto registado na reprodução.
+// Num ancestral externo, `promote` abre o formulário já para o promover a cavalo do efetivo.
+// Os proprietários, os locais e a criação de ancestrais externos vêm de `useHorseActions`.
+function HorseForm({ horse, horses, initialValues, promote, onSubmit, onCancel }) {
+  const { owners, stables, createAncestor: onCreateAncestor } = useHorseActions();
+  const isEditing = Boolean(horse);
+  const [name, setName] = useState(horse?.nome || '');
+  const [breed, setBreed] = useState(horse?.raca || '');
+  const [sex, setSex] = useState(horse?.sexo || '');
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [previewPhoto, setPreviewPhoto] = useState(horse?.url_imagem || null);
+  // Agora armazena o ID do pai/mãe selecionado (ou null/string vazia)
+  const [fatherId, setFatherId] = useState(horse?.pai_id || initialValues?.pai_id || '');
+  const [motherId, setMotherId] = useState(horse?.mae_id || initialValues?.mae_id || '');
+  const [birthDate, setBirthDate] = useState(horse?.data_nascimento || initialValues?.data_nascimento || '');
+  // Para cavalos cuja data exata é desconhecida, guarda-se apenas um ano aproximado.
+  // Registos antigos (só com 'idade') chegam aqui já convertidos num ano estimado.
+  const initialBirth = horse ? getBirthInfo(horse) : null;
+  const [birthDateUnknown, setBirthDateUnknown] = useState(Boolean(initialBirth?.approximate));
+  const [birthYear, setBirthYear] = useState(initialBirth?.approximate ? String(initialBirth.year) : '');
+  // Um ancestral externo não precisa de nascimento; ao promovê-lo passa a precisar
+  const [ancestorOnly, setAncestorOnly] = useState(Boolean(horse?.apenas_ancestral) && !promote);
+  // Número de registo, microchip, ID na associação e marcas, por campo de `cavalos`
+  const [identifiers, setIdentifiers] = useState(() => Object.fromEntries(IDENTIFIER_FIELDS.map(({ field }) => [field, horse?.[field] || ''])));
+  // Proprietário e local atuais. Depois de definido, o proprietário só muda por uma
+  // venda registada na ficha do cavalo, para que a cadeia de propriedade fique completa.
+  const [ownerId, setOwnerId] = useState(horse?.proprietario_id || '');
+  const [stableId, setStableId] = useState(horse?.local_id || '');
+  const ownerLocked = Boolean(horse?.proprietario_id);
+  const currentYear = new Date().getFullYear();
+
+  // Um cavalo não pode ser o seu próprio pai ou mãe. Cavalos arquivados não são
+  // oferecidos, exceto o progenitor já associado ao registo em edição.
+  const parentCandidates = horses.filter(h => (!horse || h.id !== horse.id)
+    && (!h.arquivado || h.id === horse?.pai_id || h.id === horse?.mae_id));
+  // O progenitor já associado continua na lista mesmo com o sexo errado, para que a
+  // validação o mostre em vez de o desassociar sem aviso.
+  const sireCandidates = parentCandidates.filter(h => h.sexo === 'Macho' || h.id === horse?.pai_id);
+  const damCandidates = parentCandidates.filter(h => h.sexo === 'Fêmea' || h.id === horse?.mae_id);
+
+  // Ciclos, sexo e idade dos progenitores, verificados à medida que o formulário muda
+  const validationIssues = useMemo(() => validatePedigree({
+    ...horse,
+    nome: name,
+    sexo: sex,
+    data_nascimento: birthDateUnknown ? null : birthDate || null,
+    ano_nascimento: birthDateUnknown ? parseInt(birthYear) || null : null,
+    pai_id: fatherId || null,
+    mae_id: motherId || null,
+  }, horses), [horse, horses, name, sex, birthDate, birthDateUnknown, birthYear, fatherId, motherId]);
+
+  // Identificadores já usados por outro cavalo
+  const identifierConflicts = useMemo(
+    () => findIdentifierConflicts(identifiers, horses, horse?.id),
+    [identifiers, horses, horse]
+  );
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    const validationError = file ? validateImageFile(file) : 'Por favor, selecione um ficheiro de imagem válido.';
+    if (!validationError) {
+      setSelectedFile(file);
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        setPreviewPhoto(reader.result);
+      };
+      reader.readAsDataURL(file);
+    } else {
+      e.target.value = '';
+      setSelectedFile(null);
+      setPreviewPhoto(horse?.url_imagem || null);
+      alert(validationError);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const hasBirth = birthDateUnknown ? birthYear !== '' : birthDate !== '';
+    if (!name || !breed || (!hasBirth && !ancestorOnly) || !sex) {
+      alert('Por favor, preencha todos os campos obrigatórios (Nome, Raça, Nascimento, Sexo).');
+      return;
+    }
+    if (birthDateUnknown && (parseInt(birthYear) < 1800 || parseInt(birthYear) > currentYear)) {
+      alert(`O ano de nascimento aproximado deve estar entre 1800 e ${currentYear}.`);
+      return;
+    }
+    if (!birthDateUnknown && birthDate > new Date().toISOString().slice(0, 10)) {
+      alert('A data de nascimento não pode estar no futuro.');
+      return;
+    }
+    if (identifierConflicts.length > 0) {
+      alert(`Corrija a identificação antes de guardar:\n${identifierConflicts.map(conflict => `- ${conflict.label} já usado por ${conflict.horse.nome}`).join('\n')}`);
+      return;
+    }
+    if (hasBlockingIssues(validationIssues)) {
+      alert(`Corrija o pedigree antes de guardar:\n${validationIssues.filter(issue => issue.severity === 'error').map(issue => `- ${issue.message}`).join('\n')}`);
+      return;
+    }
+
+    onSubmit({
+      name: capitalizeEachWord(name),
+      breed: capitalizeEachWord(breed),
+      sex: capitalizeEachWord(sex),
+      fatherId: fatherId === '' ? null : fatherId, // Passa o ID ou null
+      motherId: motherId === '' ? null : motherId, // Passa o ID ou null
+      birthDate: birthDateUnknown ? null : birthDate || null,
+      birthYear: birthDateUnknown && birthYear !== '' ? parseInt(birthYear) : null,
+      ancestorOnly,
+      identifiers: Object.fromEntries(Object.entries(identifiers).map(([field, value]) => [field, cleanIdentifier(value)])),
+      ownership: { proprietario_id: ownerId || null, local_id: stableId || null },
+      photoFile: selectedFile
+    });
+
+    if (isEditing) return;
+
+    setName(''); setBreed(''); setSex('');
+    setFatherId(''); setMotherId('');
+    setSelectedFile(null); setPreviewPhoto(null); setBirthDate('');
+    setBirthDateUnknown(false); setBirthYear('');
+    setIdentifiers(Object.fromEntries(IDENTIFIER_FIELDS.map(({ field }) => [field, ''])));
+    setOwnerId(''); setStableId('');
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-6 text-center">
+        {isEditing ? `${horse.apenas_ancestral && !ancestorOnly ? 'Promover' : 'Editar'} ${horse.nome}` : 'Cadastrar Novo Cavalo'}
+      </h2>
+      {horse?.apenas_ancestral && (
+        <label className="flex items-center gap-2 mb-6 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-gray-700">
+          <input type="checkbox" checked={ancestorOnly} onChange={(e) => setAncestorOnly(e.target.checked)} />
+          Apenas ancestral externo (não aparece na lista de cavalos). Desmarque para o promover a cavalo do efetivo.
+        </label>
+      )}
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <div>
+          <label htmlFor="name" className="block text-gray-700 font-semibold mb-2">Nome:</label>
+          <input
+            type="text"
+            id="name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+            required
+          />
+        </div>
+        <div>
+          <label htmlFor="breed" className="block text-gray-700 font-semibold mb-2">Raça:</label>
+          <input
+            type="text"
+            id="breed"
+            value={breed}
+            onChange={(e) => setBreed(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+            required
+          />
+        </div>
+        <div>
+          {birthDateUnknown ? (
+            <>
+              <label htmlFor="birthYear" className="block text-gray-700 font-semibold mb-2">Ano de Nascimento (aproximado):</label>
+              <input
+                type="number"
+                id="birthYear"
+                value={birthYear}
+                onChange={(e) => setBirthYear(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+                min="1800"
+                max={currentYear}
+                required={!ancestorOnly}
+              />
+            </>
+          ) : (
+            <>
+              <label htmlFor="birthDate" className="block text-gray-700 font-semibold mb-2">Data de Nascimento:</label>
+              <input
+                type="date"
+                id="birthDate"
+                value={birthDate}
+                onChange={(e) => setBirthDate(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+                required={!ancestorOnly}
+              />
+            </>
+          )}
+          <label className="flex items-center gap-2 mt-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={birthDateUnknown}
+              onChange={(e) => setBirthDateUnknown(e.target.checked)}
+            />
+            Data exata desconhecida (indicar apenas o ano aproximado)
+          </label>
+        </div>
+        <div>
+          <label htmlFor="sex" className="block text-gray-700 font-semibold mb-2">Sexo (Macho/Fêmea):</label>
+          <select
+            id="sex"
+            value={sex}
+            onChange={(e) => setSex(e.target.value)}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+            required
+          >
+            <option value="">Selecione</option>
+            <option value="Macho">Macho</option>
+            <option value="Fêmea">Fêmea</option>
+          </select>
+        </div>
+        <div className="border-t border-gray-200 pt-5 mt-5">
+          <h3 className="text-xl font-bold text-gray-700 mb-4">Identificação (Opcional)</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {IDENTIFIER_FIELDS.map(({ field, label }) => {
+              const conflict = identifierConflicts.find(c => c.field === field);
+              return (
+                <div key={field}>
+                  <label htmlFor={field} className="block text-gray-700 font-semibold mb-2">{label}:</label>
+                  <input
+                    type="text"
+                    id={field}
+                    value={identifiers[field]}
+                    onChange={(e) => setIdentifiers(prev => ({ ...prev, [field]: e.target.value }))}
+                    placeholder={field === 'marcas' ? 'Ex.: ferro da coudelaria na coxa esquerda' : ''}
+                    className={`w-full p-3 border rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200 ${conflict ? 'border-red-400' : 'border-gray-300'}`}
+                  />
+                  {conflict && (
+                    <p className="text-sm text-red-700 mt-1">Já usado por {conflict.horse.nome}.</p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+        <div className="border-t border-gray-200 pt-5 mt-5">
+          <h3 className="text-xl font-bold text-gray-700 mb-4">Proprietário e Local (Opcional)</h3>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="ownerId" className="block text-gray-700 font-semibold mb-2">Proprietário:</label>
+              <select
+                id="ownerId"
+                value={ownerId}
+                onChange={(e) => setOwnerId(e.target.value)}
+                disabled={ownerLocked}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200 disabled:bg-gray-100"
+              >
+                <option value="">Sem proprietário</option>
+                {owners.map(owner => (
+                  <option key={owner.id} value={owner.id}>{owner.nome}</option>
+                ))}
+              </select>
+              {ownerLocked && (
+                <p className="text-sm text-gray-500 mt-1">Para mudar o proprietário, registe uma venda na ficha do cavalo.</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="stableId" className="block text-gray-700 font-semibold mb-2">Local:</label>
+              <select
+                id="stableId"
+                value={stableId}
+                onChange={(e) => setStableId(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+              >
+                <option value="">Sem local</option>
+                {stables.map(stable => (
+                  <option key={stable.id} value={stable.id}>{stable.nome}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {owners.length === 0 && stables.length === 0 && (
+            <p className="text-sm text-gray-500 mt-2">
+              Ainda não há proprietários nem locais. Registe-os em "Proprietários", no menu do topo.
+            </p>
+          )}
+        </div>
+        <div>
+          <label htmlFor="photoUpload" className="block text-gray-700 font-semibold mb-2">
+            {isEditing && horse.url_imagem ? 'Substituir Foto (Opcional):' : 'Carregar Foto (Opcional):'}
+          </label>
+          <input
+            type="file"
+            id="photoUpload"
+            accept="image/jpeg,image/png,image/webp"
+            onChange={handleFileChange}
+            className="w-full text-gray-700 text-sm file:mr-4 file:py-2 file:px-4
+            file:rounded-full file:border-0 file:text-sm file:font-semibold
+            file:bg-green-100 file:text-green-700 hover:file:bg-green-200"
+          />
+          {previewPhoto && (
+            <div className="mt-4 flex justify-center">
+              <img
+                src={previewPhoto}
+                alt="Pré-visualização da foto"
+                className="w-32 h-32 object-cover rounded-lg border-2 border-green-400 shadow-md"
+              />
+            </div>
+          )}
+        </div>
+        <div className="border-t border-gray-200 pt-5 mt-5">
+          <h3 className="text-xl font-bold text-gray-700 mb-4">Parentesco (Opcional)</h3>
+          <ParentPicker
+            id="fatherId"
+            label="Pai"
+            sex="Macho"
+            value={fatherId}
+            onChange={setFatherId}
+            candidates={sireCandidates}
+            horses={horses}
+            onCreateAncestor={onCreateAncestor}
+          />
+          <div className="mt-4">
+            <ParentPicker
+              id="motherId"
+              label="Mãe"
+              sex="Fêmea"
+              value={motherId}
+              onChange={setMotherId}
+              candidates={damCandidates}
+              horses={horses}
+              onCreateAncestor={onCreateAncestor}
+            />
+          </div>
+          {validationIssues.length > 0 && (
+            <ul className="mt-4 p-3 rounded-lg bg-gray-50 border border-gray-200 text-sm space-y-1">
+              {validationIssues.map(issue => (
+                <li key={`${issue.code}:${issue.message}`} className={issue.severity === 'error' ? 'text-red-700' : 'text-yellow-800'}>
+                  {issue.severity === 'error' ? 'Erro: ' : 'Aviso: '}{issue.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4 mt-8">
+          <button
+            type="submit"
+            className="flex-1 px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 transform hover:scale-105 text-lg font-semibold"
+          >
+            {isEditing ? 'Salvar Alterações' : 'Salvar Cavalo'}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-6 py-3 bg-gray-500 text-white rounded-lg shadow-lg hover:bg-gray-600 transition duration-300 transform hover:scale-105 text-lg font-semibold"
+          >
+            Cancelar
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+// --- Seletor de pai/mãe com criação de ancestrais externos ---
+// Além dos cavalos registados, permite criar logo ali um ancestral externo (por
+// exemplo um garanhão famoso de outra coudelaria), que fica selecionado.
+function ParentPicker({ id, label, sex, value, onChange, candidates, horses, onCreateAncestor }) {
+  const [showAncestorForm, setShowAncestorForm] = useState(false);
+
+  return (
+    <div>
+      <label htmlFor={id} className="block text-gray-700 font-semibold mb-2">{label}:</label>
+      <div className="flex gap-2">
+        <select
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-400 focus:border-green-500 transition duration-200"
+        >
+          <option value="">{sex === 'Fêmea' ? 'Não Registrada' : 'Não Registrado'}</option>
+          {[...candidates].sort((a, b) => a.nome.localeCompare(b.nome)).map(horse => (
+            <option key={horse.id} value={horse.id}>
+              {horse.nome}{horse.apenas_ancestral ? ' (ancestral externo)' : ''}
+            </option>
+          ))}
+        </select>
+        {onCreateAncestor && !showAncestorForm && (
+          <button
+            type="button"
+            onClick={() => setShowAncestorForm(true)}
+            className="px-3 py-2 bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 text-sm whitespace-nowrap"
+          >
+            + Ancestral externo
+          </button>
+        )}
+      </div>
+      {showAncestorForm && (
+        <AncestorQuickForm
+          sex={sex}
+          horses={horses}
+          onCreateAncestor={onCreateAncestor}
+          onCreated={(ancestor) => {
+            onChange(ancestor.id);
+            setShowAncestorForm(false);
+          }}
+          onCancel={() => setShowAncestorForm(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+// Formulário curto de um ancestral externo: nome, raça, número de registo e os seus
+// próprios pai e mãe, que por sua vez também podem ser ancestrais criados aqui. Fica
+// dentro do formulário do cavalo, por isso não é um <form> e trata o Enter à parte.
+function AncestorQuickForm({ sex, horses, onCreateAncestor, onCreated, onCancel }) {
+  const [name, setName] = useState('');
+  const [breed, setBreed] = useState('');
+  const [registrationNumber, setRegistrationNumber] = useState('');
+  const [fatherId, setFatherId] = useState('');
+  const [motherId, setMotherId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const idPrefix = useId();
+
+  const parentCandidates = horses.filter(h => !h.arquivado);
+  const [registrationConflict] = findIdentifierConflicts({ numero_registo: registrationNumber }, horses);
+
+  const handleSave = async () => {
+    if (!name.trim() || !breed.trim()) {
+      alert('Indique pelo menos o nome e a raça do ancestral.');
+      return;
+    }
+    if (registrationConflict) {
+      alert(`${registrationConflict.label} já usado por ${registrationConflict.horse.nome}.`);
+      return;
+    }
+    setBusy(true);
+    try {
+      const ancestor = await onCreateAncestor({
+        nome: capitalizeEachWord(name.trim()),
+        raca: capitalizeEachWord(breed.trim()),
+        sexo: sex,
+        numero_registo: cleanIdentifier(registrationNumber),
+        pai_id: fatherId || null,
+        mae_id: motherId || null,
+      });
+      onCreated(ancestor);
+    } catch (err) {
+      console.error('Erro ao criar o ancestral:', err.message);
+      alert(`Falha ao criar o ancestral: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' || e.target.tagName !== 'INPUT') return;
+    e.preventDefault();
+    e.stopPropagation();
+    handleSave();
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+
+  return (
+    <div onKeyDown={handleKeyDown} className="mt-3 p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+      <p className="text-sm font-semibold text-gray-700">
+        Novo ancestral externo ({sex === 'Fêmea' ? 'égua' : 'garanhão'}), sem ficha completa nem lugar na lista de cavalos
+      </p>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Nome" aria-label="Nome do ancestral" className={inputClass} />
+        <input type="text" value={breed} onChange={(e) => setBreed(e.target.value)} placeholder="Raça" aria-label="Raça do ancestral" className={inputClass} />
+        <input
+          type="text"
+          value={registrationNumber}
+          onChange={(e) => setRegistrationNumber(e.target.value)}
+          placeholder="N.º de registo (opcional)"
+          aria-label="Número de registo do ancestral"
+          className={`${inputClass} ${registrationConflict ? 'border-red-400' : ''}`}
+        />
+      </div>
+      {registrationConflict && (
+        <p className="text-sm text-red-700">Número de registo já usado por {registrationConflict.horse.nome}.</p>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm">
+        <ParentPicker
+          id={`${idPrefix}-pai`}
+          label="Pai do ancestral"
+          sex="Macho"
+          value={fatherId}
+          onChange={setFatherId}
+          candidates={parentCandidates.filter(h => h.sexo === 'Macho')}
+          horses={horses}
+          onCreateAncestor={onCreateAncestor}
+        />
+        <ParentPicker
+          id={`${idPrefix}-mae`}
+          label="Mãe do ancestral"
+          sex="Fêmea"
+          value={motherId}
+          onChange={setMotherId}
+          candidates={parentCandidates.filter(h => h.sexo === 'Fêmea')}
+          horses={horses}
+          onCreateAncestor={onCreateAncestor}
+        />
+      </div>
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={busy}
+          className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 disabled:opacity-50 text-sm"
+        >
+          {busy ? 'A criar...' : 'Criar e selecionar'}
+        </button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 text-sm">
+          Cancelar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Export the main App component as default
+
+export default HorseForm;
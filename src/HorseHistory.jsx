@@ -0,0 +1,119 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { horseHistoryRepository } from './data';
+import { fieldLabel, formatHistoryValue, HISTORY_ACTIONS, versionFields } from './horseHistory';
+
+const formatTimestamp = (timestamp) => new Date(timestamp).toLocaleString('pt-PT', { dateStyle: 'short', timeStyle: 'short' });
+
+// A miniatura muda sempre com a foto, por isso não se mostra em separado
+const HIDDEN_FIELDS = new Set(['url_miniatura']);
+
+const sameVersion = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// --- Histórico de alterações de um cavalo ---
+// Cada criação e alteração, com o autor, a data e os valores antes/depois de cada campo.
+// Qualquer versão diferente da atual pode ser reposta; `onRestore(entry)` grava-a e
+// devolve uma Promise que rejeita com o erro a mostrar.
+function HorseHistory({ horse, horses, owners, stables, onRestore }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const horsesById = useMemo(() => new Map(horses.map(h => [h.id, h])), [horses]);
+  const namesById = useMemo(() => new Map([...owners, ...stables].map(entry => [entry.id, entry])), [owners, stables]);
+  const currentVersion = useMemo(() => versionFields({ dados: horse }), [horse]);
+
+  const loadHistory = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setEntries(await horseHistoryRepository.list(horse.id));
+    } catch (err) {
+      console.error('Erro ao carregar o histórico:', err.message);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [horse.id]);
+
+  // Recarrega depois de cada alteração ao cavalo, incluindo um restauro
+  useEffect(() => {
+    loadHistory();
+  }, [horse, loadHistory]);
+
+  const handleRestore = async (entry) => {
+    if (!window.confirm(`Repor os dados de ${horse.nome} como estavam em ${formatTimestamp(entry.created_at)}? A foto, o arquivamento, o proprietário e o local não mudam.`)) return;
+    setBusy(true);
+    try {
+      await onRestore(entry);
+      alert('Versão reposta com sucesso!');
+    } catch (err) {
+      console.error('Erro ao repor a versão:', err.message);
+      alert(`Falha ao repor a versão: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (loading) return <p className="mt-8 text-gray-600">A carregar o histórico...</p>;
+  if (error) return <p className="mt-8 text-red-600">Não foi possível carregar o histórico: {error}</p>;
+
+  return (
+    <div className="mt-8">
+      {entries.length === 0 ? (
+        <p className="text-gray-500 italic">Ainda não há alterações registadas para este cavalo.</p>
+      ) : (
+        <ol className="space-y-4">
+          {entries.map(entry => {
+            const changes = Object.entries(entry.alteracoes || {}).filter(([field]) => !HIDDEN_FIELDS.has(field));
+            const restorable = entry.acao !== 'exclusao' && !sameVersion(versionFields(entry), currentVersion);
+            return (
+              <li key={entry.id} className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+                <div className="flex flex-wrap justify-between items-start gap-2 mb-2">
+                  <div>
+                    <span className="font-semibold text-gray-800">{HISTORY_ACTIONS[entry.acao] || entry.acao}</span>
+                    <span className="text-sm text-gray-500">
+                      {' · '}{formatTimestamp(entry.created_at)}
+                      {' · '}{entry.utilizador_email || 'Utilizador desconhecido'}
+                    </span>
+                  </div>
+                  {restorable && (
+                    <button
+                      onClick={() => handleRestore(entry)}
+                      disabled={busy}
+                      className="px-3 py-1 text-sm bg-white text-green-700 border border-green-600 rounded-lg hover:bg-green-50 transition duration-300 disabled:opacity-50"
+                    >
+                      Repor esta versão
+                    </button>
+                  )}
+                </div>
+                {changes.length === 0 ? (
+                  <p className="text-sm text-gray-500 italic">Sem campos preenchidos.</p>
+                ) : (
+                  <ul className="text-sm space-y-1">
+                    {changes.map(([field, { antes, depois }]) => (
+                      <li key={field}>
+                        <strong className="text-gray-700">{fieldLabel(field)}:</strong>{' '}
+                        {entry.acao === 'alteracao' ? (
+                          <>
+                            <span className="text-red-700 line-through">{formatHistoryValue(field, antes, horsesById, namesById)}</span>
+                            {' → '}
+                            <span className="text-green-800">{formatHistoryValue(field, depois, horsesById, namesById)}</span>
+                          </>
+                        ) : (
+                          <span className="text-gray-800">{formatHistoryValue(field, entry.acao === 'exclusao' ? antes : depois, horsesById, namesById)}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default HorseHistory;
@@ -0,0 +1,195 @@
+import React, { useMemo, useState } from 'react';
+import {
+  applyImportChoices, buildImportPreview, needsDuplicateDecision, NO_PARENT, parseImportFile, planImport,
+} from './horseImport';
+
+const EXAMPLE_CSV = 'nome;raca;sexo;data_nascimento;pai;mae\nTrovão;Lusitano;Macho;14/03/2018;Zeus;Aurora';
+
+// --- Ecrã de importação em massa (CSV/JSON) ---
+// Mostra uma pré-visualização com os erros de cada linha e deixa resolver à mão
+// os pais ambíguos e os nomes repetidos antes de inserir tudo.
+function HorseImport({ horses, onImport, onCancel }) {
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [choices, setChoices] = useState({});
+  const [importing, setImporting] = useState(false);
+
+  const preview = useMemo(() => (rows ? buildImportPreview(rows, horses) : []), [rows, horses]);
+  const resolved = useMemo(() => applyImportChoices(preview, choices), [preview, choices]);
+  const { order, cycleRows } = useMemo(() => planImport(resolved), [resolved]);
+
+  const rowsWithIssues = resolved.filter(entry => !entry.skip && entry.issues.length > 0);
+  const canImport = rows && order.length > 0 && rowsWithIssues.length === 0 && cycleRows.length === 0 && !importing;
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    setRows(null);
+    setChoices({});
+    setParseError('');
+    if (!file) return;
+
+    setFileName(file.name);
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      try {
+        setRows(parseImportFile(reader.result, file.name));
+      } catch (err) {
+        setParseError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const setChoice = (key, value) => {
+    setChoices(prevChoices => ({ ...prevChoices, [key]: value }));
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      await onImport(resolved, order);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const renderParent = (entry, field) => {
+    const parent = entry.parents[field];
+    if (!parent.name) {
+      return <span className="text-gray-400">—</span>;
+    }
+    const ref = entry.parentRefs[field];
+    if (parent.candidates.length === 1 && choices[`${entry.index}:${field}`] === undefined) {
+      return <span className="text-green-700">{parent.candidates[0].label}</span>;
+    }
+    return (
+      <select
+        value={ref ?? ''}
+        onChange={(e) => setChoice(`${entry.index}:${field}`, e.target.value || null)}
+        className={`w-full p-1 border rounded text-xs ${ref ? 'border-gray-300' : 'border-red-400 bg-red-50'}`}
+      >
+        <option value="">{parent.candidates.length === 0 ? `"${parent.name}" não encontrado` : `"${parent.name}": escolha...`}</option>
+        {parent.candidates.map(candidate => (
+          <option key={candidate.ref} value={candidate.ref}>{candidate.label}</option>
+        ))}
+        <option value={NO_PARENT}>Não associar</option>
+      </select>
+    );
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Importar Cavalos</h2>
+      <p className="text-gray-600 mb-2">
+        Aceita ficheiros CSV (separados por vírgula ou ponto e vírgula) ou JSON com as colunas
+        {' '}<code>nome</code>, <code>raca</code>, <code>sexo</code>, <code>data_nascimento</code>, <code>pai</code> e <code>mae</code>.
+        O pai e a mãe são indicados pelo nome e podem estar já registados ou noutra linha do ficheiro.
+      </p>
+      <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-2 mb-4 overflow-x-auto">{EXAMPLE_CSV}</pre>
+
+      <input
+        type="file"
+        accept=".csv,.json,text/csv,application/json"
+        onChange={handleFileChange}
+        className="w-full text-gray-700 text-sm file:mr-4 file:py-2 file:px-4
+        file:rounded-full file:border-0 file:text-sm file:font-semibold
+        file:bg-green-100 file:text-green-700 hover:file:bg-green-200"
+      />
+      {parseError && <p className="mt-4 p-3 bg-red-100 text-red-700 rounded-lg">{parseError}</p>}
+
+      {rows && (
+        <div className="mt-6">
+          <p className="text-sm text-gray-600 mb-2">
+            {fileName}: {rows.length} {rows.length === 1 ? 'linha' : 'linhas'}, {order.length} para importar
+            {rowsWithIssues.length > 0 && <span className="text-red-600"> — {rowsWithIssues.length} com problemas por resolver</span>}
+          </p>
+          {cycleRows.length > 0 && (
+            <p className="mb-2 p-2 bg-red-100 text-red-700 rounded text-sm">
+              As linhas {cycleRows.join(', ')} formam um ciclo (um cavalo seria seu próprio ancestral).
+            </p>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1 pr-2">Linha</th>
+                  <th className="py-1 pr-2">Nome</th>
+                  <th className="py-1 pr-2">Raça</th>
+                  <th className="py-1 pr-2">Sexo</th>
+                  <th className="py-1 pr-2">Nascimento</th>
+                  <th className="py-1 pr-2 min-w-[10rem]">Pai</th>
+                  <th className="py-1 pr-2 min-w-[10rem]">Mãe</th>
+                </tr>
+              </thead>
+              <tbody>
+                {resolved.map(entry => (
+                  <React.Fragment key={entry.index}>
+                    <tr className={`border-t border-gray-100 align-top ${entry.skip ? 'opacity-40' : ''}`}>
+                      <td className="py-1 pr-2">{entry.rowNumber}</td>
+                      <td className="py-1 pr-2 font-medium">{entry.fields.nome}</td>
+                      <td className="py-1 pr-2">{entry.fields.raca}</td>
+                      <td className="py-1 pr-2">{entry.fields.sexo}</td>
+                      <td className="py-1 pr-2">{entry.fields.data_nascimento || (entry.fields.ano_nascimento && `c. ${entry.fields.ano_nascimento}`)}</td>
+                      <td className="py-1 pr-2">{renderParent(entry, 'pai')}</td>
+                      <td className="py-1 pr-2">{renderParent(entry, 'mae')}</td>
+                    </tr>
+                    {(needsDuplicateDecision(entry) || entry.issues.length > 0) && (
+                      <tr>
+                        <td></td>
+                        <td colSpan={6} className="pb-2 text-xs">
+                          {needsDuplicateDecision(entry) && (
+                            <div className="flex flex-wrap items-center gap-2 text-yellow-800">
+                              <span>
+                                {entry.duplicateOf.existing.length > 0
+                                  ? 'Já existe um cavalo registado com este nome.'
+                                  : 'Este nome aparece mais de uma vez no ficheiro.'}
+                              </span>
+                              <select
+                                value={choices[`${entry.index}:duplicado`] || ''}
+                                onChange={(e) => setChoice(`${entry.index}:duplicado`, e.target.value || undefined)}
+                                className="p-1 border border-gray-300 rounded"
+                              >
+                                <option value="">Decidir...</option>
+                                <option value="import">Importar como novo cavalo</option>
+                                <option value="skip">Ignorar esta linha</option>
+                              </select>
+                            </div>
+                          )}
+                          {entry.issues.length > 0 && (
+                            <ul className="text-red-600 list-disc list-inside">
+                              {entry.issues.map(issue => <li key={issue}>{issue}</li>)}
+                            </ul>
+                          )}
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-4 mt-8">
+        <button
+          onClick={handleImport}
+          disabled={!canImport}
+          className="flex-1 px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 text-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {importing ? 'A importar...' : `Importar ${order.length} ${order.length === 1 ? 'cavalo' : 'cavalos'}`}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 px-6 py-3 bg-gray-500 text-white rounded-lg shadow-lg hover:bg-gray-600 transition duration-300 text-lg font-semibold"
+        >
+          Cancelar
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default HorseImport;
@@ -0,0 +1,214 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { ownershipRepository } from './data';
+import { leaseHistory, ownershipChain, todayString, TRANSFER_TYPES, validateTransfer } from './ownership';
+
+const formatDate = (date) => (date ? new Date(`${date}T00:00:00`).toLocaleDateString('pt-PT') : '');
+
+const emptyForm = () => ({ tipo: 'venda', proprietario_id: '', data_inicio: todayString(), data_fim: '', local_id: '', notas: '' });
+
+// --- Propriedade de um cavalo ---
+// Cadeia de proprietários (pelas vendas), arrendamentos e o formulário para registar
+// uma nova venda ou arrendamento. `onTransfer(fields)` grava a transferência e atualiza
+// o cavalo; devolve uma Promise que rejeita com o erro a mostrar.
+function HorseOwnership({ horse, owners, stables, onTransfer }) {
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [form, setForm] = useState(null);
+
+  const loadTransfers = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setTransfers(await ownershipRepository.listTransfers(horse.id));
+    } catch (err) {
+      console.error('Erro ao carregar as transferências:', err.message);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [horse.id]);
+
+  useEffect(() => {
+    loadTransfers();
+  }, [loadTransfers]);
+
+  const ownersById = useMemo(() => new Map(owners.map(owner => [owner.id, owner])), [owners]);
+  const ownerName = (id) => (id ? ownersById.get(id)?.nome || 'Proprietário desconhecido' : 'Desconhecido');
+  const chain = useMemo(() => ownershipChain(horse, transfers), [horse, transfers]);
+  const leases = useMemo(() => leaseHistory(transfers), [transfers]);
+  const activeLease = leases.find(lease => lease.active);
+
+  const updateForm = (field, value) => setForm(prevForm => ({ ...prevForm, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const fields = {
+      tipo: form.tipo,
+      proprietario_id: form.proprietario_id,
+      data_inicio: form.data_inicio,
+      data_fim: form.tipo === 'arrendamento' ? form.data_fim || null : null,
+      local_id: form.local_id || null,
+      notas: form.notas.trim() || null,
+    };
+    const validationError = validateTransfer(fields, horse, transfers);
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
+    setBusy(true);
+    try {
+      await onTransfer(fields);
+      setForm(null);
+      await loadTransfers();
+    } catch (err) {
+      console.error('Erro ao registar a transferência:', err.message);
+      alert(`Falha ao registar a transferência: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+  const isSale = form?.tipo === 'venda';
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-700">Propriedade</h3>
+        {!form && (
+          <button
+            onClick={() => setForm(emptyForm())}
+            disabled={owners.length === 0}
+            title={owners.length === 0 ? 'Registe primeiro os proprietários em "Proprietários"' : undefined}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition duration-300 text-sm disabled:opacity-50"
+          >
+            + Venda ou Arrendamento
+          </button>
+        )}
+      </div>
+
+      {form && (
+        <form onSubmit={handleSubmit} className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200 space-y-3 text-sm">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Tipo</span>
+              <select value={form.tipo} onChange={(e) => updateForm('tipo', e.target.value)} className={inputClass}>
+                {TRANSFER_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+              </select>
+            </label>
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">{isSale ? 'Comprador' : 'Arrendatário'}</span>
+              <select value={form.proprietario_id} onChange={(e) => updateForm('proprietario_id', e.target.value)} className={inputClass}>
+                <option value="">Selecione</option>
+                {owners.filter(owner => owner.id !== horse.proprietario_id).map(owner => (
+                  <option key={owner.id} value={owner.id}>{owner.nome}</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">{isSale ? 'Data da venda' : 'Início do arrendamento'}</span>
+              <input type="date" value={form.data_inicio} onChange={(e) => updateForm('data_inicio', e.target.value)} className={inputClass} required />
+            </label>
+            {!isSale && (
+              <label className="text-gray-700">
+                <span className="block mb-1 font-semibold">Fim do arrendamento (opcional)</span>
+                <input type="date" value={form.data_fim} onChange={(e) => updateForm('data_fim', e.target.value)} min={form.data_inicio} className={inputClass} />
+              </label>
+            )}
+            <label className="text-gray-700">
+              <span className="block mb-1 font-semibold">Novo local (opcional)</span>
+              <select value={form.local_id} onChange={(e) => updateForm('local_id', e.target.value)} className={inputClass}>
+                <option value="">Mantém o local atual</option>
+                {stables.filter(stable => stable.id !== horse.local_id).map(stable => (
+                  <option key={stable.id} value={stable.id}>{stable.nome}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <input
+            type="text"
+            value={form.notas}
+            onChange={(e) => updateForm('notas', e.target.value)}
+            placeholder="Notas (opcional), por exemplo o valor ou as condições"
+            className={inputClass}
+          />
+          <p className="text-gray-600">
+            {isSale
+              ? 'A venda muda o proprietário atual do cavalo.'
+              : 'O arrendamento fica registado, mas o proprietário do cavalo não muda.'}
+          </p>
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 disabled:opacity-50">
+              {busy ? 'A guardar...' : 'Guardar'}
+            </button>
+            <button type="button" onClick={() => setForm(null)} className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-300">
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-gray-600">A carregar a propriedade...</p>
+      ) : error ? (
+        <p className="text-red-600">Não foi possível carregar as transferências: {error}</p>
+      ) : (
+        <>
+          {activeLease && (
+            <p className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-900">
+              Arrendado a <strong>{ownerName(activeLease.proprietario_id)}</strong> desde {formatDate(activeLease.data_inicio)}
+              {activeLease.data_fim ? ` até ${formatDate(activeLease.data_fim)}` : ', sem data de fim'}.
+            </p>
+          )}
+
+          <h4 className="font-semibold text-gray-700 mb-2">Cadeia de propriedade</h4>
+          {chain.length === 0 ? (
+            <p className="text-gray-500 italic text-sm mb-4">Sem proprietário registado.</p>
+          ) : (
+            <ol className="mb-4 space-y-1 text-sm border-l-2 border-green-300 pl-4">
+              {chain.map((period, index) => (
+                <li key={period.transfer?.id || 'origem'}>
+                  <span className="font-medium text-gray-800">{ownerName(period.ownerId)}</span>
+                  <span className="text-gray-600">
+                    {period.from ? ` — comprado em ${formatDate(period.from)}` : ' — primeiro proprietário registado'}
+                    {period.to && `, vendido em ${formatDate(period.to)}`}
+                  </span>
+                  {index === chain.length - 1 && (
+                    <span className="ml-2 text-xs px-2 py-0.5 bg-green-100 text-green-800 rounded-full">Atual</span>
+                  )}
+                  {period.transfer?.notas && <span className="block text-gray-500">{period.transfer.notas}</span>}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {leases.length > 0 && (
+            <>
+              <h4 className="font-semibold text-gray-700 mb-2">Arrendamentos</h4>
+              <ul className="space-y-1 text-sm">
+                {leases.map(lease => (
+                  <li key={lease.id}>
+                    <span className="font-medium text-gray-800">{ownerName(lease.proprietario_id)}</span>
+                    <span className="text-gray-600">
+                      {` — de ${formatDate(lease.data_inicio)}`}
+                      {lease.data_fim ? ` a ${formatDate(lease.data_fim)}` : ', sem data de fim'}
+                      {` (arrendado por ${ownerName(lease.proprietario_anterior_id)})`}
+                    </span>
+                    {lease.active && (
+                      <span className="ml-2 text-xs px-2 py-0.5 bg-blue-100 text-blue-800 rounded-full">Em curso</span>
+                    )}
+                    {lease.notas && <span className="block text-gray-500">{lease.notas}</span>}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HorseOwnership;
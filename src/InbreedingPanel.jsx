@@ -0,0 +1,80 @@
+import React, { useMemo, useState } from 'react';
+import { calculateInbreeding, DEFAULT_COI_GENERATIONS, formatCoefficient, formatPaths } from './inbreeding';
+
+// --- Painel do Coeficiente de Consanguinidade (COI de Wright) ---
+function InbreedingPanel({ horse, horses, onSelectHorse }) {
+  const [generations, setGenerations] = useState(DEFAULT_COI_GENERATIONS);
+
+  const inbreeding = useMemo(
+    () => calculateInbreeding(horse, horses, { generations }),
+    [horse, horses, generations]
+  );
+
+  return (
+    <div className="pt-4 border-t border-gray-200 mt-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+        <h3 className="text-xl font-bold text-gray-700">Consanguinidade (COI)</h3>
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          Gerações:
+          <select
+            value={generations}
+            onChange={(e) => setGenerations(parseInt(e.target.value))}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {[3, 4, 5, 6, 7, 8, 9, 10].map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!horse.pai_id || !horse.mae_id ? (
+        <p className="text-gray-600 italic">É necessário conhecer o pai e a mãe para calcular o coeficiente.</p>
+      ) : (
+        <>
+          <p className="text-lg">
+            <strong className="text-gray-700">Coeficiente:</strong>{' '}
+            <span className="text-gray-800 font-semibold">{formatCoefficient(inbreeding.coefficient)}</span>
+            <span className="text-sm text-gray-500"> (em {generations} gerações)</span>
+          </p>
+          {inbreeding.commonAncestors.length === 0 ? (
+            <p className="text-sm text-gray-600 mt-2">Nenhum ancestral comum ao pai e à mãe nas gerações analisadas.</p>
+          ) : (
+            <table className="w-full mt-3 text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1">Ancestral comum</th>
+                  <th className="py-1">Caminhos</th>
+                  <th className="py-1">Gerações (pai:mãe)</th>
+                  <th className="py-1 text-right">Contribuição</th>
+                </tr>
+              </thead>
+              <tbody>
+                {inbreeding.commonAncestors.map(ancestor => (
+                  <tr key={ancestor.id} className="border-b border-gray-100">
+                    <td className="py-1">
+                      <button
+                        onClick={() => onSelectHorse(ancestor.id)}
+                        className="text-green-700 hover:underline font-medium"
+                      >
+                        {ancestor.name}
+                      </button>
+                      {ancestor.ancestorCoefficient > 0 && (
+                        <span className="text-xs text-gray-500"> (F = {formatCoefficient(ancestor.ancestorCoefficient)})</span>
+                      )}
+                    </td>
+                    <td className="py-1">{ancestor.pathCount}</td>
+                    <td className="py-1">{formatPaths(ancestor.paths)}</td>
+                    <td className="py-1 text-right">{formatCoefficient(ancestor.contribution)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default InbreedingPanel;
@@ -0,0 +1,457 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import * as d3 from 'd3';
+import { buildD3AncestryData, buildD3ProgenyData } from './pedigreeData';
+
+// --- Seletor entre a árvore de ascendência e a de descendência ---
+export function TreeModeToggle({ mode, onChange }) {
+  const optionClass = (active) => `flex-1 px-4 py-2 text-sm font-semibold transition duration-200 ${
+    active ? 'bg-green-700 text-white' : 'bg-white text-green-700 hover:bg-green-50'
+  }`;
+
+  return (
+    <div className="flex rounded-lg border border-green-700 overflow-hidden">
+      <button type="button" onClick={() => onChange('ancestry')} className={optionClass(mode !== 'progeny')}>
+        Ascendência
+      </button>
+      <button type="button" onClick={() => onChange('progeny')} className={optionClass(mode === 'progeny')}>
+        Descendência
+      </button>
+    </div>
+  );
+}
+
+// Gerações mostradas além do próprio cavalo
+const DEFAULT_TREE_GENERATIONS = 4;
+const GENERATION_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+const CARD_WIDTH = 140;
+const CARD_HEIGHT = 115;
+const CARD_TOP = -45; // A foto fica no topo do cartão, centrada em (0, -10)
+// Espaçamento entre cartões: [na mesma geração, entre gerações]
+const HORIZONTAL_SPACING = [130, 220];
+const VERTICAL_SPACING = [160, 170];
+const TRANSITION_MS = 400;
+const MOBILE_QUERY = '(max-width: 639px)';
+const PHOTO_PLACEHOLDER = 'https://placehold.co/60x60/cccccc/white?text=Foto';
+
+// Linha paterna a azul e materna a rosa; na descendência, pelo sexo do descendente
+const LINE_COLORS = { sire: '#3B82F6', dam: '#EC4899', root: '#16A34A' };
+const lineRole = (node) => {
+  if (node.depth === 0) return 'root';
+  if (node.data.role) return node.data.role;
+  return node.data.sex === 'Fêmea' ? 'dam' : 'sire';
+};
+// Cores dos ancestrais repetidos, uma por cavalo
+const REPEAT_COLORS = ['#F59E0B', '#8B5CF6', '#14B8A6', '#EF4444', '#84CC16', '#F97316', '#06B6D4', '#A855F7'];
+
+// Cada nó recebe uma chave pelo caminho desde a raiz (papel na ascendência, ID na
+// descendência): o mesmo cavalo pode aparecer em vários ramos, e cada um recolhe-se à parte.
+const withNodeKeys = (node, parentKey = null) => {
+  const key = parentKey === null ? 'raiz' : `${parentKey}/${node.role || node.id}`;
+  return { ...node, key, children: node.children.map(child => withNodeKeys(child, key)) };
+};
+
+// Chave do nó visível mais próximo no caminho de `key`, para onde um ramo se recolhe
+const visibleAnchor = (key, positions, fallback) => {
+  const parts = key.split('/');
+  while (parts.length > 1) {
+    parts.pop();
+    const position = positions.get(parts.join('/'));
+    if (position) return position;
+  }
+  return fallback;
+};
+
+const useMediaQuery = (query) => {
+  const [matches, setMatches] = useState(() => window.matchMedia(query).matches);
+  useEffect(() => {
+    const mediaQuery = window.matchMedia(query);
+    const handleChange = () => setMatches(mediaQuery.matches);
+    mediaQuery.addEventListener('change', handleChange);
+    return () => mediaQuery.removeEventListener('change', handleChange);
+  }, [query]);
+  return matches;
+};
+
+// Componente da Árvore Genealógica (usando D3.js)
+// `mode` escolhe entre a ascendência ('ancestry') e a descendência ('progeny').
+// `title` substitui o título por omissão; sem `onBack` não há botão de voltar.
+// O SVG é criado uma vez e as mudanças (profundidade, ramos recolhidos, orientação)
+// atualizam os cartões existentes com transições. Em ecrãs estreitos a árvore cresce
+// para baixo em vez de para a direita.
+function LineageTreeD3({ rootHorse, horses, mode = 'ancestry', onChangeMode, onSelectHorse, onBack, title }) {
+  const svgRef = useRef();
+  // { svg, g, zoomBehavior, positions, fitKey, fitTimer }, criado pelo efeito de montagem
+  const chartRef = useRef(null);
+  const [generations, setGenerations] = useState(DEFAULT_TREE_GENERATIONS);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+  const isVertical = useMediaQuery(MOBILE_QUERY);
+  const isProgeny = mode === 'progeny';
+  const hasRoot = Boolean(rootHorse);
+
+  const treeData = useMemo(() => {
+    if (!rootHorse) return null;
+    const data = isProgeny
+      ? buildD3ProgenyData(rootHorse, horses, generations + 1)
+      : buildD3AncestryData(rootHorse, horses, generations + 1);
+    return data ? withNodeKeys(data) : null;
+  }, [rootHorse, horses, generations, isProgeny]);
+
+  const toggleCollapsed = useCallback((key) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }, []);
+
+  // Ajusta o zoom para que a árvore inteira caiba no ecrã
+  const fitToScreen = useCallback(() => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const bounds = chart.g.node().getBBox();
+    const { clientWidth, clientHeight } = svgRef.current;
+    if (!bounds.width || !clientWidth || !clientHeight) return;
+    const padding = 20;
+    const scale = Math.min(1.5, (clientWidth - padding * 2) / bounds.width, (clientHeight - padding * 2) / bounds.height);
+    const transform = d3.zoomIdentity
+      .translate(clientWidth / 2, clientHeight / 2)
+      .scale(scale)
+      .translate(-(bounds.x + bounds.width / 2), -(bounds.y + bounds.height / 2));
+    chart.svg.transition().duration(TRANSITION_MS).call(chart.zoomBehavior.transform, transform);
+  }, []);
+
+  // Tamanho real, com o cavalo raiz junto à margem onde a árvore começa
+  const resetZoom = () => {
+    const chart = chartRef.current;
+    if (!chart) return;
+    const { clientWidth, clientHeight } = svgRef.current;
+    const transform = isVertical
+      ? d3.zoomIdentity.translate(clientWidth / 2, -CARD_TOP + 20)
+      : d3.zoomIdentity.translate(CARD_WIDTH / 2 + 20, clientHeight / 2);
+    chart.svg.transition().duration(TRANSITION_MS).call(chart.zoomBehavior.transform, transform);
+  };
+
+  // Estrutura fixa do SVG: recorte das fotos, camadas e zoom
+  useEffect(() => {
+    if (!hasRoot) return undefined;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+
+    // Recorte circular das fotos (o border-radius do CSS não tem efeito em SVG)
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', 'tree-photo-clip')
+      .attr('clipPathUnits', 'objectBoundingBox')
+      .append('circle')
+      .attr('cx', 0.5)
+      .attr('cy', 0.5)
+      .attr('r', 0.5);
+
+    const g = svg.append('g');
+    g.append('g').attr('class', 'links');
+    g.append('g').attr('class', 'repeats');
+    g.append('g').attr('class', 'nodes');
+
+    const zoomBehavior = d3.zoom()
+      .scaleExtent([0.1, 5])
+      .on('zoom', (event) => g.attr('transform', event.transform));
+    svg.call(zoomBehavior);
+
+    const chart = { svg, g, zoomBehavior, positions: new Map(), fitKey: null, fitTimer: null };
+    chartRef.current = chart;
+    return () => {
+      clearTimeout(chart.fitTimer);
+      svg.on('.zoom', null);
+      svg.selectAll('*').remove();
+      chartRef.current = null;
+    };
+  }, [hasRoot]);
+
+  // Cartões e ligações. Os ramos expandidos saem do nó onde se clicou e os recolhidos
+  // voltam a ele.
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart || !treeData) return;
+    const { g, positions } = chart;
+
+    const root = d3.hierarchy(treeData, d => (collapsed.has(d.key) ? null : d.children));
+    d3.tree().nodeSize(isVertical ? VERTICAL_SPACING : HORIZONTAL_SPACING)(root);
+    const point = (node) => (isVertical ? { x: node.x, y: node.y } : { x: node.y, y: node.x });
+    const nodes = root.descendants();
+    const newPositions = new Map(nodes.map(node => [node.data.key, point(node)]));
+    const rootPoint = point(root);
+    const enterAnchor = (node) => visibleAnchor(node.data.key, positions, rootPoint);
+    const exitAnchor = (node) => visibleAnchor(node.data.key, newPositions, rootPoint);
+    const translate = ({ x, y }) => `translate(${x},${y})`;
+
+    // Ancestrais que aparecem mais de uma vez entre os cartões visíveis
+    const occurrences = d3.group(nodes, node => node.data.id);
+    const repeatColor = new Map();
+    for (const [id, group] of occurrences) {
+      if (group.length > 1) repeatColor.set(id, REPEAT_COLORS[repeatColor.size % REPEAT_COLORS.length]);
+    }
+
+    const transition = g.transition().duration(TRANSITION_MS);
+    const link = isVertical ? d3.linkVertical() : d3.linkHorizontal();
+    const linkPath = (source, target) => link({ source: [source.x, source.y], target: [target.x, target.y] });
+
+    g.select('.links').selectAll('path')
+      .data(root.links(), l => l.target.data.key)
+      .join(
+        enter => enter.append('path')
+          .attr('fill', 'none')
+          .attr('stroke-width', 2)
+          .attr('d', l => linkPath(enterAnchor(l.target), enterAnchor(l.target))),
+        update => update,
+        exit => exit.transition(transition)
+          .attr('d', l => linkPath(exitAnchor(l.target), exitAnchor(l.target)))
+          .remove()
+      )
+      .attr('stroke', l => LINE_COLORS[lineRole(l.target)])
+      .transition(transition)
+      .attr('d', l => linkPath(point(l.source), point(l.target)));
+
+    // Ligações a tracejado entre ocorrências seguidas do mesmo ancestral
+    const repeatLinks = [...occurrences.values()]
+      .filter(group => group.length > 1)
+      .flatMap(group => group.slice(1).map((node, index) => ({
+        key: `${group[index].data.key}~${node.data.key}`,
+        id: node.data.id,
+        source: point(group[index]),
+        target: point(node),
+      })));
+    const bend = isVertical ? { x: 0, y: 60 } : { x: 90, y: 0 };
+    const curve = ({ source, target }) => `M${source.x},${source.y} Q${(source.x + target.x) / 2 + bend.x},${(source.y + target.y) / 2 + bend.y} ${target.x},${target.y}`;
+    g.select('.repeats').selectAll('path')
+      .data(repeatLinks, l => l.key)
+      .join(
+        enter => enter.append('path')
+          .attr('fill', 'none')
+          .attr('stroke-width', 2)
+          .attr('stroke-dasharray', '6 4')
+          .attr('opacity', 0)
+          .attr('d', curve),
+        update => update,
+        exit => exit.transition(transition).attr('opacity', 0).remove()
+      )
+      .attr('stroke', l => repeatColor.get(l.id))
+      .transition(transition)
+      .attr('opacity', 0.8)
+      .attr('d', curve);
+
+    const nodeGroups = g.select('.nodes').selectAll('g.node')
+      .data(nodes, node => node.data.key)
+      .join(
+        enter => {
+          const group = enter.append('g')
+            .attr('class', 'node')
+            .attr('cursor', 'pointer')
+            .attr('opacity', 0)
+            .attr('transform', node => translate(enterAnchor(node)));
+
+          group.append('rect')
+            .attr('class', 'card')
+            .attr('x', -CARD_WIDTH / 2)
+            .attr('y', CARD_TOP)
+            .attr('width', CARD_WIDTH)
+            .attr('height', CARD_HEIGHT)
+            .attr('rx', 10)
+            .attr('ry', 10);
+
+          group.append('image')
+            .attr('x', -30)
+            .attr('y', -40)
+            .attr('width', 60)
+            .attr('height', 60)
+            .attr('preserveAspectRatio', 'xMidYMid slice')
+            .attr('clip-path', 'url(#tree-photo-clip)');
+
+          group.append('text')
+            .attr('class', 'name')
+            .attr('y', 30)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '12px')
+            .attr('font-weight', 'bold')
+            .attr('fill', '#166534');
+
+          group.append('text')
+            .attr('class', 'breed')
+            .attr('y', 45)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '10px')
+            .attr('fill', '#4B5563');
+
+          group.append('text')
+            .attr('class', 'identifier')
+            .attr('y', 59)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '9px')
+            .attr('fill', '#6B7280');
+
+          // Número de vezes que um ancestral repetido aparece
+          const badge = group.append('g')
+            .attr('class', 'repeat-badge')
+            .attr('transform', `translate(${CARD_WIDTH / 2 - 14},${CARD_TOP + 14})`);
+          badge.append('circle').attr('r', 11);
+          badge.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .attr('font-size', '10px')
+            .attr('font-weight', 'bold')
+            .attr('fill', 'white');
+
+          // Recolher/expandir o ramo, no lado do cartão para onde a árvore cresce
+          const toggle = group.append('g').attr('class', 'toggle');
+          toggle.append('title');
+          toggle.append('circle')
+            .attr('r', 10)
+            .attr('fill', 'white')
+            .attr('stroke', '#6B7280');
+          toggle.append('text')
+            .attr('text-anchor', 'middle')
+            .attr('dy', '0.35em')
+            .attr('font-size', '14px')
+            .attr('font-weight', 'bold')
+            .attr('fill', '#374151');
+
+          return group;
+        },
+        update => update,
+        exit => exit.transition(transition)
+          .attr('opacity', 0)
+          .attr('transform', node => translate(exitAnchor(node)))
+          .remove()
+      );
+
+    const cardStrokeWidth = node => (node.depth === 0 ? 2.5 : 1.5);
+    // Ao passar o rato sobre um ancestral repetido, realçam-se todas as suas ocorrências
+    const highlightRepeats = (horseId, highlighted) => {
+      g.selectAll('g.node')
+        .filter(other => other.data.id === horseId)
+        .select('rect.card')
+        .attr('stroke-width', other => (highlighted ? 4 : cardStrokeWidth(other)));
+    };
+
+    nodeGroups
+      .on('click', (event, node) => {
+        event.stopPropagation();
+        onSelectHorse(node.data.id); // Passa o ID, não o nome
+      })
+      .on('mouseenter', (event, node) => repeatColor.has(node.data.id) && highlightRepeats(node.data.id, true))
+      .on('mouseleave', (event, node) => repeatColor.has(node.data.id) && highlightRepeats(node.data.id, false));
+
+    nodeGroups.select('rect.card')
+      .attr('fill', node => (repeatColor.has(node.data.id)
+        ? d3.color(repeatColor.get(node.data.id)).copy({ opacity: 0.15 }).formatRgb()
+        : 'white'))
+      .attr('stroke', node => (repeatColor.get(node.data.id) || LINE_COLORS[lineRole(node)]))
+      .attr('stroke-width', cardStrokeWidth)
+      .attr('stroke-dasharray', node => (node.data.external ? '4 3' : null)); // Ancestrais externos a tracejado
+    nodeGroups.select('image').attr('href', node => node.data.photoUrl || PHOTO_PLACEHOLDER);
+    nodeGroups.select('text.name').text(node => node.data.name);
+    nodeGroups.select('text.breed').text(node => node.data.breed);
+    nodeGroups.select('text.identifier').text(node => node.data.identifier || '');
+
+    const badges = nodeGroups.select('g.repeat-badge')
+      .attr('display', node => (repeatColor.has(node.data.id) ? null : 'none'));
+    badges.select('circle').attr('fill', node => repeatColor.get(node.data.id) || 'none');
+    badges.select('text').text(node => `×${occurrences.get(node.data.id).length}`);
+
+    const toggles = nodeGroups.select('g.toggle')
+      .attr('display', node => (node.data.children.length > 0 ? null : 'none'))
+      .attr('transform', isVertical ? `translate(0,${CARD_TOP + CARD_HEIGHT})` : `translate(${CARD_WIDTH / 2},0)`)
+      .on('click', (event, node) => {
+        event.stopPropagation();
+        toggleCollapsed(node.data.key);
+      });
+    toggles.select('text').text(node => (collapsed.has(node.data.key) ? '+' : '−'));
+    toggles.select('title').text(node => (collapsed.has(node.data.key) ? 'Expandir o ramo' : 'Recolher o ramo'));
+
+    nodeGroups.transition(transition)
+      .attr('opacity', 1)
+      .attr('transform', node => translate(point(node)));
+
+    chart.positions = newPositions;
+
+    // Ajusta ao ecrã quando muda o cavalo, o modo, a profundidade ou a orientação, depois
+    // de a transição pôr os cartões no sítio; recolher um ramo não mexe no zoom escolhido
+    const fitKey = `${treeData.id}|${isProgeny}|${generations}|${isVertical}`;
+    if (chart.fitKey !== fitKey) {
+      chart.fitKey = fitKey;
+      clearTimeout(chart.fitTimer);
+      chart.fitTimer = setTimeout(fitToScreen, TRANSITION_MS + 50);
+    }
+  }, [treeData, collapsed, isVertical, isProgeny, generations, onSelectHorse, toggleCollapsed, fitToScreen]);
+
+  if (!rootHorse) {
+    return (
+      <div className="text-center p-6 bg-red-100 text-red-700 rounded-lg shadow-md">
+        <p className="text-xl font-semibold mb-4">Cavalo raiz não encontrado para a árvore genealógica.</p>
+        <button
+          onClick={onBack}
+          className="mt-4 px-6 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition duration-300 shadow-md"
+        >
+          Voltar
+        </button>
+      </div>
+    );
+  }
+
+  const controlClass = 'px-3 py-1 bg-white border border-gray-300 rounded-lg hover:bg-gray-100';
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-100">
+      <h2 className="text-3xl font-bold text-green-700 mb-6 text-center">
+        {title || `${isProgeny ? 'Descendentes' : 'Árvore Genealógica'} de ${rootHorse.nome}`}
+      </h2>
+      {onChangeMode && (
+        <div className="mb-4">
+          <TreeModeToggle mode={mode} onChange={onChangeMode} />
+        </div>
+      )}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          Gerações:
+          <select
+            value={generations}
+            onChange={(e) => setGenerations(parseInt(e.target.value))}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {GENERATION_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+        <div className="flex flex-wrap gap-2">
+          <button type="button" onClick={fitToScreen} className={controlClass}>Ajustar ao ecrã</button>
+          <button type="button" onClick={resetZoom} className={controlClass}>Repor zoom</button>
+          {collapsed.size > 0 && (
+            <button type="button" onClick={() => setCollapsed(new Set())} className={controlClass}>Expandir tudo</button>
+          )}
+        </div>
+      </div>
+      <p className="text-xs text-gray-500 mb-2">
+        <span className="text-blue-600 font-semibold">Azul</span>: {isProgeny ? 'machos' : 'linha paterna'};{' '}
+        <span className="text-pink-600 font-semibold">rosa</span>: {isProgeny ? 'fêmeas' : 'linha materna'}.
+        Um cavalo que aparece mais de uma vez tem a mesma cor em todas as ocorrências, ligadas a tracejado.
+        Os botões − e + recolhem e expandem cada ramo.
+      </p>
+      {isProgeny && !horses.some(h => h.pai_id === rootHorse.id || h.mae_id === rootHorse.id) && (
+        <p className="text-center text-gray-500 mb-4">Nenhum descendente registado para {rootHorse.nome}.</p>
+      )}
+      <div className="overflow-hidden border border-gray-100 rounded-lg" style={{ height: '70vh', width: '100%' }}>
+        <svg ref={svgRef} className="block" style={{ width: '100%', height: '100%' }}></svg>
+      </div>
+      {onBack && (
+        <button
+          onClick={onBack}
+          className="mt-8 px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 transform hover:scale-105 w-full text-lg"
+        >
+          &larr; Voltar
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default LineageTreeD3;
@@ -0,0 +1,222 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import LineageTreeD3 from './LineageTreeD3';
+import { compareStallions, HYPOTHETICAL_FOAL_ID } from './matingPlanner';
+import { DEFAULT_COI_GENERATIONS, formatCoefficient, formatPaths } from './inbreeding';
+import { paths } from './router';
+
+// Garanhões comparados ao mesmo tempo, no máximo
+const MAX_SIRES = 6;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// --- Planeador de acasalamentos ---
+// Escolhe-se uma égua e um ou mais garanhões; para cada par mostra-se o
+// coeficiente de consanguinidade esperado do potro e os ancestrais comuns, e
+// a árvore do potro hipotético do par selecionado.
+function MatingPlanner({ horses, initialDamId, initialSireIds, onSelectHorse, onBack }) {
+  const [damId, setDamId] = useState(initialDamId || '');
+  const [sireIds, setSireIds] = useState(initialSireIds || []);
+  const [generations, setGenerations] = useState(DEFAULT_COI_GENERATIONS);
+  const [treeSireId, setTreeSireId] = useState(initialSireIds?.[0] || '');
+
+  // A seleção fica na query string, para que um plano possa ser guardado ou partilhado
+  useEffect(() => {
+    const search = paths.matingPlanner(damId, sireIds);
+    if (search !== `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState(null, '', search);
+    }
+  }, [damId, sireIds]);
+
+  // Como no HorseForm: machos para garanhão, fêmeas para égua, sem arquivados
+  const byName = (a, b) => a.nome.localeCompare(b.nome);
+  const mares = useMemo(() => horses.filter(h => h.sexo === 'Fêmea' && !h.arquivado).sort(byName), [horses]);
+  const stallions = useMemo(() => horses.filter(h => h.sexo === 'Macho' && !h.arquivado).sort(byName), [horses]);
+
+  const dam = useMemo(() => horses.find(h => h.id === damId) || null, [horses, damId]);
+  const sires = useMemo(() => sireIds.map(id => horses.find(h => h.id === id)).filter(Boolean), [horses, sireIds]);
+
+  const { evaluations, lowestCoefficient } = useMemo(
+    () => (dam ? compareStallions(dam, sires, horses, { generations }) : { evaluations: [], lowestCoefficient: null }),
+    [dam, sires, horses, generations]
+  );
+  const selectedEvaluation = evaluations.find(evaluation => evaluation.sire.id === treeSireId) || evaluations[0] || null;
+  const foal = selectedEvaluation?.foal;
+  const treeHorses = useMemo(() => (foal ? [...horses, foal] : horses), [horses, foal]);
+
+  const addSire = (id) => {
+    if (!id || sireIds.includes(id) || sireIds.length >= MAX_SIRES) return;
+    setSireIds(prevIds => [...prevIds, id]);
+    if (!treeSireId) setTreeSireId(id);
+  };
+
+  const removeSire = (id) => {
+    setSireIds(prevIds => prevIds.filter(sireId => sireId !== id));
+    if (treeSireId === id) setTreeSireId('');
+  };
+
+  // O nó do potro hipotético não tem página de detalhes
+  const selectTreeHorse = (id) => {
+    if (id !== HYPOTHETICAL_FOAL_ID) onSelectHorse(id);
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+
+  return (
+    <div>
+      <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+        <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Planeador de Acasalamentos</h2>
+        <p className="text-gray-600 mb-4 text-sm">
+          Escolha uma égua e até {MAX_SIRES} garanhões para comparar a consanguinidade esperada do potro de cada cruzamento.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-semibold">Égua</span>
+            <select value={damId} onChange={(e) => setDamId(e.target.value)} className={inputClass}>
+              <option value="">Selecione</option>
+              {mares.map(mare => <option key={mare.id} value={mare.id}>{mare.nome}</option>)}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-semibold">Adicionar garanhão</span>
+            <select
+              value=""
+              onChange={(e) => addSire(e.target.value)}
+              disabled={sireIds.length >= MAX_SIRES}
+              className={inputClass}
+            >
+              <option value="">{sireIds.length >= MAX_SIRES ? `Máximo de ${MAX_SIRES}` : 'Selecione'}</option>
+              {stallions.filter(stallion => !sireIds.includes(stallion.id)).map(stallion => (
+                <option key={stallion.id} value={stallion.id}>{stallion.nome}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1 font-semibold">Gerações analisadas</span>
+            <select value={generations} onChange={(e) => setGenerations(parseInt(e.target.value))} className={inputClass}>
+              {[3, 4, 5, 6, 7, 8, 9, 10].map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+        </div>
+
+        {!dam && <p className="text-gray-500 italic">Selecione uma égua para começar.</p>}
+        {dam && sires.length === 0 && <p className="text-gray-500 italic">Adicione pelo menos um garanhão.</p>}
+
+        {evaluations.length > 0 && (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1 pr-2">Garanhão</th>
+                  <th className="py-1 pr-2 text-right">COI do potro</th>
+                  <th className="py-1 pr-2">Ancestrais comuns</th>
+                  <th className="py-1 pr-2 text-right">Pedigree conhecido</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {evaluations.map(evaluation => {
+                  const isSelected = selectedEvaluation && evaluation.sire.id === selectedEvaluation.sire.id;
+                  const isLowest = evaluations.length > 1 && evaluation.inbreeding.coefficient === lowestCoefficient;
+                  return (
+                    <tr key={evaluation.sire.id} className={`border-b border-gray-100 align-top ${isSelected ? 'bg-green-50' : ''}`}>
+                      <td className="py-2 pr-2">
+                        <button onClick={() => onSelectHorse(evaluation.sire.id)} className="text-green-700 hover:underline font-medium">
+                          {evaluation.sire.nome}
+                        </button>
+                        {evaluation.issues.filter(issue => issue.severity === 'error').map(issue => (
+                          <p key={`${issue.code}:${issue.field}`} className="text-xs text-red-700">{issue.message}</p>
+                        ))}
+                      </td>
+                      <td className={`py-2 pr-2 text-right font-semibold ${isLowest ? 'text-green-700' : 'text-gray-800'}`}>
+                        {formatCoefficient(evaluation.inbreeding.coefficient)}
+                        {isLowest && <span className="block text-xs font-normal">o mais baixo</span>}
+                      </td>
+                      <td className="py-2 pr-2">
+                        {evaluation.inbreeding.commonAncestors.length === 0
+                          ? <span className="text-gray-500">Nenhum</span>
+                          : evaluation.inbreeding.commonAncestors.slice(0, 3).map(ancestor => ancestor.name).join(', ')
+                            + (evaluation.inbreeding.commonAncestors.length > 3 ? ` e mais ${evaluation.inbreeding.commonAncestors.length - 3}` : '')}
+                      </td>
+                      <td className="py-2 pr-2 text-right">{formatPercent(evaluation.completeness)}</td>
+                      <td className="py-2 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => setTreeSireId(evaluation.sire.id)}
+                          className="px-2 py-1 text-xs bg-white border border-green-600 text-green-700 rounded hover:bg-green-50"
+                        >
+                          Ver potro
+                        </button>
+                        <button
+                          onClick={() => removeSire(evaluation.sire.id)}
+                          className="ml-1 px-2 py-1 text-xs bg-white border border-gray-300 text-gray-600 rounded hover:bg-gray-100"
+                          aria-label={`Remover ${evaluation.sire.nome}`}
+                        >
+                          ×
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              "Pedigree conhecido" é a fração de ancestrais do potro registados nas {generations} gerações analisadas; um pedigree incompleto subestima a consanguinidade.
+            </p>
+          </div>
+        )}
+
+        {selectedEvaluation && selectedEvaluation.inbreeding.commonAncestors.length > 0 && (
+          <div className="mt-6">
+            <h3 className="text-xl font-bold text-gray-700 mb-2">
+              Ancestrais comuns: {selectedEvaluation.sire.nome} × {selectedEvaluation.dam.nome}
+            </h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-1">Ancestral comum</th>
+                  <th className="py-1">Caminhos</th>
+                  <th className="py-1">Gerações (pai:mãe)</th>
+                  <th className="py-1 text-right">Contribuição</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedEvaluation.inbreeding.commonAncestors.map(ancestor => (
+                  <tr key={ancestor.id} className="border-b border-gray-100">
+                    <td className="py-1">
+                      <button onClick={() => onSelectHorse(ancestor.id)} className="text-green-700 hover:underline font-medium">
+                        {ancestor.name}
+                      </button>
+                    </td>
+                    <td className="py-1">{ancestor.pathCount}</td>
+                    <td className="py-1">{formatPaths(ancestor.paths)}</td>
+                    <td className="py-1 text-right">{formatCoefficient(ancestor.contribution)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {selectedEvaluation && (
+        <div className="mt-6">
+          <LineageTreeD3
+            rootHorse={foal}
+            horses={treeHorses}
+            onSelectHorse={selectTreeHorse}
+            title={`Potro hipotético: ${selectedEvaluation.foal.nome}`}
+          />
+        </div>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 transform hover:scale-105 w-full text-lg"
+      >
+        &larr; Voltar
+      </button>
+    </div>
+  );
+}
+
+export default MatingPlanner;
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { ownershipRepository } from './data';
+
+const OWNER_FIELDS = [
+  { field: 'nome', label: 'Nome', required: true },
+  { field: 'contacto', label: 'Contacto', placeholder: 'Telefone ou email' },
+  { field: 'notas', label: 'Notas' },
+];
+
+const STABLE_FIELDS = [
+  { field: 'nome', label: 'Nome', required: true },
+  { field: 'morada', label: 'Morada' },
+  { field: 'notas', label: 'Notas' },
+];
+
+const emptyValues = (fields) => Object.fromEntries(fields.map(({ field }) => [field, '']));
+
+// Lista editável de proprietários ou de locais. `onSave(id | null, values)` cria ou
+// atualiza e `onRemove(entry)` exclui; ambos devolvem Promises que rejeitam com o erro.
+function EntityList({ title, addLabel, fields, entries, countFor, onSave, onRemove, onShowHorses }) {
+  // Formulário aberto: `{ id, values }`, com `id` null para um registo novo
+  const [editing, setEditing] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const runChange = async (description, change) => {
+    setBusy(true);
+    try {
+      await change();
+      return true;
+    } catch (err) {
+      console.error(`Erro ao ${description}:`, err.message);
+      alert(`Falha ao ${description}: ${err.message}`);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = Object.fromEntries(Object.entries(editing.values).map(([field, value]) => [field, value.trim() || null]));
+    if (!values.nome) {
+      alert('Indique o nome.');
+      return;
+    }
+    const saved = await runChange('guardar', () => onSave(editing.id, values));
+    if (saved) setEditing(null);
+  };
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Excluir "${entry.nome}"?`)) return;
+    await runChange('excluir', () => onRemove(entry));
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+
+  const renderForm = () => (
+    <form onSubmit={handleSubmit} className="mb-4 p-4 bg-green-50 rounded-lg border border-green-200 space-y-3 text-sm">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {fields.map(({ field, label, placeholder, required }) => (
+          <label key={field} className="text-gray-700">
+            <span className="block mb-1 font-semibold">{label}</span>
+            <input
+              type="text"
+              value={editing.values[field]}
+              onChange={(e) => setEditing(prev => ({ ...prev, values: { ...prev.values, [field]: e.target.value } }))}
+              placeholder={placeholder}
+              required={required}
+              className={inputClass}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="submit" disabled={busy} className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 disabled:opacity-50">
+          {busy ? 'A guardar...' : 'Guardar'}
+        </button>
+        <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-300">
+          Cancelar
+        </button>
+      </div>
+    </form>
+  );
+
+  return (
+    <section className="mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-700">{title}</h3>
+        {!editing && (
+          <button
+            onClick={() => setEditing({ id: null, values: emptyValues(fields) })}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition duration-300 text-sm"
+          >
+            {addLabel}
+          </button>
+        )}
+      </div>
+
+      {editing && editing.id === null && renderForm()}
+
+      {entries.length === 0 ? (
+        <p className="text-gray-500 italic text-sm">Nenhum registo ainda.</p>
+      ) : (
+        <ul className="space-y-2">
+          {entries.map(entry => {
+            const count = countFor(entry.id);
+            return editing?.id === entry.id ? (
+              <li key={entry.id}>{renderForm()}</li>
+            ) : (
+              <li key={entry.id} className="p-3 bg-gray-50 rounded-lg border border-gray-200 flex flex-wrap justify-between items-center gap-2">
+                <div>
+                  <span className="font-semibold text-gray-800">{entry.nome}</span>
+                  {fields.filter(({ field }) => field !== 'nome' && entry[field]).map(({ field }) => (
+                    <span key={field} className="block text-sm text-gray-600">{entry[field]}</span>
+                  ))}
+                </div>
+                <div className="flex items-center gap-3 text-sm">
+                  <button onClick={() => onShowHorses(entry.id)} disabled={count === 0} className="text-green-700 hover:underline disabled:text-gray-400 disabled:no-underline">
+                    {count === 1 ? '1 cavalo' : `${count} cavalos`}
+                  </button>
+                  <button
+                    onClick={() => setEditing({ id: entry.id, values: Object.fromEntries(fields.map(({ field }) => [field, entry[field] || ''])) })}
+                    disabled={busy}
+                    className="text-yellow-700 hover:underline disabled:opacity-50"
+                  >
+                    editar
+                  </button>
+                  <button onClick={() => handleRemove(entry)} disabled={busy} className="text-red-600 hover:underline disabled:opacity-50">
+                    excluir
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// --- Proprietários e locais ---
+// Os proprietários e os locais (coudelarias, estábulos, quintas) do utilizador. Depois de
+// cada alteração, `onChange()` recarrega as listas usadas no resto da aplicação;
+// `onStableRemoved(id)` deixa sem local os cavalos do local excluído.
+function OwnersAndStables({ owners, stables, horses, currentUserId, onChange, onStableRemoved, onFilter, onBack }) {
+  const countBy = (field) => (id) => horses.filter(h => h[field] === id).length;
+
+  const saveWith = (create, update) => async (id, values) => {
+    await (id ? update(id, values) : create({ ...values, owner_id: currentUserId }));
+    await onChange();
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Proprietários e Locais</h2>
+      <p className="text-gray-600 mb-6 text-sm">
+        Registe aqui os proprietários dos cavalos que gere e os locais onde estão. Cada cavalo indica,
+        no formulário, o proprietário e o local atuais; as vendas e os arrendamentos registam-se na ficha do cavalo.
+        Um proprietário com cavalos ou transferências não pode ser excluído.
+      </p>
+
+      <EntityList
+        title="Proprietários"
+        addLabel="+ Novo Proprietário"
+        fields={OWNER_FIELDS}
+        entries={owners}
+        countFor={countBy('proprietario_id')}
+        onSave={saveWith(ownershipRepository.createOwner, ownershipRepository.updateOwner)}
+        onRemove={async (owner) => {
+          await ownershipRepository.removeOwner(owner.id);
+          await onChange();
+        }}
+        onShowHorses={(id) => onFilter({ proprietario: id })}
+      />
+
+      <EntityList
+        title="Locais"
+        addLabel="+ Novo Local"
+        fields={STABLE_FIELDS}
+        entries={stables}
+        countFor={countBy('local_id')}
+        onSave={saveWith(ownershipRepository.createStable, ownershipRepository.updateStable)}
+        onRemove={async (stable) => {
+          await ownershipRepository.removeStable(stable.id);
+          onStableRemoved(stable.id);
+          await onChange();
+        }}
+        onShowHorses={(id) => onFilter({ local: id })}
+      />
+
+      <button
+        onClick={onBack}
+        className="mt-4 w-full px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 text-lg"
+      >
+        &larr; Voltar
+      </button>
+    </div>
+  );
+}
+
+export default OwnersAndStables;
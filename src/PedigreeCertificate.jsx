@@ -0,0 +1,303 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import QRCode from 'qrcode';
+import { buildD3AncestryData, toPedigreeBracket } from './pedigreeData';
+import { calculateInbreeding, formatCoefficient } from './inbreeding';
+import { formatBirth } from './horseAge';
+import { paths } from './router';
+import {
+  canvasToBlob, downloadBlob, downloadText, imageUrlToDataUrl, serializeSvg, slugify, svgToCanvas,
+} from './exportFiles';
+
+// Página A4 na horizontal, em píxeis a 96 dpi
+const PAGE_WIDTH = 1123;
+const PAGE_HEIGHT = 794;
+const MARGIN = 50;
+const BRACKET_TOP = 270;
+const BRACKET_BOTTOM = 740;
+const COLUMN_GAP = 20;
+const SERIF = 'Georgia, "Times New Roman", serif';
+
+// O SVG não corta texto automaticamente: encurta com reticências pela largura aproximada
+const fitText = (text, width, fontSize) => {
+  const maxChars = Math.max(3, Math.floor(width / (fontSize * 0.56)));
+  if (!text || text.length <= maxChars) return text || '';
+  return `${text.slice(0, maxChars - 1)}…`;
+};
+
+// --- Certificado de pedigree (SVG gerado no navegador, exportável em PDF/PNG/SVG) ---
+function PedigreeCertificate({ horse, horses, onBack }) {
+  const svgRef = useRef();
+  const [generations, setGenerations] = useState(4);
+  const [photoDataUrl, setPhotoDataUrl] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState(null);
+  const [exporting, setExporting] = useState(false);
+
+  const shareUrl = `${window.location.origin}${paths.shared(horse.id)}`;
+
+  useEffect(() => {
+    QRCode.toDataURL(shareUrl, { margin: 1, width: 260, color: { dark: '#14532d', light: '#ffffff' } })
+      .then(setQrDataUrl)
+      .catch(err => console.error('Erro ao gerar o código QR:', err));
+  }, [shareUrl]);
+
+  // A foto é embutida como data URL para que apareça nos ficheiros exportados
+  useEffect(() => {
+    let cancelled = false;
+    imageUrlToDataUrl(horse.url_imagem).then(dataUrl => {
+      if (!cancelled) setPhotoDataUrl(dataUrl);
+    });
+    return () => { cancelled = true; };
+  }, [horse.url_imagem]);
+
+  const bracket = useMemo(
+    () => toPedigreeBracket(buildD3AncestryData(horse, horses, generations + 1), generations),
+    [horse, horses, generations]
+  );
+  const inbreeding = useMemo(() => calculateInbreeding(horse, horses, { generations: 5 }), [horse, horses]);
+
+  const fileBaseName = `pedigree-${slugify(horse.nome)}`;
+
+  const runExport = async (exporter) => {
+    setExporting(true);
+    try {
+      await exporter(serializeSvg(svgRef.current));
+    } catch (err) {
+      console.error('Erro ao exportar o certificado:', err);
+      alert(`Falha ao exportar o certificado: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const exportSvg = () => runExport(async (svgString) => {
+    downloadText(svgString, `${fileBaseName}.svg`, 'image/svg+xml');
+  });
+
+  const exportPng = () => runExport(async (svgString) => {
+    const canvas = await svgToCanvas(svgString, PAGE_WIDTH, PAGE_HEIGHT, 2);
+    downloadBlob(await canvasToBlob(canvas), `${fileBaseName}.png`);
+  });
+
+  const exportPdf = () => runExport(async (svgString) => {
+    const [{ jsPDF }, canvas] = await Promise.all([
+      import('jspdf'),
+      svgToCanvas(svgString, PAGE_WIDTH, PAGE_HEIGHT, 2),
+    ]);
+    const pdf = new jsPDF({ orientation: 'landscape', unit: 'mm', format: 'a4' });
+    pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, 297, 210);
+    pdf.save(`${fileBaseName}.pdf`);
+  });
+
+  const printCertificate = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      alert('O navegador bloqueou a janela de impressão. Permita pop-ups para este site.');
+      return;
+    }
+    printWindow.document.write(`<!doctype html><html><head><title></title>
+      <style>@page { size: A4 landscape; margin: 0; } body { margin: 0; } svg { width: 100%; height: auto; }</style>
+      </head><body>${new XMLSerializer().serializeToString(svgRef.current)}</body></html>`);
+    printWindow.document.title = `${horse.nome} — Pedigree`;
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.onload = () => printWindow.print();
+  };
+
+  const columnWidth = (PAGE_WIDTH - 2 * MARGIN) / generations;
+  const bracketHeight = BRACKET_BOTTOM - BRACKET_TOP;
+
+  // Posição e tamanho da caixa de cada ancestral (geração >= 1)
+  const slotBox = (generation, position) => {
+    const slotHeight = bracketHeight / Math.pow(2, generation);
+    const height = Math.min(slotHeight - 4, 48);
+    const centerY = BRACKET_TOP + slotHeight * (position + 0.5);
+    return {
+      x: MARGIN + (generation - 1) * columnWidth,
+      y: centerY - height / 2,
+      width: columnWidth - COLUMN_GAP,
+      height,
+      centerY,
+    };
+  };
+
+  const renderSlot = (node, generation, position) => {
+    const box = slotBox(generation, position);
+    const isSire = position % 2 === 0;
+    const nameSize = generation <= 2 ? 14 : generation === 3 ? 12 : 10;
+    const showDetails = box.height >= 30;
+    const details = node ? [node.breed, node.birth].filter(Boolean).join(' · ') : '';
+
+    return (
+      <g key={`${generation}-${position}`}>
+        <rect
+          x={box.x}
+          y={box.y}
+          width={box.width}
+          height={box.height}
+          rx={4}
+          fill={node ? (isSire ? '#f0f9ff' : '#fdf2f8') : '#f9fafb'}
+          stroke={node ? (isSire ? '#0369a1' : '#be185d') : '#d1d5db'}
+          strokeWidth={1}
+        />
+        <text
+          x={box.x + 6}
+          y={showDetails ? box.y + box.height / 2 - 2 : box.centerY + nameSize / 3}
+          fontFamily={SERIF}
+          fontSize={nameSize}
+          fontWeight={node ? 'bold' : 'normal'}
+          fill={node ? '#111827' : '#9ca3af'}
+        >
+          {node ? fitText(node.name, box.width - 12, nameSize) : 'Desconhecido'}
+        </text>
+        {showDetails && details && (
+          <text x={box.x + 6} y={box.y + box.height / 2 + 12} fontFamily={SERIF} fontSize={10} fill="#4b5563">
+            {fitText(details, box.width - 12, 10)}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  // Ligações em chave entre cada cavalo e os seus pais na coluna seguinte
+  const renderConnectors = () => {
+    const lines = [];
+    for (let generation = 1; generation < generations; generation++) {
+      bracket[generation].forEach((node, position) => {
+        const box = slotBox(generation, position);
+        const sireBox = slotBox(generation + 1, position * 2);
+        const damBox = slotBox(generation + 1, position * 2 + 1);
+        const elbowX = box.x + box.width + COLUMN_GAP / 2;
+        lines.push(
+          <path
+            key={`c-${generation}-${position}`}
+            d={`M${box.x + box.width},${box.centerY} H${elbowX} M${elbowX},${sireBox.centerY} V${damBox.centerY} M${elbowX},${sireBox.centerY} H${sireBox.x} M${elbowX},${damBox.centerY} H${damBox.x}`}
+            fill="none"
+            stroke={node ? '#6b7280' : '#e5e7eb'}
+            strokeWidth={1}
+          />
+        );
+      });
+    }
+    return lines;
+  };
+
+  const fields = [
+    ['Raça', horse.raca],
+    ['Sexo', horse.sexo],
+    ['Nascimento', formatBirth(horse) || 'Desconhecido'],
+    ['Consanguinidade (5 ger.)', horse.pai_id && horse.mae_id ? formatCoefficient(inbreeding.coefficient) : '—'],
+    ['Identificador', horse.id],
+  ];
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-100">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Certificado de Pedigree</h2>
+
+      <div className="flex flex-wrap justify-center items-center gap-3 mb-4">
+        <label className="text-sm text-gray-600 flex items-center gap-2">
+          Gerações:
+          <select
+            value={generations}
+            onChange={(e) => setGenerations(parseInt(e.target.value))}
+            className="p-1 border border-gray-300 rounded"
+          >
+            <option value={4}>4</option>
+            <option value={5}>5</option>
+          </select>
+        </label>
+        <button onClick={exportPdf} disabled={exporting} className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 disabled:opacity-50">PDF</button>
+        <button onClick={exportPng} disabled={exporting} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">PNG</button>
+        <button onClick={exportSvg} disabled={exporting} className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50">SVG</button>
+        <button onClick={printCertificate} className="px-4 py-2 bg-white border border-green-600 text-green-700 rounded-lg hover:bg-green-50">Imprimir</button>
+      </div>
+
+      <div className="overflow-x-auto border border-gray-200 rounded">
+        <svg
+          ref={svgRef}
+          viewBox={`0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}`}
+          width={PAGE_WIDTH}
+          height={PAGE_HEIGHT}
+          className="block mx-auto max-w-full h-auto"
+        >
+          <rect x={0} y={0} width={PAGE_WIDTH} height={PAGE_HEIGHT} fill="#ffffff" />
+          <rect x={16} y={16} width={PAGE_WIDTH - 32} height={PAGE_HEIGHT - 32} fill="none" stroke="#166534" strokeWidth={3} />
+          <rect x={24} y={24} width={PAGE_WIDTH - 48} height={PAGE_HEIGHT - 48} fill="none" stroke="#166534" strokeWidth={1} />
+
+          <text x={PAGE_WIDTH / 2} y={66} textAnchor="middle" fontFamily={SERIF} fontSize={30} fontWeight="bold" fill="#14532d">
+            Certificado de Pedigree
+          </text>
+
+          <defs>
+            <clipPath id="certificate-photo-clip">
+              <rect x={MARGIN} y={90} width={150} height={150} rx={8} />
+            </clipPath>
+          </defs>
+          {photoDataUrl ? (
+            <image
+              href={photoDataUrl}
+              x={MARGIN}
+              y={90}
+              width={150}
+              height={150}
+              preserveAspectRatio="xMidYMid slice"
+              clipPath="url(#certificate-photo-clip)"
+            />
+          ) : (
+            <g>
+              <rect x={MARGIN} y={90} width={150} height={150} rx={8} fill="#e5e7eb" />
+              <text x={MARGIN + 75} y={170} textAnchor="middle" fontFamily={SERIF} fontSize={13} fill="#6b7280">Sem foto</text>
+            </g>
+          )}
+
+          <text x={MARGIN + 175} y={118} fontFamily={SERIF} fontSize={28} fontWeight="bold" fill="#111827">
+            {fitText(horse.nome, 560, 28)}
+          </text>
+          {fields.map(([label, value], index) => (
+            <text key={label} x={MARGIN + 175} y={146 + index * 20} fontFamily={SERIF} fontSize={13} fill="#374151">
+              <tspan fontWeight="bold">{label}: </tspan>
+              {fitText(String(value ?? ''), 440, 13)}
+            </text>
+          ))}
+
+          {qrDataUrl && (
+            <g>
+              <image href={qrDataUrl} x={PAGE_WIDTH - MARGIN - 130} y={86} width={130} height={130} />
+              <text x={PAGE_WIDTH - MARGIN - 65} y={232} textAnchor="middle" fontFamily={SERIF} fontSize={10} fill="#4b5563">
+                Ver registo online
+              </text>
+            </g>
+          )}
+
+          {Array.from({ length: generations }, (_, index) => (
+            <text
+              key={`header-${index}`}
+              x={MARGIN + index * columnWidth}
+              y={BRACKET_TOP - 10}
+              fontFamily={SERIF}
+              fontSize={11}
+              fontWeight="bold"
+              fill="#166534"
+            >
+              {['Pais', 'Avós', 'Bisavós', 'Trisavós', 'Tetravós'][index]}
+            </text>
+          ))}
+          {renderConnectors()}
+          {bracket.slice(1).map((nodes, index) => nodes.map((node, position) => renderSlot(node, index + 1, position)))}
+
+          <text x={PAGE_WIDTH / 2} y={PAGE_HEIGHT - 34} textAnchor="middle" fontFamily={SERIF} fontSize={10} fill="#6b7280">
+            Emitido em {new Date().toLocaleDateString('pt-PT')} · Sistema de Pedigree Equino · {shareUrl}
+          </text>
+        </svg>
+      </div>
+
+      <button
+        onClick={onBack}
+        className="mt-8 px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 transform hover:scale-105 w-full text-lg"
+      >
+        &larr; Voltar
+      </button>
+    </div>
+  );
+}
+
+export default PedigreeCertificate;
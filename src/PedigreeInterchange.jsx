@@ -0,0 +1,251 @@
+import React, { useMemo, useState } from 'react';
+import {
+  applyMergeChoices, collectAncestry, DEFAULT_EXPORT_GENERATIONS, exportGedcom, exportJsonGraph,
+  NEW_HORSE, parseInterchangeFile, planInterchangeMerge, planMergeOrder,
+} from './pedigreeInterchange';
+import { downloadText, slugify } from './exportFiles';
+
+const ACTION_LABELS = {
+  create: 'Criar',
+  link: 'Completar pai/mãe',
+  keep: 'Já registado',
+};
+
+// --- Ecrã de intercâmbio (GEDCOM / JSON em grafo) ---
+// Exporta um cavalo com N gerações de ancestrais, ou a base inteira, e importa
+// ficheiros de outros criadores juntando-os aos cavalos existentes.
+function PedigreeInterchange({ horses, initialHorseId, canEdit, onMerge, onCancel }) {
+  const [scope, setScope] = useState(initialHorseId || '');
+  const [generations, setGenerations] = useState(DEFAULT_EXPORT_GENERATIONS);
+  const [format, setFormat] = useState('gedcom');
+
+  const [fileName, setFileName] = useState('');
+  const [parsed, setParsed] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [choices, setChoices] = useState({});
+  const [merging, setMerging] = useState(false);
+
+  const sortedHorses = useMemo(() => [...horses].sort((a, b) => a.nome.localeCompare(b.nome)), [horses]);
+
+  const plan = useMemo(() => (parsed ? planInterchangeMerge(parsed.records, horses) : []), [parsed, horses]);
+  const resolved = useMemo(() => applyMergeChoices(plan, choices, horses, { canEdit }), [plan, choices, horses, canEdit]);
+  const { order, cycleKeys } = useMemo(() => planMergeOrder(resolved), [resolved]);
+
+  const recordNames = useMemo(() => new Map(resolved.map(entry => [entry.record.key, entry.record.nome])), [resolved]);
+  const entriesWithIssues = resolved.filter(entry => entry.issues.length > 0);
+  const linkCount = resolved.filter(entry => entry.action === 'link').length;
+  const canMerge = parsed && (order.length > 0 || linkCount > 0) && entriesWithIssues.length === 0 && cycleKeys.length === 0 && !merging;
+
+  const handleExport = () => {
+    const rootHorse = scope && horses.find(h => h.id === scope);
+    const exported = rootHorse ? collectAncestry(rootHorse, horses, generations) : horses;
+    const baseName = rootHorse ? `pedigree-${slugify(rootHorse.nome)}` : 'cavalos';
+    if (format === 'gedcom') {
+      downloadText(exportGedcom(exported), `${baseName}.ged`, 'text/plain');
+    } else {
+      downloadText(exportJsonGraph(exported), `${baseName}.json`, 'application/json');
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    setParsed(null);
+    setChoices({});
+    setParseError('');
+    if (!file) return;
+
+    setFileName(file.name);
+    const reader = new FileReader();
+    reader.onloadend = () => {
+      try {
+        setParsed(parseInterchangeFile(reader.result, file.name));
+      } catch (err) {
+        setParseError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleMerge = async () => {
+    setMerging(true);
+    try {
+      await onMerge(resolved, order);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const formatRecordBirth = (record) => record.data_nascimento || (record.ano_nascimento ? `c. ${record.ano_nascimento}` : '');
+
+  const renderTarget = (entry) => {
+    if (entry.candidates.length === 0) {
+      return <span className="text-green-700">Novo cavalo</span>;
+    }
+    return (
+      <select
+        value={entry.target ?? ''}
+        onChange={(e) => setChoices(prevChoices => ({ ...prevChoices, [entry.record.key]: e.target.value || undefined }))}
+        className={`w-full p-1 border rounded text-xs ${entry.target ? 'border-gray-300' : 'border-red-400 bg-red-50'}`}
+      >
+        {entry.target === null && <option value="">Escolha...</option>}
+        {entry.candidates.map(horse => (
+          <option key={horse.id} value={horse.id}>
+            {horse.nome}{horse.data_nascimento || horse.ano_nascimento ? ` (${horse.data_nascimento || `c. ${horse.ano_nascimento}`})` : ''}
+            {entry.matchedBy === 'id' ? ' — mesmo id' : ''}
+          </option>
+        ))}
+        <option value={NEW_HORSE}>Criar como novo cavalo</option>
+      </select>
+    );
+  };
+
+  const inputClass = 'p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Intercâmbio de Pedigrees</h2>
+
+      <section className="mb-8">
+        <h3 className="text-xl font-semibold text-gray-700 mb-2">Exportar</h3>
+        <p className="text-gray-600 mb-4 text-sm">
+          GEDCOM (lineage-linked) é lido pela maioria dos programas de genealogia; o JSON em grafo guarda os mesmos dados num formato simples de processar.
+          Os dois formatos estão descritos em <code>docs/formato-intercambio.md</code>.
+        </p>
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">O que exportar</span>
+            <select value={scope} onChange={(e) => setScope(e.target.value)} className={inputClass}>
+              <option value="">Toda a base de dados ({horses.length} cavalos)</option>
+              {sortedHorses.map(horse => (
+                <option key={horse.id} value={horse.id}>{horse.nome} e ancestrais</option>
+              ))}
+            </select>
+          </label>
+          {scope && (
+            <label className="text-sm text-gray-700">
+              <span className="block mb-1">Gerações</span>
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={generations}
+                onChange={(e) => setGenerations(Math.min(20, Math.max(1, parseInt(e.target.value) || 1)))}
+                className={`${inputClass} w-24`}
+              />
+            </label>
+          )}
+          <label className="text-sm text-gray-700">
+            <span className="block mb-1">Formato</span>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+              <option value="gedcom">GEDCOM (.ged)</option>
+              <option value="json">JSON em grafo (.json)</option>
+            </select>
+          </label>
+          <button
+            onClick={handleExport}
+            disabled={horses.length === 0}
+            className="px-6 py-2 bg-green-600 text-white rounded-lg shadow-md hover:bg-green-700 transition duration-300 disabled:opacity-50"
+          >
+            Descarregar
+          </button>
+        </div>
+      </section>
+
+      <section>
+        <h3 className="text-xl font-semibold text-gray-700 mb-2">Importar</h3>
+        {!onMerge ? (
+          <p className="text-gray-600 text-sm">Entre na sua conta para importar pedigrees.</p>
+        ) : (
+          <>
+            <p className="text-gray-600 mb-4 text-sm">
+              Cada cavalo do ficheiro é associado a um cavalo já registado com o mesmo id ou, se não houver, com o mesmo nome, sexo e ano de nascimento.
+              Os restantes são criados, e os cavalos existentes sem pai ou mãe ficam ligados aos do ficheiro. Ligações já registadas nunca são substituídas.
+            </p>
+            <input
+              type="file"
+              accept=".ged,.json,application/json"
+              onChange={handleFileChange}
+              className="w-full text-gray-700 text-sm file:mr-4 file:py-2 file:px-4
+              file:rounded-full file:border-0 file:text-sm file:font-semibold
+              file:bg-green-100 file:text-green-700 hover:file:bg-green-200"
+            />
+            {parseError && <p className="mt-4 p-3 bg-red-100 text-red-700 rounded-lg">{parseError}</p>}
+
+            {parsed && (
+              <div className="mt-6">
+                <p className="text-sm text-gray-600 mb-2">
+                  {fileName} ({parsed.format === 'gedcom' ? 'GEDCOM' : 'JSON'}): {parsed.records.length} cavalos —
+                  {' '}{order.length} a criar, {linkCount} a completar
+                  {entriesWithIssues.length > 0 && <span className="text-red-600"> — {entriesWithIssues.length} com problemas por resolver</span>}
+                </p>
+                {cycleKeys.length > 0 && (
+                  <p className="mb-2 p-2 bg-red-100 text-red-700 rounded text-sm">
+                    Os cavalos {cycleKeys.map(key => recordNames.get(key)).join(', ')} formam um ciclo (um cavalo seria seu próprio ancestral).
+                  </p>
+                )}
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b border-gray-200">
+                        <th className="py-1 pr-2">Nome</th>
+                        <th className="py-1 pr-2">Sexo</th>
+                        <th className="py-1 pr-2">Nascimento</th>
+                        <th className="py-1 pr-2">Pai</th>
+                        <th className="py-1 pr-2">Mãe</th>
+                        <th className="py-1 pr-2 min-w-[12rem]">Cavalo registado</th>
+                        <th className="py-1 pr-2">Ação</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {resolved.map(entry => (
+                        <React.Fragment key={entry.record.key}>
+                          <tr className="border-t border-gray-100 align-top">
+                            <td className="py-1 pr-2 font-medium">{entry.record.nome || <span className="text-gray-400">—</span>}</td>
+                            <td className="py-1 pr-2">{entry.record.sexo}</td>
+                            <td className="py-1 pr-2">{formatRecordBirth(entry.record)}</td>
+                            <td className="py-1 pr-2">{recordNames.get(entry.record.paiKey) || '—'}</td>
+                            <td className="py-1 pr-2">{recordNames.get(entry.record.maeKey) || '—'}</td>
+                            <td className="py-1 pr-2">{renderTarget(entry)}</td>
+                            <td className="py-1 pr-2">{entry.target === null ? '—' : ACTION_LABELS[entry.action]}</td>
+                          </tr>
+                          {(entry.issues.length > 0 || entry.warnings.length > 0) && (
+                            <tr>
+                              <td colSpan={7} className="pb-2 text-xs">
+                                <ul className="list-disc list-inside">
+                                  {entry.issues.map(issue => <li key={issue} className="text-red-600">{issue}</li>)}
+                                  {entry.warnings.map(warning => <li key={warning} className="text-yellow-800">{warning}</li>)}
+                                </ul>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            <button
+              onClick={handleMerge}
+              disabled={!canMerge}
+              className="mt-6 w-full px-6 py-3 bg-green-700 text-white rounded-lg shadow-lg hover:bg-green-800 transition duration-300 text-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {merging ? 'A importar...' : 'Importar e juntar'}
+            </button>
+          </>
+        )}
+      </section>
+
+      <button
+        type="button"
+        onClick={onCancel}
+        className="mt-8 w-full px-6 py-3 bg-gray-500 text-white rounded-lg shadow-lg hover:bg-gray-600 transition duration-300 text-lg font-semibold"
+      >
+        Voltar
+      </button>
+    </div>
+  );
+}
+
+export default PedigreeInterchange;
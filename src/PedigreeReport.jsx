@@ -0,0 +1,82 @@
+import React, { useMemo, useState } from 'react';
+import { findPedigreeIssues } from './pedigreeValidation';
+
+// --- Relatório de integridade dos pedigrees ---
+// Lista todas as inconsistências já gravadas (ciclos, sexo e idade dos progenitores)
+// com um atalho para corrigir cada cavalo.
+function PedigreeReport({ horses, canEdit, onEdit, onSelectHorse, onBack }) {
+  const [showWarnings, setShowWarnings] = useState(true);
+
+  const report = useMemo(() => findPedigreeIssues(horses), [horses]);
+  const visibleReport = report
+    .map(({ horse, issues }) => ({
+      horse,
+      issues: showWarnings ? issues : issues.filter(issue => issue.severity === 'error'),
+    }))
+    .filter(({ issues }) => issues.length > 0)
+    .sort((a, b) => a.horse.nome.localeCompare(b.horse.nome));
+
+  const errorCount = report.reduce((count, { issues }) => count + issues.filter(issue => issue.severity === 'error').length, 0);
+  const warningCount = report.reduce((count, { issues }) => count + issues.filter(issue => issue.severity === 'warning').length, 0);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Verificação dos Pedigrees</h2>
+      <p className="text-gray-600 mb-4 text-sm">
+        Procura cavalos registados como seus próprios ancestrais, pais que não são machos, mães que não são fêmeas
+        e progenitores que não nasceram antes do potro ou eram demasiado novos.
+      </p>
+
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <p className="text-gray-700">
+          {report.length === 0
+            ? 'Não foram encontradas inconsistências.'
+            : `${errorCount} ${errorCount === 1 ? 'erro' : 'erros'} e ${warningCount} ${warningCount === 1 ? 'aviso' : 'avisos'} em ${report.length} ${report.length === 1 ? 'cavalo' : 'cavalos'}.`}
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showWarnings} onChange={(e) => setShowWarnings(e.target.checked)} />
+          Mostrar avisos
+        </label>
+      </div>
+
+      <ul className="divide-y divide-gray-100">
+        {visibleReport.map(({ horse, issues }) => (
+          <li key={horse.id} className="py-3 flex flex-col sm:flex-row sm:items-start gap-2">
+            <div className="flex-1">
+              <button onClick={() => onSelectHorse(horse.id)} className="font-semibold text-green-700 hover:underline">
+                {horse.nome}
+              </button>
+              {horse.arquivado && <span className="ml-2 text-xs text-gray-500">(arquivado)</span>}
+              <ul className="mt-1 text-sm space-y-1">
+                {issues.map(issue => (
+                  <li key={`${issue.code}:${issue.message}`} className={issue.severity === 'error' ? 'text-red-700' : 'text-yellow-800'}>
+                    {issue.severity === 'error' ? 'Erro: ' : 'Aviso: '}{issue.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+            {canEdit(horse) ? (
+              <button
+                onClick={() => onEdit(horse.id)}
+                className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition duration-300 text-sm"
+              >
+                Corrigir
+              </button>
+            ) : (
+              <span className="text-xs text-gray-500 sm:w-40 sm:text-right">Só o dono deste cavalo o pode corrigir.</span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <button
+        onClick={onBack}
+        className="mt-8 w-full px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 text-lg"
+      >
+        &larr; Voltar para a lista
+      </button>
+    </div>
+  );
+}
+
+export default PedigreeReport;
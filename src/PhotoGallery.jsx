@@ -0,0 +1,314 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { horseRepository, photoRepository } from './data';
+import { prepareHorsePhoto, validateImageFile } from './imageProcessing';
+
+const formatPhotoDate = (date) => (date ? new Date(`${date}T00:00:00`).toLocaleDateString('pt-PT') : '');
+
+// --- Galeria de fotos de um cavalo ---
+// Todos veem as fotos; o dono do cavalo adiciona, legenda, apaga e escolhe a foto
+// principal, que é a que aparece na lista, nas árvores e no certificado.
+// `onPrimaryPhotoChange(photo | null)` atualiza o registo do cavalo.
+function PhotoGallery({ horse, canEdit, currentUserId, onPrimaryPhotoChange }) {
+  const [photos, setPhotos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [enlargedPhoto, setEnlargedPhoto] = useState(null);
+
+  const [showUploadForm, setShowUploadForm] = useState(false);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [caption, setCaption] = useState('');
+  const [photoDate, setPhotoDate] = useState('');
+
+  const [editingId, setEditingId] = useState(null);
+  const [editCaption, setEditCaption] = useState('');
+  const [editDate, setEditDate] = useState('');
+
+  const loadPhotos = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      setPhotos(await photoRepository.list(horse.id));
+    } catch (err) {
+      console.error('Erro ao carregar a galeria:', err.message);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [horse.id]);
+
+  // Recarrega também quando a foto principal muda noutro sítio (no formulário de edição)
+  useEffect(() => {
+    loadPhotos();
+  }, [horse.url_imagem, loadPhotos]);
+
+  const resetUploadForm = () => {
+    setShowUploadForm(false);
+    setSelectedFile(null);
+    setCaption('');
+    setPhotoDate('');
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    const validationError = file ? validateImageFile(file) : null;
+    if (validationError) {
+      e.target.value = '';
+      alert(validationError);
+      setSelectedFile(null);
+      return;
+    }
+    setSelectedFile(file || null);
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!selectedFile) {
+      alert('Escolha uma foto.');
+      return;
+    }
+    setBusy(true);
+    let uploadedUrls = [];
+    try {
+      const { image, thumbnail } = await prepareHorsePhoto(selectedFile);
+      const url = await horseRepository.uploadPhoto(image, { ownerId: currentUserId });
+      uploadedUrls.push(url);
+      const thumbnailUrl = await horseRepository.uploadPhoto(thumbnail, { ownerId: currentUserId });
+      uploadedUrls.push(thumbnailUrl);
+
+      // A primeira foto da galeria passa logo a ser a principal
+      const isFirst = photos.length === 0 && !horse.url_imagem;
+      const photo = await photoRepository.create({
+        cavalo_id: horse.id,
+        url,
+        url_miniatura: thumbnailUrl,
+        legenda: caption.trim() || null,
+        data_foto: photoDate || null,
+        principal: false,
+        owner_id: currentUserId,
+      });
+      uploadedUrls = [];
+      if (isFirst) {
+        await photoRepository.setPrimary(horse.id, photo.id);
+        await onPrimaryPhotoChange(photo);
+      }
+      resetUploadForm();
+      await loadPhotos();
+    } catch (err) {
+      console.error('Erro ao adicionar a foto:', err.message);
+      alert(`Falha ao adicionar a foto: ${err.message}`);
+      for (const url of uploadedUrls) {
+        await horseRepository.deletePhoto(url);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditing = (photo) => {
+    setEditingId(photo.id);
+    setEditCaption(photo.legenda || '');
+    setEditDate(photo.data_foto || '');
+  };
+
+  const handleSaveEdit = async (photoId) => {
+    setBusy(true);
+    try {
+      const updatedPhoto = await photoRepository.update(photoId, {
+        legenda: editCaption.trim() || null,
+        data_foto: editDate || null,
+      });
+      setPhotos(prevPhotos => prevPhotos.map(p => (p.id === photoId ? updatedPhoto : p)));
+      setEditingId(null);
+    } catch (err) {
+      console.error('Erro ao atualizar a foto:', err.message);
+      alert(`Falha ao atualizar a foto: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSetPrimary = async (photo) => {
+    setBusy(true);
+    try {
+      await photoRepository.setPrimary(horse.id, photo.id);
+      await onPrimaryPhotoChange(photo);
+      setPhotos(prevPhotos => prevPhotos.map(p => ({ ...p, principal: p.id === photo.id })));
+    } catch (err) {
+      console.error('Erro ao escolher a foto principal:', err.message);
+      alert(`Falha ao escolher a foto principal: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Ao apagar a foto principal, a mais recente das restantes toma o seu lugar
+  const handleDelete = async (photo) => {
+    if (!window.confirm('Apagar esta foto da galeria?')) return;
+    setBusy(true);
+    try {
+      await photoRepository.remove(photo.id);
+      const remainingPhotos = photos.filter(p => p.id !== photo.id);
+      if (photo.principal || photo.url === horse.url_imagem) {
+        const nextPrimary = remainingPhotos[0] || null;
+        if (nextPrimary) await photoRepository.setPrimary(horse.id, nextPrimary.id);
+        await onPrimaryPhotoChange(nextPrimary);
+      }
+      await horseRepository.deletePhoto(photo.url);
+      await horseRepository.deletePhoto(photo.url_miniatura);
+      if (enlargedPhoto?.id === photo.id) setEnlargedPhoto(null);
+      await loadPhotos();
+    } catch (err) {
+      console.error('Erro ao apagar a foto:', err.message);
+      alert(`Falha ao apagar a foto: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-bold text-gray-700">Galeria de Fotos</h3>
+        {canEdit && !showUploadForm && (
+          <button
+            onClick={() => setShowUploadForm(true)}
+            className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition duration-300 text-sm"
+          >
+            + Adicionar Foto
+          </button>
+        )}
+      </div>
+
+      {canEdit && showUploadForm && (
+        <form onSubmit={handleUpload} className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200 space-y-3">
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp"
+            onChange={handleFileChange}
+            className="w-full text-gray-700 text-sm file:mr-4 file:py-2 file:px-4
+            file:rounded-full file:border-0 file:text-sm file:font-semibold
+            file:bg-green-100 file:text-green-700 hover:file:bg-green-200"
+          />
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <input
+              type="text"
+              value={caption}
+              onChange={(e) => setCaption(e.target.value)}
+              placeholder="Legenda (opcional)"
+              className={inputClass}
+            />
+            <input
+              type="date"
+              value={photoDate}
+              onChange={(e) => setPhotoDate(e.target.value)}
+              className={inputClass}
+              aria-label="Data da foto"
+            />
+          </div>
+          <p className="text-xs text-gray-500">A foto é reduzida no navegador antes do envio; é criada também uma miniatura.</p>
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-green-700 text-white rounded-lg hover:bg-green-800 transition duration-300 text-sm disabled:opacity-50"
+            >
+              {busy ? 'A enviar...' : 'Enviar'}
+            </button>
+            <button
+              type="button"
+              onClick={resetUploadForm}
+              className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 transition duration-300 text-sm"
+            >
+              Cancelar
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading && <p className="text-gray-500 text-sm">A carregar fotos...</p>}
+      {error && <p className="p-3 bg-red-100 text-red-700 rounded-lg text-sm">{error}</p>}
+      {!loading && !error && photos.length === 0 && (
+        <p className="text-gray-500 italic text-sm">Ainda não há fotos na galeria.</p>
+      )}
+
+      <ul className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+        {photos.map(photo => (
+          <li key={photo.id} className={`rounded-lg border p-2 ${photo.principal ? 'border-green-500' : 'border-gray-200'}`}>
+            <button onClick={() => setEnlargedPhoto(photo)} className="block w-full" aria-label="Ampliar foto">
+              <img
+                src={photo.url_miniatura || photo.url}
+                alt={photo.legenda || `Foto de ${horse.nome}`}
+                className="w-full aspect-square object-cover rounded"
+                loading="lazy"
+              />
+            </button>
+            {editingId === photo.id ? (
+              <div className="mt-2 space-y-1">
+                <input type="text" value={editCaption} onChange={(e) => setEditCaption(e.target.value)} placeholder="Legenda" className={inputClass} />
+                <input type="date" value={editDate} onChange={(e) => setEditDate(e.target.value)} className={inputClass} aria-label="Data da foto" />
+                <div className="flex gap-1">
+                  <button onClick={() => handleSaveEdit(photo.id)} disabled={busy} className="flex-1 px-2 py-1 text-xs bg-green-600 text-white rounded hover:bg-green-700 disabled:opacity-50">
+                    Guardar
+                  </button>
+                  <button onClick={() => setEditingId(null)} className="flex-1 px-2 py-1 text-xs bg-gray-400 text-white rounded hover:bg-gray-500">
+                    Cancelar
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <div className="mt-2 text-xs text-gray-700">
+                {photo.principal && <span className="inline-block mb-1 px-2 py-0.5 bg-green-100 text-green-800 rounded-full font-semibold">Principal</span>}
+                {photo.legenda && <p className="font-medium">{photo.legenda}</p>}
+                {photo.data_foto && <p className="text-gray-500">{formatPhotoDate(photo.data_foto)}</p>}
+                {canEdit && (
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {!photo.principal && (
+                      <button onClick={() => handleSetPrimary(photo)} disabled={busy} className="px-2 py-1 bg-white border border-green-600 text-green-700 rounded hover:bg-green-50 disabled:opacity-50">
+                        Principal
+                      </button>
+                    )}
+                    <button onClick={() => startEditing(photo)} disabled={busy} className="px-2 py-1 bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-100 disabled:opacity-50">
+                      Editar
+                    </button>
+                    <button onClick={() => handleDelete(photo)} disabled={busy} className="px-2 py-1 bg-white border border-red-400 text-red-700 rounded hover:bg-red-50 disabled:opacity-50">
+                      Apagar
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {enlargedPhoto && (
+        <div
+          className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4"
+          onClick={() => setEnlargedPhoto(null)}
+          role="dialog"
+          aria-modal="true"
+        >
+          <figure className="max-w-5xl max-h-full" onClick={(e) => e.stopPropagation()}>
+            <img src={enlargedPhoto.url} alt={enlargedPhoto.legenda || `Foto de ${horse.nome}`} className="max-h-[80vh] mx-auto rounded-lg" />
+            {(enlargedPhoto.legenda || enlargedPhoto.data_foto) && (
+              <figcaption className="mt-2 text-center text-white text-sm">
+                {enlargedPhoto.legenda}{enlargedPhoto.legenda && enlargedPhoto.data_foto ? ' — ' : ''}{formatPhotoDate(enlargedPhoto.data_foto)}
+              </figcaption>
+            )}
+            <button
+              onClick={() => setEnlargedPhoto(null)}
+              className="mt-4 block mx-auto px-6 py-2 bg-white text-gray-800 rounded-lg hover:bg-gray-200"
+            >
+              Fechar
+            </button>
+          </figure>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PhotoGallery;
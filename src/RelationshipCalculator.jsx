@@ -0,0 +1,164 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import RelationshipDiagram from './RelationshipDiagram';
+import { calculateRelationship, DEFAULT_RELATIONSHIP_GENERATIONS } from './relationship';
+import { formatCoefficient } from './inbreeding';
+import { paths } from './router';
+
+// --- Calculadora de parentesco ---
+// Escolhem-se dois cavalos; mostra-se o parentesco por extenso, o coeficiente de
+// parentesco, os ancestrais comuns com o caminho mais curto de cada lado e um
+// diagrama das duas ascendências.
+function RelationshipCalculator({ horses, initialHorseAId, initialHorseBId, onSelectHorse, onBack }) {
+  const [horseAId, setHorseAId] = useState(initialHorseAId || '');
+  const [horseBId, setHorseBId] = useState(initialHorseBId || '');
+  const [generations, setGenerations] = useState(DEFAULT_RELATIONSHIP_GENERATIONS);
+
+  // Como no planeador de acasalamentos, a seleção fica na query string
+  useEffect(() => {
+    const search = paths.relationship(horseAId, horseBId);
+    if (search !== `${window.location.pathname}${window.location.search}`) {
+      window.history.replaceState(null, '', search);
+    }
+  }, [horseAId, horseBId]);
+
+  const horsesById = useMemo(() => new Map(horses.map(h => [h.id, h])), [horses]);
+  const sortedHorses = useMemo(() => [...horses].sort((a, b) => a.nome.localeCompare(b.nome)), [horses]);
+  const horseA = horsesById.get(horseAId) || null;
+  const horseB = horsesById.get(horseBId) || null;
+
+  const relationship = useMemo(
+    () => (horseA && horseB ? calculateRelationship(horseA, horseB, horsesById, { generations }) : null),
+    [horseA, horseB, horsesById, generations]
+  );
+
+  const formatPath = (path) => path.map(id => horsesById.get(id)?.nome || id).join(' → ');
+  const swapHorses = () => {
+    setHorseAId(horseBId);
+    setHorseBId(horseAId);
+  };
+
+  const inputClass = 'w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-green-400 focus:border-green-500';
+  const horseOptions = sortedHorses.map(horse => (
+    <option key={horse.id} value={horse.id}>{horse.nome}{horse.arquivado ? ' (arquivado)' : ''}</option>
+  ));
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg border border-green-200">
+      <h2 className="text-3xl font-bold text-green-700 mb-4 text-center">Calculadora de Parentesco</h2>
+      <p className="text-gray-600 mb-4 text-sm">
+        Escolha dois cavalos para ver como são aparentados, por exemplo antes de os cruzar ou para confirmar a genealogia anunciada numa venda.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-[1fr_auto_1fr_auto] gap-4 items-end mb-6">
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-semibold">Primeiro cavalo</span>
+          <select value={horseAId} onChange={(e) => setHorseAId(e.target.value)} className={inputClass}>
+            <option value="">Selecione</option>
+            {horseOptions}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={swapHorses}
+          className="px-3 py-2 bg-white border border-gray-300 rounded-lg hover:bg-gray-100 text-sm"
+          aria-label="Trocar os cavalos"
+        >
+          ⇄
+        </button>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-semibold">Segundo cavalo</span>
+          <select value={horseBId} onChange={(e) => setHorseBId(e.target.value)} className={inputClass}>
+            <option value="">Selecione</option>
+            {horseOptions}
+          </select>
+        </label>
+        <label className="text-sm text-gray-700">
+          <span className="block mb-1 font-semibold">Gerações</span>
+          <select value={generations} onChange={(e) => setGenerations(parseInt(e.target.value))} className={inputClass}>
+            {[3, 4, 5, 6, 7, 8, 9, 10].map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {!relationship && <p className="text-gray-500 italic">Selecione os dois cavalos.</p>}
+
+      {relationship && (
+        <>
+          <div className="p-4 bg-green-50 border border-green-200 rounded-lg mb-6">
+            <p className="text-xl font-semibold text-green-800">{relationship.description}</p>
+            {horseA.id !== horseB.id && (
+              <p className="text-gray-700 mt-1">
+                Coeficiente de parentesco: <strong>{formatCoefficient(relationship.coefficient)}</strong>
+                <span className="text-gray-500 text-sm"> (consanguinidade esperada de um potro dos dois: {formatCoefficient(relationship.coancestry)})</span>
+              </p>
+            )}
+          </div>
+
+          {relationship.commonAncestors.length > 0 && (
+            <div className="overflow-x-auto mb-6">
+              <h3 className="text-xl font-bold text-gray-700 mb-2">Ancestrais comuns</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600 border-b border-gray-200">
+                    <th className="py-1 pr-2">Ancestral</th>
+                    <th className="py-1 pr-2">Gerações ({horseA.nome}:{horseB.nome})</th>
+                    <th className="py-1 pr-2">Caminho desde {horseA.nome}</th>
+                    <th className="py-1">Caminho desde {horseB.nome}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {relationship.commonAncestors.map(ancestor => {
+                    const isNearest = relationship.nearest.some(n => n.id === ancestor.id);
+                    return (
+                      <tr key={ancestor.id} className={`border-b border-gray-100 align-top ${isNearest ? 'bg-green-50' : ''}`}>
+                        <td className="py-1 pr-2">
+                          <button onClick={() => onSelectHorse(ancestor.id)} className="text-green-700 hover:underline font-medium">
+                            {ancestor.name}
+                          </button>
+                          {isNearest && <span className="block text-xs text-green-700">mais próximo</span>}
+                        </td>
+                        <td className="py-1 pr-2">{ancestor.generationsFromA}:{ancestor.generationsFromB}</td>
+                        <td className="py-1 pr-2">{formatPath(ancestor.pathFromA)}</td>
+                        <td className="py-1">{formatPath(ancestor.pathFromB)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-500 mt-2">
+                O coeficiente soma todos os caminhos até aos ancestrais comuns nas {generations} gerações analisadas; um pedigree incompleto subestima-o.
+              </p>
+            </div>
+          )}
+
+          {relationship.nearest.length > 0 && (
+            <>
+              <h3 className="text-xl font-bold text-gray-700 mb-2">Diagrama</h3>
+              <p className="text-xs text-gray-500 mb-2">
+                <span className="text-blue-600 font-semibold">Azul</span>: ascendência de {horseA.nome};{' '}
+                <span className="text-pink-600 font-semibold">rosa</span>: ascendência de {horseB.nome};{' '}
+                <span className="text-green-700 font-semibold">verde</span>: ancestrais comuns mais próximos.
+              </p>
+              <RelationshipDiagram
+                horseA={horseA}
+                horseB={horseB}
+                relationship={relationship}
+                horses={horsesById}
+                onSelectHorse={onSelectHorse}
+              />
+            </>
+          )}
+        </>
+      )}
+
+      <button
+        onClick={onBack}
+        className="mt-8 w-full px-6 py-3 bg-gray-600 text-white rounded-lg shadow-lg hover:bg-gray-700 transition duration-300 text-lg"
+      >
+        &larr; Voltar
+      </button>
+    </div>
+  );
+}
+
+export default RelationshipCalculator;
@@ -0,0 +1,116 @@
+import React, { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { buildRelationshipGraph } from './relationship';
+
+const NODE_WIDTH = 150;
+const NODE_HEIGHT = 56;
+const NODE_SPACING = 180;
+const LEVEL_HEIGHT = 110;
+
+const SIDE_ORDER = { a: 0, common: 1, b: 2 };
+const SIDE_COLORS = {
+  a: { fill: '#EFF6FF', stroke: '#3B82F6' },
+  b: { fill: '#FDF2F8', stroke: '#EC4899' },
+  common: { fill: '#DCFCE7', stroke: '#16A34A' },
+};
+
+// --- Diagrama de parentesco ---
+// As ascendências dos dois cavalos (em baixo, à esquerda e à direita) sobem até se
+// encontrarem nos ancestrais comuns mais próximos, a verde, no topo.
+function RelationshipDiagram({ horseA, horseB, relationship, horses, onSelectHorse }) {
+  const svgRef = useRef();
+
+  useEffect(() => {
+    const { nodes, links } = buildRelationshipGraph(horseA, horseB, relationship, horses);
+    const maxLevel = Math.max(...nodes.map(node => node.level));
+
+    // Em cada geração: lado A, ancestrais comuns e lado B, centrados
+    const byLevel = d3.group(nodes, node => node.level);
+    const positions = new Map();
+    let maxRowSize = 1;
+    for (const [level, levelNodes] of byLevel) {
+      levelNodes.sort((x, y) => SIDE_ORDER[x.side] - SIDE_ORDER[y.side]);
+      maxRowSize = Math.max(maxRowSize, levelNodes.length);
+      levelNodes.forEach((node, index) => {
+        positions.set(node.id, {
+          x: (index - (levelNodes.length - 1) / 2) * NODE_SPACING,
+          y: (maxLevel - level) * LEVEL_HEIGHT,
+        });
+      });
+    }
+
+    const margin = 40;
+    const width = Math.max(600, maxRowSize * NODE_SPACING + margin * 2);
+    const height = maxLevel * LEVEL_HEIGHT + NODE_HEIGHT + margin * 2;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    svg.attr('viewBox', `0 0 ${width} ${height}`).attr('width', width).attr('height', height);
+
+    const g = svg.append('g');
+    const initialTransform = d3.zoomIdentity.translate(width / 2, margin + NODE_HEIGHT / 2);
+    const zoomBehavior = d3.zoom()
+      .scaleExtent([0.2, 4])
+      .on('zoom', (event) => g.attr('transform', event.transform));
+    svg.call(zoomBehavior).call(zoomBehavior.transform, initialTransform);
+
+    g.selectAll('.link')
+      .data(links)
+      .enter()
+      .append('path')
+      .attr('class', 'link')
+      .attr('d', link => d3.linkVertical()({
+        source: [positions.get(link.source).x, positions.get(link.source).y - NODE_HEIGHT / 2],
+        target: [positions.get(link.target).x, positions.get(link.target).y + NODE_HEIGHT / 2],
+      }))
+      .attr('fill', 'none')
+      .attr('stroke', '#A3A3A3')
+      .attr('stroke-width', 1.5);
+
+    const nodeGroups = g.selectAll('.node')
+      .data(nodes)
+      .enter()
+      .append('g')
+      .attr('class', 'node')
+      .attr('transform', node => `translate(${positions.get(node.id).x},${positions.get(node.id).y})`)
+      .attr('cursor', 'pointer')
+      .on('click', (event, node) => {
+        event.stopPropagation();
+        onSelectHorse(node.id);
+      });
+
+    nodeGroups.append('rect')
+      .attr('x', -NODE_WIDTH / 2)
+      .attr('y', -NODE_HEIGHT / 2)
+      .attr('width', NODE_WIDTH)
+      .attr('height', NODE_HEIGHT)
+      .attr('rx', 10)
+      .attr('ry', 10)
+      .attr('fill', node => SIDE_COLORS[node.side].fill)
+      .attr('stroke', node => SIDE_COLORS[node.side].stroke)
+      .attr('stroke-width', node => (node.level === 0 || node.side === 'common' ? 2.5 : 1));
+
+    nodeGroups.append('text')
+      .attr('y', -4)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '12px')
+      .attr('font-weight', 'bold')
+      .attr('fill', '#1F2937')
+      .text(node => node.horse?.nome || node.id);
+
+    nodeGroups.append('text')
+      .attr('y', 14)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '10px')
+      .attr('fill', '#4B5563')
+      .text(node => (node.side === 'common' ? 'Ancestral comum' : node.horse?.raca || ''));
+  }, [horseA, horseB, relationship, horses, onSelectHorse]);
+
+  return (
+    <div className="overflow-auto border border-gray-200 rounded-lg" style={{ maxHeight: '70vh' }}>
+      <svg ref={svgRef} className="block mx-auto"></svg>
+    </div>
+  );
+}
+
+export default RelationshipDiagram;
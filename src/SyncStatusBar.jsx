@@ -0,0 +1,70 @@
+import React from 'react';
+import { fieldLabel } from './horseHistory';
+
+// --- Barra de estado do modo offline e da sincronização ---
+function SyncStatusBar({ status, onSync, onDismissConflicts }) {
+  const { online, syncing, pendingCount, conflicts, lastError } = status;
+  if (online && !syncing && pendingCount === 0 && conflicts.length === 0 && !lastError) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto mb-4 p-3 rounded-lg border text-sm space-y-2 bg-yellow-50 border-yellow-300 text-yellow-900">
+      {!online && (
+        <p>Sem ligação: a mostrar os dados guardados neste dispositivo. As alterações serão sincronizadas quando a ligação voltar.</p>
+      )}
+      {pendingCount > 0 && (
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <span>
+            {syncing
+              ? 'A sincronizar...'
+              : `${pendingCount === 1 ? '1 alteração' : `${pendingCount} alterações`} por sincronizar.`}
+          </span>
+          {online && !syncing && (
+            <button onClick={onSync} className="px-3 py-1 bg-white border border-yellow-400 rounded-lg hover:bg-yellow-100">
+              Sincronizar agora
+            </button>
+          )}
+        </div>
+      )}
+      {lastError && <p className="text-red-700">Falha ao sincronizar: {lastError}</p>}
+      {conflicts.length > 0 && (
+        <div>
+          <p className="font-semibold">Conflitos resolvidos durante a sincronização:</p>
+          <ul className="list-disc list-inside">
+            {conflicts.map((conflict, index) => (
+              <li key={`${conflict.id}-${conflict.field}-${index}`}>
+                {conflict.deleted
+                  ? 'Um cavalo editado offline foi excluído no servidor; as alterações foram descartadas.'
+                  : conflict.rejected
+                  ? `${conflict.name}: o servidor recusou as alterações feitas offline (${conflict.message}); foram descartadas.`
+                  : conflict.foalLinkFailed
+                  ? `${conflict.name}: o cavalo foi sincronizado, mas não foi possível ligá-lo ao parto (${conflict.message}).`
+                  : `${conflict.name}: ${fieldLabel(conflict.field)} foi alterado também no servidor — prevaleceu a versão ${conflict.winner === 'local' ? 'deste dispositivo' : 'do servidor'}, por ser a mais recente.`}
+              </li>
+            ))}
+          </ul>
+          <button onClick={onDismissConflicts} className="mt-1 text-yellow-900 underline">
+            Fechar
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// --- Indicador de sincronização de um registo ---
+export function SyncBadge({ syncStatus }) {
+  if (!syncStatus) return null;
+  return syncStatus === 'pending' ? (
+    <span className="text-xs px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full" title="Alterações guardadas apenas neste dispositivo">
+      Por sincronizar
+    </span>
+  ) : (
+    <span className="text-xs px-2 py-0.5 bg-green-100 text-green-700 rounded-full" title="Igual à versão do servidor">
+      Sincronizado
+    </span>
+  );
+}
+
+export default SyncStatusBar;
@@ -0,0 +1,107 @@
+// Registos de reprodução: coberturas, diagnósticos de gestação e partos, e as
+// estatísticas de fertilidade de um garanhão ou de uma égua.
+// Módulo puro, sem React nem acesso a dados.
+//
+// Uma cobertura é `{ id, garanhao_id, egua_id, data, metodo, notas, eventos }`, em que
+// `eventos` são `{ id, tipo: 'diagnostico' | 'parto', data, resultado, potro_id }`.
+
+export const COVERING_METHODS = [
+  { value: 'monta_natural', label: 'Monta natural' },
+  { value: 'ia_fresco', label: 'Inseminação (sémen fresco)' },
+  { value: 'ia_refrigerado', label: 'Inseminação (sémen refrigerado)' },
+  { value: 'ia_congelado', label: 'Inseminação (sémen congelado)' },
+  { value: 'transferencia_embriao', label: 'Transferência de embrião' },
+];
+
+export const PREGNANCY_CHECK_RESULTS = [
+  { value: 'gestante', label: 'Gestante' },
+  { value: 'vazia', label: 'Vazia' },
+  { value: 'inconclusivo', label: 'Inconclusivo' },
+];
+
+export const FOALING_RESULTS = [
+  { value: 'nascido_vivo', label: 'Potro vivo' },
+  { value: 'nado_morto', label: 'Nado-morto' },
+  { value: 'aborto', label: 'Aborto' },
+];
+
+// Duração média da gestação na égua, em dias, para a data prevista do parto
+export const GESTATION_DAYS = 340;
+
+const labelFrom = (options) => (value) => options.find(option => option.value === value)?.label || value;
+
+export const coveringMethodLabel = labelFrom(COVERING_METHODS);
+export const breedingResultLabel = labelFrom([...PREGNANCY_CHECK_RESULTS, ...FOALING_RESULTS]);
+
+const byDate = (a, b) => (a.data || '').localeCompare(b.data || '') || (a.created_at || '').localeCompare(b.created_at || '');
+
+// Data prevista do parto ('AAAA-MM-DD'), contada a partir da data da cobertura
+export const expectedFoalingDate = (covering) => {
+  const [year, month, day] = covering.data.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + GESTATION_DAYS));
+  return date.toISOString().slice(0, 10);
+};
+
+// Estado atual de uma cobertura, a partir do último evento:
+// 'foaled' | 'lost' | 'pregnant' | 'empty' | 'pending'
+export const coveringStatus = (covering) => {
+  const events = [...(covering.eventos || [])].sort(byDate);
+  const foaling = events.filter(event => event.tipo === 'parto').pop();
+  if (foaling) return foaling.resultado === 'nascido_vivo' ? 'foaled' : 'lost';
+  const check = events.filter(event => event.tipo === 'diagnostico' && event.resultado !== 'inconclusivo').pop();
+  if (!check) return 'pending';
+  return check.resultado === 'gestante' ? 'pregnant' : 'empty';
+};
+
+export const COVERING_STATUS_LABELS = {
+  foaled: 'Potro nascido',
+  lost: 'Gestação perdida',
+  pregnant: 'Gestante',
+  empty: 'Vazia',
+  pending: 'Sem diagnóstico',
+};
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+// Estatísticas de um conjunto de coberturas:
+// - taxa de gestação: coberturas que chegaram a gestação confirmada (diagnóstico
+//   positivo ou parto) entre as que já têm diagnóstico ou parto;
+// - taxa de potros vivos: potros vivos entre as coberturas concluídas (com parto ou
+//   com o último diagnóstico "vazia").
+const summarize = (coverings) => {
+  const statuses = coverings.map(coveringStatus);
+  const count = (...values) => statuses.filter(status => values.includes(status)).length;
+  const pregnancies = count('foaled', 'lost', 'pregnant')
+    + coverings.filter((covering, index) => statuses[index] === 'empty'
+      && (covering.eventos || []).some(event => event.tipo === 'diagnostico' && event.resultado === 'gestante')).length;
+  const evaluated = coverings.length - count('pending');
+  const concluded = count('foaled', 'lost', 'empty');
+  return {
+    coverings: coverings.length,
+    pregnancies,
+    liveFoals: count('foaled'),
+    pregnancyRate: ratio(pregnancies, evaluated),
+    liveFoalRate: ratio(count('foaled'), concluded),
+  };
+};
+
+// `{ total, bySeason: [{ season, ...estatísticas }] }`, com as épocas (anos da
+// cobertura) da mais recente para a mais antiga.
+export const fertilityStats = (coverings) => {
+  const seasons = new Map();
+  for (const covering of coverings) {
+    const season = Number(covering.data.slice(0, 4));
+    if (!seasons.has(season)) seasons.set(season, []);
+    seasons.get(season).push(covering);
+  }
+  return {
+    total: summarize(coverings),
+    bySeason: [...seasons.entries()]
+      .sort(([a], [b]) => b - a)
+      .map(([season, seasonCoverings]) => ({ season, ...summarize(seasonCoverings) })),
+  };
+};
+
+export const sortCoverings = (coverings) => [...coverings]
+  .sort((a, b) => byDate(b, a))
+  .map(covering => ({ ...covering, eventos: [...(covering.eventos || [])].sort(byDate) }));
@@ -0,0 +1,88 @@
+// Pequeno invólucro com Promises sobre o IndexedDB, usado pelo backend local.
+
+const DATABASE_NAME = 'registro-cavalos';
+const DATABASE_VERSION = 7;
+
+// Object stores e respetivas chaves. Para acrescentar um store, suba DATABASE_VERSION.
+const STORES = {
+  // Backend local
+  cavalos: { keyPath: 'id' },
+  fotos_cavalos: { keyPath: 'id' },
+  registos_saude: { keyPath: 'id' },
+  coberturas: { keyPath: 'id' },
+  eventos_reproducao: { keyPath: 'id' },
+  sessao: { keyPath: 'chave' },
+  historico_cavalos: { keyPath: 'id' },
+  proprietarios: { keyPath: 'id' },
+  locais: { keyPath: 'id' },
+  transferencias: { keyPath: 'id' },
+  // Modo offline do backend Supabase: cópia da última lista e fila de sincronização
+  cache_cavalos: { keyPath: 'id' },
+  fila_sincronizacao: { keyPath: 'seq', autoIncrement: true },
+};
+
+let databasePromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Este navegador não suporta IndexedDB.'));
+        return;
+      }
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        for (const [name, options] of Object.entries(STORES)) {
+          if (!database.objectStoreNames.contains(name)) {
+            database.createObjectStore(name, options);
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+};
+
+const withStore = async (storeName, mode, operation) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, mode);
+  const result = await promisifyRequest(operation(transaction.objectStore(storeName)));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  return result;
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const getOne = async (storeName, key) => (await withStore(storeName, 'readonly', store => store.get(key))) ?? null;
+
+export const putOne = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const deleteOne = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+export const clearStore = (storeName) => withStore(storeName, 'readwrite', store => store.clear());
+
+// Substitui todo o conteúdo de um store numa única transação
+export const replaceAll = async (storeName, values) => {
+  const database = await openDatabase();
+  const transaction = database.transaction(storeName, 'readwrite');
+  const store = transaction.objectStore(storeName);
+  store.clear();
+  values.forEach(value => store.put(value));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
@@ -0,0 +1,47 @@
+// Ponto único de acesso aos dados. O backend é escolhido pela variável de ambiente
+// VITE_DATA_BACKEND: 'supabase' (padrão) ou 'local' (IndexedDB, sem rede).
+// Os componentes usam apenas os repositórios e `auth` daqui, nunca o cliente Supabase.
+import { supabase } from '../supabaseClient';
+import { createLocalBackend } from './localBackend';
+import { createOfflineHorseRepository } from './offlineHorseRepository';
+import { requireConnection } from './requireConnection';
+import { createSupabaseBackend } from './supabaseBackend';
+
+const createBackend = (name = 'supabase') => {
+  switch (name) {
+    case 'local':
+      return createLocalBackend();
+    case 'supabase': {
+      // Os cavalos são acedidos através da cache/fila offline; o resto exige ligação
+      const remote = createSupabaseBackend(supabase);
+      const { repository, sync } = createOfflineHorseRepository(remote.horses, {
+        linkFoal: (foalingId, horseId) => remote.breeding.updateEvent(foalingId, { potro_id: horseId }),
+      });
+      return {
+        ...remote,
+        horses: repository,
+        photos: requireConnection(remote.photos, 'a galeria de fotos'),
+        healthRecords: requireConnection(remote.healthRecords, 'o registo de saúde'),
+        breeding: requireConnection(remote.breeding, 'o registo de reprodução'),
+        history: requireConnection(remote.history, 'o histórico de alterações'),
+        ownership: requireConnection(remote.ownership, 'a gestão de proprietários e locais'),
+        sync,
+      };
+    }
+    default:
+      throw new Error(`Backend de dados desconhecido: "${name}". Use "supabase" ou "local".`);
+  }
+};
+
+const backend = createBackend(import.meta.env.VITE_DATA_BACKEND || undefined);
+
+export const backendName = backend.name;
+export const horseRepository = backend.horses;
+export const photoRepository = backend.photos;
+export const healthRecordRepository = backend.healthRecords;
+export const breedingRepository = backend.breeding;
+export const horseHistoryRepository = backend.history;
+export const ownershipRepository = backend.ownership;
+export const auth = backend.auth;
+// Controlo da sincronização offline; `null` quando o backend já é local
+export const offlineSync = backend.sync || null;
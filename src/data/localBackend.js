@@ -0,0 +1,412 @@
+// Backend local: guarda tudo no IndexedDB do navegador, sem qualquer acesso à rede.
+// Serve para desenvolvimento, demonstrações e para testar a aplicação sem o Supabase.
+// As fotos ficam guardadas como data URLs no próprio registo do cavalo e na galeria,
+// e os documentos de saúde no próprio registo de saúde.
+import { v4 as uuidv4 } from 'uuid';
+import { deleteOne, getAll, getOne, putOne } from './idb';
+import { findIdentifierConflicts } from '../horseIdentifiers';
+import { diffHorseFields } from '../horseHistory';
+import { checkReplacementParent } from '../pedigreeValidation';
+
+const SESSION_KEY = 'atual';
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+// Como no Supabase, apagar uma cobertura apaga também os seus eventos
+const removeCovering = async (id) => {
+  await deleteOne('coberturas', id);
+  for (const event of await getAll('eventos_reproducao')) {
+    if (event.cobertura_id === id) await deleteOne('eventos_reproducao', event.id);
+  }
+};
+
+// Como os índices únicos do Supabase: número de registo, microchip e ID na associação
+const assertUniqueIdentifiers = async (horse) => {
+  const [conflict] = findIdentifierConflicts(horse, await getAll('cavalos'), horse.id);
+  if (conflict) {
+    throw new Error(`${conflict.label} já usado por ${conflict.horse.nome}.`);
+  }
+};
+
+// Faz o papel do trigger `registar_historico_cavalo` do Supabase: uma entrada por
+// criação, alteração (só se mudou algum campo) ou exclusão, com o utilizador da sessão
+const recordHistory = async (action, before, after) => {
+  const changes = diffHorseFields(before, after);
+  if (action === 'alteracao' && Object.keys(changes).length === 0) return;
+  const stored = await getOne('sessao', SESSION_KEY);
+  const horse = after || before;
+  await putOne('historico_cavalos', {
+    id: uuidv4(),
+    cavalo_id: horse.id,
+    acao: action,
+    alteracoes: changes,
+    dados: horse,
+    utilizador_id: stored?.session.user.id ?? null,
+    utilizador_email: stored?.session.user.email ?? null,
+    created_at: new Date().toISOString(),
+  });
+};
+
+// Grava uma nova versão de um cavalo já existente e regista-a no histórico
+const putHorse = async (current, updated) => {
+  await putOne('cavalos', updated);
+  await recordHistory('alteracao', current, updated);
+};
+
+const createHorseRepository = () => ({
+  list() {
+    return getAll('cavalos');
+  },
+
+  get(id) {
+    return getOne('cavalos', id);
+  },
+
+  async create(fields) {
+    const horse = {
+      id: uuidv4(),
+      created_at: new Date().toISOString(),
+      arquivado: false,
+      ...fields,
+    };
+    await assertUniqueIdentifiers(horse);
+    await putOne('cavalos', horse);
+    await recordHistory('criacao', null, horse);
+    return horse;
+  },
+
+  async update(id, fields) {
+    const current = await getOne('cavalos', id);
+    if (!current) {
+      throw new Error('O registo não foi encontrado ou não pôde ser atualizado.');
+    }
+    // Como o trigger `verificar_proprietario_local_cavalo`: depois de definido, o
+    // proprietário só muda por uma venda (`transfer`)
+    if (current.proprietario_id && 'proprietario_id' in fields && fields.proprietario_id !== current.proprietario_id) {
+      throw new Error('O proprietário de um cavalo só muda por uma venda.');
+    }
+    const updated = { ...current, ...fields, id };
+    await assertUniqueIdentifiers(updated);
+    await putHorse(current, updated);
+    return updated;
+  },
+
+  // Como a função `excluir_cavalo`: o substituto é validado e só os descendentes do
+  // próprio utilizador passam para ele; os restantes ficam desvinculados
+  async remove(id, { replacementId = null } = {}) {
+    const horses = await getAll('cavalos');
+    const removed = horses.find(horse => horse.id === id);
+    if (removed && replacementId) {
+      const replacementError = checkReplacementParent(removed, replacementId, horses);
+      if (replacementError) throw new Error(replacementError);
+    }
+    const stored = await getOne('sessao', SESSION_KEY);
+    const userId = stored?.session.user.id ?? null;
+    for (const horse of horses) {
+      if (horse.pai_id !== id && horse.mae_id !== id) continue;
+      const newParentId = horse.owner_id === userId ? replacementId : null;
+      await putHorse(horse, {
+        ...horse,
+        pai_id: horse.pai_id === id ? newParentId : horse.pai_id,
+        mae_id: horse.mae_id === id ? newParentId : horse.mae_id,
+      });
+    }
+    await deleteOne('cavalos', id);
+    if (removed) await recordHistory('exclusao', removed, null);
+    for (const storeName of ['fotos_cavalos', 'registos_saude', 'transferencias']) {
+      for (const entry of await getAll(storeName)) {
+        if (entry.cavalo_id === id) await deleteOne(storeName, entry.id);
+      }
+    }
+    for (const covering of await getAll('coberturas')) {
+      if (covering.garanhao_id === id || covering.egua_id === id) await removeCovering(covering.id);
+    }
+    for (const event of await getAll('eventos_reproducao')) {
+      if (event.potro_id === id) await putOne('eventos_reproducao', { ...event, potro_id: null });
+    }
+  },
+
+  uploadPhoto(file) {
+    return readFileAsDataUrl(file);
+  },
+
+  // A foto vive dentro do próprio registo, por isso não há nada a apagar à parte
+  async deletePhoto() {},
+});
+
+const byPhotoDate = (a, b) => (b.data_foto || '').localeCompare(a.data_foto || '') || b.created_at.localeCompare(a.created_at);
+
+const createPhotoRepository = () => ({
+  async list(horseId) {
+    return (await getAll('fotos_cavalos')).filter(photo => photo.cavalo_id === horseId).sort(byPhotoDate);
+  },
+
+  async create(fields) {
+    const photo = {
+      id: uuidv4(),
+      created_at: new Date().toISOString(),
+      principal: false,
+      legenda: null,
+      data_foto: null,
+      ...fields,
+    };
+    await putOne('fotos_cavalos', photo);
+    return photo;
+  },
+
+  async update(id, fields) {
+    const current = await getOne('fotos_cavalos', id);
+    if (!current) {
+      throw new Error('A foto não foi encontrada ou não pôde ser atualizada.');
+    }
+    const updated = { ...current, ...fields, id };
+    await putOne('fotos_cavalos', updated);
+    return updated;
+  },
+
+  remove(id) {
+    return deleteOne('fotos_cavalos', id);
+  },
+
+  async setPrimary(horseId, photoId) {
+    for (const photo of await getAll('fotos_cavalos')) {
+      if (photo.cavalo_id === horseId && photo.principal !== (photo.id === photoId)) {
+        await putOne('fotos_cavalos', { ...photo, principal: photo.id === photoId });
+      }
+    }
+  },
+});
+
+const byRecordDate = (a, b) => b.data.localeCompare(a.data) || b.created_at.localeCompare(a.created_at);
+
+const createHealthRecordRepository = () => ({
+  async list(horseId) {
+    return (await getAll('registos_saude')).filter(record => record.cavalo_id === horseId).sort(byRecordDate);
+  },
+
+  listAll() {
+    return getAll('registos_saude');
+  },
+
+  async create(fields) {
+    const record = {
+      id: uuidv4(),
+      created_at: new Date().toISOString(),
+      descricao: null,
+      responsavel: null,
+      proxima_data: null,
+      documento_caminho: null,
+      documento_nome: null,
+      ...fields,
+    };
+    await putOne('registos_saude', record);
+    return record;
+  },
+
+  async update(id, fields) {
+    const current = await getOne('registos_saude', id);
+    if (!current) {
+      throw new Error('O registo de saúde não foi encontrado ou não pôde ser atualizado.');
+    }
+    const updated = { ...current, ...fields, id };
+    await putOne('registos_saude', updated);
+    return updated;
+  },
+
+  remove(id) {
+    return deleteOne('registos_saude', id);
+  },
+
+  // O "caminho" do documento é o próprio data URL
+  uploadDocument(file) {
+    return readFileAsDataUrl(file);
+  },
+
+  async getDocumentUrl(documentPath) {
+    return documentPath;
+  },
+
+  async deleteDocument() {},
+});
+
+const createBreedingRepository = () => {
+  const insertOne = async (storeName, fields) => {
+    const entry = { id: uuidv4(), created_at: new Date().toISOString(), notas: null, ...fields };
+    await putOne(storeName, entry);
+    return entry;
+  };
+
+  const updateOne = async (storeName, id, fields) => {
+    const current = await getOne(storeName, id);
+    if (!current) {
+      throw new Error('O registo de reprodução não foi encontrado ou não pôde ser atualizado.');
+    }
+    const updated = { ...current, ...fields, id };
+    await putOne(storeName, updated);
+    return updated;
+  };
+
+  return {
+    async listForHorse(horseId) {
+      const coverings = (await getAll('coberturas')).filter(c => c.garanhao_id === horseId || c.egua_id === horseId);
+      const events = await getAll('eventos_reproducao');
+      return coverings
+        .map(covering => ({ ...covering, eventos: events.filter(event => event.cobertura_id === covering.id) }))
+        .sort((a, b) => b.data.localeCompare(a.data));
+    },
+
+    createCovering: (fields) => insertOne('coberturas', fields),
+    updateCovering: (id, fields) => updateOne('coberturas', id, fields),
+    removeCovering,
+
+    createEvent: (fields) => insertOne('eventos_reproducao', { potro_id: null, ...fields }),
+    updateEvent: (id, fields) => updateOne('eventos_reproducao', id, fields),
+    removeEvent: (id) => deleteOne('eventos_reproducao', id),
+  };
+};
+
+const createHistoryRepository = () => ({
+  async list(horseId) {
+    return (await getAll('historico_cavalos'))
+      .filter(entry => entry.cavalo_id === horseId)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  },
+});
+
+// Como as políticas do Supabase, cada utilizador só vê os proprietários, os locais e
+// as transferências que registou
+const createOwnershipRepository = () => {
+  const listOwn = async (storeName) => {
+    const stored = await getOne('sessao', SESSION_KEY);
+    const userId = stored?.session.user.id ?? null;
+    return (await getAll(storeName)).filter(entry => entry.owner_id === userId);
+  };
+
+  const listByName = async (storeName) => (await listOwn(storeName)).sort((a, b) => a.nome.localeCompare(b.nome));
+
+  const insertOne = async (storeName, fields) => {
+    const entry = { id: uuidv4(), created_at: new Date().toISOString(), notas: null, ...fields };
+    await putOne(storeName, entry);
+    return entry;
+  };
+
+  const updateOne = async (storeName, id, fields) => {
+    const current = await getOne(storeName, id);
+    if (!current) {
+      throw new Error('O registo não foi encontrado ou não pôde ser atualizado.');
+    }
+    const updated = { ...current, ...fields, id };
+    await putOne(storeName, updated);
+    return updated;
+  };
+
+  return {
+    listOwners: () => listByName('proprietarios'),
+    createOwner: (fields) => insertOne('proprietarios', { contacto: null, ...fields }),
+    updateOwner: (id, fields) => updateOne('proprietarios', id, fields),
+    async removeOwner(id) {
+      const inUse = (await getAll('cavalos')).some(horse => horse.proprietario_id === id)
+        || (await getAll('transferencias')).some(t => t.proprietario_id === id || t.proprietario_anterior_id === id);
+      if (inUse) {
+        throw new Error('Este proprietário tem cavalos ou transferências registados e não pode ser excluído.');
+      }
+      await deleteOne('proprietarios', id);
+    },
+
+    listStables: () => listByName('locais'),
+    createStable: (fields) => insertOne('locais', { morada: null, ...fields }),
+    updateStable: (id, fields) => updateOne('locais', id, fields),
+    // Os cavalos do local ficam sem local
+    async removeStable(id) {
+      for (const horse of await getAll('cavalos')) {
+        if (horse.local_id === id) await putHorse(horse, { ...horse, local_id: null });
+      }
+      await deleteOne('locais', id);
+    },
+
+    async listTransfers(horseId) {
+      return (await listOwn('transferencias'))
+        .filter(transfer => transfer.cavalo_id === horseId)
+        .sort((a, b) => a.data_inicio.localeCompare(b.data_inicio));
+    },
+
+    // Como a função `transferir_cavalo`: regista a transferência e, numa venda, muda o
+    // proprietário do cavalo; o local muda quando é indicado
+    async transfer({ local_id = null, ...fields }) {
+      const horse = await getOne('cavalos', fields.cavalo_id);
+      if (!horse) {
+        throw new Error('O cavalo não foi encontrado.');
+      }
+      if (local_id && !(await getOne('locais', local_id))) {
+        throw new Error('O local indicado não existe.');
+      }
+      const transfer = await insertOne('transferencias', {
+        data_fim: null,
+        ...fields,
+        proprietario_anterior_id: horse.proprietario_id ?? null,
+        owner_id: horse.owner_id,
+      });
+      await putHorse(horse, {
+        ...horse,
+        proprietario_id: fields.tipo === 'venda' ? fields.proprietario_id : horse.proprietario_id ?? null,
+        local_id: local_id || horse.local_id || null,
+      });
+      return transfer;
+    },
+  };
+};
+
+// Autenticação fictícia: qualquer email/palavra-passe inicia sessão, e o ID do
+// utilizador é derivado do email para que a propriedade dos registos se mantenha.
+const createAuth = () => {
+  const listeners = new Set();
+  const notify = (session) => listeners.forEach(listener => listener(session));
+
+  const startSession = async (email) => {
+    const session = { user: { id: `local:${email.toLowerCase()}`, email } };
+    await putOne('sessao', { chave: SESSION_KEY, session });
+    notify(session);
+    return session;
+  };
+
+  return {
+    async getSession() {
+      const stored = await getOne('sessao', SESSION_KEY);
+      return stored ? stored.session : null;
+    },
+
+    onSessionChange(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+
+    signIn({ email }) {
+      return startSession(email);
+    },
+
+    signUp({ email }) {
+      return startSession(email);
+    },
+
+    async signOut() {
+      await deleteOne('sessao', SESSION_KEY);
+      notify(null);
+    },
+  };
+};
+
+export const createLocalBackend = () => ({
+  name: 'local',
+  horses: createHorseRepository(),
+  photos: createPhotoRepository(),
+  healthRecords: createHealthRecordRepository(),
+  breeding: createBreedingRepository(),
+  history: createHistoryRepository(),
+  ownership: createOwnershipRepository(),
+  auth: createAuth(),
+});
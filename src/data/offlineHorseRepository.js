@@ -0,0 +1,387 @@
+// Modo offline para o repositório de cavalos do Supabase.
+//
+// - A última lista obtida do servidor fica em cache no IndexedDB e é usada quando
+//   não há ligação.
+// - Criações e edições feitas sem ligação entram numa fila (com as fotos, guardadas
+//   como data URLs) e são reenviadas ao servidor quando a ligação volta.
+// - Cada cavalo devolvido por `list()` traz `_syncStatus`: 'pending' enquanto tiver
+//   alterações na fila, 'synced' caso contrário.
+// - Se o registo mudou no servidor entretanto, as alterações são combinadas campo a
+//   campo; quando o mesmo campo foi alterado dos dois lados, ganha a alteração mais
+//   recente (comparando a hora da edição offline com `updated_at` do servidor).
+// - O potro de um parto criado offline fica ligado ao parto (`potro_id`) depois de
+//   sincronizado, com a função `linkFoal(foalingId, horseId)` recebida nas opções.
+import { v4 as uuidv4 } from 'uuid';
+import { deleteOne, getAll, putOne, replaceAll } from './idb';
+
+const CACHE_STORE = 'cache_cavalos';
+const QUEUE_STORE = 'fila_sincronizacao';
+
+// Erros de rede (sem ligação, DNS, timeout) contam como "offline"; erros devolvidos
+// pelo servidor (validação, permissões) e erros do próprio código continuam a ser
+// reportados normalmente. Um `fetch` falhado é um TypeError cuja mensagem depende do
+// navegador (Chrome, Firefox, Safari e React Native, por esta ordem).
+const FETCH_FAILURE_PATTERN = /failed to fetch|networkerror|load failed|network request failed/i;
+
+export const isNetworkError = (err) => (typeof navigator !== 'undefined' && navigator.onLine === false)
+  || FETCH_FAILURE_PATTERN.test(err?.message || '');
+
+const stripLocalFields = (row) => Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('_')));
+
+const isDataUrl = (value) => typeof value === 'string' && value.startsWith('data:');
+
+// Campos com fotos que, sem ligação, ficam guardados como data URL até à sincronização
+const PHOTO_FIELDS = ['url_imagem', 'url_miniatura'];
+const hasOfflinePhoto = (fields) => PHOTO_FIELDS.some(field => isDataUrl(fields[field]));
+
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(file);
+});
+
+const dataUrlToFile = async (dataUrl) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  const extension = (blob.type.split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+  return new File([blob], `foto.${extension}`, { type: blob.type });
+};
+
+// Combinação a três vias de uma edição offline com a versão atual do servidor.
+// `base` tem os valores que o cliente viu antes de editar, `changes` os novos valores.
+// Devolve o `patch` a enviar e a lista de `conflicts` (campos alterados dos dois lados).
+export const mergeOfflineUpdate = ({ base, changes, server, changedAt }) => {
+  const serverUpdatedAt = server.updated_at ? new Date(server.updated_at).getTime() : 0;
+  const localWins = new Date(changedAt).getTime() >= serverUpdatedAt;
+  const patch = {};
+  const conflicts = [];
+
+  for (const [field, localValue] of Object.entries(changes)) {
+    const baseValue = base[field] ?? null;
+    const serverValue = server[field] ?? null;
+    const serverChanged = serverValue !== baseValue;
+
+    if (!serverChanged || serverValue === (localValue ?? null)) {
+      patch[field] = localValue;
+    } else {
+      conflicts.push({ field, localValue, serverValue, winner: localWins ? 'local' : 'server' });
+      if (localWins) {
+        patch[field] = localValue;
+      }
+    }
+  }
+
+  return { patch, conflicts };
+};
+
+export const createOfflineHorseRepository = (remote, { linkFoal = null } = {}) => {
+  const listeners = new Set();
+  let status = {
+    online: typeof navigator === 'undefined' ? true : navigator.onLine,
+    syncing: false,
+    pendingCount: 0,
+    conflicts: [],
+    lastError: null,
+  };
+
+  const setStatus = (changes) => {
+    status = { ...status, ...changes };
+    listeners.forEach(listener => listener(status));
+  };
+
+  const readQueue = async () => (await getAll(QUEUE_STORE)).sort((a, b) => a.seq - b.seq);
+
+  const refreshPendingCount = async () => {
+    setStatus({ pendingCount: (await readQueue()).length });
+  };
+
+  const updateCachedHorse = async (horse) => {
+    await putOne(CACHE_STORE, stripLocalFields(horse));
+  };
+
+  const findCached = async (id) => (await getAll(CACHE_STORE)).find(h => h.id === id) || null;
+
+  // Aplica as operações ainda na fila sobre a lista vinda do servidor (ou da cache)
+  const applyQueue = (horses, queue) => {
+    const byId = new Map(horses.map(h => [h.id, { ...h, _syncStatus: 'synced' }]));
+    for (const operation of queue) {
+      const current = byId.get(operation.id);
+      if (operation.type === 'create') {
+        byId.set(operation.id, { ...operation.fields, ...(current || {}), _syncStatus: 'pending' });
+      } else if (operation.type === 'update' && current) {
+        byId.set(operation.id, { ...current, ...operation.changes, _syncStatus: 'pending' });
+      }
+    }
+    return [...byId.values()];
+  };
+
+  // Acrescenta uma criação à fila e devolve o cavalo tal como fica até à sincronização
+  const enqueueCreate = async (row, foalingId) => {
+    const pendingRow = { created_at: new Date().toISOString(), arquivado: false, ...row };
+    await putOne(QUEUE_STORE, { type: 'create', id: row.id, fields: pendingRow, foalingId });
+    await refreshPendingCount();
+    return { ...pendingRow, _syncStatus: 'pending' };
+  };
+
+  // Acrescenta uma edição à fila. Várias edições ao mesmo cavalo são juntadas numa só,
+  // mantendo como `base` o valor original de cada campo; se o cavalo ainda não chegou
+  // ao servidor, a edição é juntada diretamente à operação de criação.
+  const enqueueUpdate = async (id, changes, currentRow) => {
+    const queue = await readQueue();
+    const pendingCreate = queue.find(op => op.type === 'create' && op.id === id);
+    if (pendingCreate) {
+      await putOne(QUEUE_STORE, { ...pendingCreate, fields: { ...pendingCreate.fields, ...changes } });
+      return;
+    }
+
+    const pendingUpdate = queue.find(op => op.type === 'update' && op.id === id);
+    const base = { ...(pendingUpdate?.base || {}) };
+    for (const field of Object.keys(changes)) {
+      if (!(field in base)) {
+        base[field] = currentRow?.[field] ?? null;
+      }
+    }
+    await putOne(QUEUE_STORE, {
+      ...(pendingUpdate || { type: 'update', id }),
+      changes: { ...(pendingUpdate?.changes || {}), ...changes },
+      base,
+      changedAt: new Date().toISOString(),
+    });
+  };
+
+  // Envia para o Storage as fotos guardadas offline e substitui-as pelos URLs públicos
+  const uploadOfflinePhotos = async (fields, ownerId) => {
+    for (const field of PHOTO_FIELDS) {
+      if (isDataUrl(fields[field])) {
+        fields[field] = await remote.uploadPhoto(await dataUrlToFile(fields[field]), { ownerId });
+      }
+    }
+  };
+
+  // Nome a mostrar de um cavalo com uma operação na fila
+  const operationHorseName = async (operation) => operation.fields?.nome
+    || operation.changes?.nome
+    || (operation.id && (await findCached(operation.id))?.nome)
+    || 'Cavalo sem nome';
+
+  const replayOperation = async (operation, ownerId) => {
+    if (operation.type === 'create') {
+      const fields = { ...operation.fields };
+      await uploadOfflinePhotos(fields, ownerId || fields.owner_id);
+      // Se a ligação caiu a meio, o cavalo pode já existir: falta só ligá-lo ao parto
+      const horse = (await remote.get(operation.id)) || await remote.create(fields);
+      if (operation.foalingId && linkFoal) {
+        try {
+          await linkFoal(operation.foalingId, horse.id);
+        } catch (err) {
+          if (isNetworkError(err)) throw err;
+          console.error('Erro ao ligar o potro ao parto:', err.message);
+          return { horse, conflicts: [{ id: horse.id, field: null, name: horse.nome, foalLinkFailed: true, message: err.message }] };
+        }
+      }
+      return { horse, conflicts: [] };
+    }
+
+    if (operation.type === 'update') {
+      const server = await remote.get(operation.id);
+      if (!server) {
+        return { horse: null, conflicts: [{ id: operation.id, field: null, winner: 'server', deleted: true }] };
+      }
+      const { patch, conflicts } = mergeOfflineUpdate({
+        base: operation.base,
+        changes: operation.changes,
+        server,
+        changedAt: operation.changedAt,
+      });
+      await uploadOfflinePhotos(patch, ownerId || server.owner_id);
+      const horse = Object.keys(patch).length > 0 ? await remote.update(operation.id, patch) : server;
+      return { horse, conflicts: conflicts.map(conflict => ({ ...conflict, id: operation.id, name: server.nome })) };
+    }
+
+    if (operation.type === 'deletePhoto') {
+      await remote.deletePhoto(operation.url);
+      return { horse: null, conflicts: [] };
+    }
+
+    return { horse: null, conflicts: [] };
+  };
+
+  let syncPromise = null;
+
+  // Reenvia a fila pela ordem em que foi criada. Pára no primeiro erro de rede, e a
+  // operação continua na fila. Uma operação recusada pelo servidor (por exemplo um
+  // número de registo já usado) sai da fila e fica nos conflitos, para não bloquear
+  // as seguintes.
+  const sync = ({ ownerId } = {}) => {
+    if (syncPromise) return syncPromise;
+
+    syncPromise = (async () => {
+      setStatus({ syncing: true, lastError: null });
+      const conflicts = [];
+      try {
+        for (const operation of await readQueue()) {
+          try {
+            const { horse, conflicts: operationConflicts } = await replayOperation(operation, ownerId);
+            if (horse) await updateCachedHorse(horse);
+            conflicts.push(...operationConflicts);
+          } catch (err) {
+            if (isNetworkError(err)) throw err;
+            console.error('Operação offline recusada pelo servidor:', err.message);
+            conflicts.push({ id: operation.id, field: null, name: await operationHorseName(operation), rejected: true, message: err.message });
+          }
+          await deleteOne(QUEUE_STORE, operation.seq);
+        }
+        setStatus({ online: true });
+      } catch (err) {
+        if (isNetworkError(err)) {
+          setStatus({ online: false });
+        } else {
+          console.error('Erro ao sincronizar alterações offline:', err.message);
+          setStatus({ lastError: err.message });
+        }
+      } finally {
+        await refreshPendingCount();
+        setStatus({ syncing: false, conflicts: conflicts.length > 0 ? conflicts : status.conflicts });
+        syncPromise = null;
+      }
+      return status;
+    })();
+
+    return syncPromise;
+  };
+
+  const repository = {
+    async list() {
+      const queue = await readQueue();
+      try {
+        const horses = await remote.list();
+        await replaceAll(CACHE_STORE, horses);
+        setStatus({ online: true });
+        return applyQueue(horses, queue);
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        setStatus({ online: false });
+        const cached = await getAll(CACHE_STORE);
+        if (cached.length === 0 && queue.length === 0) throw err;
+        return applyQueue(cached, queue);
+      }
+    },
+
+    // Um cavalo lido do servidor atualiza também a cache, por exemplo depois de uma
+    // transferência, que muda o proprietário e o local fora de `update`
+    async get(id) {
+      try {
+        const horse = await remote.get(id);
+        if (horse) await updateCachedHorse(horse);
+        return horse;
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        return findCached(id);
+      }
+    },
+
+    // O ID é gerado no cliente, para que um cavalo criado offline possa logo ser
+    // usado como pai/mãe de outro registo também criado offline. `foalingId` só é usado
+    // quando o cavalo fica na fila; criado online, é quem chama que o liga ao parto.
+    async create(fields, { foalingId = null } = {}) {
+      const row = { id: uuidv4(), ...fields };
+      // Uma foto guardada offline só pode ser enviada na sincronização
+      if (hasOfflinePhoto(row)) return enqueueCreate(row, foalingId);
+      try {
+        const horse = await remote.create(row);
+        await updateCachedHorse(horse);
+        return { ...horse, _syncStatus: 'synced' };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        return enqueueCreate(row, foalingId);
+      }
+    },
+
+    async update(id, fields) {
+      const queue = await readQueue();
+      const queueUpdate = async () => {
+        const cached = await findCached(id);
+        const current = applyQueue(cached ? [cached] : [], queue).find(h => h.id === id) || null;
+        await enqueueUpdate(id, fields, cached);
+        await refreshPendingCount();
+        return { ...(current || { id }), ...fields, _syncStatus: 'pending' };
+      };
+      // Com alterações ainda na fila, a edição junta-se a elas para manter a ordem
+      if (queue.some(op => op.id === id) || hasOfflinePhoto(fields)) return queueUpdate();
+      try {
+        const horse = await remote.update(id, fields);
+        await updateCachedHorse(horse);
+        return { ...horse, _syncStatus: 'synced' };
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        return queueUpdate();
+      }
+    },
+
+    // Exclusões definitivas exigem ligação: dependem de uma transação no servidor.
+    async remove(id, options) {
+      const queue = await readQueue();
+      if (queue.some(op => op.id === id)) {
+        throw new Error('Este cavalo tem alterações por sincronizar. Sincronize antes de o excluir.');
+      }
+      try {
+        await remote.remove(id, options);
+        await deleteOne(CACHE_STORE, id);
+      } catch (err) {
+        if (isNetworkError(err)) {
+          throw new Error('Sem ligação: a exclusão definitiva só pode ser feita online.');
+        }
+        throw err;
+      }
+    },
+
+    // Sem ligação, a foto fica no próprio registo como data URL e só é enviada
+    // para o Storage quando a operação for sincronizada.
+    async uploadPhoto(file, options) {
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return readFileAsDataUrl(file);
+      }
+      try {
+        return await remote.uploadPhoto(file, options);
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        return readFileAsDataUrl(file);
+      }
+    },
+
+    async deletePhoto(photoUrl) {
+      if (!photoUrl || isDataUrl(photoUrl)) return;
+      try {
+        await remote.deletePhoto(photoUrl);
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        await putOne(QUEUE_STORE, { type: 'deletePhoto', id: null, url: photoUrl });
+        await refreshPendingCount();
+      }
+    },
+  };
+
+  const syncController = {
+    run: sync,
+    getStatus: () => status,
+    // Devolve uma função para cancelar a subscrição
+    subscribe(callback) {
+      listeners.add(callback);
+      return () => listeners.delete(callback);
+    },
+    dismissConflicts() {
+      setStatus({ conflicts: [] });
+    },
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+      setStatus({ online: true });
+      sync();
+    });
+    window.addEventListener('offline', () => setStatus({ online: false }));
+    refreshPendingCount().catch(err => console.error('Erro ao ler a fila de sincronização:', err.message));
+  }
+
+  return { repository, sync: syncController };
+};
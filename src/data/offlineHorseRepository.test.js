@@ -0,0 +1,75 @@
+import { describe, expect, it } from 'vitest';
+import { isNetworkError, mergeOfflineUpdate } from './offlineHorseRepository';
+
+const base = { nome: 'Trovão', raca: 'Lusitano', cor: 'Ruço', pai_id: null };
+
+const merge = ({ changes, server, changedAt }) => mergeOfflineUpdate({
+  base,
+  changes,
+  server: { id: 'c1', ...base, ...server },
+  changedAt,
+});
+
+describe('mergeOfflineUpdate', () => {
+  it('envia os campos que só foram alterados offline', () => {
+    expect(merge({
+      changes: { nome: 'Trovão II', pai_id: 'p1' },
+      server: { raca: 'Árabe', updated_at: '2025-01-02T10:00:00Z' },
+      changedAt: '2025-01-01T10:00:00Z',
+    })).toEqual({ patch: { nome: 'Trovão II', pai_id: 'p1' }, conflicts: [] });
+  });
+
+  it('não conta como conflito a mesma alteração feita dos dois lados', () => {
+    expect(merge({
+      changes: { cor: 'Castanho' },
+      server: { cor: 'Castanho', updated_at: '2025-01-02T10:00:00Z' },
+      changedAt: '2025-01-01T10:00:00Z',
+    })).toEqual({ patch: { cor: 'Castanho' }, conflicts: [] });
+  });
+
+  it('a edição offline mais recente ganha ao servidor', () => {
+    expect(merge({
+      changes: { cor: 'Castanho', nome: 'Trovão II' },
+      server: { cor: 'Preto', updated_at: '2025-01-01T10:00:00Z' },
+      changedAt: '2025-01-02T10:00:00Z',
+    })).toEqual({
+      patch: { cor: 'Castanho', nome: 'Trovão II' },
+      conflicts: [{ field: 'cor', localValue: 'Castanho', serverValue: 'Preto', winner: 'local' }],
+    });
+  });
+
+  it('a alteração mais recente no servidor mantém-se e os outros campos são enviados', () => {
+    expect(merge({
+      changes: { cor: 'Castanho', nome: 'Trovão II' },
+      server: { cor: 'Preto', updated_at: '2025-01-03T10:00:00Z' },
+      changedAt: '2025-01-02T10:00:00Z',
+    })).toEqual({
+      patch: { nome: 'Trovão II' },
+      conflicts: [{ field: 'cor', localValue: 'Castanho', serverValue: 'Preto', winner: 'server' }],
+    });
+  });
+
+  it('trata valores em falta como null e ganha o local quando o servidor não indica a hora', () => {
+    expect(mergeOfflineUpdate({
+      base: {},
+      changes: { pai_id: 'p1', mae_id: null },
+      server: { id: 'c1', pai_id: 'p2' },
+      changedAt: '2025-01-01T10:00:00Z',
+    })).toEqual({
+      patch: { pai_id: 'p1', mae_id: null },
+      conflicts: [{ field: 'pai_id', localValue: 'p1', serverValue: 'p2', winner: 'local' }],
+    });
+  });
+});
+
+describe('isNetworkError', () => {
+  it('reconhece as falhas de fetch dos vários navegadores', () => {
+    ['Failed to fetch', 'NetworkError when attempting to fetch resource.', 'Load failed', 'Network request failed']
+      .forEach(message => expect(isNetworkError(new TypeError(message))).toBe(true));
+  });
+
+  it('não confunde erros do servidor com falta de ligação', () => {
+    expect(isNetworkError(new Error('new row violates row-level security policy'))).toBe(false);
+    expect(isNetworkError(null)).toBe(false);
+  });
+});
@@ -0,0 +1,16 @@
+// Repositórios sem cache nem fila offline: sem ligação, o erro de rede passa a
+// uma mensagem clara para o utilizador em vez do "Failed to fetch" do navegador.
+import { isNetworkError } from './offlineHorseRepository';
+
+export const requireConnection = (repository, featureName) => Object.fromEntries(
+  Object.entries(repository).map(([methodName, method]) => [methodName, async (...args) => {
+    try {
+      return await method(...args);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        throw new Error(`Sem ligação: ${featureName} só está disponível online.`);
+      }
+      throw err;
+    }
+  }])
+);
@@ -0,0 +1,393 @@
+// Backend Supabase: tabelas `cavalos`, `fotos_cavalos`, `registos_saude`, `coberturas`,
+// `eventos_reproducao`, `historico_cavalos`, `proprietarios`, `locais` e `transferencias`, buckets `fotos-cavalos` e `documentos-saude` e Supabase Auth.
+import { v4 as uuidv4 } from 'uuid';
+
+const HORSE_COLUMNS = 'id, created_at, nome, raca, url_imagem, url_miniatura, pai_id, mae_id, idade, data_nascimento, ano_nascimento, sexo, arquivado, numero_registo, microchip, id_associacao, marcas, apenas_ancestral, proprietario_id, local_id, owner_id, updated_at';
+const PHOTO_BUCKET = 'fotos-cavalos';
+const GALLERY_COLUMNS = 'id, cavalo_id, url, url_miniatura, legenda, data_foto, principal, owner_id, created_at';
+const HEALTH_COLUMNS = 'id, cavalo_id, tipo, data, descricao, responsavel, proxima_data, documento_caminho, documento_nome, owner_id, created_at';
+const COVERING_COLUMNS = 'id, garanhao_id, egua_id, data, metodo, notas, owner_id, created_at';
+const BREEDING_EVENT_COLUMNS = 'id, cobertura_id, tipo, data, resultado, potro_id, notas, created_at';
+const HISTORY_COLUMNS = 'id, cavalo_id, acao, alteracoes, dados, utilizador_id, utilizador_email, created_at';
+const OWNER_COLUMNS = 'id, nome, contacto, notas, owner_id, created_at';
+const STABLE_COLUMNS = 'id, nome, morada, notas, owner_id, created_at';
+const TRANSFER_COLUMNS = 'id, cavalo_id, tipo, proprietario_anterior_id, proprietario_id, data_inicio, data_fim, notas, owner_id, created_at';
+const DOCUMENT_BUCKET = 'documentos-saude';
+// Validade dos links para abrir documentos do bucket privado, em segundos
+const DOCUMENT_URL_EXPIRY = 60 * 60;
+
+// Violação de um dos índices únicos dos identificadores (ver 20250708000000_identificadores.sql)
+const UNIQUE_IDENTIFIER_INDEXES = {
+  cavalos_numero_registo_key: 'número de registo',
+  cavalos_microchip_key: 'microchip',
+  cavalos_id_associacao_key: 'ID na associação',
+};
+const horseWriteError = (error) => {
+  if (error.code !== '23505') return error;
+  const index = Object.keys(UNIQUE_IDENTIFIER_INDEXES).find(name => error.message?.includes(name));
+  return new Error(index
+    ? `Já existe um cavalo com este ${UNIQUE_IDENTIFIER_INDEXES[index]}.`
+    : 'Já existe um cavalo com estes identificadores.');
+};
+
+const createHorseRepository = (client) => {
+  // Extrai o caminho do objeto a partir do URL público devolvido pelo Storage
+  const photoPathFromUrl = (photoUrl) => {
+    const marker = `/${PHOTO_BUCKET}/`;
+    const markerIndex = photoUrl ? photoUrl.indexOf(marker) : -1;
+    if (markerIndex === -1) return null;
+    return decodeURIComponent(photoUrl.slice(markerIndex + marker.length).split('?')[0]);
+  };
+
+  return {
+    async list() {
+      const { data, error } = await client.from('cavalos').select(HORSE_COLUMNS);
+      if (error) throw error;
+      return data;
+    },
+
+    async get(id) {
+      const { data, error } = await client.from('cavalos').select(HORSE_COLUMNS).eq('id', id).maybeSingle();
+      if (error) throw error;
+      return data;
+    },
+
+    async create(fields) {
+      const { data, error } = await client.from('cavalos').insert([fields]).select(HORSE_COLUMNS);
+      if (error) throw horseWriteError(error);
+      return data[0];
+    },
+
+    async update(id, fields) {
+      const { data, error } = await client.from('cavalos').update(fields).eq('id', id).select(HORSE_COLUMNS);
+      if (error) throw horseWriteError(error);
+      if (!data || data.length === 0) {
+        throw new Error('O registo não foi encontrado ou não pôde ser atualizado.');
+      }
+      return data[0];
+    },
+
+    // O desvincular/reassociar dos descendentes e a exclusão correm numa só
+    // transação, na função `excluir_cavalo` (ver supabase/migrations).
+    async remove(id, { replacementId = null } = {}) {
+      const { error } = await client.rpc('excluir_cavalo', {
+        p_cavalo_id: id,
+        p_substituto_id: replacementId,
+      });
+      if (error) throw error;
+    },
+
+    // Cada utilizador só pode escrever na sua própria pasta (ver políticas do Storage)
+    async uploadPhoto(file, { ownerId }) {
+      const fileExtension = file.name.split('.').pop();
+      const filePath = `${ownerId}/${uuidv4()}.${fileExtension}`;
+
+      const { error: uploadError } = await client.storage.from(PHOTO_BUCKET).upload(filePath, file);
+      if (uploadError) throw uploadError;
+
+      const { data } = client.storage.from(PHOTO_BUCKET).getPublicUrl(filePath);
+      if (data && data.publicUrl) {
+        return data.publicUrl;
+      }
+      throw new Error('Não foi possível obter o URL público da imagem após o upload.');
+    },
+
+    // Falhas aqui não devem impedir a operação principal, por isso apenas são registadas.
+    async deletePhoto(photoUrl) {
+      const filePath = photoPathFromUrl(photoUrl);
+      if (!filePath) return;
+      const { error } = await client.storage.from(PHOTO_BUCKET).remove([filePath]);
+      if (error) {
+        console.error('Erro ao remover a foto antiga:', error.message);
+      }
+    },
+  };
+};
+
+// Galeria de fotos (`fotos_cavalos`). Os ficheiros são enviados com `horses.uploadPhoto`.
+const createPhotoRepository = (client) => ({
+  async list(horseId) {
+    const { data, error } = await client
+      .from('fotos_cavalos')
+      .select(GALLERY_COLUMNS)
+      .eq('cavalo_id', horseId)
+      .order('data_foto', { ascending: false, nullsFirst: false })
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+  },
+
+  async create(fields) {
+    const { data, error } = await client.from('fotos_cavalos').insert([fields]).select(GALLERY_COLUMNS);
+    if (error) throw error;
+    return data[0];
+  },
+
+  async update(id, fields) {
+    const { data, error } = await client.from('fotos_cavalos').update(fields).eq('id', id).select(GALLERY_COLUMNS);
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error('A foto não foi encontrada ou não pôde ser atualizada.');
+    }
+    return data[0];
+  },
+
+  async remove(id) {
+    const { error } = await client.from('fotos_cavalos').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  // Primeiro desmarca as outras, por causa do índice único da foto principal
+  async setPrimary(horseId, photoId) {
+    const { error: clearError } = await client
+      .from('fotos_cavalos')
+      .update({ principal: false })
+      .eq('cavalo_id', horseId)
+      .neq('id', photoId);
+    if (clearError) throw clearError;
+    const { error } = await client.from('fotos_cavalos').update({ principal: true }).eq('id', photoId);
+    if (error) throw error;
+  },
+});
+
+// Registos de saúde (`registos_saude`). As políticas de RLS só devolvem os registos
+// dos cavalos do utilizador, por isso `listAll` serve para a visão geral do efetivo.
+const createHealthRecordRepository = (client) => ({
+  async list(horseId) {
+    const { data, error } = await client
+      .from('registos_saude')
+      .select(HEALTH_COLUMNS)
+      .eq('cavalo_id', horseId)
+      .order('data', { ascending: false });
+    if (error) throw error;
+    return data;
+  },
+
+  async listAll() {
+    const { data, error } = await client.from('registos_saude').select(HEALTH_COLUMNS);
+    if (error) throw error;
+    return data;
+  },
+
+  async create(fields) {
+    const { data, error } = await client.from('registos_saude').insert([fields]).select(HEALTH_COLUMNS);
+    if (error) throw error;
+    return data[0];
+  },
+
+  async update(id, fields) {
+    const { data, error } = await client.from('registos_saude').update(fields).eq('id', id).select(HEALTH_COLUMNS);
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error('O registo de saúde não foi encontrado ou não pôde ser atualizado.');
+    }
+    return data[0];
+  },
+
+  async remove(id) {
+    const { error } = await client.from('registos_saude').delete().eq('id', id);
+    if (error) throw error;
+  },
+
+  // Devolve o caminho do objeto, que é o que fica guardado no registo
+  async uploadDocument(file, { ownerId }) {
+    const fileExtension = file.name.split('.').pop();
+    const filePath = `${ownerId}/${uuidv4()}.${fileExtension}`;
+    const { error } = await client.storage.from(DOCUMENT_BUCKET).upload(filePath, file);
+    if (error) throw error;
+    return filePath;
+  },
+
+  async getDocumentUrl(documentPath) {
+    const { data, error } = await client.storage.from(DOCUMENT_BUCKET).createSignedUrl(documentPath, DOCUMENT_URL_EXPIRY);
+    if (error) throw error;
+    return data.signedUrl;
+  },
+
+  // Como em `deletePhoto`, uma falha aqui apenas é registada
+  async deleteDocument(documentPath) {
+    if (!documentPath) return;
+    const { error } = await client.storage.from(DOCUMENT_BUCKET).remove([documentPath]);
+    if (error) {
+      console.error('Erro ao remover o documento:', error.message);
+    }
+  },
+});
+
+// Reprodução: coberturas (`coberturas`) e os seus diagnósticos e partos
+// (`eventos_reproducao`), que vêm embebidos em cada cobertura como `eventos`.
+const createBreedingRepository = (client) => {
+  const insertOne = async (table, columns, fields) => {
+    const { data, error } = await client.from(table).insert([fields]).select(columns);
+    if (error) throw error;
+    return data[0];
+  };
+
+  const updateOne = async (table, columns, id, fields) => {
+    const { data, error } = await client.from(table).update(fields).eq('id', id).select(columns);
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error('O registo de reprodução não foi encontrado ou não pôde ser atualizado.');
+    }
+    return data[0];
+  };
+
+  const removeOne = async (table, id) => {
+    const { error } = await client.from(table).delete().eq('id', id);
+    if (error) throw error;
+  };
+
+  return {
+    // Coberturas em que o cavalo é o garanhão ou a égua
+    async listForHorse(horseId) {
+      const { data, error } = await client
+        .from('coberturas')
+        .select(`${COVERING_COLUMNS}, eventos:eventos_reproducao(${BREEDING_EVENT_COLUMNS})`)
+        .or(`garanhao_id.eq.${horseId},egua_id.eq.${horseId}`)
+        .order('data', { ascending: false });
+      if (error) throw error;
+      return data;
+    },
+
+    createCovering: (fields) => insertOne('coberturas', COVERING_COLUMNS, fields),
+    updateCovering: (id, fields) => updateOne('coberturas', COVERING_COLUMNS, id, fields),
+    removeCovering: (id) => removeOne('coberturas', id),
+
+    createEvent: (fields) => insertOne('eventos_reproducao', BREEDING_EVENT_COLUMNS, fields),
+    updateEvent: (id, fields) => updateOne('eventos_reproducao', BREEDING_EVENT_COLUMNS, id, fields),
+    removeEvent: (id) => removeOne('eventos_reproducao', id),
+  };
+};
+
+// Histórico de alterações: escrito pelo trigger `registar_historico_cavalo`, aqui só se lê
+const createHistoryRepository = (client) => ({
+  async list(horseId) {
+    const { data, error } = await client
+      .from('historico_cavalos')
+      .select(HISTORY_COLUMNS)
+      .eq('cavalo_id', horseId)
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+  },
+});
+
+// Proprietários (`proprietarios`), locais (`locais`) e transferências (`transferencias`)
+const createOwnershipRepository = (client) => {
+  const listByName = async (table, columns) => {
+    const { data, error } = await client.from(table).select(columns).order('nome');
+    if (error) throw error;
+    return data;
+  };
+
+  const insertOne = async (table, columns, fields) => {
+    const { data, error } = await client.from(table).insert([fields]).select(columns);
+    if (error) throw error;
+    return data[0];
+  };
+
+  const updateOne = async (table, columns, id, fields) => {
+    const { data, error } = await client.from(table).update(fields).eq('id', id).select(columns);
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      throw new Error('O registo não foi encontrado ou não pôde ser atualizado.');
+    }
+    return data[0];
+  };
+
+  const removeOne = async (table, id) => {
+    const { error } = await client.from(table).delete().eq('id', id);
+    if (error) throw error;
+  };
+
+  return {
+    listOwners: () => listByName('proprietarios', OWNER_COLUMNS),
+    createOwner: (fields) => insertOne('proprietarios', OWNER_COLUMNS, fields),
+    updateOwner: (id, fields) => updateOne('proprietarios', OWNER_COLUMNS, id, fields),
+    // Um proprietário com cavalos ou transferências não pode ser excluído (chave estrangeira)
+    async removeOwner(id) {
+      try {
+        await removeOne('proprietarios', id);
+      } catch (err) {
+        if (err.code === '23503') {
+          throw new Error('Este proprietário tem cavalos ou transferências registados e não pode ser excluído.');
+        }
+        throw err;
+      }
+    },
+
+    listStables: () => listByName('locais', STABLE_COLUMNS),
+    createStable: (fields) => insertOne('locais', STABLE_COLUMNS, fields),
+    updateStable: (id, fields) => updateOne('locais', STABLE_COLUMNS, id, fields),
+    removeStable: (id) => removeOne('locais', id),
+
+    async listTransfers(horseId) {
+      const { data, error } = await client
+        .from('transferencias')
+        .select(TRANSFER_COLUMNS)
+        .eq('cavalo_id', horseId)
+        .order('data_inicio', { ascending: true });
+      if (error) throw error;
+      return data;
+    },
+
+    // A transferência e a mudança do proprietário/local do cavalo correm numa só
+    // transação, na função `transferir_cavalo` (ver supabase/migrations)
+    async transfer({ cavalo_id, tipo, proprietario_id, data_inicio, data_fim = null, local_id = null, notas = null }) {
+      const { data, error } = await client.rpc('transferir_cavalo', {
+        p_cavalo_id: cavalo_id,
+        p_tipo: tipo,
+        p_proprietario_id: proprietario_id,
+        p_data_inicio: data_inicio,
+        p_data_fim: data_fim,
+        p_local_id: local_id,
+        p_notas: notas,
+      });
+      if (error) throw error;
+      return data;
+    },
+  };
+};
+
+const createAuth = (client) => ({
+  async getSession() {
+    const { data, error } = await client.auth.getSession();
+    if (error) throw error;
+    return data.session;
+  },
+
+  // Devolve uma função para cancelar a subscrição
+  onSessionChange(callback) {
+    const { data: { subscription } } = client.auth.onAuthStateChange((_event, session) => callback(session));
+    return () => subscription.unsubscribe();
+  },
+
+  // Devolve a sessão, ou `null` quando a conta ainda precisa de confirmação por email
+  async signIn({ email, password }) {
+    const { data, error } = await client.auth.signInWithPassword({ email, password });
+    if (error) throw error;
+    return data.session;
+  },
+
+  async signUp({ email, password }) {
+    const { data, error } = await client.auth.signUp({ email, password });
+    if (error) throw error;
+    return data.session;
+  },
+
+  async signOut() {
+    const { error } = await client.auth.signOut();
+    if (error) throw error;
+  },
+});
+
+export const createSupabaseBackend = (client) => ({
+  name: 'supabase',
+  horses: createHorseRepository(client),
+  photos: createPhotoRepository(client),
+  healthRecords: createHealthRecordRepository(client),
+  breeding: createBreedingRepository(client),
+  history: createHistoryRepository(client),
+  ownership: createOwnershipRepository(client),
+  auth: createAuth(client),
+});
@@ -0,0 +1,79 @@
+// Utilitários para gerar e descarregar ficheiros no próprio navegador.
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const downloadText = (text, fileName, type = 'text/plain') => {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), fileName);
+};
+
+// "Égua Bela" -> "egua-bela", para usar em nomes de ficheiros
+export const slugify = (text) => (text || 'ficheiro')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onloadend = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// Descarrega uma imagem remota como data URL, para a poder embutir num SVG exportado.
+// Devolve null se a imagem não puder ser obtida (por exemplo, sem CORS).
+export const imageUrlToDataUrl = async (url) => {
+  if (!url) return null;
+  if (url.startsWith('data:')) return url;
+  try {
+    const response = await fetch(url, { mode: 'cors' });
+    if (!response.ok) return null;
+    return await blobToDataUrl(await response.blob());
+  } catch {
+    return null;
+  }
+};
+
+export const serializeSvg = (svgElement) => {
+  const clone = svgElement.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+};
+
+// Rasteriza um SVG (em texto) para um canvas com a escala indicada.
+// As imagens do SVG têm de estar embutidas como data URLs.
+export const svgToCanvas = (svgString, width, height, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width * scale;
+    canvas.height = height * scale;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Não foi possível converter o SVG em imagem.'));
+  };
+  image.src = url;
+});
+
+export const canvasToBlob = (canvas, type = 'image/png') => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Não foi possível gerar a imagem.'))), type);
+});
@@ -0,0 +1,79 @@
+// Registos de saúde: tipos de registo e cálculo das próximas datas (vacinas,
+// desparasitações, ferrações...). Módulo puro, sem React nem acesso a dados.
+
+export const HEALTH_RECORD_TYPES = [
+  { value: 'vacinacao', label: 'Vacinação' },
+  { value: 'desparasitacao', label: 'Desparasitação' },
+  { value: 'ferracao', label: 'Ferração' },
+  { value: 'exame', label: 'Exame' },
+  { value: 'veterinario', label: 'Consulta veterinária' },
+  { value: 'outro', label: 'Outro' },
+];
+
+// Uma data prevista entra em "próximos" quando faltam no máximo estes dias
+export const UPCOMING_DAYS = 30;
+
+// Documentos anexados: PDF ou imagem, até 10 MB
+export const ACCEPTED_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+export const MAX_DOCUMENT_FILE_SIZE = 10 * 1024 * 1024;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const healthRecordTypeLabel = (type) => HEALTH_RECORD_TYPES.find(t => t.value === type)?.label || type;
+
+export const validateDocumentFile = (file) => {
+  if (!file) return 'Nenhum ficheiro selecionado.';
+  if (!ACCEPTED_DOCUMENT_TYPES.includes(file.type)) {
+    return 'Formato não suportado. Anexe um PDF ou uma imagem (JPEG, PNG ou WebP).';
+  }
+  if (file.size > MAX_DOCUMENT_FILE_SIZE) {
+    return 'O documento tem mais de 10 MB.';
+  }
+  return null;
+};
+
+// Datas 'AAAA-MM-DD' comparadas em dias inteiros, na hora local
+const toLocalDay = (value) => {
+  const date = typeof value === 'string' ? new Date(`${value}T00:00:00`) : new Date(value);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+export const daysUntil = (dueDate, today = new Date()) => Math.round((toLocalDay(dueDate) - toLocalDay(today)) / DAY_MS);
+
+// 'overdue' (em atraso), 'upcoming' (nos próximos UPCOMING_DAYS dias) ou 'scheduled'
+export const dueStatus = (dueDate, today = new Date()) => {
+  const days = daysUntil(dueDate, today);
+  if (days < 0) return 'overdue';
+  if (days <= UPCOMING_DAYS) return 'upcoming';
+  return 'scheduled';
+};
+
+export const formatHealthDate = (date) => (date ? toLocalDay(date).toLocaleDateString('pt-PT') : '');
+
+export const formatDueDistance = (days) => {
+  if (days === 0) return 'hoje';
+  if (days < 0) return `há ${-days} ${days === -1 ? 'dia' : 'dias'}`;
+  return `daqui a ${days} ${days === 1 ? 'dia' : 'dias'}`;
+};
+
+const byDateDesc = (a, b) => (b.data || '').localeCompare(a.data || '') || (b.created_at || '').localeCompare(a.created_at || '');
+
+export const sortHealthRecords = (records) => [...records].sort(byDateDesc);
+
+// Próximas datas ainda por cumprir. Para cada cavalo e tipo conta apenas o registo
+// mais recente: registar a vacina seguinte substitui a data prevista na anterior.
+// Devolve `[{ record, dueDate, days, status }]`, da data mais antiga para a mais recente.
+export const pendingDueDates = (records, today = new Date()) => {
+  const latest = new Map();
+  for (const record of sortHealthRecords(records)) {
+    const key = `${record.cavalo_id}|${record.tipo}`;
+    if (!latest.has(key)) latest.set(key, record);
+  }
+  return [...latest.values()]
+    .filter(record => record.proxima_data)
+    .map(record => {
+      const days = daysUntil(record.proxima_data, today);
+      return { record, dueDate: record.proxima_data, days, status: dueStatus(record.proxima_data, today) };
+    })
+    .sort((a, b) => a.days - b.days);
+};
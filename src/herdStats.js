@@ -0,0 +1,133 @@
+// Estatísticas do efetivo para o painel: distribuição por raça e sexo, pirâmide
+// etária, progenitores com mais descendentes, completude dos pedigrees e registos
+// por mês. Cada entrada traz `filters`, os filtros da lista (ver horseFilters.js)
+// que mostram os cavalos dessa entrada, ou null quando não há filtro equivalente.
+// Módulo puro, sem React nem acesso a dados.
+import { calculateAge } from './horseAge';
+import { pedigreeCompleteness } from './pedigreeData';
+
+export const DASHBOARD_GENERATIONS = 5;
+export const TOP_PARENTS_LIMIT = 10;
+
+// Grupos etários da pirâmide, em anos completos; `max` null = sem limite
+export const AGE_GROUPS = [
+  { min: 0, max: 0, label: '< 1' },
+  { min: 1, max: 1, label: '1' },
+  { min: 2, max: 2, label: '2' },
+  { min: 3, max: 3, label: '3' },
+  { min: 4, max: 5, label: '4–5' },
+  { min: 6, max: 9, label: '6–9' },
+  { min: 10, max: 14, label: '10–14' },
+  { min: 15, max: 19, label: '15–19' },
+  { min: 20, max: null, label: '20+' },
+];
+
+const countBy = (items, keyOf) => {
+  const counts = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
+
+export const breedDistribution = (horses) => [...countBy(horses, h => h.raca || '')]
+  .map(([breed, count]) => ({
+    key: breed,
+    label: breed || 'Sem raça',
+    count,
+    filters: breed ? { raca: breed } : null,
+  }))
+  .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+
+export const sexDistribution = (horses) => {
+  const counts = countBy(horses, h => h.sexo || '');
+  return ['Macho', 'Fêmea', '']
+    .filter(sex => counts.has(sex))
+    .map(sex => ({
+      key: sex,
+      label: sex || 'Desconhecido',
+      count: counts.get(sex),
+      filters: sex ? { sexo: sex } : null,
+    }));
+};
+
+// `[{ label, males, females, filters: { Macho, Fêmea } }]`, do grupo mais novo para o
+// mais velho. Os cavalos sem data de nascimento ou sem sexo não entram.
+export const agePyramid = (horses, referenceDate = new Date()) => AGE_GROUPS.map(group => {
+  const inGroup = horses.filter(horse => {
+    const age = calculateAge(horse, referenceDate);
+    return age && age.years >= group.min && (group.max === null || age.years <= group.max);
+  });
+  const ageFilters = { idadeMin: String(group.min), idadeMax: group.max === null ? '' : String(group.max) };
+  return {
+    label: group.label,
+    males: inGroup.filter(h => h.sexo === 'Macho').length,
+    females: inGroup.filter(h => h.sexo === 'Fêmea').length,
+    filters: {
+      Macho: { ...ageFilters, sexo: 'Macho' },
+      Fêmea: { ...ageFilters, sexo: 'Fêmea' },
+    },
+  };
+});
+
+// Progenitores com mais descendentes em `offspring` (`field` é 'pai_id' ou 'mae_id'),
+// procurados em `allHorses`. Os descendentes arquivados também contam: continuam a
+// ser filhos registados.
+export const topParents = (offspring, allHorses, field, limit = TOP_PARENTS_LIMIT) => {
+  const byId = new Map(allHorses.map(h => [h.id, h]));
+  const filterKey = field === 'pai_id' ? 'pai' : 'mae';
+  return [...countBy(offspring.filter(h => h[field] && byId.has(h[field])), h => h[field])]
+    .map(([id, count]) => ({
+      key: id,
+      label: byId.get(id).nome,
+      count,
+      filters: { [filterKey]: id, arquivados: true },
+    }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+    .slice(0, limit);
+};
+
+// Fração de ancestrais conhecidos em cada geração, somada sobre os cavalos de `horses`
+// (com as ligações procuradas em `allHorses`).
+export const herdPedigreeCompleteness = (horses, allHorses, generations = DASHBOARD_GENERATIONS) => {
+  const byId = new Map(allHorses.map(h => [h.id, h]));
+  const totals = Array.from({ length: generations }, (_, index) => ({ generation: index + 1, known: 0, possible: 0, incomplete: 0 }));
+  for (const horse of horses) {
+    pedigreeCompleteness(horse, byId, generations).forEach(({ known, possible }, index) => {
+      totals[index].known += known;
+      totals[index].possible += possible;
+      if (known < possible) totals[index].incomplete += 1;
+    });
+  }
+  return totals.map(total => ({
+    ...total,
+    fraction: total.possible > 0 ? total.known / total.possible : 0,
+    filters: total.incomplete > 0 ? { pedigreeIncompleto: String(total.generation) } : null,
+  }));
+};
+
+export const GENERATION_LABELS = ['Pais', 'Avós', 'Bisavós', 'Trisavós', 'Tetravós'];
+export const generationLabel = (generation) => GENERATION_LABELS[generation - 1] || `${generation}.ª geração`;
+
+const nextMonth = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return monthNumber === 12 ? `${year + 1}-01` : `${year}-${String(monthNumber + 1).padStart(2, '0')}`;
+};
+
+// Registos por mês ('AAAA-MM'), sem saltar os meses sem registos
+export const registrationsByMonth = (horses) => {
+  const counts = countBy(horses.filter(h => h.created_at), h => h.created_at.slice(0, 7));
+  if (counts.size === 0) return [];
+  const months = [...counts.keys()].sort();
+  const series = [];
+  for (let month = months[0]; month <= months[months.length - 1]; month = nextMonth(month)) {
+    series.push({
+      key: month,
+      label: month,
+      count: counts.get(month) || 0,
+      filters: { registadoDe: month, registadoAte: month, arquivados: true },
+    });
+  }
+  return series;
+};
@@ -0,0 +1,128 @@
+import { describe, expect, it } from 'vitest';
+import {
+  agePyramid,
+  breedDistribution,
+  generationLabel,
+  herdPedigreeCompleteness,
+  registrationsByMonth,
+  sexDistribution,
+  topParents,
+} from './herdStats';
+import { DEFAULT_FILTERS, applyFilters } from './horseFilters';
+
+const REFERENCE_DATE = new Date(2025, 5, 15);
+
+const horse = (id, sexo, fields = {}) => ({
+  id, nome: id, sexo, raca: 'Lusitano', pai_id: null, mae_id: null, created_at: '2025-01-10T10:00:00Z', ...fields,
+});
+
+// garanhao × egua -> potro, potra; potro × egua2 -> neto
+const herd = [
+  horse('garanhao', 'Macho', { data_nascimento: '2004-03-01', raca: 'Árabe', created_at: '2024-11-02T10:00:00Z' }),
+  horse('egua', 'Fêmea', { ano_nascimento: 2010 }),
+  horse('egua2', 'Fêmea', { data_nascimento: '2019-05-20', raca: '' }),
+  horse('potro', 'Macho', { data_nascimento: '2021-02-10', pai_id: 'garanhao', mae_id: 'egua' }),
+  horse('potra', 'Fêmea', { data_nascimento: '2024-12-01', pai_id: 'garanhao', mae_id: 'egua', arquivado: true }),
+  horse('neto', 'Macho', { data_nascimento: '2025-01-05', pai_id: 'potro', mae_id: 'egua2' }),
+  horse('sem_sexo', null, { created_at: null }),
+];
+
+const idsMatching = (filters) => applyFilters(herd, { ...DEFAULT_FILTERS, ...filters }, REFERENCE_DATE).map(h => h.id).sort();
+
+describe('distribuição por raça e sexo', () => {
+  it('conta os cavalos por raça, do mais frequente para o menos', () => {
+    expect(breedDistribution(herd).map(({ label, count, filters }) => [label, count, filters])).toEqual([
+      ['Lusitano', 5, { raca: 'Lusitano' }],
+      ['Árabe', 1, { raca: 'Árabe' }],
+      ['Sem raça', 1, null],
+    ]);
+  });
+
+  it('conta os cavalos por sexo, com os de sexo desconhecido no fim', () => {
+    expect(sexDistribution(herd).map(({ label, count }) => [label, count])).toEqual([
+      ['Macho', 3],
+      ['Fêmea', 3],
+      ['Desconhecido', 1],
+    ]);
+  });
+});
+
+describe('agePyramid', () => {
+  it('agrupa por idade e sexo e só conta cavalos com nascimento e sexo conhecidos', () => {
+    const pyramid = agePyramid(herd, REFERENCE_DATE);
+    const counts = Object.fromEntries(pyramid.map(group => [group.label, [group.males, group.females]]));
+    expect(counts).toEqual({
+      '< 1': [1, 1],
+      1: [0, 0],
+      2: [0, 0],
+      3: [0, 0],
+      '4–5': [1, 0],
+      '6–9': [0, 1],
+      '10–14': [0, 0],
+      '15–19': [0, 1],
+      '20+': [1, 0],
+    });
+  });
+
+  it('os filtros de cada grupo mostram os mesmos cavalos na lista', () => {
+    const pyramid = agePyramid(herd, REFERENCE_DATE);
+    const youngest = pyramid[0];
+    expect(idsMatching({ ...youngest.filters.Fêmea, arquivados: true })).toEqual(['potra']);
+    expect(idsMatching(pyramid[8].filters.Macho)).toEqual(['garanhao']);
+  });
+});
+
+describe('topParents', () => {
+  it('ordena os progenitores pelo número de filhos, incluindo os arquivados', () => {
+    expect(topParents(herd, herd, 'pai_id')).toEqual([
+      { key: 'garanhao', label: 'garanhao', count: 2, filters: { pai: 'garanhao', arquivados: true } },
+      { key: 'potro', label: 'potro', count: 1, filters: { pai: 'potro', arquivados: true } },
+    ]);
+    expect(topParents(herd, herd, 'mae_id', 1).map(entry => entry.key)).toEqual(['egua']);
+  });
+
+  it('os filtros mostram os filhos contados', () => {
+    const [first] = topParents(herd, herd, 'pai_id');
+    expect(idsMatching(first.filters)).toEqual(['potra', 'potro']);
+  });
+});
+
+describe('herdPedigreeCompleteness', () => {
+  it('soma os ancestrais conhecidos em cada geração', () => {
+    const totals = herdPedigreeCompleteness(herd, herd, 2);
+    expect(totals.map(({ generation, known, possible, incomplete }) => [generation, known, possible, incomplete])).toEqual([
+      [1, 6, 14, 4],
+      [2, 2, 28, 7],
+    ]);
+    expect(totals[0].fraction).toBeCloseTo(6 / 14);
+    expect(totals[1].filters).toEqual({ pedigreeIncompleto: '2' });
+  });
+
+  it('o filtro da geração mostra os cavalos com ancestrais em falta nessa geração', () => {
+    expect(idsMatching({ pedigreeIncompleto: '1', arquivados: true })).toEqual(['egua', 'egua2', 'garanhao', 'sem_sexo']);
+  });
+});
+
+describe('registrationsByMonth', () => {
+  it('inclui os meses sem registos entre o primeiro e o último', () => {
+    expect(registrationsByMonth(herd).map(({ key, count }) => [key, count])).toEqual([
+      ['2024-11', 1],
+      ['2024-12', 0],
+      ['2025-01', 5],
+    ]);
+    expect(registrationsByMonth([])).toEqual([]);
+  });
+
+  it('os filtros do mês mostram os cavalos registados nesse mês', () => {
+    const [november] = registrationsByMonth(herd);
+    expect(idsMatching(november.filters)).toEqual(['garanhao']);
+  });
+});
+
+describe('generationLabel', () => {
+  it('dá nome às primeiras gerações e numera as restantes', () => {
+    expect(generationLabel(1)).toBe('Pais');
+    expect(generationLabel(5)).toBe('Tetravós');
+    expect(generationLabel(6)).toBe('6.ª geração');
+  });
+});
@@ -0,0 +1,17 @@
+// Dados da sessão e ações sobre os cavalos que a App disponibiliza aos ecrãs de um
+// cavalo (ficha, formulário e os painéis dentro deles), em vez de os passar de
+// componente em componente. Cada ação grava no repositório e atualiza a lista de
+// cavalos em memória:
+//
+//   { currentUserId, owners, stables, canEditHorse(horse),
+//     setHorseArchived(id, archived), deleteHorse(id, replacementId),
+//     setPrimaryPhoto(id, photo), restoreHorseVersion(id, entry),
+//     transferHorse(id, fields), createAncestor(fields) }
+//
+// `setHorseArchived` e `deleteHorse` mostram os seus erros; as outras devolvem
+// Promises que rejeitam com o erro, para o ecrã que as chamou o mostrar.
+import { createContext, useContext } from 'react';
+
+export const HorseActionsContext = createContext(null);
+
+export const useHorseActions = () => useContext(HorseActionsContext);
@@ -0,0 +1,79 @@
+// Cálculo da idade de um cavalo a partir da data (ou do ano aproximado) de nascimento.
+// Funções puras: não dependem do React nem do Supabase.
+
+// Interpreta 'AAAA-MM-DD' como data local (new Date('AAAA-MM-DD') seria UTC
+// e poderia recuar um dia em fusos horários negativos).
+export const parseBirthDate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Ano de nascimento do cavalo e se é apenas aproximado.
+// Para registos antigos que ainda só têm `idade`, estima o ano relativo a `created_at`.
+export const getBirthInfo = (horse) => {
+  if (!horse) return null;
+
+  const exactDate = parseBirthDate(horse.data_nascimento);
+  if (exactDate) {
+    return { date: exactDate, year: exactDate.getFullYear(), approximate: false };
+  }
+
+  if (horse.ano_nascimento) {
+    return { date: null, year: Number(horse.ano_nascimento), approximate: true };
+  }
+
+  if (horse.idade !== null && horse.idade !== undefined && horse.idade !== '') {
+    const createdAt = horse.created_at ? new Date(horse.created_at) : new Date();
+    return { date: null, year: createdAt.getFullYear() - Number(horse.idade), approximate: true };
+  }
+
+  return null;
+};
+
+// Idade em anos e meses. Quando só se conhece o ano, os meses ficam a null.
+export const calculateAge = (horse, referenceDate = new Date()) => {
+  const birth = getBirthInfo(horse);
+  if (!birth) return null;
+
+  if (!birth.approximate) {
+    let months = (referenceDate.getFullYear() - birth.date.getFullYear()) * 12
+      + (referenceDate.getMonth() - birth.date.getMonth());
+    if (referenceDate.getDate() < birth.date.getDate()) {
+      months -= 1;
+    }
+    months = Math.max(0, months);
+    return { years: Math.floor(months / 12), months: months % 12, approximate: false };
+  }
+
+  return { years: Math.max(0, referenceDate.getFullYear() - birth.year), months: null, approximate: true };
+};
+
+const pluralize = (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`;
+
+// Texto para exibição, ex.: "7 anos e 3 meses", "5 meses" ou "≈ 12 anos".
+export const formatAge = (horse, referenceDate = new Date()) => {
+  const age = calculateAge(horse, referenceDate);
+  if (!age) return null;
+
+  if (age.approximate) {
+    return `≈ ${pluralize(age.years, 'ano', 'anos')}`;
+  }
+  if (age.years === 0) {
+    return pluralize(age.months, 'mês', 'meses');
+  }
+  if (age.months === 0) {
+    return pluralize(age.years, 'ano', 'anos');
+  }
+  return `${pluralize(age.years, 'ano', 'anos')} e ${pluralize(age.months, 'mês', 'meses')}`;
+};
+
+// Data de nascimento para exibição, ex.: "14/03/2018" ou "c. 2012".
+export const formatBirth = (horse) => {
+  const birth = getBirthInfo(horse);
+  if (!birth) return null;
+  if (birth.approximate) return `c. ${birth.year}`;
+  return birth.date.toLocaleDateString('pt-PT');
+};
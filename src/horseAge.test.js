@@ -0,0 +1,66 @@
+import { describe, expect, it } from 'vitest';
+import { calculateAge, formatAge, formatBirth, getBirthInfo, parseBirthDate } from './horseAge';
+
+const REFERENCE_DATE = new Date(2025, 5, 15);
+
+describe('parseBirthDate', () => {
+  it('lê AAAA-MM-DD como data local', () => {
+    const date = parseBirthDate('2018-03-14');
+    expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2018, 2, 14]);
+  });
+
+  it('devolve null para valores vazios ou noutro formato', () => {
+    expect(parseBirthDate(null)).toBeNull();
+    expect(parseBirthDate('14/03/2018')).toBeNull();
+  });
+});
+
+describe('getBirthInfo', () => {
+  it('prefere a data exata ao ano aproximado', () => {
+    expect(getBirthInfo({ data_nascimento: '2018-03-14', ano_nascimento: 2010 })).toMatchObject({ year: 2018, approximate: false });
+    expect(getBirthInfo({ ano_nascimento: '2010' })).toEqual({ date: null, year: 2010, approximate: true });
+  });
+
+  it('estima o ano dos registos antigos a partir da idade e da data de registo', () => {
+    expect(getBirthInfo({ idade: 7, created_at: '2020-06-01T10:00:00Z' })).toEqual({ date: null, year: 2013, approximate: true });
+    expect(getBirthInfo({ idade: 0, created_at: '2020-06-01T10:00:00Z' }).year).toBe(2020);
+  });
+
+  it('devolve null sem nascimento conhecido', () => {
+    expect(getBirthInfo({ idade: '' })).toBeNull();
+    expect(getBirthInfo(null)).toBeNull();
+  });
+});
+
+describe('calculateAge', () => {
+  it('conta anos e meses completos a partir da data exata', () => {
+    expect(calculateAge({ data_nascimento: '2018-03-14' }, REFERENCE_DATE)).toEqual({ years: 7, months: 3, approximate: false });
+    expect(calculateAge({ data_nascimento: '2018-06-16' }, REFERENCE_DATE)).toEqual({ years: 6, months: 11, approximate: false });
+    expect(calculateAge({ data_nascimento: '2025-06-15' }, REFERENCE_DATE)).toEqual({ years: 0, months: 0, approximate: false });
+  });
+
+  it('não devolve idades negativas para datas no futuro', () => {
+    expect(calculateAge({ data_nascimento: '2026-01-01' }, REFERENCE_DATE)).toEqual({ years: 0, months: 0, approximate: false });
+  });
+
+  it('só conta os anos quando o nascimento é aproximado', () => {
+    expect(calculateAge({ ano_nascimento: 2012 }, REFERENCE_DATE)).toEqual({ years: 13, months: null, approximate: true });
+  });
+});
+
+describe('formatAge e formatBirth', () => {
+  it('mostra anos e meses no singular e no plural', () => {
+    expect(formatAge({ data_nascimento: '2018-03-14' }, REFERENCE_DATE)).toBe('7 anos e 3 meses');
+    expect(formatAge({ data_nascimento: '2024-05-01' }, REFERENCE_DATE)).toBe('1 ano e 1 mês');
+    expect(formatAge({ data_nascimento: '2020-06-01' }, REFERENCE_DATE)).toBe('5 anos');
+    expect(formatAge({ data_nascimento: '2025-01-10' }, REFERENCE_DATE)).toBe('5 meses');
+    expect(formatAge({ ano_nascimento: 2024 }, REFERENCE_DATE)).toBe('≈ 1 ano');
+    expect(formatAge({}, REFERENCE_DATE)).toBeNull();
+  });
+
+  it('mostra a data exata ou o ano aproximado', () => {
+    expect(formatBirth({ data_nascimento: '2018-03-14' })).toBe('14/03/2018');
+    expect(formatBirth({ ano_nascimento: 2012 })).toBe('c. 2012');
+    expect(formatBirth({})).toBeNull();
+  });
+});
@@ -0,0 +1,182 @@
+// Pesquisa, filtros, ordenação e paginação da lista de cavalos.
+// O estado dos filtros é serializado na query string para que uma lista filtrada
+// possa ser guardada nos favoritos ou partilhada.
+import { calculateAge, getBirthInfo } from './horseAge';
+import { identifierKey, UNIQUE_IDENTIFIER_FIELDS } from './horseIdentifiers';
+import { pedigreeCompleteness } from './pedigreeData';
+
+export const PAGE_SIZE = 24;
+
+export const DEFAULT_FILTERS = {
+  q: '',
+  raca: '',
+  sexo: '',
+  idadeMin: '',
+  idadeMax: '',
+  pai: '',
+  mae: '',
+  // Proprietário e local atuais (IDs)
+  proprietario: '',
+  local: '',
+  // Filtros vindos do painel de estatísticas: mês de registo ('AAAA-MM') e a
+  // geração (1 = pais, 2 = avós...) em que o pedigree tem ancestrais por registar
+  registadoDe: '',
+  registadoAte: '',
+  pedigreeIncompleto: '',
+  arquivados: false,
+  // Ancestrais externos (`apenas_ancestral`), escondidos por omissão como os arquivados
+  ancestrais: false,
+  ordem: 'nome',
+  pagina: 1,
+};
+
+export const SORT_OPTIONS = [
+  { value: 'nome', label: 'Nome (A–Z)' },
+  { value: 'nome-desc', label: 'Nome (Z–A)' },
+  { value: 'idade', label: 'Mais novos primeiro' },
+  { value: 'idade-desc', label: 'Mais velhos primeiro' },
+  { value: 'raca', label: 'Raça' },
+  { value: 'recentes', label: 'Registados recentemente' },
+];
+
+// Remove acentos e maiúsculas para que "egua" encontre "Égua".
+export const normalizeText = (value) => (value || '')
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim();
+
+// Filtros de texto, que limitam os resultados (a ordem e a página não contam)
+const FILTER_KEYS = ['q', 'raca', 'sexo', 'idadeMin', 'idadeMax', 'pai', 'mae', 'proprietario', 'local', 'registadoDe', 'registadoAte', 'pedigreeIncompleto'];
+
+export const parseFiltersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = { ...DEFAULT_FILTERS };
+
+  for (const key of FILTER_KEYS) {
+    filters[key] = params.get(key) || '';
+  }
+  filters.arquivados = params.get('arquivados') === '1';
+  filters.ancestrais = params.get('ancestrais') === '1';
+
+  const ordem = params.get('ordem');
+  if (SORT_OPTIONS.some(option => option.value === ordem)) {
+    filters.ordem = ordem;
+  }
+
+  const pagina = parseInt(params.get('pagina'));
+  filters.pagina = Number.isInteger(pagina) && pagina > 0 ? pagina : 1;
+
+  return filters;
+};
+
+// Só os valores diferentes do padrão vão para a URL, para manter os links curtos.
+export const filtersToSearch = (filters) => {
+  const params = new URLSearchParams();
+  for (const [key, defaultValue] of Object.entries(DEFAULT_FILTERS)) {
+    const value = filters[key];
+    if (value === defaultValue || value === '' || value === null || value === undefined) continue;
+    params.set(key, typeof value === 'boolean' ? '1' : String(value));
+  }
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+// Última query string usada na lista, para que "Voltar para a lista" recupere os filtros.
+let lastListSearch = '';
+export const rememberListSearch = (search) => {
+  lastListSearch = search;
+};
+export const getLastListSearch = () => lastListSearch;
+
+export const hasActiveFilters = (filters) => FILTER_KEYS.some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+// A pesquisa encontra o nome, as marcas e os identificadores (estes sem contar com
+// espaços, pontos ou hífenes, como na validação de unicidade)
+const matchesSearch = (horse, query) => {
+  if (normalizeText(horse.nome).includes(normalizeText(query))) return true;
+  if (normalizeText(horse.marcas).includes(normalizeText(query))) return true;
+  const key = identifierKey(query);
+  return key !== '' && UNIQUE_IDENTIFIER_FIELDS.some(({ field }) => identifierKey(horse[field]).includes(key));
+};
+
+const matchesFilters = (horse, filters, referenceDate, horsesById) => {
+  if (!filters.arquivados && horse.arquivado) return false;
+  if (!filters.ancestrais && horse.apenas_ancestral) return false;
+
+  if (filters.q && !matchesSearch(horse, filters.q)) return false;
+  if (filters.raca && normalizeText(horse.raca) !== normalizeText(filters.raca)) return false;
+  if (filters.sexo && horse.sexo !== filters.sexo) return false;
+  if (filters.pai && horse.pai_id !== filters.pai) return false;
+  if (filters.mae && horse.mae_id !== filters.mae) return false;
+  if (filters.proprietario && horse.proprietario_id !== filters.proprietario) return false;
+  if (filters.local && horse.local_id !== filters.local) return false;
+
+  if (filters.idadeMin !== '' || filters.idadeMax !== '') {
+    const age = calculateAge(horse, referenceDate);
+    if (!age) return false;
+    if (filters.idadeMin !== '' && age.years < Number(filters.idadeMin)) return false;
+    if (filters.idadeMax !== '' && age.years > Number(filters.idadeMax)) return false;
+  }
+
+  if (filters.registadoDe || filters.registadoAte) {
+    const month = horse.created_at ? horse.created_at.slice(0, 7) : null;
+    if (!month) return false;
+    if (filters.registadoDe && month < filters.registadoDe) return false;
+    if (filters.registadoAte && month > filters.registadoAte) return false;
+  }
+
+  if (filters.pedigreeIncompleto) {
+    const generation = Number(filters.pedigreeIncompleto);
+    const { known, possible } = pedigreeCompleteness(horse, horsesById, generation)[generation - 1] || {};
+    if (known === undefined || known === possible) return false;
+  }
+
+  return true;
+};
+
+// Ordem cronológica do nascimento; cavalos sem data conhecida ficam no fim.
+const birthSortKey = (horse) => {
+  const birth = getBirthInfo(horse);
+  if (!birth) return null;
+  return birth.date ? birth.date.getTime() : new Date(birth.year, 6, 1).getTime();
+};
+
+const compareNullsLast = (a, b, compare) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return compare(a, b);
+};
+
+const comparators = {
+  nome: (a, b) => a.nome.localeCompare(b.nome),
+  'nome-desc': (a, b) => b.nome.localeCompare(a.nome),
+  idade: (a, b) => compareNullsLast(birthSortKey(a), birthSortKey(b), (x, y) => y - x) || a.nome.localeCompare(b.nome),
+  'idade-desc': (a, b) => compareNullsLast(birthSortKey(a), birthSortKey(b), (x, y) => x - y) || a.nome.localeCompare(b.nome),
+  raca: (a, b) => (a.raca || '').localeCompare(b.raca || '') || a.nome.localeCompare(b.nome),
+  recentes: (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0),
+};
+
+// Devolve uma nova lista filtrada e ordenada; `horses` nunca é alterado.
+export const applyFilters = (horses, filters, referenceDate = new Date()) => {
+  const horsesById = filters.pedigreeIncompleto ? new Map(horses.map(h => [h.id, h])) : null;
+  return horses
+    .filter(horse => matchesFilters(horse, filters, referenceDate, horsesById))
+    .sort(comparators[filters.ordem] || comparators.nome);
+};
+
+export const paginate = (items, page, pageSize = PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.min(Math.max(1, page), pageCount);
+  return {
+    items: items.slice((currentPage - 1) * pageSize, currentPage * pageSize),
+    page: currentPage,
+    pageCount,
+  };
+};
+
+// Raças distintas presentes na lista, para preencher o filtro por raça.
+export const listBreeds = (horses) => [...new Set(horses.map(h => h.raca).filter(Boolean))]
+  .sort((a, b) => a.localeCompare(b));
@@ -0,0 +1,130 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_FILTERS,
+  applyFilters,
+  filtersToSearch,
+  hasActiveFilters,
+  listBreeds,
+  normalizeText,
+  paginate,
+  parseFiltersFromSearch,
+} from './horseFilters';
+
+const REFERENCE_DATE = new Date(2025, 5, 15);
+
+const horse = (id, nome, fields = {}) => ({ id, nome, sexo: 'Macho', raca: 'Lusitano', pai_id: null, mae_id: null, ...fields });
+
+const horses = [
+  horse('1', 'Trovão', { data_nascimento: '2015-03-01', created_at: '2024-01-05T10:00:00Z', numero_registo: 'PT-123 45' }),
+  horse('2', 'Égua Brisa', { sexo: 'Fêmea', raca: 'Árabe', ano_nascimento: 2020, created_at: '2024-03-01T10:00:00Z', marcas: 'Ferro da Casa Nova' }),
+  horse('3', 'Relâmpago', { data_nascimento: '2022-07-01', pai_id: '1', mae_id: '2', created_at: '2024-02-01T10:00:00Z' }),
+  horse('4', 'Antigo', { arquivado: true, created_at: '2023-01-01T10:00:00Z' }),
+  horse('5', 'Avô Externo', { apenas_ancestral: true }),
+  horse('6', 'Sem Data', { raca: 'lusitano', proprietario_id: 'p1', local_id: 'l1' }),
+];
+
+const filtered = (filters) => applyFilters(horses, { ...DEFAULT_FILTERS, ...filters }, REFERENCE_DATE).map(h => h.id);
+
+describe('query string', () => {
+  it('volta a ler os filtros que escreveu', () => {
+    const filters = {
+      ...DEFAULT_FILTERS,
+      q: 'égua brisa',
+      sexo: 'Fêmea',
+      idadeMin: '2',
+      registadoDe: '2024-01',
+      arquivados: true,
+      ordem: 'idade-desc',
+      pagina: 3,
+    };
+    const search = filtersToSearch(filters);
+    expect(search).toBe('?q=%C3%A9gua+brisa&sexo=F%C3%AAmea&idadeMin=2&registadoDe=2024-01&arquivados=1&ordem=idade-desc&pagina=3');
+    expect(parseFiltersFromSearch(search)).toEqual(filters);
+  });
+
+  it('não escreve os valores por omissão', () => {
+    expect(filtersToSearch(DEFAULT_FILTERS)).toBe('');
+    expect(filtersToSearch({ ...DEFAULT_FILTERS, pagina: 1, ordem: 'nome' })).toBe('');
+  });
+
+  it('ignora ordens e páginas inválidas', () => {
+    expect(parseFiltersFromSearch('?ordem=preco&pagina=-2')).toMatchObject({ ordem: 'nome', pagina: 1 });
+    expect(parseFiltersFromSearch('?pagina=abc').pagina).toBe(1);
+  });
+
+  it('só conta como filtro ativo o que limita os resultados', () => {
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, ordem: 'raca', pagina: 2 })).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, raca: 'Árabe' })).toBe(true);
+  });
+});
+
+describe('applyFilters', () => {
+  it('esconde os arquivados e os ancestrais externos por omissão', () => {
+    expect(filtered({})).toEqual(['2', '3', '6', '1']);
+    expect(filtered({ arquivados: true, ancestrais: true })).toHaveLength(6);
+  });
+
+  it('pesquisa o nome e as marcas sem acentos nem maiúsculas', () => {
+    expect(filtered({ q: 'egua' })).toEqual(['2']);
+    expect(filtered({ q: 'casa nova' })).toEqual(['2']);
+  });
+
+  it('pesquisa os identificadores sem espaços, pontos nem hífenes', () => {
+    expect(filtered({ q: 'pt12345' })).toEqual(['1']);
+    expect(filtered({ q: '123.45' })).toEqual(['1']);
+  });
+
+  it('filtra pela raça sem distinguir maiúsculas, pelo sexo, pelos pais, pelo dono e pelo local', () => {
+    expect(filtered({ raca: 'LUSITANO' })).toEqual(['3', '6', '1']);
+    expect(filtered({ sexo: 'Fêmea' })).toEqual(['2']);
+    expect(filtered({ pai: '1', mae: '2' })).toEqual(['3']);
+    expect(filtered({ proprietario: 'p1', local: 'l1' })).toEqual(['6']);
+  });
+
+  it('filtra pela idade e exclui os cavalos sem nascimento conhecido', () => {
+    expect(filtered({ idadeMin: '3' })).toEqual(['2', '1']);
+    expect(filtered({ idadeMax: '5' })).toEqual(['2', '3']);
+    expect(filtered({ idadeMin: '5', idadeMax: '5' })).toEqual(['2']);
+  });
+
+  it('filtra pelo mês de registo', () => {
+    expect(filtered({ registadoDe: '2024-02', registadoAte: '2024-03' })).toEqual(['2', '3']);
+  });
+
+  it('filtra pela geração com ancestrais por registar', () => {
+    expect(filtered({ pedigreeIncompleto: '1' })).toEqual(['2', '6', '1']);
+    expect(filtered({ pedigreeIncompleto: '2' })).toEqual(['2', '3', '6', '1']);
+  });
+
+  it('ordena pela idade com os cavalos sem nascimento no fim', () => {
+    expect(filtered({ ordem: 'idade' })).toEqual(['3', '2', '1', '6']);
+    expect(filtered({ ordem: 'idade-desc' })).toEqual(['1', '2', '3', '6']);
+    expect(filtered({ ordem: 'recentes' })).toEqual(['2', '3', '1', '6']);
+  });
+
+  it('não altera a lista recebida', () => {
+    const before = horses.map(h => h.id);
+    applyFilters(horses, { ...DEFAULT_FILTERS, ordem: 'nome-desc' }, REFERENCE_DATE);
+    expect(horses.map(h => h.id)).toEqual(before);
+  });
+});
+
+describe('paginate', () => {
+  it('limita a página ao intervalo existente', () => {
+    const items = Array.from({ length: 5 }, (_, index) => index);
+    expect(paginate(items, 2, 2)).toEqual({ items: [2, 3], page: 2, pageCount: 3 });
+    expect(paginate(items, 9, 2)).toEqual({ items: [4], page: 3, pageCount: 3 });
+    expect(paginate([], 0, 2)).toEqual({ items: [], page: 1, pageCount: 1 });
+  });
+});
+
+describe('listBreeds e normalizeText', () => {
+  it('lista as raças distintas por ordem alfabética', () => {
+    expect(listBreeds(horses)).toEqual(['Árabe', 'lusitano', 'Lusitano']);
+  });
+
+  it('remove acentos, maiúsculas e espaços nas pontas', () => {
+    expect(normalizeText('  Égua Brisa ')).toBe('egua brisa');
+    expect(normalizeText(null)).toBe('');
+  });
+});
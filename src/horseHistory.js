@@ -0,0 +1,78 @@
+// Histórico de alterações dos cavalos: cada criação, alteração e exclusão fica
+// registada com o utilizador, a data e, campo a campo, o valor anterior e o novo.
+// No Supabase o registo é feito por um trigger (ver supabase/migrations); no backend
+// local, pelo próprio repositório, com `diffHorseFields`. Módulo puro, sem React nem
+// acesso a dados.
+import { IDENTIFIER_FIELDS } from './horseIdentifiers';
+
+export const HISTORY_ACTIONS = {
+  criacao: 'Criação',
+  alteracao: 'Alteração',
+  exclusao: 'Exclusão',
+};
+
+// Nomes dos campos de `cavalos`, para o histórico e as mensagens de conflito da sincronização
+export const HORSE_FIELD_LABELS = {
+  nome: 'Nome',
+  raca: 'Raça',
+  sexo: 'Sexo',
+  data_nascimento: 'Data de nascimento',
+  ano_nascimento: 'Ano de nascimento',
+  idade: 'Idade (antiga)',
+  pai_id: 'Pai',
+  mae_id: 'Mãe',
+  url_imagem: 'Foto',
+  url_miniatura: 'Miniatura',
+  arquivado: 'Arquivado',
+  apenas_ancestral: 'Ancestral externo',
+  proprietario_id: 'Proprietário',
+  local_id: 'Local',
+  owner_id: 'Dono',
+  ...Object.fromEntries(IDENTIFIER_FIELDS.map(({ field, label }) => [field, label])),
+};
+
+export const fieldLabel = (field) => HORSE_FIELD_LABELS[field] || field;
+
+// Campos que não fazem parte do histórico: chaves, datas técnicas e o estado da fila offline
+const IGNORED_FIELDS = new Set(['id', 'created_at', 'updated_at', '_syncStatus']);
+
+// Campos repostos ao restaurar uma versão. A foto, o arquivamento, o dono, a marca de
+// ancestral externo, o proprietário e o local ficam de fora: têm ações próprias na
+// ficha do cavalo (o proprietário muda por uma venda).
+export const RESTORABLE_FIELDS = [
+  'nome', 'raca', 'sexo', 'data_nascimento', 'ano_nascimento', 'pai_id', 'mae_id',
+  ...IDENTIFIER_FIELDS.map(({ field }) => field),
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Diferenças entre duas versões de um cavalo, no formato guardado no histórico:
+// `{ <campo>: { antes, depois } }`. `before`/`after` a null numa criação/exclusão.
+export const diffHorseFields = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const previous = before?.[field] ?? null;
+    const next = after?.[field] ?? null;
+    if (!sameValue(previous, next)) changes[field] = { antes: previous, depois: next };
+  }
+  return changes;
+};
+
+// Valores de uma entrada do histórico que um restauro repõe
+export const versionFields = (entry) => Object.fromEntries(
+  RESTORABLE_FIELDS.map(field => [field, entry.dados?.[field] ?? null])
+);
+
+// Valor legível de um campo; os pais, o proprietário e o local aparecem pelo nome
+// quando ainda existem (`namesById` tem os proprietários e os locais)
+export const formatHistoryValue = (field, value, horsesById, namesById = new Map()) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Sim' : 'Não';
+  if (field === 'pai_id' || field === 'mae_id') return horsesById.get(value)?.nome || 'Cavalo excluído';
+  if (field === 'proprietario_id' || field === 'local_id') return namesById.get(value)?.nome || 'Desconhecido';
+  if (field === 'url_imagem' || field === 'url_miniatura') return 'Imagem';
+  if (field === 'data_nascimento') return new Date(`${value}T00:00:00`).toLocaleDateString('pt-PT');
+  return String(value);
+};
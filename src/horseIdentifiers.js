@@ -0,0 +1,47 @@
+// Identificadores oficiais de um cavalo: número de registo (livro genealógico),
+// microchip, ID na associação de raça e marcas (ferros). Os três primeiros são
+// únicos; as marcas são uma descrição livre e podem repetir-se entre cavalos.
+// Módulo puro, sem React nem acesso a dados.
+
+export const UNIQUE_IDENTIFIER_FIELDS = [
+  { field: 'numero_registo', label: 'Número de registo' },
+  { field: 'microchip', label: 'Microchip' },
+  { field: 'id_associacao', label: 'ID na associação' },
+];
+
+export const IDENTIFIER_FIELDS = [
+  ...UNIQUE_IDENTIFIER_FIELDS,
+  { field: 'marcas', label: 'Marcas' },
+];
+
+// Texto guardado: sem espaços a mais, e null quando vazio
+export const cleanIdentifier = (value) => {
+  const cleaned = (value || '').toString().trim().replace(/\s+/g, ' ');
+  return cleaned || null;
+};
+
+// Chave de comparação: "PT-123 45" e "pt12345" são o mesmo número. Deve coincidir
+// com a expressão dos índices únicos (ver supabase/migrations).
+export const identifierKey = (value) => (value || '').toString().toUpperCase().replace(/[\s.\-/]/g, '');
+
+// Identificadores únicos de `values` já usados por outro cavalo.
+// Devolve `[{ field, label, horse }]`; `excludeId` é o cavalo em edição.
+export const findIdentifierConflicts = (values, horses, excludeId = null) => UNIQUE_IDENTIFIER_FIELDS
+  .flatMap(({ field, label }) => {
+    const key = identifierKey(values[field]);
+    if (!key) return [];
+    const horse = horses.find(h => h.id !== excludeId && identifierKey(h[field]) === key);
+    return horse ? [{ field, label, horse }] : [];
+  });
+
+export const findHorseByRegistration = (horses, registrationNumber) => {
+  const key = identifierKey(registrationNumber);
+  return key ? horses.find(h => identifierKey(h.numero_registo) === key) || null : null;
+};
+
+// Texto curto para cartões e nós de árvore: o número de registo ou, na falta dele, o microchip
+export const shortIdentifier = (horse) => {
+  if (horse.numero_registo) return `Reg. ${horse.numero_registo}`;
+  if (horse.microchip) return `Chip ${horse.microchip}`;
+  return null;
+};
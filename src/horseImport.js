@@ -0,0 +1,334 @@
+// Importação em massa de cavalos a partir de CSV ou JSON.
+//
+// Fluxo: parseImportFile() -> buildImportPreview() -> applyImportChoices()
+//        -> planImport() -> runImport().
+//
+// O pai e a mãe de cada linha são procurados pelo nome, tanto nos cavalos já
+// registados como nas outras linhas do mesmo ficheiro, seja qual for a ordem em que
+// aparecem. Nomes ambíguos ou duplicados nunca são adivinhados: ficam assinalados
+// para o utilizador escolher. Módulo puro, sem React nem acesso a dados.
+import { normalizeText } from './horseFilters';
+import { capitalizeEachWord } from './text';
+
+// Cabeçalhos aceites para cada campo (comparados sem acentos nem maiúsculas)
+const COLUMN_ALIASES = {
+  nome: ['nome', 'name', 'cavalo', 'horse'],
+  raca: ['raca', 'breed'],
+  sexo: ['sexo', 'sex', 'genero', 'gender'],
+  nascimento: ['data_nascimento', 'data de nascimento', 'nascimento', 'birth_date', 'birthdate', 'birth date', 'data_nasc', 'ano_nascimento', 'ano de nascimento'],
+  pai: ['pai', 'sire', 'nome do pai', 'pai_nome', 'father'],
+  mae: ['mae', 'dam', 'nome da mae', 'mae_nome', 'mother'],
+};
+
+const headerToField = (header) => {
+  const normalized = normalizeText(header).replace(/\s+/g, ' ');
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(normalized)) || null;
+};
+
+// CSV com aspas ("a, b" e "" para aspas literais). O separador é detetado na
+// primeira linha: ';' (comum em folhas de cálculo em português), ',' ou tabulação.
+export const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [';', '\t', ','].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+// Converte o conteúdo do ficheiro numa lista de linhas `{ rowNumber, nome, raca, sexo, nascimento, pai, mae }`.
+// Lança um Error com uma mensagem para o utilizador se o formato não for reconhecido.
+export const parseImportFile = (text, fileName = '') => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) {
+    throw new Error('O ficheiro está vazio.');
+  }
+
+  let records;
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`JSON inválido: ${err.message}`);
+    }
+    records = Array.isArray(parsed) ? parsed : parsed.cavalos || parsed.horses;
+    if (!Array.isArray(records)) {
+      throw new Error('O JSON deve ser uma lista de cavalos (ou um objeto com a lista em "cavalos").');
+    }
+    // Número da "linha" = posição na lista, a contar de 1
+    records = records.map((record, index) => ({ record, rowNumber: index + 1 }));
+  } else {
+    const [header, ...lines] = parseCsv(trimmed);
+    records = lines.map((cells, index) => ({
+      record: Object.fromEntries(header.map((column, columnIndex) => [column, cells[columnIndex] ?? ''])),
+      rowNumber: index + 2, // +1 pelo cabeçalho, +1 porque as folhas de cálculo começam em 1
+    }));
+  }
+
+  const rows = records.map(({ record, rowNumber }) => {
+    const row = { rowNumber, nome: '', raca: '', sexo: '', nascimento: '', pai: '', mae: '' };
+    for (const [key, value] of Object.entries(record || {})) {
+      const field = headerToField(key);
+      if (field && value !== null && value !== undefined) {
+        row[field] = String(value).trim();
+      }
+    }
+    return row;
+  });
+
+  if (rows.length > 0 && rows.every(row => !row.nome)) {
+    throw new Error('Não foi encontrada a coluna do nome. Use os cabeçalhos: nome, raca, sexo, data_nascimento, pai, mae.');
+  }
+  return rows;
+};
+
+export const normalizeSex = (value) => {
+  const normalized = normalizeText(value);
+  if (['m', 'macho', 'male', 'garanhao', 'cavalo', 'stallion', 'colt'].includes(normalized)) return 'Macho';
+  if (['f', 'femea', 'female', 'egua', 'mare', 'filly'].includes(normalized)) return 'Fêmea';
+  return null;
+};
+
+// Aceita AAAA-MM-DD, DD/MM/AAAA, DD-MM-AAAA ou apenas o ano (aproximado).
+export const parseBirth = (value) => {
+  const text = (value || '').trim();
+  if (!text) return { data_nascimento: null, ano_nascimento: null };
+
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+  let year, month, day;
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) {
+    [, day, month, year] = match.map(Number);
+  } else if (/^\d{4}$/.test(text)) {
+    return { data_nascimento: null, ano_nascimento: Number(text) };
+  } else {
+    return null;
+  }
+
+  const date = new Date(year, month - 1, day);
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  const pad = (n) => String(n).padStart(2, '0');
+  return { data_nascimento: `${year}-${pad(month)}-${pad(day)}`, ano_nascimento: null };
+};
+
+// Referências a um progenitor: `existing:<id>` (cavalo já registado), `row:<índice>`
+// (outra linha do ficheiro) ou `none` (não associar).
+export const existingRef = (id) => `existing:${id}`;
+export const rowRef = (index) => `row:${index}`;
+export const NO_PARENT = 'none';
+
+const findParentCandidates = (name, sex, existingHorses, rows, selfIndex) => {
+  const target = normalizeText(name);
+  const fromDatabase = existingHorses
+    .filter(h => normalizeText(h.nome) === target && h.sexo === sex)
+    .map(h => ({ ref: existingRef(h.id), label: `${h.nome} (já registado)` }));
+  const fromFile = rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row, index }) => index !== selfIndex && normalizeText(row.nome) === target && normalizeSex(row.sexo) === sex)
+    .map(({ row, index }) => ({ ref: rowRef(index), label: `${capitalizeEachWord(row.nome)} (linha ${row.rowNumber})` }));
+  return [...fromDatabase, ...fromFile];
+};
+
+// Valida cada linha e tenta resolver pai/mãe automaticamente.
+// Cada entrada traz `errors` (impedem a importação), `parents.pai/mae` com os
+// candidatos encontrados e `duplicateOf` quando o nome já existe.
+export const buildImportPreview = (rows, existingHorses, referenceDate = new Date()) => {
+  const nameCounts = new Map();
+  rows.forEach(row => {
+    const key = normalizeText(row.nome);
+    if (key) nameCounts.set(key, (nameCounts.get(key) || 0) + 1);
+  });
+
+  return rows.map((row, index) => {
+    const errors = [];
+    const sexo = normalizeSex(row.sexo);
+    const birth = parseBirth(row.nascimento);
+
+    if (!row.nome) errors.push('Nome em falta.');
+    if (!row.raca) errors.push('Raça em falta.');
+    if (!row.sexo) errors.push('Sexo em falta.');
+    else if (!sexo) errors.push(`Sexo "${row.sexo}" não reconhecido (use Macho ou Fêmea).`);
+    if (!row.nascimento) errors.push('Data de nascimento em falta.');
+    else if (!birth) errors.push(`Data de nascimento "${row.nascimento}" inválida (use AAAA-MM-DD, DD/MM/AAAA ou o ano).`);
+    else if ((birth.data_nascimento && new Date(birth.data_nascimento) > referenceDate) || (birth.ano_nascimento && birth.ano_nascimento > referenceDate.getFullYear())) {
+      errors.push('A data de nascimento está no futuro.');
+    }
+
+    const parents = {};
+    for (const [field, parentSex] of [['pai', 'Macho'], ['mae', 'Fêmea']]) {
+      const name = row[field];
+      const candidates = name ? findParentCandidates(name, parentSex, existingHorses, rows, index) : [];
+      parents[field] = {
+        name,
+        candidates,
+        // Só é resolvido automaticamente quando há exatamente um candidato
+        ref: !name ? NO_PARENT : (candidates.length === 1 ? candidates[0].ref : null),
+      };
+    }
+
+    const nameKey = normalizeText(row.nome);
+    const existingMatches = existingHorses.filter(h => normalizeText(h.nome) === nameKey);
+    return {
+      index,
+      rowNumber: row.rowNumber,
+      fields: {
+        nome: capitalizeEachWord(row.nome),
+        raca: capitalizeEachWord(row.raca),
+        sexo,
+        data_nascimento: birth?.data_nascimento ?? null,
+        ano_nascimento: birth?.ano_nascimento ?? null,
+      },
+      errors,
+      parents,
+      duplicateOf: {
+        existing: existingMatches.map(h => h.nome),
+        inFile: nameKey ? nameCounts.get(nameKey) > 1 : false,
+      },
+    };
+  });
+};
+
+export const needsDuplicateDecision = (entry) => entry.duplicateOf.existing.length > 0 || entry.duplicateOf.inFile;
+
+// Aplica as escolhas do utilizador (`choices[`${index}:pai`]`, `choices[`${index}:mae`]`
+// e `choices[`${index}:duplicado`]` = 'import' | 'skip') e recalcula o estado de cada linha.
+export const applyImportChoices = (entries, choices) => {
+  const resolved = entries.map(entry => {
+    const skip = choices[`${entry.index}:duplicado`] === 'skip';
+    const issues = [...entry.errors];
+    const parentRefs = {};
+
+    for (const field of ['pai', 'mae']) {
+      const parent = entry.parents[field];
+      const ref = choices[`${entry.index}:${field}`] ?? parent.ref;
+      parentRefs[field] = ref;
+      const label = field === 'pai' ? 'Pai' : 'Mãe';
+      if (ref === null && parent.candidates.length === 0) {
+        issues.push(`${label} "${parent.name}" não encontrado: escolha "não associar" ou registe-o no ficheiro.`);
+      } else if (ref === null) {
+        issues.push(`${label} "${parent.name}" é ambíguo: escolha o cavalo correto.`);
+      }
+    }
+
+    if (needsDuplicateDecision(entry) && !choices[`${entry.index}:duplicado`]) {
+      issues.push('Nome repetido: confirme se deve ser importado ou ignorado.');
+    }
+
+    return { ...entry, skip, parentRefs, issues: skip ? [] : issues };
+  });
+
+  // Uma linha ignorada não pode servir de pai/mãe a outra
+  return resolved.map(entry => {
+    if (entry.skip) return entry;
+    const issues = [...entry.issues];
+    for (const field of ['pai', 'mae']) {
+      const ref = entry.parentRefs[field];
+      if (ref && ref.startsWith('row:') && resolved[Number(ref.slice(4))].skip) {
+        issues.push(`${field === 'pai' ? 'O pai' : 'A mãe'} está numa linha marcada para ignorar.`);
+      }
+    }
+    return { ...entry, issues };
+  });
+};
+
+// Ordena as linhas a importar de forma a que os pais sejam inseridos antes dos filhos.
+// Devolve `{ order, cycleRows }`; `cycleRows` lista as linhas envolvidas em ciclos.
+export const planImport = (resolvedEntries) => {
+  const included = resolvedEntries.filter(entry => !entry.skip);
+  const state = new Map(); // undefined = por visitar, 'visiting', 'done'
+  const order = [];
+  const cycleRows = new Set();
+
+  const visit = (entry, stack) => {
+    const current = state.get(entry.index);
+    if (current === 'done') return;
+    if (current === 'visiting') {
+      stack.slice(stack.indexOf(entry.index)).forEach(index => cycleRows.add(resolvedEntries[index].rowNumber));
+      return;
+    }
+    state.set(entry.index, 'visiting');
+    for (const ref of Object.values(entry.parentRefs)) {
+      if (ref && ref.startsWith('row:')) {
+        visit(resolvedEntries[Number(ref.slice(4))], [...stack, entry.index]);
+      }
+    }
+    state.set(entry.index, 'done');
+    order.push(entry.index);
+  };
+
+  included.forEach(entry => visit(entry, []));
+  return { order, cycleRows: [...cycleRows].sort((a, b) => a - b) };
+};
+
+// Insere as linhas pela ordem planeada, usando `createHorse(fields)` (que devolve o
+// registo criado com o seu `id`) e ligando `pai_id`/`mae_id` às linhas já inseridas.
+// Em caso de erro, o Error traz `insertedCount` com o número de cavalos já criados.
+export const runImport = async (resolvedEntries, order, createHorse, extraFields = {}) => {
+  const createdIds = new Map();
+  const resolveRef = (ref) => {
+    if (!ref || ref === NO_PARENT) return null;
+    if (ref.startsWith('existing:')) return ref.slice('existing:'.length);
+    return createdIds.get(Number(ref.slice(4))) ?? null;
+  };
+
+  const created = [];
+  for (const index of order) {
+    const entry = resolvedEntries[index];
+    try {
+      const horse = await createHorse({
+        ...entry.fields,
+        ...extraFields,
+        pai_id: resolveRef(entry.parentRefs.pai),
+        mae_id: resolveRef(entry.parentRefs.mae),
+      });
+      createdIds.set(index, horse.id);
+      created.push(horse);
+    } catch (err) {
+      const wrapped = new Error(`Linha ${entry.rowNumber} (${entry.fields.nome}): ${err.message}`);
+      wrapped.insertedCount = created.length;
+      wrapped.created = created;
+      throw wrapped;
+    }
+  }
+  return created;
+};
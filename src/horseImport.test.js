@@ -0,0 +1,192 @@
+import { describe, expect, it } from 'vitest';
+import {
+  NO_PARENT,
+  applyImportChoices,
+  buildImportPreview,
+  existingRef,
+  parseBirth,
+  parseImportFile,
+  planImport,
+  rowRef,
+  runImport,
+} from './horseImport';
+
+const REFERENCE_DATE = new Date(2025, 0, 1);
+
+const csv = (...lines) => ['nome;raca;sexo;data_nascimento;pai;mae', ...lines].join('\n');
+
+const preview = (text, existing = []) => buildImportPreview(parseImportFile(text, 'cavalos.csv'), existing, REFERENCE_DATE);
+
+describe('parseImportFile', () => {
+  it('reconhece cabeçalhos alternativos, o separador e campos entre aspas', () => {
+    const rows = parseImportFile('Name,Breed,Sex,Birth date,Sire,Dam\n"Relâmpago, o Grande",Lusitano,M,2015,Trovão,Brisa\n');
+    expect(rows).toEqual([
+      { rowNumber: 2, nome: 'Relâmpago, o Grande', raca: 'Lusitano', sexo: 'M', nascimento: '2015', pai: 'Trovão', mae: 'Brisa' },
+    ]);
+  });
+
+  it('aceita uma lista JSON ou um objeto com a lista em "cavalos"', () => {
+    const rows = parseImportFile(JSON.stringify({ cavalos: [{ nome: 'Trovão', sexo: 'Macho' }] }), 'cavalos.json');
+    expect(rows[0]).toMatchObject({ rowNumber: 1, nome: 'Trovão', sexo: 'Macho' });
+  });
+
+  it('rejeita ficheiros vazios ou sem a coluna do nome', () => {
+    expect(() => parseImportFile('  ')).toThrow('O ficheiro está vazio.');
+    expect(() => parseImportFile('raca;sexo\nLusitano;M')).toThrow(/coluna do nome/);
+  });
+});
+
+describe('parseBirth', () => {
+  it('aceita datas completas, datas portuguesas e apenas o ano', () => {
+    expect(parseBirth('2015-3-7')).toEqual({ data_nascimento: '2015-03-07', ano_nascimento: null });
+    expect(parseBirth('07/03/2015')).toEqual({ data_nascimento: '2015-03-07', ano_nascimento: null });
+    expect(parseBirth('2015')).toEqual({ data_nascimento: null, ano_nascimento: 2015 });
+  });
+
+  it('rejeita datas inexistentes ou em formato desconhecido', () => {
+    expect(parseBirth('31/02/2015')).toBeNull();
+    expect(parseBirth('março 2015')).toBeNull();
+  });
+});
+
+describe('buildImportPreview', () => {
+  it('resolve os pais que aparecem mais abaixo no ficheiro', () => {
+    const entries = preview(csv(
+      'Potro;Lusitano;M;2020;Trovão;Brisa',
+      'Trovão;Lusitano;M;2010;;',
+      'Brisa;Lusitano;F;2011;;',
+    ));
+    expect(entries[0].errors).toEqual([]);
+    expect(entries[0].parents.pai.ref).toBe(rowRef(1));
+    expect(entries[0].parents.mae.ref).toBe(rowRef(2));
+    expect(entries[1].parents.pai.ref).toBe(NO_PARENT);
+  });
+
+  it('procura os pais nos cavalos já registados, ignorando acentos, maiúsculas e o sexo errado', () => {
+    const existing = [
+      { id: 'e1', nome: 'Trovao', sexo: 'Macho' },
+      { id: 'e2', nome: 'Trovão', sexo: 'Fêmea' },
+    ];
+    const [entry] = preview(csv('Potro;Lusitano;M;2020;TROVÃO;'), existing);
+    expect(entry.parents.pai.candidates.map(c => c.ref)).toEqual([existingRef('e1')]);
+    expect(entry.parents.pai.ref).toBe(existingRef('e1'));
+  });
+
+  it('não adivinha um pai com vários candidatos', () => {
+    const existing = [{ id: 'e1', nome: 'Trovão', sexo: 'Macho' }];
+    const entries = preview(csv(
+      'Potro;Lusitano;M;2020;Trovão;',
+      'Trovão;Lusitano;M;2012;;',
+    ), existing);
+    expect(entries[0].parents.pai.candidates.map(c => c.ref)).toEqual([existingRef('e1'), rowRef(1)]);
+    expect(entries[0].parents.pai.ref).toBeNull();
+  });
+
+  it('assinala nomes repetidos no ficheiro e nomes já registados', () => {
+    const entries = preview(csv(
+      'Brisa;Lusitano;F;2011;;',
+      'brisa;Lusitano;F;2014;;',
+      'Trovão;Lusitano;M;2010;;',
+    ), [{ id: 'e1', nome: 'Trovão', sexo: 'Macho' }]);
+    expect(entries.map(e => e.duplicateOf)).toEqual([
+      { existing: [], inFile: true },
+      { existing: [], inFile: true },
+      { existing: ['Trovão'], inFile: false },
+    ]);
+  });
+
+  it('valida os campos obrigatórios, o sexo e a data de nascimento', () => {
+    const [entry] = preview(csv('Potro;;X;2030;;'));
+    expect(entry.errors).toEqual([
+      'Raça em falta.',
+      'Sexo "X" não reconhecido (use Macho ou Fêmea).',
+      'A data de nascimento está no futuro.',
+    ]);
+  });
+});
+
+describe('applyImportChoices', () => {
+  it('exige uma escolha para pais ambíguos ou não encontrados e para nomes repetidos', () => {
+    const entries = preview(csv(
+      'Potro;Lusitano;M;2020;Trovão;Desconhecida',
+      'Trovão;Lusitano;M;2010;;',
+      'Trovão;Lusitano;M;2012;;',
+    ));
+    const [potro, trovao] = applyImportChoices(entries, {});
+    expect(potro.issues).toEqual([
+      'Pai "Trovão" é ambíguo: escolha o cavalo correto.',
+      'Mãe "Desconhecida" não encontrado: escolha "não associar" ou registe-o no ficheiro.',
+    ]);
+    expect(trovao.issues).toEqual(['Nome repetido: confirme se deve ser importado ou ignorado.']);
+
+    const [resolved] = applyImportChoices(entries, {
+      '0:pai': rowRef(2),
+      '0:mae': NO_PARENT,
+      '1:duplicado': 'skip',
+      '2:duplicado': 'import',
+    });
+    expect(resolved.issues).toEqual([]);
+    expect(resolved.parentRefs).toEqual({ pai: rowRef(2), mae: NO_PARENT });
+  });
+
+  it('não deixa usar como pai uma linha marcada para ignorar', () => {
+    const entries = preview(csv(
+      'Potro;Lusitano;M;2020;Trovão;',
+      'Trovão;Lusitano;M;2010;;',
+      'Trovão;Lusitano;M;2012;;',
+    ));
+    const [potro] = applyImportChoices(entries, {
+      '0:pai': rowRef(1),
+      '1:duplicado': 'skip',
+      '2:duplicado': 'import',
+    });
+    expect(potro.issues).toEqual(['O pai está numa linha marcada para ignorar.']);
+  });
+});
+
+describe('planImport e runImport', () => {
+  it('insere os pais antes dos filhos, seja qual for a ordem no ficheiro', async () => {
+    const entries = applyImportChoices(preview(csv(
+      'Neto;Lusitano;M;2022;Potro;',
+      'Potro;Lusitano;M;2018;Trovão;Brisa',
+      'Trovão;Lusitano;M;2010;;',
+      'Brisa;Lusitano;F;2011;;',
+    )), {});
+    const { order, cycleRows } = planImport(entries);
+    expect(order).toEqual([2, 3, 1, 0]);
+    expect(cycleRows).toEqual([]);
+
+    let nextId = 1;
+    const created = await runImport(entries, order, async (fields) => ({ id: `id${nextId++}`, ...fields }), { owner_id: 'u1' });
+    expect(created.map(h => [h.nome, h.pai_id, h.mae_id, h.owner_id])).toEqual([
+      ['Trovão', null, null, 'u1'],
+      ['Brisa', null, null, 'u1'],
+      ['Potro', 'id1', 'id2', 'u1'],
+      ['Neto', 'id3', null, 'u1'],
+    ]);
+  });
+
+  it('deteta ciclos entre linhas do ficheiro', () => {
+    const entries = applyImportChoices(preview(csv(
+      'Trovão;Lusitano;M;2010;Relâmpago;',
+      'Relâmpago;Lusitano;M;2012;Trovão;',
+      'Brisa;Lusitano;F;2011;;',
+    )), {});
+    expect(planImport(entries).cycleRows).toEqual([2, 3]);
+  });
+
+  it('indica a linha que falhou e quantos cavalos já foram criados', async () => {
+    const entries = applyImportChoices(preview(csv(
+      'Trovão;Lusitano;M;2010;;',
+      'Brisa;Lusitano;F;2011;;',
+    )), {});
+    const createHorse = async (fields) => {
+      if (fields.nome === 'Brisa') throw new Error('sem ligação');
+      return { id: 'id1', ...fields };
+    };
+    await expect(runImport(entries, [0, 1], createHorse)).rejects.toMatchObject({
+      message: 'Linha 3 (Brisa): sem ligação',
+      insertedCount: 1,
+    });
+  });
+});
@@ -0,0 +1,96 @@
+// Validação e redimensionamento de fotos no navegador, antes do envio.
+// Cada foto dá origem a duas versões: a imagem (no máximo 1600 px no lado maior)
+// e uma miniatura quadrada para a lista e para as árvores.
+
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+export const MAX_IMAGE_FILE_SIZE = 15 * 1024 * 1024;
+
+const IMAGE_MAX_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 240;
+const OUTPUT_TYPE = 'image/jpeg';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1).replace('.', ',')} MB`;
+
+// Devolve a mensagem de erro para o utilizador, ou null se o ficheiro for aceite.
+export const validateImageFile = (file) => {
+  if (!file) return 'Nenhum ficheiro selecionado.';
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return `Formato não suportado (${file.type || 'desconhecido'}). Use JPEG, PNG ou WebP.`;
+  }
+  if (file.size > MAX_IMAGE_FILE_SIZE) {
+    return `A foto tem ${formatMegabytes(file.size)}; o máximo é ${formatMegabytes(MAX_IMAGE_FILE_SIZE)}.`;
+  }
+  return null;
+};
+
+// createImageBitmap respeita a orientação EXIF das fotos tiradas no telemóvel
+const loadImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const canvasToFile = (canvas, fileName, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => {
+    if (!blob) {
+      reject(new Error('Não foi possível processar a foto.'));
+      return;
+    }
+    resolve(new File([blob], fileName, { type: OUTPUT_TYPE }));
+  }, OUTPUT_TYPE, quality);
+});
+
+const drawToFile = (image, { sourceX = 0, sourceY = 0, sourceWidth, sourceHeight, width, height }, fileName, quality) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // Fundo branco para PNGs com transparência (o JPEG não a suporta)
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(image, sourceX, sourceY, sourceWidth, sourceHeight, 0, 0, width, height);
+  return canvasToFile(canvas, fileName, quality);
+};
+
+// Devolve `{ image, thumbnail }`, dois File em JPEG prontos a enviar.
+// Lança um Error com a mensagem de validateImageFile se o ficheiro não for aceite.
+export const prepareHorsePhoto = async (file) => {
+  const validationError = validateImageFile(file);
+  if (validationError) throw new Error(validationError);
+
+  const source = await loadImage(file);
+  const sourceWidth = source.width;
+  const sourceHeight = source.height;
+  const baseName = file.name.replace(/\.[^.]+$/, '') || 'foto';
+
+  const scale = Math.min(1, IMAGE_MAX_DIMENSION / Math.max(sourceWidth, sourceHeight));
+  const image = await drawToFile(source, {
+    sourceWidth,
+    sourceHeight,
+    width: Math.round(sourceWidth * scale),
+    height: Math.round(sourceHeight * scale),
+  }, `${baseName}.jpg`, 0.85);
+
+  // Miniatura: recorte quadrado ao centro
+  const side = Math.min(sourceWidth, sourceHeight);
+  const thumbnail = await drawToFile(source, {
+    sourceX: (sourceWidth - side) / 2,
+    sourceY: (sourceHeight - side) / 2,
+    sourceWidth: side,
+    sourceHeight: side,
+    width: Math.min(THUMBNAIL_SIZE, side),
+    height: Math.min(THUMBNAIL_SIZE, side),
+  }, `${baseName}-miniatura.jpg`, 0.8);
+
+  if (typeof source.close === 'function') source.close();
+  return { image, thumbnail };
+};
@@ -0,0 +1,134 @@
+// Coeficiente de consanguinidade de Wright (COI), calculado pelo método dos caminhos.
+//
+//   F(X) = Σ (1/2)^(n1 + n2 + 1) · (1 + F(A))
+//
+// em que, para cada ancestral comum A ao pai e à mãe de X, n1 e n2 são o número de
+// gerações entre o pai/mãe e A, somando sobre todos os pares de caminhos que não
+// partilham nenhum indivíduo além de A. F(A) é o coeficiente do próprio ancestral.
+//
+// Módulo puro (sem React nem Supabase): recebe a lista de cavalos tal como vem da
+// tabela `cavalos` e trabalha apenas sobre `id`, `pai_id` e `mae_id`.
+
+export const DEFAULT_COI_GENERATIONS = 5;
+
+export const buildHorseIndex = (horses) => new Map(horses.map(h => [h.id, h]));
+
+// Todos os caminhos ascendentes a partir de `startId`, com no máximo `maxSteps`
+// gerações. Cada caminho é a lista de IDs desde `startId` até ao ancestral (inclusive).
+// Um ID repetido num caminho indica um ciclo nos dados, e o caminho é interrompido.
+const collectAncestorPaths = (startId, horsesById, maxSteps) => {
+  const pathsByAncestor = new Map();
+
+  const walk = (id, path) => {
+    const horse = horsesById.get(id);
+    if (!horse || path.includes(id)) return;
+
+    const currentPath = [...path, id];
+    if (!pathsByAncestor.has(id)) {
+      pathsByAncestor.set(id, []);
+    }
+    pathsByAncestor.get(id).push(currentPath);
+
+    if (currentPath.length > maxSteps) return;
+    if (horse.pai_id) walk(horse.pai_id, currentPath);
+    if (horse.mae_id) walk(horse.mae_id, currentPath);
+  };
+
+  if (startId && maxSteps >= 0) {
+    walk(startId, []);
+  }
+  return pathsByAncestor;
+};
+
+// Dois caminhos só contam se o único indivíduo em comum for o próprio ancestral.
+const pathsAreIndependent = (sirePath, damPath) => {
+  const sireIds = new Set(sirePath.slice(0, -1));
+  return damPath.slice(0, -1).every(id => !sireIds.has(id));
+};
+
+const calculateForParents = (sireId, damId, horsesById, generations, cache) => {
+  const result = { coefficient: 0, generations, commonAncestors: [] };
+  if (!sireId || !damId || generations < 2) {
+    return result;
+  }
+
+  // O pai e a mãe estão na geração 1; os ancestrais até à geração N ficam a N - 1 passos.
+  const maxSteps = generations - 1;
+  const sirePaths = collectAncestorPaths(sireId, horsesById, maxSteps);
+  const damPaths = collectAncestorPaths(damId, horsesById, maxSteps);
+
+  for (const [ancestorId, pathsFromSire] of sirePaths) {
+    const pathsFromDam = damPaths.get(ancestorId);
+    if (!pathsFromDam) continue;
+
+    const paths = [];
+    let contributionWithoutF = 0;
+    for (const sirePath of pathsFromSire) {
+      for (const damPath of pathsFromDam) {
+        if (!pathsAreIndependent(sirePath, damPath)) continue;
+        const n1 = sirePath.length - 1;
+        const n2 = damPath.length - 1;
+        paths.push({ sireGenerations: n1, damGenerations: n2 });
+        contributionWithoutF += Math.pow(0.5, n1 + n2 + 1);
+      }
+    }
+    if (paths.length === 0) continue;
+
+    // O ancestral só é analisado dentro da janela de gerações que lhe sobra,
+    // a partir do caminho mais curto até ele.
+    const closestGeneration = 1 + Math.min(...paths.map(p => Math.min(p.sireGenerations, p.damGenerations)));
+    const ancestorCoefficient = calculateCached(ancestorId, horsesById, generations - closestGeneration, cache);
+    const contribution = contributionWithoutF * (1 + ancestorCoefficient);
+
+    paths.sort((a, b) => (a.sireGenerations + a.damGenerations) - (b.sireGenerations + b.damGenerations));
+    result.commonAncestors.push({
+      id: ancestorId,
+      name: horsesById.get(ancestorId).nome,
+      pathCount: paths.length,
+      paths,
+      ancestorCoefficient,
+      contribution,
+    });
+    result.coefficient += contribution;
+  }
+
+  result.commonAncestors.sort((a, b) => b.contribution - a.contribution);
+  return result;
+};
+
+const calculateCached = (horseId, horsesById, generations, cache) => {
+  const key = `${horseId}:${generations}`;
+  if (cache.has(key)) return cache.get(key);
+
+  // Marca provisória para que um ciclo nos dados não provoque recursão infinita.
+  cache.set(key, 0);
+  const horse = horsesById.get(horseId);
+  const coefficient = horse
+    ? calculateForParents(horse.pai_id, horse.mae_id, horsesById, generations, cache).coefficient
+    : 0;
+  cache.set(key, coefficient);
+  return coefficient;
+};
+
+// COI de um potencial descendente de `sireId` × `damId` (por exemplo, um poldro
+// hipotético). Devolve `{ coefficient, generations, commonAncestors }`, em que cada
+// ancestral comum traz `pathCount`, os pares de gerações de cada caminho e a
+// sua `contribution` para o coeficiente total.
+export const calculateInbreedingForParents = (sireId, damId, horses, { generations = DEFAULT_COI_GENERATIONS } = {}) => {
+  const horsesById = horses instanceof Map ? horses : buildHorseIndex(horses);
+  return calculateForParents(sireId, damId, horsesById, generations, new Map());
+};
+
+// COI de um cavalo registado, a partir dos seus `pai_id` e `mae_id`.
+export const calculateInbreeding = (horse, horses, options) => {
+  if (!horse) {
+    return { coefficient: 0, generations: options?.generations ?? DEFAULT_COI_GENERATIONS, commonAncestors: [] };
+  }
+  return calculateInbreedingForParents(horse.pai_id, horse.mae_id, horses, options);
+};
+
+// Formata um coeficiente (0–1) como percentagem, ex.: 0.125 -> "12,50%".
+export const formatCoefficient = (coefficient) => `${(coefficient * 100).toFixed(2).replace('.', ',')}%`;
+
+// Notação habitual dos caminhos, ex.: "2:3, 3:3" (gerações pelo lado do pai : pelo lado da mãe).
+export const formatPaths = (paths) => paths.map(p => `${p.sireGenerations}:${p.damGenerations}`).join(', ');
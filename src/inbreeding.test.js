@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { calculateInbreeding, calculateInbreedingForParents } from './inbreeding';
+
+const horse = (id, pai_id = null, mae_id = null) => ({ id, nome: id, pai_id, mae_id });
+
+// Garanhão e égua fundadores e dois filhos deles (irmãos inteiros)
+const fullSiblings = [
+  horse('garanhao'),
+  horse('egua'),
+  horse('filho', 'garanhao', 'egua'),
+  horse('filha', 'garanhao', 'egua'),
+];
+
+describe('calculateInbreedingForParents', () => {
+  it('dá 0 sem ancestrais comuns', () => {
+    expect(calculateInbreedingForParents('garanhao', 'egua', fullSiblings).coefficient).toBe(0);
+  });
+
+  it('dá 0,25 para irmãos inteiros', () => {
+    const result = calculateInbreedingForParents('filho', 'filha', fullSiblings);
+    expect(result.coefficient).toBeCloseTo(0.25);
+    expect(result.commonAncestors.map(a => a.id).sort()).toEqual(['egua', 'garanhao']);
+    expect(result.commonAncestors[0].paths).toEqual([{ sireGenerations: 1, damGenerations: 1 }]);
+  });
+
+  it('dá 0,125 para meios-irmãos', () => {
+    const horses = [
+      horse('garanhao'),
+      horse('egua1'),
+      horse('egua2'),
+      horse('filho', 'garanhao', 'egua1'),
+      horse('filha', 'garanhao', 'egua2'),
+    ];
+    expect(calculateInbreedingForParents('filho', 'filha', horses).coefficient).toBeCloseTo(0.125);
+  });
+
+  it('dá 0,25 para pai × filha', () => {
+    expect(calculateInbreedingForParents('garanhao', 'filha', fullSiblings).coefficient).toBeCloseTo(0.25);
+  });
+
+  it('conta a consanguinidade do ancestral comum: meios-irmãos por um pai consanguíneo dão 0,15625', () => {
+    const horses = [
+      ...fullSiblings,
+      // O pai comum é filho de irmãos inteiros (F = 0,25)
+      horse('pai_consanguineo', 'filho', 'filha'),
+      horse('egua1'),
+      horse('egua2'),
+      horse('meio_irmao', 'pai_consanguineo', 'egua1'),
+      horse('meia_irma', 'pai_consanguineo', 'egua2'),
+    ];
+    const result = calculateInbreedingForParents('meio_irmao', 'meia_irma', horses);
+    expect(result.coefficient).toBeCloseTo(0.15625);
+    const sire = result.commonAncestors.find(a => a.id === 'pai_consanguineo');
+    expect(sire.ancestorCoefficient).toBeCloseTo(0.25);
+  });
+
+  it('ignora os ancestrais comuns para lá do número de gerações', () => {
+    // Primos direitos: os avós comuns estão na 3.ª geração do potro (F = 1/16)
+    const horses = [
+      ...fullSiblings,
+      horse('egua_a'),
+      horse('garanhao_b'),
+      horse('pai', 'filho', 'egua_a'),
+      horse('mae', 'garanhao_b', 'filha'),
+    ];
+    expect(calculateInbreedingForParents('pai', 'mae', horses, { generations: 3 }).coefficient).toBeCloseTo(0.0625);
+    expect(calculateInbreedingForParents('pai', 'mae', horses, { generations: 2 }).coefficient).toBe(0);
+    expect(calculateInbreedingForParents('pai', 'mae', horses, { generations: 1 }).coefficient).toBe(0);
+  });
+
+  it('termina com ciclos nos dados', () => {
+    // 'a' e 'b' são pais um do outro; o cálculo de F('a') volta a pedir F('a')
+    const horses = [
+      horse('a', 'b', 'b'),
+      horse('b', 'a', 'a'),
+      horse('c', 'a', 'b'),
+    ];
+    const result = calculateInbreedingForParents('a', 'c', horses, { generations: 8 });
+    expect(Number.isFinite(result.coefficient)).toBe(true);
+  });
+});
+
+describe('calculateInbreeding', () => {
+  it('usa o pai e a mãe do cavalo', () => {
+    const foal = horse('potro', 'filho', 'filha');
+    expect(calculateInbreeding(foal, [...fullSiblings, foal]).coefficient).toBeCloseTo(0.25);
+  });
+
+  it('dá 0 sem cavalo ou sem um dos pais', () => {
+    expect(calculateInbreeding(null, fullSiblings).coefficient).toBe(0);
+    expect(calculateInbreeding(horse('x', 'filho'), fullSiblings).coefficient).toBe(0);
+  });
+});
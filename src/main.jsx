@@ -3,6 +3,15 @@ import ReactDOM from 'react-dom/client';
 import App from './App.jsx';
 import './index.css'; // MANTENHA ESTA LINHA E NENHUMA OUTRA IMPORTAÇÃO DE CSS AQUI
 
+// Service worker (PWA): só em produção, para não interferir com o HMR do Vite
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((err) => {
+      console.error('Falha ao registar o service worker:', err);
+    });
+  });
+}
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
@@ -0,0 +1,48 @@
+// Planeamento de acasalamentos: o pedigree e a consanguinidade esperada de um
+// potro hipotético, filho de um garanhão e de uma égua já registados.
+// Módulo puro, sem React nem acesso a dados.
+import { calculateInbreedingForParents, DEFAULT_COI_GENERATIONS } from './inbreeding';
+import { pedigreeCompleteness } from './pedigreeData';
+import { validatePedigree } from './pedigreeValidation';
+
+// ID reservado para o potro hipotético (nunca corresponde a um registo de `cavalos`)
+export const HYPOTHETICAL_FOAL_ID = 'potro-hipotetico';
+
+export const createHypotheticalFoal = (sire, dam) => ({
+  id: HYPOTHETICAL_FOAL_ID,
+  nome: `${sire.nome} × ${dam.nome}`,
+  raca: !sire.raca || sire.raca === dam.raca ? (sire.raca || dam.raca) : `${sire.raca} × ${dam.raca}`,
+  sexo: null,
+  url_imagem: null,
+  pai_id: sire.id,
+  mae_id: dam.id,
+});
+
+// Avalia um acasalamento: coeficiente de consanguinidade esperado do potro, ancestrais
+// comuns, ancestrais conhecidos até `generations` e problemas (por exemplo, um
+// "garanhão" registado como fêmea).
+export const evaluateMating = (sire, dam, horses, { generations = DEFAULT_COI_GENERATIONS } = {}) => {
+  const foal = createHypotheticalFoal(sire, dam);
+  const completeness = pedigreeCompleteness(foal, horses, generations);
+  const known = completeness.reduce((sum, { known: count }) => sum + count, 0);
+  const possible = completeness.reduce((sum, { possible: count }) => sum + count, 0);
+
+  return {
+    sire,
+    dam,
+    foal,
+    inbreeding: calculateInbreedingForParents(sire.id, dam.id, horses, { generations }),
+    completeness: possible > 0 ? known / possible : 0,
+    issues: validatePedigree(foal, horses, { includeOffspring: false }),
+  };
+};
+
+// Compara vários garanhões para a mesma égua, pela ordem indicada.
+// `lowestCoefficient` é o menor coeficiente entre eles (para o destacar).
+export const compareStallions = (dam, sires, horses, options) => {
+  const evaluations = sires.map(sire => evaluateMating(sire, dam, horses, options));
+  const lowestCoefficient = evaluations.length > 0
+    ? Math.min(...evaluations.map(evaluation => evaluation.inbreeding.coefficient))
+    : null;
+  return { evaluations, lowestCoefficient };
+};
@@ -0,0 +1,79 @@
+// Proprietários, locais e transferências (vendas e arrendamentos) dos cavalos.
+// Módulo puro, sem React nem acesso a dados.
+//
+// Uma transferência é `{ id, cavalo_id, tipo: 'venda' | 'arrendamento',
+// proprietario_anterior_id, proprietario_id, data_inicio, data_fim, notas }`. A venda
+// muda o proprietário atual do cavalo; o arrendamento regista o arrendatário
+// (`proprietario_id`) e o período, sem mudar o proprietário.
+
+export const TRANSFER_TYPES = [
+  { value: 'venda', label: 'Venda' },
+  { value: 'arrendamento', label: 'Arrendamento' },
+];
+
+export const transferTypeLabel = (type) => TRANSFER_TYPES.find(t => t.value === type)?.label || type;
+
+// Data de hoje como 'AAAA-MM-DD', na hora local
+export const todayString = (today = new Date()) => [
+  today.getFullYear(),
+  String(today.getMonth() + 1).padStart(2, '0'),
+  String(today.getDate()).padStart(2, '0'),
+].join('-');
+
+const byStartDate = (a, b) => a.data_inicio.localeCompare(b.data_inicio) || (a.created_at || '').localeCompare(b.created_at || '');
+
+// Cadeia de propriedade, do primeiro proprietário conhecido ao atual:
+// `[{ ownerId, from, to, transfer }]`, em que `transfer` é a venda que deu início ao
+// período (null no primeiro). Vazia quando o cavalo nunca teve proprietário.
+export const ownershipChain = (horse, transfers) => {
+  const sales = transfers.filter(t => t.tipo === 'venda').sort(byStartDate);
+  const firstOwnerId = sales.length > 0 ? sales[0].proprietario_anterior_id : horse.proprietario_id;
+  if (sales.length === 0 && !firstOwnerId) return [];
+  return [
+    { ownerId: firstOwnerId, from: null, to: sales[0]?.data_inicio ?? null, transfer: null },
+    ...sales.map((sale, index) => ({
+      ownerId: sale.proprietario_id,
+      from: sale.data_inicio,
+      to: sales[index + 1]?.data_inicio ?? null,
+      transfer: sale,
+    })),
+  ];
+};
+
+// Um arrendamento está em curso entre o início e o fim (inclusive); sem fim, continua
+export const isLeaseActive = (lease, today = todayString()) => lease.data_inicio <= today
+  && (!lease.data_fim || lease.data_fim >= today);
+
+// Arrendamentos do mais recente para o mais antigo, cada um com `active`
+export const leaseHistory = (transfers, today = todayString()) => transfers
+  .filter(t => t.tipo === 'arrendamento')
+  .sort((a, b) => byStartDate(b, a))
+  .map(lease => ({ ...lease, active: isLeaseActive(lease, today) }));
+
+// Verifica uma transferência antes de a gravar; devolve a mensagem de erro ou null.
+// `fields` é `{ tipo, proprietario_id, data_inicio, data_fim }`.
+export const validateTransfer = (fields, horse, transfers) => {
+  if (fields.tipo === 'arrendamento' && !horse.proprietario_id) {
+    return 'Indique primeiro o proprietário do cavalo: só um cavalo com proprietário pode ser arrendado.';
+  }
+  if (!fields.proprietario_id) {
+    return fields.tipo === 'venda' ? 'Escolha o comprador.' : 'Escolha o arrendatário.';
+  }
+  if (fields.proprietario_id === horse.proprietario_id) {
+    return fields.tipo === 'venda'
+      ? 'O comprador já é o proprietário atual.'
+      : 'O arrendatário não pode ser o próprio proprietário.';
+  }
+  if (!fields.data_inicio) {
+    return fields.tipo === 'venda' ? 'Indique a data da venda.' : 'Indique a data de início do arrendamento.';
+  }
+  if (fields.tipo === 'arrendamento' && fields.data_fim && fields.data_fim < fields.data_inicio) {
+    return 'O fim do arrendamento não pode ser anterior ao início.';
+  }
+  // As vendas sucedem-se: uma nova não pode ser anterior à última
+  const lastSale = transfers.filter(t => t.tipo === 'venda').sort(byStartDate).pop();
+  if (fields.tipo === 'venda' && lastSale && fields.data_inicio < lastSale.data_inicio) {
+    return 'A data da venda é anterior à última venda registada.';
+  }
+  return null;
+};
@@ -0,0 +1,101 @@
+// Estruturas de dados das árvores genealógicas (ascendência e descendência),
+// usadas pela árvore D3 e pelo certificado de pedigree.
+import { formatAge, formatBirth, getBirthInfo } from './horseAge';
+import { shortIdentifier } from './horseIdentifiers';
+
+// Dados de um cavalo no formato usado pelos nós das árvores D3
+export const createD3Node = (horse) => ({
+  id: horse.id,
+  name: horse.nome,
+  breed: horse.raca,
+  age: formatAge(horse), // Calculada a partir da data/ano de nascimento
+  birth: formatBirth(horse),
+  sex: horse.sexo, // Usa 'sexo' do DB
+  identifier: shortIdentifier(horse), // Número de registo ou microchip, para distinguir homónimos
+  external: Boolean(horse.apenas_ancestral), // Ancestral externo, fora do efetivo
+  photoUrl: horse.url_miniatura || horse.url_imagem,
+  children: [],
+});
+
+// Na ascendência, cada nó indica se é o pai ('sire') ou a mãe ('dam') do nó anterior
+const withRole = (node, role) => (node ? { ...node, role } : null);
+
+// Helper function to build data structure for D3 ancestry tree
+// `lineage` guarda os IDs do ramo atual: um ciclo nos dados (um cavalo registado
+// como seu próprio ancestral) termina o ramo em vez de repetir os mesmos cavalos.
+export const buildD3AncestryData = (horse, allHorses, maxDepth, currentDepth = 0, lineage = []) => {
+  if (!horse || currentDepth >= maxDepth || lineage.includes(horse.id)) {
+    return null;
+  }
+
+  const node = createD3Node(horse);
+
+  if (currentDepth < maxDepth - 1) {
+    const father = horse.pai_id ? allHorses.find(h => h.id === horse.pai_id) : null;
+    const mother = horse.mae_id ? allHorses.find(h => h.id === horse.mae_id) : null;
+    const branch = [...lineage, horse.id];
+
+    if (father) {
+      node.children.push(withRole(buildD3AncestryData(father, allHorses, maxDepth, currentDepth + 1, branch), 'sire'));
+    }
+    if (mother) {
+      node.children.push(withRole(buildD3AncestryData(mother, allHorses, maxDepth, currentDepth + 1, branch), 'dam'));
+    }
+    node.children = node.children.filter(child => child !== null);
+  }
+
+  return node;
+};
+
+// Constrói a árvore de descendência: os "filhos" de cada nó são os cavalos que o
+// referenciam como pai ou mãe. `lineage` guarda os IDs já percorridos neste ramo,
+// para que um ciclo nos dados não repita os mesmos cavalos até `maxDepth`.
+export const buildD3ProgenyData = (horse, allHorses, maxDepth, currentDepth = 0, lineage = []) => {
+  if (!horse || currentDepth >= maxDepth || lineage.includes(horse.id)) {
+    return null;
+  }
+
+  const node = createD3Node(horse);
+
+  if (currentDepth < maxDepth - 1) {
+    node.children = allHorses
+      .filter(h => h.pai_id === horse.id || h.mae_id === horse.id)
+      .sort((a, b) => (getBirthInfo(a)?.year ?? Infinity) - (getBirthInfo(b)?.year ?? Infinity) || a.nome.localeCompare(b.nome))
+      .map(child => buildD3ProgenyData(child, allHorses, maxDepth, currentDepth + 1, [...lineage, horse.id]))
+      .filter(child => child !== null);
+  }
+
+  return node;
+};
+
+// Distribui a ascendência pelas posições fixas de um pedigree em chaves: na geração g
+// há 2^g posições, e o pai/mãe da posição p estão nas posições 2p/2p+1 da geração
+// seguinte. Posições de ancestrais desconhecidos ficam a `null`.
+// Devolve uma lista de gerações, da 0 (o próprio cavalo) até `generations`.
+export const toPedigreeBracket = (treeData, generations) => {
+  const bracket = [[treeData]];
+  for (let generation = 1; generation <= generations; generation++) {
+    const previous = bracket[generation - 1];
+    const current = [];
+    for (const node of previous) {
+      const children = node ? node.children : [];
+      current.push(children.find(child => child.role === 'sire') || null);
+      current.push(children.find(child => child.role === 'dam') || null);
+    }
+    bracket.push(current);
+  }
+  return bracket;
+};
+
+// Quantos ancestrais são conhecidos em cada geração (1 = pais, 2 = avós, ...).
+// Devolve `[{ generation, known, possible }]`, com `possible` = 2^geração.
+export const pedigreeCompleteness = (horse, horses, generations) => {
+  const byId = horses instanceof Map ? horses : new Map(horses.map(h => [h.id, h]));
+  const result = [];
+  let current = [horse];
+  for (let generation = 1; generation <= generations; generation++) {
+    current = current.flatMap(h => (h ? [byId.get(h.pai_id) || null, byId.get(h.mae_id) || null] : [null, null]));
+    result.push({ generation, known: current.filter(Boolean).length, possible: current.length });
+  }
+  return result;
+};
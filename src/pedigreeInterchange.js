@@ -0,0 +1,564 @@
+// Intercâmbio de pedigrees com outros criadores e programas.
+//
+// Dois formatos, documentados em docs/formato-intercambio.md:
+//   - GEDCOM 5.5.1 (lineage-linked), com uma extensão `_RACA` para a raça;
+//   - JSON em grafo (`"formato": "pedigree-equino"`), com as ligações por `pai_id`/`mae_id`.
+//
+// Fluxo de importação: parseInterchangeFile() -> planInterchangeMerge()
+//                      -> applyMergeChoices() -> runInterchangeMerge().
+//
+// A importação junta os registos aos `cavalos` existentes em vez de os duplicar:
+// cada registo é associado a um cavalo já registado pelo id de origem ou, se não
+// houver, pelo nome, sexo e ano de nascimento. Módulo puro, sem React nem acesso a dados.
+import { normalizeText } from './horseFilters';
+import { normalizeSex } from './horseImport';
+import { validatePedigree } from './pedigreeValidation';
+import { capitalizeEachWord } from './text';
+
+export const JSON_FORMAT_NAME = 'pedigree-equino';
+export const JSON_FORMAT_VERSION = 1;
+export const DEFAULT_EXPORT_GENERATIONS = 5;
+
+// Tipo do REFN onde o GEDCOM guarda o id do cavalo nesta aplicação
+const GEDCOM_ID_TYPE = 'registro-cavalos-id';
+const GEDCOM_MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// --- Exportação ---
+
+// O cavalo e os seus ancestrais até `generations` gerações acima dele.
+// Os progenitores que ficam fora do limite aparecem com `pai_id`/`mae_id` a null.
+export const collectAncestry = (rootHorse, horses, generations = DEFAULT_EXPORT_GENERATIONS) => {
+  const byId = new Map(horses.map(h => [h.id, h]));
+  const depthById = new Map([[rootHorse.id, 0]]);
+  const queue = [rootHorse];
+
+  // Em largura, para que um ancestral repetido fique com a menor profundidade
+  while (queue.length > 0) {
+    const horse = queue.shift();
+    const depth = depthById.get(horse.id);
+    if (depth >= generations) continue;
+    for (const parentId of [horse.pai_id, horse.mae_id]) {
+      const parent = parentId && byId.get(parentId);
+      if (parent && !depthById.has(parent.id)) {
+        depthById.set(parent.id, depth + 1);
+        queue.push(parent);
+      }
+    }
+  }
+
+  return [...depthById.keys()].map(id => {
+    const horse = byId.get(id) || rootHorse;
+    return depthById.get(id) >= generations ? { ...horse, pai_id: null, mae_id: null } : horse;
+  });
+};
+
+// Só exporta ligações para cavalos incluídos no ficheiro
+const exportedLinks = (horses) => {
+  const included = new Set(horses.map(h => h.id));
+  return (horse) => ({
+    pai_id: included.has(horse.pai_id) ? horse.pai_id : null,
+    mae_id: included.has(horse.mae_id) ? horse.mae_id : null,
+  });
+};
+
+export const exportJsonGraph = (horses, { exportedAt = new Date() } = {}) => {
+  const linksOf = exportedLinks(horses);
+  return JSON.stringify({
+    formato: JSON_FORMAT_NAME,
+    versao: JSON_FORMAT_VERSION,
+    exportado_em: exportedAt.toISOString(),
+    cavalos: horses.map(horse => ({
+      id: horse.id,
+      nome: horse.nome,
+      raca: horse.raca || null,
+      sexo: horse.sexo || null,
+      data_nascimento: horse.data_nascimento || null,
+      ano_nascimento: horse.data_nascimento ? null : (horse.ano_nascimento ?? null),
+      ...linksOf(horse),
+    })),
+  }, null, 2);
+};
+
+const formatGedcomDate = (date) => `${date.getDate()} ${GEDCOM_MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+
+const gedcomBirthDate = (horse) => {
+  if (horse.data_nascimento) {
+    const [year, month, day] = horse.data_nascimento.split('-').map(Number);
+    return `${day} ${GEDCOM_MONTHS[month - 1]} ${year}`;
+  }
+  return horse.ano_nascimento ? `ABT ${horse.ano_nascimento}` : null;
+};
+
+// Os valores do GEDCOM não podem ter quebras de linha
+const gedcomValue = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+export const exportGedcom = (horses, { exportedAt = new Date() } = {}) => {
+  const linksOf = exportedLinks(horses);
+  const individualXref = new Map(horses.map((horse, index) => [horse.id, `@I${index + 1}@`]));
+
+  // Uma família por cada par pai/mãe com filhos no ficheiro
+  const families = new Map();
+  horses.forEach(horse => {
+    const { pai_id, mae_id } = linksOf(horse);
+    if (!pai_id && !mae_id) return;
+    const key = `${pai_id || ''}|${mae_id || ''}`;
+    if (!families.has(key)) {
+      families.set(key, { xref: `@F${families.size + 1}@`, pai_id, mae_id, children: [] });
+    }
+    families.get(key).children.push(horse.id);
+  });
+  const familyOfChild = new Map();
+  const familiesOfParent = new Map();
+  families.forEach(family => {
+    family.children.forEach(childId => familyOfChild.set(childId, family.xref));
+    [family.pai_id, family.mae_id].filter(Boolean).forEach(parentId => {
+      familiesOfParent.set(parentId, [...(familiesOfParent.get(parentId) || []), family.xref]);
+    });
+  });
+
+  const lines = [
+    '0 HEAD',
+    '1 SOUR PEDIGREE-EQUINO',
+    '2 NAME Sistema de Pedigree Equino',
+    `1 DATE ${formatGedcomDate(exportedAt)}`,
+    '1 GEDC',
+    '2 VERS 5.5.1',
+    '2 FORM LINEAGE-LINKED',
+    '1 CHAR UTF-8',
+  ];
+
+  horses.forEach(horse => {
+    lines.push(`0 ${individualXref.get(horse.id)} INDI`);
+    lines.push(`1 NAME ${gedcomValue(horse.nome)}`);
+    lines.push(`1 SEX ${horse.sexo === 'Macho' ? 'M' : horse.sexo === 'Fêmea' ? 'F' : 'U'}`);
+    const birthDate = gedcomBirthDate(horse);
+    if (birthDate) {
+      lines.push('1 BIRT', `2 DATE ${birthDate}`);
+    }
+    if (horse.raca) {
+      lines.push(`1 _RACA ${gedcomValue(horse.raca)}`);
+    }
+    lines.push(`1 REFN ${horse.id}`, `2 TYPE ${GEDCOM_ID_TYPE}`);
+    if (familyOfChild.has(horse.id)) {
+      lines.push(`1 FAMC ${familyOfChild.get(horse.id)}`);
+    }
+    (familiesOfParent.get(horse.id) || []).forEach(xref => lines.push(`1 FAMS ${xref}`));
+  });
+
+  families.forEach(family => {
+    lines.push(`0 ${family.xref} FAM`);
+    if (family.pai_id) lines.push(`1 HUSB ${individualXref.get(family.pai_id)}`);
+    if (family.mae_id) lines.push(`1 WIFE ${individualXref.get(family.mae_id)}`);
+    family.children.forEach(childId => lines.push(`1 CHIL ${individualXref.get(childId)}`));
+  });
+
+  lines.push('0 TRLR');
+  return `${lines.join('\n')}\n`;
+};
+
+// --- Leitura ---
+//
+// Os dois formatos são convertidos numa lista de registos
+// `{ key, sourceId, nome, raca, sexo, data_nascimento, ano_nascimento, paiKey, maeKey, errors }`,
+// em que `paiKey`/`maeKey` apontam para a `key` de outro registo do mesmo ficheiro.
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const isValidDate = (year, month, day) => {
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+};
+
+// "14 MAR 2018" é uma data exata; "ABT 2018", "MAR 2018" ou "BEF 2018" ficam só com o ano
+export const parseGedcomDate = (value) => {
+  const text = (value || '').trim().toUpperCase();
+  const exact = /^(\d{1,2}) ([A-Z]{3}) (\d{4})$/.exec(text);
+  if (exact) {
+    const day = Number(exact[1]);
+    const month = GEDCOM_MONTHS.indexOf(exact[2]) + 1;
+    const year = Number(exact[3]);
+    if (month > 0 && isValidDate(year, month, day)) {
+      return { data_nascimento: `${year}-${pad(month)}-${pad(day)}`, ano_nascimento: null };
+    }
+  }
+  const year = /(\d{4})/.exec(text);
+  return year
+    ? { data_nascimento: null, ano_nascimento: Number(year[1]) }
+    : { data_nascimento: null, ano_nascimento: null };
+};
+
+// Converte as linhas "nível [@xref@] TAG [valor]" numa árvore de nós `{ xref, tag, value, children }`
+const parseGedcomTree = (text) => {
+  const roots = [];
+  const stack = [];
+  text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const match = /^(\d+)\s+(?:(@[^@]+@)\s+)?(\S+)(?:\s(.*))?$/.exec(line);
+    if (!match) {
+      throw new Error(`Linha ${lineIndex + 1} do GEDCOM inválida: "${line}"`);
+    }
+    const level = Number(match[1]);
+    const node = { xref: match[2] || null, tag: match[3].toUpperCase(), value: match[4] ?? '', children: [] };
+
+    // CONC/CONT continuam o valor do nó anterior
+    if ((node.tag === 'CONC' || node.tag === 'CONT') && stack[level - 1]) {
+      stack[level - 1].value += (node.tag === 'CONT' ? ' ' : '') + node.value;
+      return;
+    }
+    stack.length = level;
+    if (level === 0) {
+      roots.push(node);
+    } else if (stack[level - 1]) {
+      stack[level - 1].children.push(node);
+    } else {
+      throw new Error(`Linha ${lineIndex + 1} do GEDCOM com nível ${level} fora de ordem.`);
+    }
+    stack[level] = node;
+  });
+  return roots;
+};
+
+const childValue = (node, tag) => node.children.find(child => child.tag === tag)?.value.trim() || '';
+
+const parseGedcom = (text) => {
+  const roots = parseGedcomTree(text);
+  if (!roots.some(node => node.tag === 'INDI')) {
+    throw new Error('O ficheiro GEDCOM não tem nenhum registo INDI.');
+  }
+
+  const records = roots.filter(node => node.tag === 'INDI').map(node => {
+    const refn = node.children.find(child => child.tag === 'REFN' && childValue(child, 'TYPE') === GEDCOM_ID_TYPE);
+    const birth = node.children.find(child => child.tag === 'BIRT');
+    const sex = childValue(node, 'SEX');
+    return {
+      key: node.xref,
+      sourceId: refn ? refn.value.trim() : null,
+      // Nos nomes GEDCOM o apelido vem entre barras ("Trovão /Lusitano/")
+      nome: childValue(node, 'NAME').replace(/\//g, ' ').replace(/\s+/g, ' ').trim(),
+      raca: childValue(node, '_RACA') || childValue(node, '_BREED'),
+      sexo: sex === 'M' ? 'Macho' : sex === 'F' ? 'Fêmea' : null,
+      ...parseGedcomDate(birth ? childValue(birth, 'DATE') : ''),
+      paiKey: null,
+      maeKey: null,
+    };
+  });
+
+  const byKey = new Map(records.map(record => [record.key, record]));
+  roots.filter(node => node.tag === 'FAM').forEach(family => {
+    const husband = childValue(family, 'HUSB') || null;
+    const wife = childValue(family, 'WIFE') || null;
+    family.children.filter(child => child.tag === 'CHIL').forEach(child => {
+      const record = byKey.get(child.value.trim());
+      if (!record) return;
+      record.paiKey = husband;
+      record.maeKey = wife;
+    });
+  });
+  return records;
+};
+
+const parseJsonGraph = (parsed) => {
+  if (!Array.isArray(parsed.cavalos)) {
+    throw new Error('O JSON não tem a lista "cavalos".');
+  }
+  if (parsed.versao > JSON_FORMAT_VERSION) {
+    throw new Error(`Versão ${parsed.versao} do formato não suportada (a aplicação lê até à versão ${JSON_FORMAT_VERSION}).`);
+  }
+  return parsed.cavalos.map((horse, index) => {
+    const exact = /^(\d{4})-(\d{2})-(\d{2})$/.exec(horse.data_nascimento || '');
+    const birth = exact && isValidDate(Number(exact[1]), Number(exact[2]), Number(exact[3]))
+      ? { data_nascimento: horse.data_nascimento, ano_nascimento: null }
+      : { data_nascimento: null, ano_nascimento: Number(horse.ano_nascimento) || null };
+    return {
+      key: horse.id != null ? String(horse.id) : `#${index + 1}`,
+      sourceId: horse.id != null ? String(horse.id) : null,
+      nome: String(horse.nome || '').trim(),
+      raca: String(horse.raca || '').trim(),
+      sexo: normalizeSex(horse.sexo || ''),
+      ...birth,
+      paiKey: horse.pai_id != null ? String(horse.pai_id) : null,
+      maeKey: horse.mae_id != null ? String(horse.mae_id) : null,
+    };
+  });
+};
+
+// Lê um ficheiro GEDCOM (.ged) ou JSON em grafo. Lança um Error com uma mensagem
+// para o utilizador se o formato não for reconhecido.
+export const parseInterchangeFile = (text, fileName = '') => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  if (!trimmed) {
+    throw new Error('O ficheiro está vazio.');
+  }
+
+  let records;
+  let format;
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (err) {
+      throw new Error(`JSON inválido: ${err.message}`);
+    }
+    if (!parsed || parsed.formato !== JSON_FORMAT_NAME) {
+      throw new Error(`O JSON não está no formato "${JSON_FORMAT_NAME}". Para listas simples de cavalos use a importação CSV/JSON.`);
+    }
+    records = parseJsonGraph(parsed);
+    format = 'json';
+  } else if (/^0\s+HEAD\b/i.test(trimmed) || fileName.toLowerCase().endsWith('.ged')) {
+    records = parseGedcom(trimmed);
+    format = 'gedcom';
+  } else {
+    throw new Error('Formato não reconhecido: use um ficheiro GEDCOM (.ged) ou JSON exportado por esta aplicação.');
+  }
+
+  const keys = new Set();
+  records.forEach(record => {
+    record.errors = [];
+    if (keys.has(record.key)) record.errors.push(`Identificador ${record.key} repetido no ficheiro.`);
+    keys.add(record.key);
+    if (!record.nome) record.errors.push('Nome em falta.');
+    if (!record.sexo) record.errors.push('Sexo em falta ou não reconhecido.');
+  });
+  // Ligações para registos que não estão no ficheiro são ignoradas
+  records.forEach(record => {
+    if (record.paiKey && !keys.has(record.paiKey)) record.paiKey = null;
+    if (record.maeKey && !keys.has(record.maeKey)) record.maeKey = null;
+  });
+  return { format, records };
+};
+
+// --- Junção com os cavalos existentes ---
+
+const birthYearOf = (horse) => (horse.data_nascimento ? Number(horse.data_nascimento.slice(0, 4)) : horse.ano_nascimento ?? null);
+
+// Candidatos para um registo: primeiro pelo id de origem; depois pelo nome e sexo,
+// exigindo o mesmo ano de nascimento quando ambos o têm.
+const findMatches = (record, existingHorses) => {
+  const byId = record.sourceId && existingHorses.find(h => h.id === record.sourceId);
+  if (byId) return { by: 'id', horses: [byId] };
+
+  const name = normalizeText(record.nome);
+  const year = birthYearOf(record);
+  const horses = existingHorses.filter(h => {
+    if (normalizeText(h.nome) !== name || h.sexo !== record.sexo) return false;
+    const existingYear = birthYearOf(h);
+    return !year || !existingYear || year === existingYear;
+  });
+  return { by: 'nome', horses };
+};
+
+export const NEW_HORSE = 'novo';
+
+// Prepara a junção. Cada entrada traz `candidates` (cavalos existentes que podem
+// ser o mesmo) e `target`: o id do cavalo existente, NEW_HORSE, ou null quando há
+// mais de um candidato e o utilizador tem de escolher.
+export const planInterchangeMerge = (records, existingHorses) => records.map(record => {
+  const { by, horses } = findMatches(record, existingHorses);
+  let target = null;
+  if (horses.length === 0) target = NEW_HORSE;
+  else if (horses.length === 1) target = horses[0].id;
+  return {
+    record,
+    matchedBy: horses.length > 0 ? by : null,
+    candidates: horses,
+    target,
+  };
+});
+
+// Aplica as escolhas do utilizador (`choices[key]` = id de um candidato ou NEW_HORSE)
+// e calcula, para cada entrada, o que vai acontecer:
+//   - `action`: 'create' (cavalo novo), 'link' (cavalo existente, preencher pai/mãe em falta)
+//     ou 'keep' (cavalo existente sem alterações);
+//   - `links`: { pai, mae } com `{ key }` (outro registo do ficheiro) ou null;
+//   - `updates`: pai_id/mae_id a preencher num cavalo existente (só se estiverem vazios);
+//   - `warnings`: ligações que diferem das registadas, ou que criariam um ciclo ou
+//     um progenitor com o sexo errado, e que por isso não são alteradas;
+//   - `issues`: problemas que impedem a importação.
+// `options.canEdit(horse)` indica se o utilizador pode alterar um cavalo existente.
+export const applyMergeChoices = (entries, choices, existingHorses, { canEdit = () => true } = {}) => {
+  const byKey = new Map(entries.map(entry => [entry.record.key, entry]));
+  const existingById = new Map(existingHorses.map(h => [h.id, h]));
+  const targetOf = (entry) => choices[entry.record.key] ?? entry.target;
+
+  const resolved = entries.map(entry => {
+    const { record } = entry;
+    const target = targetOf(entry);
+    const warnings = [];
+    const updates = {};
+
+    // Os dados do ficheiro só são usados quando o cavalo vai ser criado
+    let issues = [];
+    if (target === null) {
+      issues = [`Há ${entry.candidates.length} cavalos registados que podem ser "${record.nome}": escolha qual, ou crie um novo.`];
+    } else if (target === NEW_HORSE) {
+      issues = [...record.errors];
+    }
+
+    const existing = target && target !== NEW_HORSE ? existingById.get(target) : null;
+    for (const [field, column, label] of [['paiKey', 'pai_id', 'Pai'], ['maeKey', 'mae_id', 'Mãe']]) {
+      const parentEntry = record[field] && byKey.get(record[field]);
+      if (!parentEntry || !existing) continue;
+      const parentTarget = targetOf(parentEntry);
+      // O progenitor ainda vai ser criado: o id só é conhecido durante a importação
+      const parentId = parentTarget === NEW_HORSE ? null : parentTarget;
+      if (existing[column] && parentId && existing[column] === parentId) continue;
+      if (existing[column]) {
+        if (existing[column] !== parentId) {
+          const current = existingById.get(existing[column]);
+          warnings.push(`${label} registado (${current ? current.nome : existing[column]}) difere do ficheiro (${parentEntry.record.nome}); mantém-se o registado.`);
+        }
+      } else if (!canEdit(existing)) {
+        warnings.push(`${label} "${parentEntry.record.nome}" não é associado: este cavalo pertence a outro utilizador.`);
+      } else {
+        updates[column] = parentTarget === NEW_HORSE ? { key: parentEntry.record.key } : parentId;
+      }
+    }
+
+    let action = 'keep';
+    if (target === NEW_HORSE) action = 'create';
+    else if (Object.keys(updates).length > 0) action = 'link';
+
+    return {
+      ...entry,
+      target,
+      action,
+      links: {
+        pai: record.paiKey ? { key: record.paiKey } : null,
+        mae: record.maeKey ? { key: record.maeKey } : null,
+      },
+      updates,
+      warnings,
+      issues,
+    };
+  });
+
+  // As ligações a acrescentar são validadas no grafo tal como ficará depois da
+  // importação, com os cavalos novos com um id provisório.
+  const resolvedByKey = new Map(resolved.map(entry => [entry.record.key, entry]));
+  const provisionalId = (key) => `novo:${key}`;
+  const idOfKey = (key) => {
+    const entry = resolvedByKey.get(key);
+    if (!entry || entry.target === null) return null;
+    return entry.target === NEW_HORSE ? provisionalId(key) : entry.target;
+  };
+  const updatesByTarget = new Map(resolved.filter(entry => entry.action === 'link').map(entry => [entry.target, entry.updates]));
+  const projected = [
+    ...existingHorses.map(horse => {
+      const updates = updatesByTarget.get(horse.id);
+      if (!updates) return horse;
+      const linked = Object.fromEntries(Object.entries(updates).map(([column, value]) => (
+        [column, typeof value === 'object' ? idOfKey(value.key) : value]
+      )));
+      return { ...horse, ...linked };
+    }),
+    ...resolved.filter(entry => entry.action === 'create').map(({ record }) => ({
+      ...record,
+      id: provisionalId(record.key),
+      pai_id: record.paiKey ? idOfKey(record.paiKey) : null,
+      mae_id: record.maeKey ? idOfKey(record.maeKey) : null,
+    })),
+  ];
+  const projectedById = new Map(projected.map(horse => [horse.id, horse]));
+
+  return resolved.map(entry => {
+    if (entry.action !== 'link') return entry;
+    const errors = validatePedigree(projectedById.get(entry.target), projected, { includeOffspring: false })
+      .filter(issue => issue.severity === 'error' && issue.field in entry.updates);
+    if (errors.length === 0) return entry;
+
+    const updates = { ...entry.updates };
+    errors.forEach(issue => delete updates[issue.field]);
+    return {
+      ...entry,
+      updates,
+      action: Object.keys(updates).length > 0 ? 'link' : 'keep',
+      warnings: [...entry.warnings, ...errors.map(issue => `Ligação não aplicada: ${issue.message}`)],
+    };
+  });
+};
+
+// Ordena os cavalos a criar de forma a que os pais sejam criados antes dos filhos.
+// Devolve `{ order, cycleKeys }`; `order` tem as `key` dos registos a criar.
+export const planMergeOrder = (resolvedEntries) => {
+  const byKey = new Map(resolvedEntries.map(entry => [entry.record.key, entry]));
+  const state = new Map();
+  const order = [];
+  const cycleKeys = new Set();
+
+  const visit = (entry, stack) => {
+    const key = entry.record.key;
+    if (state.get(key) === 'done') return;
+    if (state.get(key) === 'visiting') {
+      stack.slice(stack.indexOf(key)).forEach(k => cycleKeys.add(k));
+      return;
+    }
+    state.set(key, 'visiting');
+    for (const link of [entry.links.pai, entry.links.mae]) {
+      const parent = link && byKey.get(link.key);
+      if (parent && parent.action === 'create') visit(parent, [...stack, key]);
+    }
+    state.set(key, 'done');
+    order.push(key);
+  };
+
+  resolvedEntries.filter(entry => entry.action === 'create').forEach(entry => visit(entry, []));
+  return { order, cycleKeys: [...cycleKeys] };
+};
+
+// Cria os cavalos novos pela ordem planeada e depois preenche o pai/mãe em falta
+// nos cavalos existentes. `createHorse(fields)` e `updateHorse(id, fields)` devolvem
+// o registo gravado. Em caso de erro, o Error traz `created` e `updated` com o que já foi gravado.
+export const runInterchangeMerge = async (resolvedEntries, order, { createHorse, updateHorse }, extraFields = {}) => {
+  const byKey = new Map(resolvedEntries.map(entry => [entry.record.key, entry]));
+  const createdIds = new Map();
+  const idForKey = (key) => {
+    const entry = byKey.get(key);
+    if (!entry) return null;
+    return entry.target === NEW_HORSE ? createdIds.get(key) ?? null : entry.target;
+  };
+
+  const created = [];
+  const updated = [];
+  const fail = (entry, err) => {
+    const wrapped = new Error(`${entry.record.nome}: ${err.message}`);
+    wrapped.created = created;
+    wrapped.updated = updated;
+    throw wrapped;
+  };
+
+  for (const key of order) {
+    const entry = byKey.get(key);
+    const { record } = entry;
+    try {
+      const horse = await createHorse({
+        nome: capitalizeEachWord(record.nome),
+        raca: record.raca ? capitalizeEachWord(record.raca) : null,
+        sexo: record.sexo,
+        data_nascimento: record.data_nascimento,
+        ano_nascimento: record.ano_nascimento,
+        pai_id: entry.links.pai ? idForKey(entry.links.pai.key) : null,
+        mae_id: entry.links.mae ? idForKey(entry.links.mae.key) : null,
+        ...extraFields,
+      });
+      createdIds.set(key, horse.id);
+      created.push(horse);
+    } catch (err) {
+      fail(entry, err);
+    }
+  }
+
+  for (const entry of resolvedEntries.filter(e => e.action === 'link')) {
+    const fields = Object.fromEntries(Object.entries(entry.updates).map(([column, value]) => (
+      [column, typeof value === 'object' ? idForKey(value.key) : value]
+    )).filter(([, value]) => value));
+    if (Object.keys(fields).length === 0) continue;
+    try {
+      updated.push(await updateHorse(entry.target, fields));
+    } catch (err) {
+      fail(entry, err);
+    }
+  }
+
+  return { created, updated };
+};
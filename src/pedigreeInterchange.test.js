@@ -0,0 +1,213 @@
+import { describe, expect, it } from 'vitest';
+import {
+  NEW_HORSE,
+  applyMergeChoices,
+  collectAncestry,
+  exportGedcom,
+  exportJsonGraph,
+  parseGedcomDate,
+  parseInterchangeFile,
+  planInterchangeMerge,
+  planMergeOrder,
+  runInterchangeMerge,
+} from './pedigreeInterchange';
+
+const horse = (id, nome, sexo, fields = {}) => ({ id, nome, sexo, raca: 'Lusitano', pai_id: null, mae_id: null, ...fields });
+
+// avo × avoa -> pai; pai × mae -> potro
+const family = [
+  horse('avo', 'Avô', 'Macho', { ano_nascimento: 2000 }),
+  horse('avoa', 'Avó', 'Fêmea', { ano_nascimento: 2001 }),
+  horse('pai', 'Trovão', 'Macho', { data_nascimento: '2008-04-12', pai_id: 'avo', mae_id: 'avoa' }),
+  horse('mae', 'Brisa', 'Fêmea', { data_nascimento: '2009-05-01' }),
+  horse('potro', 'Relâmpago', 'Macho', { data_nascimento: '2018-03-14', pai_id: 'pai', mae_id: 'mae' }),
+];
+const byId = new Map(family.map(h => [h.id, h]));
+
+const EXPORTED_AT = new Date(2025, 0, 1);
+
+const simplify = (records) => records.map(({ key, nome, sexo, data_nascimento, ano_nascimento, paiKey, maeKey }) => (
+  { key, nome, sexo, data_nascimento, ano_nascimento, paiKey, maeKey }
+));
+
+const jsonFile = (cavalos) => JSON.stringify({ formato: 'pedigree-equino', versao: 1, cavalos });
+
+describe('collectAncestry', () => {
+  it('corta as ligações dos ancestrais no limite de gerações', () => {
+    const ancestry = collectAncestry(byId.get('potro'), family, 1);
+    expect(ancestry.map(h => [h.id, h.pai_id, h.mae_id])).toEqual([
+      ['potro', 'pai', 'mae'],
+      ['pai', null, null],
+      ['mae', null, null],
+    ]);
+    expect(collectAncestry(byId.get('potro'), family)).toHaveLength(5);
+  });
+});
+
+describe('exportação e leitura', () => {
+  it('o JSON exportado volta a ser lido com as mesmas ligações e datas', () => {
+    const { format, records } = parseInterchangeFile(exportJsonGraph(family, { exportedAt: EXPORTED_AT }), 'pedigree.json');
+    expect(format).toBe('json');
+    expect(simplify(records)).toEqual(family.map(h => ({
+      key: h.id,
+      nome: h.nome,
+      sexo: h.sexo,
+      data_nascimento: h.data_nascimento ?? null,
+      ano_nascimento: h.ano_nascimento ?? null,
+      paiKey: h.pai_id,
+      maeKey: h.mae_id,
+    })));
+    expect(records.every(record => record.errors.length === 0)).toBe(true);
+  });
+
+  it('o GEDCOM exportado volta a ser lido com as mesmas ligações, datas e ids de origem', () => {
+    const gedcom = exportGedcom(family, { exportedAt: EXPORTED_AT });
+    expect(gedcom).toContain('1 DATE 1 JAN 2025');
+    expect(gedcom).toContain('2 DATE 14 MAR 2018');
+    expect(gedcom).toContain('2 DATE ABT 2000');
+
+    const { format, records } = parseInterchangeFile(gedcom, 'pedigree.ged');
+    expect(format).toBe('gedcom');
+    const keyOf = new Map(records.map(record => [record.key, record.sourceId]));
+    expect(records.map(record => ({
+      id: record.sourceId,
+      nome: record.nome,
+      raca: record.raca,
+      data_nascimento: record.data_nascimento,
+      ano_nascimento: record.ano_nascimento,
+      pai_id: keyOf.get(record.paiKey) ?? null,
+      mae_id: keyOf.get(record.maeKey) ?? null,
+    }))).toEqual(family.map(h => ({
+      id: h.id,
+      nome: h.nome,
+      raca: h.raca,
+      data_nascimento: h.data_nascimento ?? null,
+      ano_nascimento: h.ano_nascimento ?? null,
+      pai_id: h.pai_id,
+      mae_id: h.mae_id,
+    })));
+  });
+
+  it('não exporta ligações para cavalos fora do ficheiro', () => {
+    const { cavalos } = JSON.parse(exportJsonGraph([byId.get('potro'), byId.get('mae')]));
+    expect(cavalos[0]).toMatchObject({ id: 'potro', pai_id: null, mae_id: 'mae' });
+  });
+
+  it('lê datas GEDCOM exatas e aproximadas', () => {
+    expect(parseGedcomDate('14 MAR 2018')).toEqual({ data_nascimento: '2018-03-14', ano_nascimento: null });
+    expect(parseGedcomDate('ABT 2018')).toEqual({ data_nascimento: null, ano_nascimento: 2018 });
+    expect(parseGedcomDate('31 FEB 2018')).toEqual({ data_nascimento: null, ano_nascimento: 2018 });
+    expect(parseGedcomDate('')).toEqual({ data_nascimento: null, ano_nascimento: null });
+  });
+
+  it('assinala ids repetidos e dados em falta e ignora ligações para fora do ficheiro', () => {
+    const { records } = parseInterchangeFile(jsonFile([
+      { id: 'a', nome: 'Trovão', sexo: 'Macho', pai_id: 'fora' },
+      { id: 'a', nome: '', sexo: 'X' },
+    ]));
+    expect(records[0]).toMatchObject({ paiKey: null, errors: [] });
+    expect(records[1].errors).toEqual([
+      'Identificador a repetido no ficheiro.',
+      'Nome em falta.',
+      'Sexo em falta ou não reconhecido.',
+    ]);
+  });
+
+  it('rejeita formatos desconhecidos e versões mais recentes', () => {
+    expect(() => parseInterchangeFile('[]', 'lista.json')).toThrow(/não está no formato/);
+    expect(() => parseInterchangeFile(JSON.stringify({ formato: 'pedigree-equino', versao: 2, cavalos: [] }))).toThrow(/Versão 2/);
+    expect(() => parseInterchangeFile('nome;sexo', 'lista.csv')).toThrow(/Formato não reconhecido/);
+  });
+});
+
+describe('junção com os cavalos existentes', () => {
+  it('associa pelo id de origem e, na falta dele, pelo nome, sexo e ano de nascimento', () => {
+    const { records } = parseInterchangeFile(jsonFile([
+      { id: 'pai', nome: 'Outro Nome', sexo: 'Macho' },
+      { id: 'x1', nome: 'BRISA', sexo: 'Fêmea', ano_nascimento: 2009 },
+      { id: 'x2', nome: 'Brisa', sexo: 'Fêmea', ano_nascimento: 2015 },
+    ]));
+    const entries = planInterchangeMerge(records, family);
+    expect(entries.map(e => [e.matchedBy, e.target])).toEqual([
+      ['id', 'pai'],
+      ['nome', 'mae'],
+      [null, NEW_HORSE],
+    ]);
+  });
+
+  it('não escolhe entre vários cavalos com o mesmo nome', () => {
+    const existing = [...family, horse('mae2', 'Brisa', 'Fêmea')];
+    const { records } = parseInterchangeFile(jsonFile([{ id: 'x1', nome: 'Brisa', sexo: 'Fêmea', ano_nascimento: 2009 }]));
+    const entries = planInterchangeMerge(records, existing);
+    expect(entries[0].candidates.map(h => h.id)).toEqual(['mae', 'mae2']);
+    expect(entries[0].target).toBeNull();
+
+    const [pending] = applyMergeChoices(entries, {}, existing);
+    expect(pending.issues).toEqual(['Há 2 cavalos registados que podem ser "Brisa": escolha qual, ou crie um novo.']);
+    const [chosen] = applyMergeChoices(entries, { x1: 'mae2' }, existing);
+    expect(chosen).toMatchObject({ target: 'mae2', action: 'keep', issues: [] });
+  });
+
+  it('preenche só os progenitores em falta e avisa quando o ficheiro difere do registado', () => {
+    const existing = [...family, horse('outro', 'Outro', 'Macho')];
+    const { records } = parseInterchangeFile(jsonFile([
+      { id: 'mae', nome: 'Brisa', sexo: 'Fêmea', pai_id: 'outro' },
+      { id: 'outro', nome: 'Outro', sexo: 'Macho' },
+      { id: 'potro', nome: 'Relâmpago', sexo: 'Macho', pai_id: 'outro' },
+    ]));
+    const [mae, , potro] = applyMergeChoices(planInterchangeMerge(records, existing), {}, existing);
+    expect(mae).toMatchObject({ action: 'link', updates: { pai_id: 'outro' } });
+    expect(potro.action).toBe('keep');
+    expect(potro.warnings).toEqual(['Pai registado (Trovão) difere do ficheiro (Outro); mantém-se o registado.']);
+  });
+
+  it('não altera cavalos de outros utilizadores', () => {
+    const { records } = parseInterchangeFile(jsonFile([
+      { id: 'mae', nome: 'Brisa', sexo: 'Fêmea', pai_id: 'avo' },
+      { id: 'avo', nome: 'Avô', sexo: 'Macho' },
+    ]));
+    const [mae] = applyMergeChoices(planInterchangeMerge(records, family), {}, family, { canEdit: h => h.id !== 'mae' });
+    expect(mae.action).toBe('keep');
+    expect(mae.warnings).toEqual(['Pai "Avô" não é associado: este cavalo pertence a outro utilizador.']);
+  });
+
+  it('recusa ligações que criariam um ciclo', () => {
+    const { records } = parseInterchangeFile(jsonFile([
+      { id: 'avo', nome: 'Avô', sexo: 'Macho', pai_id: 'potro' },
+      { id: 'potro', nome: 'Relâmpago', sexo: 'Macho' },
+    ]));
+    const [avo] = applyMergeChoices(planInterchangeMerge(records, family), {}, family);
+    expect(avo.action).toBe('keep');
+    expect(avo.updates).toEqual({});
+    expect(avo.warnings).toEqual([
+      expect.stringMatching(/^Ligação não aplicada: O pai \(Relâmpago\) descende deste cavalo/),
+      'Ligação não aplicada: O pai (Relâmpago) não nasceu antes de Avô.',
+    ]);
+  });
+
+  it('cria os pais antes dos filhos e liga os cavalos existentes aos novos', async () => {
+    const { records } = parseInterchangeFile(jsonFile([
+      { id: 'neto', nome: 'Neto', sexo: 'Macho', pai_id: 'novo_pai', mae_id: 'mae' },
+      { id: 'mae', nome: 'Brisa', sexo: 'Fêmea', pai_id: 'novo_avo' },
+      { id: 'novo_pai', nome: 'vento norte', sexo: 'Macho', pai_id: 'novo_avo', ano_nascimento: 2012 },
+      { id: 'novo_avo', nome: 'Vendaval', sexo: 'Macho', ano_nascimento: 2000 },
+    ]));
+    const entries = applyMergeChoices(planInterchangeMerge(records, family), {}, family);
+    expect(entries.map(e => e.action)).toEqual(['create', 'link', 'create', 'create']);
+
+    const { order, cycleKeys } = planMergeOrder(entries);
+    expect(order).toEqual(['novo_avo', 'novo_pai', 'neto']);
+    expect(cycleKeys).toEqual([]);
+
+    let nextId = 1;
+    const createHorse = async (fields) => ({ id: `id${nextId++}`, ...fields });
+    const updateHorse = async (id, fields) => ({ ...byId.get(id), ...fields });
+    const { created, updated } = await runInterchangeMerge(entries, order, { createHorse, updateHorse }, { owner_id: 'u1' });
+    expect(created.map(h => [h.id, h.nome, h.pai_id, h.mae_id, h.owner_id])).toEqual([
+      ['id1', 'Vendaval', null, null, 'u1'],
+      ['id2', 'Vento Norte', 'id1', null, 'u1'],
+      ['id3', 'Neto', 'id2', 'mae', 'u1'],
+    ]);
+    expect(updated.map(h => [h.id, h.pai_id])).toEqual([['mae', 'id1']]);
+  });
+});
@@ -0,0 +1,186 @@
+// Validação da integridade dos pedigrees: ciclos (um cavalo como seu próprio
+// ancestral), sexo dos progenitores e idade dos progenitores em relação ao potro.
+//
+// Cada problema é `{ code, severity, field, message }`: os de severidade 'error'
+// impedem a gravação no HorseForm; os 'warning' são apenas avisos (dados plausíveis
+// mas pouco prováveis). Módulo puro, sem React nem acesso a dados.
+import { getBirthInfo } from './horseAge';
+
+// Idade mínima (em anos) esperada de um progenitor quando o potro nasce
+export const MIN_PARENT_AGE_YEARS = 2;
+
+const PARENT_FIELDS = [
+  { field: 'pai_id', sex: 'Macho', label: 'O pai', roleLabel: 'pai' },
+  { field: 'mae_id', sex: 'Fêmea', label: 'A mãe', roleLabel: 'mãe' },
+];
+
+// Procura `targetId` entre os ancestrais de `startId` (inclusive) e devolve o caminho
+// de IDs desde `startId` até ele, ou null. Tolera ciclos já existentes nos dados.
+export const findAncestorPath = (startId, targetId, byId) => {
+  const previous = new Map([[startId, null]]);
+  const queue = [startId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (id === targetId) {
+      const path = [];
+      for (let current = id; current !== null; current = previous.get(current)) path.unshift(current);
+      return path;
+    }
+    const horse = byId.get(id);
+    for (const parentId of horse ? [horse.pai_id, horse.mae_id] : []) {
+      if (parentId && !previous.has(parentId)) {
+        previous.set(parentId, id);
+        queue.push(parentId);
+      }
+    }
+  }
+  return null;
+};
+
+// Diferença de idade aproximada, em anos, entre o progenitor e o potro.
+// Devolve null se faltar a data/ano de nascimento de algum deles.
+const parentAgeAtBirth = (parent, foal) => {
+  const parentBirth = getBirthInfo(parent);
+  const foalBirth = getBirthInfo(foal);
+  if (!parentBirth || !foalBirth) return null;
+  if (!parentBirth.approximate && !foalBirth.approximate) {
+    return (foalBirth.date - parentBirth.date) / (365.25 * 24 * 60 * 60 * 1000);
+  }
+  return foalBirth.year - parentBirth.year;
+};
+
+const checkParentAge = (parent, foal, { field, label }) => {
+  const age = parentAgeAtBirth(parent, foal);
+  if (age === null) return [];
+  if (age <= 0) {
+    return [{
+      code: 'parent-younger',
+      severity: 'error',
+      field,
+      message: `${label} (${parent.nome}) não nasceu antes de ${foal.nome || 'este cavalo'}.`,
+    }];
+  }
+  if (age < MIN_PARENT_AGE_YEARS) {
+    return [{
+      code: 'parent-too-young',
+      severity: 'warning',
+      field,
+      message: `${label} (${parent.nome}) teria menos de ${MIN_PARENT_AGE_YEARS} anos quando ${foal.nome || 'este cavalo'} nasceu.`,
+    }];
+  }
+  return [];
+};
+
+// Valida um registo de cavalo (novo ou editado, com as colunas de `cavalos`) contra
+// os restantes cavalos. Com `includeOffspring`, verifica também se o sexo e a data de
+// nascimento do próprio cavalo continuam coerentes com os filhos já registados.
+export const validatePedigree = (horse, horses, { includeOffspring = true } = {}) => {
+  const byId = new Map(horses.map(h => [h.id, h]));
+  if (horse.id) byId.set(horse.id, horse);
+  const issues = [];
+
+  for (const parentField of PARENT_FIELDS) {
+    const { field, sex, label } = parentField;
+    const parentId = horse[field];
+    if (!parentId) continue;
+
+    if (parentId === horse.id) {
+      issues.push({ code: 'own-parent', severity: 'error', field, message: `${label} não pode ser o próprio cavalo.` });
+      continue;
+    }
+    const parent = byId.get(parentId);
+    if (!parent) {
+      issues.push({ code: 'missing-parent', severity: 'warning', field, message: `${label} está registado pelo ID ${parentId}, que não existe.` });
+      continue;
+    }
+    if (horse.id) {
+      const path = findAncestorPath(parentId, horse.id, byId);
+      if (path) {
+        issues.push({
+          code: 'cycle',
+          severity: 'error',
+          field,
+          message: `${label} (${parent.nome}) descende deste cavalo: ${path.map(id => byId.get(id)?.nome || id).reverse().join(' → ')}. Um cavalo não pode ser o seu próprio ancestral.`,
+          cycleIds: [...path].sort(),
+        });
+      }
+    }
+    if (parent.sexo !== sex) {
+      issues.push({
+        code: 'parent-sex',
+        severity: 'error',
+        field,
+        message: `${label} (${parent.nome}) está registado como ${parent.sexo ? parent.sexo.toLowerCase() : 'sexo desconhecido'}.`,
+      });
+    }
+    issues.push(...checkParentAge(parent, horse, parentField));
+  }
+
+  if (includeOffspring && horse.id) {
+    for (const child of horses) {
+      if (child.id === horse.id) continue;
+      for (const parentField of PARENT_FIELDS) {
+        if (child[parentField.field] !== horse.id) continue;
+        if (horse.sexo && horse.sexo !== parentField.sex) {
+          issues.push({
+            code: 'offspring-sex',
+            severity: 'error',
+            field: 'sexo',
+            message: `Este cavalo está registado como ${parentField.roleLabel} de ${child.nome}, por isso tem de ser ${parentField.sex.toLowerCase()}.`,
+          });
+        }
+        const age = parentAgeAtBirth(horse, child);
+        if (age !== null && age <= 0) {
+          issues.push({
+            code: 'offspring-older',
+            severity: 'error',
+            field: 'nascimento',
+            message: `Este cavalo é ${parentField.roleLabel} de ${child.nome}, que nasceu antes dele.`,
+          });
+        }
+      }
+    }
+  }
+
+  return issues;
+};
+
+export const hasBlockingIssues = (issues) => issues.some(issue => issue.severity === 'error');
+
+// Cavalo que substitui `horse`, a excluir, como pai/mãe dos seus descendentes (como a
+// função `excluir_cavalo`): tem de existir, ser do mesmo dono, ter o sexo de cada papel
+// que herda e não descender de `horse`, o que criaria um ciclo. Devolve a mensagem de
+// erro ou null.
+export const checkReplacementParent = (horse, replacementId, horses) => {
+  const byId = new Map(horses.map(h => [h.id, h]));
+  const replacement = replacementId === horse.id ? null : byId.get(replacementId);
+  if (!replacement) return 'O cavalo substituto não existe.';
+  if (replacement.owner_id !== horse.owner_id) return `${replacement.nome} não é seu e não pode ser escolhido como substituto.`;
+  for (const { field, sex, roleLabel } of PARENT_FIELDS) {
+    if (replacement.sexo !== sex && horses.some(h => h[field] === horse.id)) {
+      return `${replacement.nome} não pode substituir ${roleLabel === 'mãe' ? 'a mãe' : 'o pai'} dos descendentes: não é ${sex === 'Macho' ? 'macho' : 'fêmea'}.`;
+    }
+  }
+  if (findAncestorPath(replacement.id, horse.id, byId)) {
+    return `${replacement.nome} descende de ${horse.nome} e não pode passar a progenitor dos seus descendentes.`;
+  }
+  return null;
+};
+
+// Todas as inconsistências da base de dados, agrupadas por cavalo: `[{ horse, issues }]`.
+// Cada ciclo é indicado uma só vez, no primeiro cavalo em que é encontrado.
+export const findPedigreeIssues = (horses) => {
+  const reportedCycles = new Set();
+  return horses
+    .map(horse => {
+      const issues = validatePedigree(horse, horses, { includeOffspring: false }).filter(issue => {
+        if (issue.code !== 'cycle') return true;
+        const key = issue.cycleIds.join('|');
+        if (reportedCycles.has(key)) return false;
+        reportedCycles.add(key);
+        return true;
+      });
+      return { horse, issues };
+    })
+    .filter(({ issues }) => issues.length > 0);
+};
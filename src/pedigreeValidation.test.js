@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import {
+  checkReplacementParent,
+  findAncestorPath,
+  findPedigreeIssues,
+  hasBlockingIssues,
+  validatePedigree,
+} from './pedigreeValidation';
+
+const horse = (id, sexo, fields = {}) => ({ id, nome: id, sexo, pai_id: null, mae_id: null, owner_id: 'u1', ...fields });
+
+// garanhao × egua -> potro -> neto
+const family = [
+  horse('garanhao', 'Macho', { data_nascimento: '2005-04-01' }),
+  horse('egua', 'Fêmea', { ano_nascimento: 2006 }),
+  horse('potro', 'Macho', { data_nascimento: '2012-05-10', pai_id: 'garanhao', mae_id: 'egua' }),
+  horse('neto', 'Macho', { data_nascimento: '2018-06-01', pai_id: 'potro' }),
+];
+const byId = new Map(family.map(h => [h.id, h]));
+
+const codesOf = (issues) => issues.map(issue => [issue.field, issue.code, issue.severity]);
+
+describe('findAncestorPath', () => {
+  it('devolve o caminho até ao ancestral, ou null', () => {
+    expect(findAncestorPath('neto', 'garanhao', byId)).toEqual(['neto', 'potro', 'garanhao']);
+    expect(findAncestorPath('garanhao', 'neto', byId)).toBeNull();
+  });
+
+  it('termina com ciclos já existentes nos dados', () => {
+    const cyclic = new Map([
+      ['a', horse('a', 'Macho', { pai_id: 'b' })],
+      ['b', horse('b', 'Macho', { pai_id: 'a' })],
+    ]);
+    expect(findAncestorPath('a', 'x', cyclic)).toBeNull();
+  });
+});
+
+describe('validatePedigree', () => {
+  it('aceita um pedigree coerente', () => {
+    expect(validatePedigree(byId.get('neto'), family)).toEqual([]);
+  });
+
+  it('não deixa um cavalo ser o seu próprio pai', () => {
+    const issues = validatePedigree({ ...byId.get('potro'), pai_id: 'potro' }, family);
+    expect(issues).toEqual([{ code: 'own-parent', severity: 'error', field: 'pai_id', message: 'O pai não pode ser o próprio cavalo.' }]);
+  });
+
+  it('deteta um descendente escolhido como progenitor', () => {
+    const issues = validatePedigree({ ...byId.get('garanhao'), pai_id: 'neto' }, family);
+    const cycle = issues.find(issue => issue.code === 'cycle');
+    expect(cycle.message).toBe('O pai (neto) descende deste cavalo: garanhao → potro → neto. Um cavalo não pode ser o seu próprio ancestral.');
+    expect(cycle.cycleIds).toEqual(['garanhao', 'neto', 'potro']);
+    expect(hasBlockingIssues(issues)).toBe(true);
+  });
+
+  it('exige um pai macho e uma mãe fêmea', () => {
+    const issues = validatePedigree(horse('novo', 'Fêmea', { pai_id: 'egua', mae_id: 'garanhao' }), family);
+    expect(codesOf(issues)).toEqual([
+      ['pai_id', 'parent-sex', 'error'],
+      ['mae_id', 'parent-sex', 'error'],
+    ]);
+    expect(issues[0].message).toBe('O pai (egua) está registado como fêmea.');
+  });
+
+  it('recusa progenitores mais novos e avisa dos que seriam demasiado novos', () => {
+    const older = validatePedigree(horse('novo', 'Macho', { data_nascimento: '2004-01-01', pai_id: 'garanhao' }), family);
+    expect(codesOf(older)).toEqual([['pai_id', 'parent-younger', 'error']]);
+
+    const young = validatePedigree(horse('novo', 'Macho', { data_nascimento: '2006-01-01', pai_id: 'garanhao' }), family);
+    expect(codesOf(young)).toEqual([['pai_id', 'parent-too-young', 'warning']]);
+    expect(young[0].message).toBe('O pai (garanhao) teria menos de 2 anos quando novo nasceu.');
+    expect(hasBlockingIssues(young)).toBe(false);
+  });
+
+  it('compara apenas o ano quando uma das datas é aproximada', () => {
+    const sameYear = validatePedigree(horse('novo', 'Macho', { data_nascimento: '2006-12-31', mae_id: 'egua' }), family);
+    expect(codesOf(sameYear)).toEqual([['mae_id', 'parent-younger', 'error']]);
+    expect(validatePedigree(horse('novo', 'Macho', { ano_nascimento: 2010, mae_id: 'egua' }), family)).toEqual([]);
+  });
+
+  it('avisa quando o progenitor não existe', () => {
+    expect(codesOf(validatePedigree(horse('novo', 'Macho', { pai_id: 'apagado' }), family))).toEqual([
+      ['pai_id', 'missing-parent', 'warning'],
+    ]);
+  });
+
+  it('verifica o sexo e a data de nascimento do cavalo em relação aos filhos', () => {
+    const issues = validatePedigree({ ...byId.get('potro'), sexo: 'Fêmea', data_nascimento: '2019-01-01' }, family);
+    expect(codesOf(issues)).toEqual([
+      ['sexo', 'offspring-sex', 'error'],
+      ['nascimento', 'offspring-older', 'error'],
+    ]);
+    expect(validatePedigree({ ...byId.get('potro'), sexo: 'Fêmea' }, family, { includeOffspring: false })).toEqual([]);
+  });
+});
+
+describe('findPedigreeIssues', () => {
+  it('indica cada ciclo uma só vez', () => {
+    const cyclic = [
+      horse('a', 'Macho', { pai_id: 'b' }),
+      horse('b', 'Macho', { pai_id: 'a' }),
+    ];
+    const report = findPedigreeIssues(cyclic);
+    expect(report.map(({ horse: h, issues }) => [h.id, issues.map(issue => issue.code)])).toEqual([['a', ['cycle']]]);
+  });
+});
+
+describe('checkReplacementParent', () => {
+  const horses = [
+    ...family,
+    horse('outro_garanhao', 'Macho'),
+    horse('outra_egua', 'Fêmea'),
+    horse('alheio', 'Macho', { owner_id: 'u2' }),
+  ];
+
+  it('aceita um substituto do mesmo dono e do mesmo sexo', () => {
+    expect(checkReplacementParent(byId.get('garanhao'), 'outro_garanhao', horses)).toBeNull();
+  });
+
+  it('recusa substitutos inexistentes, o próprio cavalo ou cavalos de outro dono', () => {
+    expect(checkReplacementParent(byId.get('garanhao'), 'apagado', horses)).toBe('O cavalo substituto não existe.');
+    expect(checkReplacementParent(byId.get('garanhao'), 'garanhao', horses)).toBe('O cavalo substituto não existe.');
+    expect(checkReplacementParent(byId.get('garanhao'), 'alheio', horses)).toBe('alheio não é seu e não pode ser escolhido como substituto.');
+  });
+
+  it('recusa um substituto do sexo errado', () => {
+    expect(checkReplacementParent(byId.get('egua'), 'outro_garanhao', horses))
+      .toBe('outro_garanhao não pode substituir a mãe dos descendentes: não é fêmea.');
+  });
+
+  it('recusa um descendente do cavalo a excluir', () => {
+    expect(checkReplacementParent(byId.get('garanhao'), 'neto', horses))
+      .toBe('neto descende de garanhao e não pode passar a progenitor dos seus descendentes.');
+  });
+});
@@ -0,0 +1,177 @@
+// Parentesco entre dois cavalos: ancestrais comuns, o caminho mais curto de cada
+// cavalo até eles, o grau de parentesco por extenso e o coeficiente de parentesco
+// de Wright,
+//
+//   r(A, B) = 2 · f(A, B) / √((1 + F(A)) · (1 + F(B)))
+//
+// em que f(A, B) é a coancestria (o COI de um potro hipotético de A × B) e F(A), F(B)
+// são os coeficientes de consanguinidade de cada um. Módulo puro, sem React nem dados.
+import { buildHorseIndex, calculateInbreeding, calculateInbreedingForParents } from './inbreeding';
+
+export const DEFAULT_RELATIONSHIP_GENERATIONS = 6;
+
+// Distância (em gerações) de `startId` a cada ancestral, incluindo o próprio (0), e o
+// caminho mais curto até ele. Em largura, por isso o primeiro caminho é o mais curto.
+const shortestAncestorPaths = (startId, horsesById, maxGenerations) => {
+  const paths = new Map([[startId, [startId]]]);
+  const queue = [startId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const path = paths.get(id);
+    const horse = horsesById.get(id);
+    if (!horse || path.length > maxGenerations) continue;
+    for (const parentId of [horse.pai_id, horse.mae_id]) {
+      if (parentId && horsesById.has(parentId) && !paths.has(parentId)) {
+        paths.set(parentId, [...path, parentId]);
+        queue.push(parentId);
+      }
+    }
+  }
+  return paths;
+};
+
+const isAncestorOf = (ancestorId, horseId, horsesById) => {
+  const seen = new Set();
+  const stack = [horseId];
+  while (stack.length > 0) {
+    const horse = horsesById.get(stack.pop());
+    if (!horse) continue;
+    for (const parentId of [horse.pai_id, horse.mae_id]) {
+      if (!parentId || seen.has(parentId)) continue;
+      if (parentId === ancestorId) return true;
+      seen.add(parentId);
+      stack.push(parentId);
+    }
+  }
+  return false;
+};
+
+// Termos por sexo: [macho, fêmea, desconhecido]
+const bySex = (horse, [male, female, unknown]) => {
+  if (horse.sexo === 'Macho') return male;
+  if (horse.sexo === 'Fêmea') return female;
+  return unknown;
+};
+
+const ANCESTOR_TERMS = [
+  null,
+  ['pai', 'mãe', 'progenitor'],
+  ['avô', 'avó', 'avô/avó'],
+  ['bisavô', 'bisavó', 'bisavô/bisavó'],
+  ['trisavô', 'trisavó', 'trisavô/trisavó'],
+];
+
+const ancestorTerm = (ancestor, generations) => (ANCESTOR_TERMS[generations]
+  ? bySex(ancestor, ANCESTOR_TERMS[generations])
+  : `ascendente (${generations} gerações acima)`);
+
+const uncleTerm = (horse, generations) => {
+  if (generations === 2) return bySex(horse, ['tio', 'tia', 'tio/tia']);
+  if (generations === 3) return bySex(horse, ['tio-avô', 'tia-avó', 'tio-avô/tia-avó']);
+  return `${bySex(horse, ['tio', 'tia', 'tio/tia'])} (${generations - 1} gerações acima)`;
+};
+
+const ORDINALS = ['primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono'];
+
+// Descreve o parentesco a partir do ancestral comum mais próximo. `half` indica que
+// o parentesco passa por um só ancestral e não por um casal (meio-irmãos, meio-primos...).
+const describeRelationship = (a, b, { generationsFromA: n1, generationsFromB: n2 }, half, sharedParent) => {
+  const meio = half ? 'meio-' : '';
+  if (n1 === 0) return `${a.nome} é ${ancestorTerm(a, n2)} de ${b.nome}`;
+  if (n2 === 0) return `${b.nome} é ${ancestorTerm(b, n1)} de ${a.nome}`;
+  if (n1 === 1 && n2 === 1) {
+    if (!half) return 'Irmãos inteiros (mesmo pai e mesma mãe)';
+    return `Meio-irmãos ${sharedParent?.sexo === 'Fêmea' ? 'maternos' : sharedParent?.sexo === 'Macho' ? 'paternos' : ''}`.trim();
+  }
+  if (n1 === 1) return `${a.nome} é ${meio}${uncleTerm(a, n2)} de ${b.nome}`;
+  if (n2 === 1) return `${b.nome} é ${meio}${uncleTerm(b, n1)} de ${a.nome}`;
+
+  const degree = Math.min(n1, n2) - 1;
+  const removed = Math.abs(n1 - n2);
+  const degreeLabel = ORDINALS[degree - 1] || `${degree}.º`;
+  const description = `${half ? 'Meio-primos' : 'Primos'} de ${degreeLabel} grau`;
+  if (removed === 0) return description;
+  return `${description}, com ${removed} ${removed === 1 ? 'geração' : 'gerações'} de diferença`;
+};
+
+// Calcula o parentesco entre `a` e `b`. Devolve
+// `{ commonAncestors, nearest, description, coefficient, coancestry, generations }`, em que
+// cada ancestral comum é `{ id, name, pathFromA, pathFromB, generationsFromA, generationsFromB }`
+// (os caminhos são listas de IDs desde o cavalo até ao ancestral, inclusive) e
+// `nearest` são os ancestrais comuns mais próximos, onde as duas ascendências se encontram.
+export const calculateRelationship = (a, b, horses, { generations = DEFAULT_RELATIONSHIP_GENERATIONS } = {}) => {
+  const horsesById = horses instanceof Map ? horses : buildHorseIndex(horses);
+  const empty = { commonAncestors: [], nearest: [], description: null, coefficient: 0, coancestry: 0, generations };
+  if (!a || !b) return empty;
+  if (a.id === b.id) return { ...empty, description: 'É o mesmo cavalo', coefficient: 1 };
+
+  const pathsFromA = shortestAncestorPaths(a.id, horsesById, generations);
+  const pathsFromB = shortestAncestorPaths(b.id, horsesById, generations);
+
+  const commonAncestors = [...pathsFromA.keys()]
+    .filter(id => pathsFromB.has(id))
+    .map(id => ({
+      id,
+      name: horsesById.get(id).nome,
+      pathFromA: pathsFromA.get(id),
+      pathFromB: pathsFromB.get(id),
+      generationsFromA: pathsFromA.get(id).length - 1,
+      generationsFromB: pathsFromB.get(id).length - 1,
+    }))
+    .sort((x, y) => (x.generationsFromA + x.generationsFromB) - (y.generationsFromA + y.generationsFromB));
+
+  // Um ancestral comum que é ascendente de outro ancestral comum não é dos mais próximos
+  const nearest = commonAncestors.filter(candidate => !commonAncestors.some(other => other.id !== candidate.id
+    && isAncestorOf(candidate.id, other.id, horsesById)));
+
+  let description = `Sem parentesco conhecido nas ${generations} gerações analisadas`;
+  if (nearest.length > 0) {
+    const closest = nearest[0];
+    // Parentesco inteiro quando o par de ancestrais mais próximo é um casal, ou seja,
+    // quando os caminhos até aos dois passam pelos mesmos filhos
+    const hasPartner = nearest.some(other => other.id !== closest.id
+      && other.generationsFromA === closest.generationsFromA
+      && other.generationsFromB === closest.generationsFromB
+      && other.pathFromA.at(-2) === closest.pathFromA.at(-2)
+      && other.pathFromB.at(-2) === closest.pathFromB.at(-2));
+    const half = closest.generationsFromA > 0 && closest.generationsFromB > 0 && !hasPartner;
+    description = describeRelationship(a, b, closest, half, horsesById.get(closest.id));
+  }
+
+  // O coeficiente usa todos os caminhos independentes, como o COI, na mesma janela
+  const coancestry = calculateInbreedingForParents(a.id, b.id, horsesById, { generations: generations + 1 }).coefficient;
+  const inbreedingA = calculateInbreeding(a, horsesById, { generations }).coefficient;
+  const inbreedingB = calculateInbreeding(b, horsesById, { generations }).coefficient;
+  const coefficient = (2 * coancestry) / Math.sqrt((1 + inbreedingA) * (1 + inbreedingB));
+
+  return { commonAncestors, nearest, description, coefficient, coancestry, generations };
+};
+
+// Grafo para o diagrama: os dois cavalos, os ancestrais comuns mais próximos e os
+// cavalos nos caminhos entre eles. `side` é 'a', 'b' ou 'common'; `level` é a
+// geração (0 para os dois cavalos), e os ancestrais comuns ficam acima dos dois lados.
+export const buildRelationshipGraph = (a, b, relationship, horses) => {
+  const horsesById = horses instanceof Map ? horses : buildHorseIndex(horses);
+  const nearestIds = new Set(relationship.nearest.map(ancestor => ancestor.id));
+  const nodes = new Map();
+  const links = new Map();
+
+  const addPath = (path, side) => {
+    path.forEach((id, index) => {
+      const common = nearestIds.has(id);
+      const node = nodes.get(id) || { id, horse: horsesById.get(id), side: common ? 'common' : side, level: 0 };
+      if (node.side !== side && !common) node.side = 'common';
+      node.level = Math.max(node.level, index);
+      nodes.set(id, node);
+      if (index > 0) links.set(`${path[index - 1]}>${id}`, { source: path[index - 1], target: id });
+    });
+  };
+
+  addPath([a.id], 'a');
+  addPath([b.id], 'b');
+  for (const ancestor of relationship.nearest) {
+    addPath(ancestor.pathFromA, 'a');
+    addPath(ancestor.pathFromB, 'b');
+  }
+  return { nodes: [...nodes.values()], links: [...links.values()] };
+};
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { calculateRelationship } from './relationship';
+
+const horse = (id, sexo, pai_id = null, mae_id = null) => ({ id, nome: id, sexo, pai_id, mae_id });
+
+// Três gerações a partir de um casal fundador:
+//   garanhao × egua -> irmao, irma (irmãos inteiros)
+//   irmao × egua_a -> primo;  garanhao_b × irma -> prima (primos direitos)
+//   primo × egua_c -> primo2; garanhao_d × prima -> prima2 (primos de segundo grau)
+const family = [
+  horse('garanhao', 'Macho'),
+  horse('egua', 'Fêmea'),
+  horse('irmao', 'Macho', 'garanhao', 'egua'),
+  horse('irma', 'Fêmea', 'garanhao', 'egua'),
+  horse('egua_a', 'Fêmea'),
+  horse('garanhao_b', 'Macho'),
+  horse('primo', 'Macho', 'irmao', 'egua_a'),
+  horse('prima', 'Fêmea', 'garanhao_b', 'irma'),
+  horse('egua_c', 'Fêmea'),
+  horse('garanhao_d', 'Macho'),
+  horse('primo2', 'Macho', 'primo', 'egua_c'),
+  horse('prima2', 'Fêmea', 'garanhao_d', 'prima'),
+];
+const byId = new Map(family.map(h => [h.id, h]));
+
+const relationshipOf = (idA, idB, horses = family, options) => {
+  const index = new Map(horses.map(h => [h.id, h]));
+  return calculateRelationship(index.get(idA), index.get(idB), horses, options);
+};
+
+describe('calculateRelationship', () => {
+  it('irmãos inteiros: r = 0,5', () => {
+    const result = relationshipOf('irmao', 'irma');
+    expect(result.coefficient).toBeCloseTo(0.5);
+    expect(result.description).toBe('Irmãos inteiros (mesmo pai e mesma mãe)');
+    expect(result.nearest.map(a => a.id).sort()).toEqual(['egua', 'garanhao']);
+  });
+
+  it('meio-irmãos paternos e maternos: r = 0,25', () => {
+    const horses = [
+      horse('garanhao', 'Macho'),
+      horse('egua', 'Fêmea'),
+      horse('egua2', 'Fêmea'),
+      horse('garanhao2', 'Macho'),
+      horse('filho', 'Macho', 'garanhao', 'egua'),
+      horse('meio_irmao_paterno', 'Macho', 'garanhao', 'egua2'),
+      horse('meio_irmao_materno', 'Macho', 'garanhao2', 'egua'),
+    ];
+    const paternal = relationshipOf('filho', 'meio_irmao_paterno', horses);
+    expect(paternal.coefficient).toBeCloseTo(0.25);
+    expect(paternal.description).toBe('Meio-irmãos paternos');
+
+    const maternal = relationshipOf('filho', 'meio_irmao_materno', horses);
+    expect(maternal.coefficient).toBeCloseTo(0.25);
+    expect(maternal.description).toBe('Meio-irmãos maternos');
+  });
+
+  it('pai e filho: r = 0,5', () => {
+    const result = relationshipOf('garanhao', 'irmao');
+    expect(result.coefficient).toBeCloseTo(0.5);
+    expect(result.description).toBe('garanhao é pai de irmao');
+    expect(relationshipOf('irma', 'egua').description).toBe('egua é mãe de irma');
+  });
+
+  it('tio e tia', () => {
+    expect(relationshipOf('irmao', 'prima').description).toBe('irmao é tio de prima');
+    expect(relationshipOf('primo', 'irma').description).toBe('irma é tia de primo');
+    expect(relationshipOf('irmao', 'prima').coefficient).toBeCloseTo(0.25);
+  });
+
+  it('meio-tio quando o irmão do progenitor é só meio-irmão', () => {
+    const horses = [
+      ...family,
+      horse('egua_e', 'Fêmea'),
+      horse('meio_tio', 'Macho', 'garanhao', 'egua_e'),
+    ];
+    expect(relationshipOf('meio_tio', 'primo', horses).description).toBe('meio_tio é meio-tio de primo');
+  });
+
+  it('primos de primeiro e segundo grau, e com gerações de diferença', () => {
+    expect(relationshipOf('primo', 'prima').description).toBe('Primos de primeiro grau');
+    expect(relationshipOf('primo', 'prima').coefficient).toBeCloseTo(0.125);
+
+    const secondCousins = relationshipOf('primo2', 'prima2');
+    expect(secondCousins.description).toBe('Primos de segundo grau');
+    expect(secondCousins.coefficient).toBeCloseTo(0.03125);
+
+    expect(relationshipOf('primo2', 'prima').description).toBe('Primos de primeiro grau, com 1 geração de diferença');
+  });
+
+  it('conta ancestrais comuns até à última geração analisada', () => {
+    // Os avós comuns dos primos direitos estão na 2.ª geração de cada um: a coancestria
+    // tem de olhar uma geração acima, a do potro hipotético
+    const result = relationshipOf('primo', 'prima', family, { generations: 2 });
+    expect(result.coefficient).toBeCloseTo(0.125);
+    expect(relationshipOf('primo', 'prima', family, { generations: 1 }).coefficient).toBe(0);
+  });
+
+  it('sem parentesco e o mesmo cavalo', () => {
+    const none = relationshipOf('egua_a', 'garanhao_b');
+    expect(none.coefficient).toBe(0);
+    expect(none.description).toBe('Sem parentesco conhecido nas 6 gerações analisadas');
+    expect(calculateRelationship(byId.get('irmao'), byId.get('irmao'), family).coefficient).toBe(1);
+  });
+});
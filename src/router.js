@@ -0,0 +1,152 @@
+// Roteamento baseado no History API do navegador.
+//
+//   /                       lista de cavalos (filtros na query string)
+//   /novo                   cadastro de um novo cavalo (?pai=&mae=&nascimento=&parto= para o potro de um parto)
+//   /cavalo/:id             detalhes (com ?partilhado=1 é a vista partilhada)
+//   /cavalo/:id/arvore      árvore genealógica (?modo=descendentes para a descendência)
+//   /cavalo/:id/editar      edição do cavalo (?promover=1 para promover um ancestral externo)
+//   /cavalo/:id/certificado certificado de pedigree para imprimir/exportar
+//   /registo/:numero        detalhes do cavalo com esse número de registo
+//   /importar               importação em massa (CSV/JSON)
+//   /intercambio            exportação/importação GEDCOM e JSON (?cavalo=:id pré-seleciona um cavalo)
+//   /acasalamento           planeador de acasalamentos (?mae=:id&pai=:id&pai=:id...)
+//   /verificacao            relatório de inconsistências nos pedigrees
+//   /saude                  procedimentos de saúde em atraso ou para breve
+//   /parentesco             calculadora de parentesco entre dois cavalos (?a=:id&b=:id)
+//   /painel                 painel de estatísticas do efetivo
+//   /proprietarios          proprietários e locais (coudelarias, estábulos)
+//   /entrar                 início de sessão / criação de conta
+//
+// O servidor tem de devolver o index.html para qualquer um destes caminhos
+// (o servidor de desenvolvimento do Vite já o faz).
+import { useEffect, useState } from 'react';
+
+const LOCATION_CHANGE_EVENT = 'locationchange';
+
+const ROUTES = [
+  { name: 'list', pattern: /^\/$/ },
+  { name: 'add', pattern: /^\/novo\/?$/ },
+  { name: 'import', pattern: /^\/importar\/?$/ },
+  { name: 'interchange', pattern: /^\/intercambio\/?$/ },
+  { name: 'report', pattern: /^\/verificacao\/?$/ },
+  { name: 'matingPlanner', pattern: /^\/acasalamento\/?$/ },
+  { name: 'health', pattern: /^\/saude\/?$/ },
+  { name: 'relationship', pattern: /^\/parentesco\/?$/ },
+  { name: 'dashboard', pattern: /^\/painel\/?$/ },
+  { name: 'owners', pattern: /^\/proprietarios\/?$/ },
+  { name: 'login', pattern: /^\/entrar\/?$/ },
+  { name: 'details', pattern: /^\/cavalo\/([^/]+)\/?$/ },
+  { name: 'lineageTree', pattern: /^\/cavalo\/([^/]+)\/arvore\/?$/ },
+  { name: 'certificate', pattern: /^\/cavalo\/([^/]+)\/certificado\/?$/ },
+  { name: 'edit', pattern: /^\/cavalo\/([^/]+)\/editar\/?$/ },
+  // `params.id` é aqui o número de registo, e não o ID do cavalo
+  { name: 'registration', pattern: /^\/registo\/([^/]+)\/?$/ },
+];
+
+// Converte um caminho (e a sua query string) na rota correspondente.
+export const matchRoute = (pathname, search = '') => {
+  const query = new URLSearchParams(search);
+  for (const route of ROUTES) {
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      return {
+        name: route.name,
+        params: match[1] ? { id: decodeURIComponent(match[1]) } : {},
+        query,
+      };
+    }
+  }
+  return { name: 'notFound', params: {}, query };
+};
+
+export const paths = {
+  list: (search = '') => `/${search}`,
+  // `foal`, opcional: `{ fatherId, motherId, birthDate, foalingId }` para pré-preencher o formulário
+  add: (foal) => {
+    const query = new URLSearchParams();
+    if (foal?.fatherId) query.set('pai', foal.fatherId);
+    if (foal?.motherId) query.set('mae', foal.motherId);
+    if (foal?.birthDate) query.set('nascimento', foal.birthDate);
+    if (foal?.foalingId) query.set('parto', foal.foalingId);
+    const search = query.toString();
+    return `/novo${search ? `?${search}` : ''}`;
+  },
+  import: () => '/importar',
+  interchange: (horseId) => `/intercambio${horseId ? `?cavalo=${encodeURIComponent(horseId)}` : ''}`,
+  report: () => '/verificacao',
+  matingPlanner: (damId, sireIds = []) => {
+    const query = new URLSearchParams();
+    if (damId) query.set('mae', damId);
+    sireIds.forEach(id => query.append('pai', id));
+    const search = query.toString();
+    return `/acasalamento${search ? `?${search}` : ''}`;
+  },
+  health: () => '/saude',
+  relationship: (horseAId, horseBId) => {
+    const query = new URLSearchParams();
+    if (horseAId) query.set('a', horseAId);
+    if (horseBId) query.set('b', horseBId);
+    const search = query.toString();
+    return `/parentesco${search ? `?${search}` : ''}`;
+  },
+  dashboard: () => '/painel',
+  owners: () => '/proprietarios',
+  login: () => '/entrar',
+  details: (id) => `/cavalo/${encodeURIComponent(id)}`,
+  shared: (id) => `/cavalo/${encodeURIComponent(id)}?partilhado=1`,
+  certificate: (id) => `/cavalo/${encodeURIComponent(id)}/certificado`,
+  lineageTree: (id, mode = 'ancestry') => `/cavalo/${encodeURIComponent(id)}/arvore${mode === 'progeny' ? '?modo=descendentes' : ''}`,
+  // Com `promote`, o formulário abre para promover um ancestral externo a cavalo do efetivo
+  edit: (id, { promote = false } = {}) => `/cavalo/${encodeURIComponent(id)}/editar${promote ? '?promover=1' : ''}`,
+  registration: (registrationNumber) => `/registo/${encodeURIComponent(registrationNumber)}`,
+};
+
+// Links antigos no formato `/?id=...&shared=true` passam para a rota de detalhes.
+const legacyRedirect = (location) => {
+  const params = new URLSearchParams(location.search);
+  const id = params.get('id');
+  if (location.pathname !== '/' || !id) return null;
+  return params.get('shared') === 'true' ? paths.shared(id) : paths.details(id);
+};
+
+export const navigate = (path, { replace = false } = {}) => {
+  if (path === `${window.location.pathname}${window.location.search}`) return;
+  if (replace) {
+    window.history.replaceState(null, '', path);
+  } else {
+    window.history.pushState(null, '', path);
+    window.scrollTo(0, 0);
+  }
+  window.dispatchEvent(new Event(LOCATION_CHANGE_EVENT));
+};
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
+// Localização inicial. Um link antigo é convertido antes da primeira renderização, para
+// que nenhuma vista (por exemplo a lista, que sincroniza os filtros com a URL) chegue a
+// ver o endereço antigo.
+const readInitialLocation = () => {
+  const redirect = legacyRedirect(readLocation());
+  if (redirect) {
+    window.history.replaceState(null, '', redirect);
+  }
+  return readLocation();
+};
+
+// Hook que devolve a rota atual e volta a renderizar a cada navegação,
+// incluindo os botões de voltar/avançar do navegador.
+export const useRoute = () => {
+  const [location, setLocation] = useState(readInitialLocation);
+
+  useEffect(() => {
+    const handleChange = () => setLocation(readLocation());
+    window.addEventListener('popstate', handleChange);
+    window.addEventListener(LOCATION_CHANGE_EVENT, handleChange);
+    return () => {
+      window.removeEventListener('popstate', handleChange);
+      window.removeEventListener(LOCATION_CHANGE_EVENT, handleChange);
+    };
+  }, []);
+
+  return matchRoute(location.pathname, location.search);
+};
@@ -0,0 +1,7 @@
+// Utilitários de texto partilhados pelos formulários e pela importação.
+
+// "puro sangue lusitano" -> "Puro Sangue Lusitano" (também depois de /, -, ' e ")
+export const capitalizeEachWord = (str) => {
+  if (!str) return '';
+  return str.toLowerCase().replace(/(?:^|\s|\/|-|'|")(\p{L})/gu, (match) => match.toUpperCase());
+};
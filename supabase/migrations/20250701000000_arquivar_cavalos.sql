@@ -0,0 +1,7 @@
+-- Arquivamento (soft delete) de cavalos.
+-- Cavalos arquivados deixam de aparecer na lista e nas seleções de pai/mãe,
+-- mas continuam a existir para que as árvores genealógicas fiquem completas.
+alter table public.cavalos
+  add column if not exists arquivado boolean not null default false;
+
+create index if not exists cavalos_arquivado_idx on public.cavalos (arquivado);
@@ -0,0 +1,28 @@
+-- Data de nascimento em vez de uma idade estática.
+-- `data_nascimento` guarda a data exata; quando ela é desconhecida, `ano_nascimento`
+-- guarda um ano aproximado. A idade passa a ser calculada pela aplicação.
+alter table public.cavalos
+  add column if not exists data_nascimento date,
+  add column if not exists ano_nascimento integer;
+
+alter table public.cavalos
+  drop constraint if exists cavalos_ano_nascimento_check;
+alter table public.cavalos
+  add constraint cavalos_ano_nascimento_check
+  check (ano_nascimento is null or ano_nascimento between 1800 and 2200);
+
+-- Converte a idade registada num ano de nascimento estimado, relativo à data em que
+-- o registo foi criado (a idade era válida nesse momento, não hoje).
+update public.cavalos
+set ano_nascimento = extract(year from created_at)::integer - idade
+where idade is not null
+  and data_nascimento is null
+  and ano_nascimento is null;
+
+-- A coluna `idade` deixa de ser escrita pela aplicação. Fica por agora apenas
+-- como histórico; pode ser removida quando já não houver clientes antigos.
+alter table public.cavalos
+  alter column idade drop not null;
+
+comment on column public.cavalos.idade is
+  'Obsoleta: substituída por data_nascimento / ano_nascimento.';
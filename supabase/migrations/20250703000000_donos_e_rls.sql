@@ -0,0 +1,127 @@
+-- Contas de utilizador (Supabase Auth) e propriedade dos registos.
+-- Leitura pública (para os links partilhados); criação, edição e exclusão
+-- apenas pelo utilizador que criou o cavalo.
+
+alter table public.cavalos
+  add column if not exists owner_id uuid references auth.users (id) on delete set null default auth.uid();
+
+create index if not exists cavalos_owner_id_idx on public.cavalos (owner_id);
+
+-- Os cavalos criados antes desta migração não têm dono e ficam só de leitura.
+-- Atribua-os à conta certa, por exemplo:
+--   update public.cavalos set owner_id = '<uuid do utilizador>' where owner_id is null;
+
+alter table public.cavalos enable row level security;
+
+drop policy if exists "Cavalos visíveis para todos" on public.cavalos;
+create policy "Cavalos visíveis para todos"
+  on public.cavalos for select
+  using (true);
+
+drop policy if exists "Utilizadores registam os seus cavalos" on public.cavalos;
+create policy "Utilizadores registam os seus cavalos"
+  on public.cavalos for insert
+  to authenticated
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Donos editam os seus cavalos" on public.cavalos;
+create policy "Donos editam os seus cavalos"
+  on public.cavalos for update
+  to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Donos excluem os seus cavalos" on public.cavalos;
+create policy "Donos excluem os seus cavalos"
+  on public.cavalos for delete
+  to authenticated
+  using (owner_id = auth.uid());
+
+-- Exclusão definitiva. Os descendentes podem pertencer a outros utilizadores, que as
+-- políticas acima não deixariam alterar; por isso o desvincular/reassociar e a
+-- exclusão correm juntos, numa única transação, depois de confirmado o dono.
+-- A função corre como `security definer`, por isso o cavalo que substitui o excluído
+-- como pai/mãe dos descendentes é verificado aqui e não só no cliente:
+--   - tem de existir (e não ser o próprio cavalo excluído) e ser do mesmo dono;
+--   - tem de ser Macho para substituir um pai e Fêmea para substituir uma mãe;
+--   - não pode descender do cavalo excluído, o que criaria um ciclo no pedigree.
+-- Só os descendentes do próprio utilizador passam para o substituto; os de outros
+-- utilizadores ficam apenas desvinculados (pai/mãe vazio), para que ninguém mude o
+-- pedigree de cavalos alheios para outro progenitor.
+create or replace function public.excluir_cavalo(p_cavalo_id uuid, p_substituto_id uuid default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_substituto public.cavalos;
+begin
+  if not exists (
+    select 1 from public.cavalos where id = p_cavalo_id and owner_id = auth.uid()
+  ) then
+    raise exception 'Apenas o dono pode excluir este cavalo.' using errcode = '42501';
+  end if;
+
+  if p_substituto_id is not null then
+    select * into v_substituto from public.cavalos where id = p_substituto_id and id <> p_cavalo_id;
+    if not found then
+      raise exception 'O cavalo substituto não existe.' using errcode = '22023';
+    end if;
+    if v_substituto.owner_id is distinct from auth.uid() then
+      raise exception '% não é seu e não pode ser escolhido como substituto.', v_substituto.nome using errcode = '42501';
+    end if;
+
+    if v_substituto.sexo is distinct from 'Macho'
+      and exists (select 1 from public.cavalos where pai_id = p_cavalo_id) then
+      raise exception '% não pode substituir o pai dos descendentes: não é macho.', v_substituto.nome using errcode = '22023';
+    end if;
+    if v_substituto.sexo is distinct from 'Fêmea'
+      and exists (select 1 from public.cavalos where mae_id = p_cavalo_id) then
+      raise exception '% não pode substituir a mãe dos descendentes: não é fêmea.', v_substituto.nome using errcode = '22023';
+    end if;
+
+    -- `union` (e não `union all`) termina mesmo com ciclos já existentes nos dados
+    if exists (
+      with recursive descendentes (id) as (
+        select id from public.cavalos where pai_id = p_cavalo_id or mae_id = p_cavalo_id
+        union
+        select c.id from public.cavalos c join descendentes d on c.pai_id = d.id or c.mae_id = d.id
+      )
+      select 1 from descendentes where id = p_substituto_id
+    ) then
+      raise exception '% descende do cavalo excluído e não pode passar a progenitor dos seus descendentes.', v_substituto.nome using errcode = '22023';
+    end if;
+  end if;
+
+  update public.cavalos
+  set pai_id = case when owner_id = auth.uid() then p_substituto_id end
+  where pai_id = p_cavalo_id;
+  update public.cavalos
+  set mae_id = case when owner_id = auth.uid() then p_substituto_id end
+  where mae_id = p_cavalo_id;
+  delete from public.cavalos where id = p_cavalo_id;
+end;
+$$;
+
+revoke all on function public.excluir_cavalo(uuid, uuid) from public, anon;
+grant execute on function public.excluir_cavalo(uuid, uuid) to authenticated;
+
+-- Storage: as fotos novas ficam numa pasta com o ID do utilizador que as enviou.
+-- Fotos antigas (pasta `public/`) continuam visíveis, mas só um administrador as pode apagar.
+drop policy if exists "Fotos de cavalos visíveis para todos" on storage.objects;
+create policy "Fotos de cavalos visíveis para todos"
+  on storage.objects for select
+  using (bucket_id = 'fotos-cavalos');
+
+drop policy if exists "Utilizadores enviam fotos para a sua pasta" on storage.objects;
+create policy "Utilizadores enviam fotos para a sua pasta"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'fotos-cavalos' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Utilizadores apagam fotos da sua pasta" on storage.objects;
+create policy "Utilizadores apagam fotos da sua pasta"
+  on storage.objects for delete
+  to authenticated
+  using (bucket_id = 'fotos-cavalos' and (storage.foldername(name))[1] = auth.uid()::text);
@@ -0,0 +1,19 @@
+-- Data da última alteração de cada cavalo, usada pelo modo offline para decidir
+-- qual das versões prevalece quando o mesmo campo foi alterado dos dois lados.
+alter table public.cavalos
+  add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.definir_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = now();
+  return new;
+end;
+$$;
+
+drop trigger if exists cavalos_definir_updated_at on public.cavalos;
+create trigger cavalos_definir_updated_at
+  before update on public.cavalos
+  for each row execute function public.definir_updated_at();
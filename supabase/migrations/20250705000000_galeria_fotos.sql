@@ -0,0 +1,46 @@
+-- Galeria de fotos por cavalo, com legenda, data e uma foto principal.
+-- A foto principal continua copiada para `cavalos.url_imagem`, e a sua miniatura
+-- para `cavalos.url_miniatura`, para que a lista e as árvores não precisem de a procurar.
+
+alter table public.cavalos
+  add column if not exists url_miniatura text;
+
+create table if not exists public.fotos_cavalos (
+  id uuid primary key default gen_random_uuid(),
+  cavalo_id uuid not null references public.cavalos (id) on delete cascade,
+  url text not null,
+  url_miniatura text,
+  legenda text,
+  data_foto date,
+  principal boolean not null default false,
+  owner_id uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fotos_cavalos_cavalo_id_idx on public.fotos_cavalos (cavalo_id);
+
+-- No máximo uma foto principal por cavalo
+create unique index if not exists fotos_cavalos_uma_principal_idx
+  on public.fotos_cavalos (cavalo_id) where principal;
+
+-- As fotos que já existiam passam a ser a foto principal da galeria de cada cavalo
+insert into public.fotos_cavalos (cavalo_id, url, principal, owner_id, created_at)
+select c.id, c.url_imagem, true, c.owner_id, c.created_at
+from public.cavalos c
+where c.url_imagem is not null
+  and not exists (select 1 from public.fotos_cavalos f where f.cavalo_id = c.id);
+
+-- Mesmas regras dos cavalos: leitura pública, escrita apenas pelo dono do cavalo.
+alter table public.fotos_cavalos enable row level security;
+
+drop policy if exists "Fotos da galeria visíveis para todos" on public.fotos_cavalos;
+create policy "Fotos da galeria visíveis para todos"
+  on public.fotos_cavalos for select
+  using (true);
+
+drop policy if exists "Donos gerem a galeria dos seus cavalos" on public.fotos_cavalos;
+create policy "Donos gerem a galeria dos seus cavalos"
+  on public.fotos_cavalos for all
+  to authenticated
+  using (exists (select 1 from public.cavalos c where c.id = cavalo_id and c.owner_id = auth.uid()))
+  with check (exists (select 1 from public.cavalos c where c.id = cavalo_id and c.owner_id = auth.uid()));
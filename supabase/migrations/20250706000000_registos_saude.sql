@@ -0,0 +1,56 @@
+-- Registos de saúde e veterinários por cavalo (vacinas, desparasitações, ferrações,
+-- exames, consultas), com a data prevista do próximo procedimento e um documento
+-- opcional no bucket privado `documentos-saude`.
+--
+-- Ao contrário dos cavalos e das fotos, estes dados são privados: só o dono do
+-- cavalo os vê.
+
+create table if not exists public.registos_saude (
+  id uuid primary key default gen_random_uuid(),
+  cavalo_id uuid not null references public.cavalos (id) on delete cascade,
+  tipo text not null check (tipo in ('vacinacao', 'desparasitacao', 'ferracao', 'exame', 'veterinario', 'outro')),
+  data date not null,
+  descricao text,
+  responsavel text,
+  proxima_data date,
+  -- Caminho do objeto no Storage (o bucket é privado, por isso não há URL público)
+  documento_caminho text,
+  documento_nome text,
+  owner_id uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists registos_saude_cavalo_id_idx on public.registos_saude (cavalo_id);
+create index if not exists registos_saude_proxima_data_idx on public.registos_saude (proxima_data) where proxima_data is not null;
+
+alter table public.registos_saude enable row level security;
+
+drop policy if exists "Donos gerem os registos de saúde dos seus cavalos" on public.registos_saude;
+create policy "Donos gerem os registos de saúde dos seus cavalos"
+  on public.registos_saude for all
+  to authenticated
+  using (exists (select 1 from public.cavalos c where c.id = cavalo_id and c.owner_id = auth.uid()))
+  with check (exists (select 1 from public.cavalos c where c.id = cavalo_id and c.owner_id = auth.uid()));
+
+-- Bucket privado para os documentos; cada utilizador só acede à sua pasta
+insert into storage.buckets (id, name, public)
+values ('documentos-saude', 'documentos-saude', false)
+on conflict (id) do nothing;
+
+drop policy if exists "Utilizadores leem os seus documentos de saúde" on storage.objects;
+create policy "Utilizadores leem os seus documentos de saúde"
+  on storage.objects for select
+  to authenticated
+  using (bucket_id = 'documentos-saude' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Utilizadores enviam documentos de saúde para a sua pasta" on storage.objects;
+create policy "Utilizadores enviam documentos de saúde para a sua pasta"
+  on storage.objects for insert
+  to authenticated
+  with check (bucket_id = 'documentos-saude' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Utilizadores apagam documentos de saúde da sua pasta" on storage.objects;
+create policy "Utilizadores apagam documentos de saúde da sua pasta"
+  on storage.objects for delete
+  to authenticated
+  using (bucket_id = 'documentos-saude' and (storage.foldername(name))[1] = auth.uid()::text);
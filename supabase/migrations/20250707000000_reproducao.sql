@@ -0,0 +1,81 @@
+-- Registos de reprodução: coberturas (garanhão, égua, data e método) e os eventos
+-- de cada cobertura, que são diagnósticos de gestação e partos. Um parto com potro
+-- vivo pode ficar ligado ao cavalo registado a partir dele (`potro_id`).
+--
+-- Como os pedigrees, o histórico reprodutivo é público. Quem o regista tem de ser
+-- dono da égua ou do garanhão, e só quem registou a cobertura a altera.
+
+create table if not exists public.coberturas (
+  id uuid primary key default gen_random_uuid(),
+  garanhao_id uuid not null references public.cavalos (id) on delete cascade,
+  egua_id uuid not null references public.cavalos (id) on delete cascade,
+  data date not null,
+  metodo text not null check (metodo in ('monta_natural', 'ia_fresco', 'ia_refrigerado', 'ia_congelado', 'transferencia_embriao')),
+  notas text,
+  owner_id uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coberturas_garanhao_id_idx on public.coberturas (garanhao_id);
+create index if not exists coberturas_egua_id_idx on public.coberturas (egua_id);
+
+create table if not exists public.eventos_reproducao (
+  id uuid primary key default gen_random_uuid(),
+  cobertura_id uuid not null references public.coberturas (id) on delete cascade,
+  tipo text not null check (tipo in ('diagnostico', 'parto')),
+  data date not null,
+  resultado text not null check (
+    (tipo = 'diagnostico' and resultado in ('gestante', 'vazia', 'inconclusivo'))
+    or (tipo = 'parto' and resultado in ('nascido_vivo', 'nado_morto', 'aborto'))
+  ),
+  potro_id uuid references public.cavalos (id) on delete set null,
+  notas text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists eventos_reproducao_cobertura_id_idx on public.eventos_reproducao (cobertura_id);
+
+alter table public.coberturas enable row level security;
+alter table public.eventos_reproducao enable row level security;
+
+drop policy if exists "Coberturas visíveis para todos" on public.coberturas;
+create policy "Coberturas visíveis para todos"
+  on public.coberturas for select
+  using (true);
+
+drop policy if exists "Donos da égua ou do garanhão registam coberturas" on public.coberturas;
+create policy "Donos da égua ou do garanhão registam coberturas"
+  on public.coberturas for insert
+  to authenticated
+  with check (
+    owner_id = auth.uid()
+    and exists (
+      select 1 from public.cavalos c
+      where c.id in (garanhao_id, egua_id) and c.owner_id = auth.uid()
+    )
+  );
+
+drop policy if exists "Quem registou a cobertura altera-a" on public.coberturas;
+create policy "Quem registou a cobertura altera-a"
+  on public.coberturas for update
+  to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Quem registou a cobertura apaga-a" on public.coberturas;
+create policy "Quem registou a cobertura apaga-a"
+  on public.coberturas for delete
+  to authenticated
+  using (owner_id = auth.uid());
+
+drop policy if exists "Eventos de reprodução visíveis para todos" on public.eventos_reproducao;
+create policy "Eventos de reprodução visíveis para todos"
+  on public.eventos_reproducao for select
+  using (true);
+
+drop policy if exists "Quem registou a cobertura gere os seus eventos" on public.eventos_reproducao;
+create policy "Quem registou a cobertura gere os seus eventos"
+  on public.eventos_reproducao for all
+  to authenticated
+  using (exists (select 1 from public.coberturas b where b.id = cobertura_id and b.owner_id = auth.uid()))
+  with check (exists (select 1 from public.coberturas b where b.id = cobertura_id and b.owner_id = auth.uid()));
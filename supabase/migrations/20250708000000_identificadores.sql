@@ -0,0 +1,22 @@
+-- Identificadores oficiais dos cavalos, para distinguir cavalos com o mesmo nome.
+-- `numero_registo` (livro genealógico), `microchip` e `id_associacao` (associação de
+-- raça) são únicos; `marcas` descreve os ferros e outras marcas e pode repetir-se.
+alter table public.cavalos
+  add column if not exists numero_registo text,
+  add column if not exists microchip text,
+  add column if not exists id_associacao text,
+  add column if not exists marcas text;
+
+-- A unicidade ignora maiúsculas, espaços, pontos, hífenes e barras, como a
+-- validação do formulário (`identifierKey` em src/horseIdentifiers.js).
+create unique index if not exists cavalos_numero_registo_key
+  on public.cavalos (upper(regexp_replace(numero_registo, '[[:space:]./-]', '', 'g')))
+  where numero_registo is not null;
+
+create unique index if not exists cavalos_microchip_key
+  on public.cavalos (upper(regexp_replace(microchip, '[[:space:]./-]', '', 'g')))
+  where microchip is not null;
+
+create unique index if not exists cavalos_id_associacao_key
+  on public.cavalos (upper(regexp_replace(id_associacao, '[[:space:]./-]', '', 'g')))
+  where id_associacao is not null;
@@ -0,0 +1,9 @@
+-- Ancestrais externos: cavalos que não fazem parte do efetivo (por exemplo garanhões
+-- famosos de outras coudelarias) e que só existem para completar os pedigrees.
+-- São linhas normais de `cavalos`, para que as árvores, o COI e o parentesco os
+-- percorram, mas a lista de cavalos não os mostra. Passar a `false` promove-os a
+-- cavalos do efetivo.
+alter table public.cavalos
+  add column if not exists apenas_ancestral boolean not null default false;
+
+create index if not exists cavalos_apenas_ancestral_idx on public.cavalos (apenas_ancestral);
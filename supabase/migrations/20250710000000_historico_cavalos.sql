@@ -0,0 +1,76 @@
+-- Histórico de alterações (auditoria) dos cavalos.
+-- Cada criação, alteração e exclusão em `cavalos` fica registada por um trigger, com
+-- o utilizador, a data e, campo a campo, o valor anterior e o novo. Assim ficam também
+-- registadas as alterações feitas pela função `excluir_cavalo` nos descendentes e as
+-- que chegam pela sincronização do modo offline.
+create table if not exists public.historico_cavalos (
+  id uuid primary key default gen_random_uuid(),
+  -- Sem chave estrangeira: o histórico de um cavalo excluído mantém-se
+  cavalo_id uuid not null,
+  acao text not null check (acao in ('criacao', 'alteracao', 'exclusao')),
+  -- { "<campo>": { "antes": ..., "depois": ... } }
+  alteracoes jsonb not null default '{}'::jsonb,
+  -- O registo completo depois da operação (antes dela, numa exclusão)
+  dados jsonb not null,
+  utilizador_id uuid default auth.uid(),
+  utilizador_email text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists historico_cavalos_cavalo_id_idx
+  on public.historico_cavalos (cavalo_id, created_at desc);
+
+create or replace function public.registar_historico_cavalo()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  antes jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) else '{}'::jsonb end;
+  depois jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) else '{}'::jsonb end;
+  diferencas jsonb;
+begin
+  select coalesce(jsonb_object_agg(campo, jsonb_build_object('antes', antes -> campo, 'depois', depois -> campo)), '{}'::jsonb)
+  into diferencas
+  from jsonb_object_keys(antes || depois) as campo
+  where campo not in ('id', 'created_at', 'updated_at')
+    and coalesce(antes -> campo, 'null'::jsonb) is distinct from coalesce(depois -> campo, 'null'::jsonb);
+
+  -- Uma alteração sem diferenças (por exemplo, gravar o formulário sem mudar nada) não conta
+  if tg_op = 'UPDATE' and diferencas = '{}'::jsonb then
+    return null;
+  end if;
+
+  insert into public.historico_cavalos (cavalo_id, acao, alteracoes, dados, utilizador_id, utilizador_email)
+  values (
+    case when tg_op = 'DELETE' then old.id else new.id end,
+    case tg_op when 'INSERT' then 'criacao' when 'UPDATE' then 'alteracao' else 'exclusao' end,
+    diferencas,
+    case when tg_op = 'DELETE' then antes else depois end,
+    auth.uid(),
+    auth.jwt() ->> 'email'
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists cavalos_registar_historico on public.cavalos;
+create trigger cavalos_registar_historico
+  after insert or update or delete on public.cavalos
+  for each row execute function public.registar_historico_cavalo();
+
+-- Só o trigger escreve no histórico. Lê-o o dono atual do cavalo e quem fez cada alteração.
+alter table public.historico_cavalos enable row level security;
+
+drop policy if exists "Donos e autores leem o histórico" on public.historico_cavalos;
+create policy "Donos e autores leem o histórico"
+  on public.historico_cavalos for select
+  to authenticated
+  using (
+    utilizador_id = auth.uid()
+    or exists (
+      select 1 from public.cavalos
+      where cavalos.id = historico_cavalos.cavalo_id and cavalos.owner_id = auth.uid()
+    )
+  );
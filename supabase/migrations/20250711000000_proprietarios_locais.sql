@@ -0,0 +1,188 @@
+-- Proprietários e locais (coudelarias, estábulos, quintas). Quem gere cavalos de vários
+-- proprietários em vários locais regista-os aqui e indica, em cada cavalo, o
+-- proprietário e o local atuais.
+--
+-- As vendas e os arrendamentos ficam em `transferencias`, de onde sai a cadeia de
+-- propriedade de cada cavalo. Uma venda muda o proprietário atual; um arrendamento
+-- não, fica apenas registado o arrendatário e o período.
+--
+-- Ao contrário dos pedigrees, estes dados não são públicos: cada utilizador só vê os
+-- proprietários, os locais e as transferências que registou. As transferências não se
+-- alteram nem se apagam; só desaparecem com o cavalo.
+
+create table if not exists public.proprietarios (
+  id uuid primary key default gen_random_uuid(),
+  nome text not null,
+  contacto text,
+  notas text,
+  owner_id uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.locais (
+  id uuid primary key default gen_random_uuid(),
+  nome text not null,
+  morada text,
+  notas text,
+  owner_id uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists proprietarios_owner_id_idx on public.proprietarios (owner_id);
+create index if not exists locais_owner_id_idx on public.locais (owner_id);
+
+-- Um proprietário com cavalos ou transferências não pode ser excluído; um local excluído
+-- deixa apenas os cavalos sem local
+alter table public.cavalos
+  add column if not exists proprietario_id uuid references public.proprietarios (id) on delete restrict,
+  add column if not exists local_id uuid references public.locais (id) on delete set null;
+
+create index if not exists cavalos_proprietario_id_idx on public.cavalos (proprietario_id);
+create index if not exists cavalos_local_id_idx on public.cavalos (local_id);
+
+-- As chaves estrangeiras aceitam proprietários e locais de qualquer utilizador, e as
+-- políticas de `cavalos` só olham para o dono do cavalo. Este trigger exige que o
+-- proprietário e o local escolhidos sejam do próprio utilizador e que, depois de
+-- definido, o proprietário só mude por uma venda (`transferir_cavalo`, que marca a
+-- transação com `app.transferencia_cavalo`), para que fique sempre em `transferencias`.
+-- Só os valores alterados são verificados: a exclusão de um cavalo que reassocia
+-- descendentes de outros utilizadores não toca nestas colunas.
+create or replace function public.verificar_proprietario_local_cavalo()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.proprietario_id is not null
+    and (tg_op = 'INSERT' or new.proprietario_id is distinct from old.proprietario_id)
+    and not exists (select 1 from public.proprietarios where id = new.proprietario_id and owner_id = auth.uid()) then
+    raise exception 'O proprietário indicado não existe ou não é seu.' using errcode = '42501';
+  end if;
+
+  if new.local_id is not null
+    and (tg_op = 'INSERT' or new.local_id is distinct from old.local_id)
+    and not exists (select 1 from public.locais where id = new.local_id and owner_id = auth.uid()) then
+    raise exception 'O local indicado não existe ou não é seu.' using errcode = '42501';
+  end if;
+
+  if tg_op = 'UPDATE'
+    and old.proprietario_id is not null
+    and new.proprietario_id is distinct from old.proprietario_id
+    and coalesce(current_setting('app.transferencia_cavalo', true), '') <> new.id::text then
+    raise exception 'O proprietário de um cavalo só muda por uma venda.' using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists cavalos_verificar_proprietario_local on public.cavalos;
+create trigger cavalos_verificar_proprietario_local
+  before insert or update of proprietario_id, local_id on public.cavalos
+  for each row execute function public.verificar_proprietario_local_cavalo();
+
+create table if not exists public.transferencias (
+  id uuid primary key default gen_random_uuid(),
+  cavalo_id uuid not null references public.cavalos (id) on delete cascade,
+  tipo text not null check (tipo in ('venda', 'arrendamento')),
+  -- Na venda, o vendedor e o comprador; no arrendamento, o proprietário e o arrendatário
+  proprietario_anterior_id uuid references public.proprietarios (id) on delete restrict,
+  proprietario_id uuid not null references public.proprietarios (id) on delete restrict,
+  -- Data da venda ou início do arrendamento
+  data_inicio date not null,
+  -- Fim do arrendamento (vazio enquanto não tiver data marcada)
+  data_fim date,
+  notas text,
+  owner_id uuid references auth.users (id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now(),
+  constraint transferencias_data_fim_check check (
+    data_fim is null or (tipo = 'arrendamento' and data_fim >= data_inicio)
+  )
+);
+
+create index if not exists transferencias_cavalo_id_idx on public.transferencias (cavalo_id);
+
+alter table public.proprietarios enable row level security;
+alter table public.locais enable row level security;
+alter table public.transferencias enable row level security;
+
+drop policy if exists "Utilizadores gerem os seus proprietários" on public.proprietarios;
+create policy "Utilizadores gerem os seus proprietários"
+  on public.proprietarios for all
+  to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Utilizadores gerem os seus locais" on public.locais;
+create policy "Utilizadores gerem os seus locais"
+  on public.locais for all
+  to authenticated
+  using (owner_id = auth.uid())
+  with check (owner_id = auth.uid());
+
+drop policy if exists "Utilizadores veem as suas transferências" on public.transferencias;
+create policy "Utilizadores veem as suas transferências"
+  on public.transferencias for select
+  to authenticated
+  using (owner_id = auth.uid());
+
+drop policy if exists "Donos do cavalo registam transferências" on public.transferencias;
+create policy "Donos do cavalo registam transferências"
+  on public.transferencias for insert
+  to authenticated
+  with check (
+    owner_id = auth.uid()
+    and exists (select 1 from public.cavalos c where c.id = cavalo_id and c.owner_id = auth.uid())
+    and exists (select 1 from public.proprietarios p where p.id = proprietario_id and p.owner_id = auth.uid())
+  );
+
+-- Registo de uma venda ou de um arrendamento. A transferência e a mudança do proprietário
+-- (e, opcionalmente, do local) do cavalo correm juntas, numa única transação, com as
+-- permissões de quem a chama.
+create or replace function public.transferir_cavalo(
+  p_cavalo_id uuid,
+  p_tipo text,
+  p_proprietario_id uuid,
+  p_data_inicio date,
+  p_data_fim date default null,
+  p_local_id uuid default null,
+  p_notas text default null
+)
+returns public.transferencias
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_proprietario_atual uuid;
+  v_transferencia public.transferencias;
+begin
+  select proprietario_id into v_proprietario_atual
+  from public.cavalos
+  where id = p_cavalo_id and owner_id = auth.uid()
+  for update;
+  if not found then
+    raise exception 'Apenas o dono pode transferir este cavalo.' using errcode = '42501';
+  end if;
+
+  if p_local_id is not null
+    and not exists (select 1 from public.locais where id = p_local_id and owner_id = auth.uid()) then
+    raise exception 'O local indicado não existe ou não é seu.' using errcode = '42501';
+  end if;
+
+  insert into public.transferencias (cavalo_id, tipo, proprietario_anterior_id, proprietario_id, data_inicio, data_fim, notas)
+  values (p_cavalo_id, p_tipo, v_proprietario_atual, p_proprietario_id, p_data_inicio, p_data_fim, p_notas)
+  returning * into v_transferencia;
+
+  -- Autoriza, só nesta transação e só para este cavalo, a mudança do proprietário
+  perform set_config('app.transferencia_cavalo', p_cavalo_id::text, true);
+  update public.cavalos
+  set proprietario_id = case when p_tipo = 'venda' then p_proprietario_id else proprietario_id end,
+      local_id = coalesce(p_local_id, local_id)
+  where id = p_cavalo_id;
+
+  return v_transferencia;
+end;
+$$;
+
+revoke all on function public.transferir_cavalo(uuid, text, uuid, date, date, uuid, text) from public, anon;
+grant execute on function public.transferir_cavalo(uuid, text, uuid, date, date, uuid, text) to authenticated;